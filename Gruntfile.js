@@ -36,6 +36,11 @@ module.exports = function(grunt) {
                     'lib/tiles/base64string.js',
                     'lib/stiles/lzString.js',
                     'lib/tiles/tilingScheme.js',
+                    'lib/tiles/tileDownloader.js',
+                    'lib/tiles/sqliteFile.js',
+                    'lib/tiles/tileUrlTemplate.js',
+                    'lib/tiles/wmtsCapabilities.js',
+                    'lib/tiles/tileProvider.js',
                     'lib/tpk/autoCenterMap.js',
                     'lib/tpk/OfflineTpkNS.js',
                     'lib/tpk/TPKLayer.js'
@@ -56,7 +61,12 @@ module.exports = function(grunt) {
                     'lib/edit/offlineJSOptions.js',
                     'lib/edit/OfflineEditAdvanced.js',
                     'lib/edit/OfflineEditNS.js',
+                    'lib/edit/storageAdapters.js',
+                    'lib/edit/connectivityMonitor.js',
+                    'lib/edit/encryption.js',
                     'lib/edit/editsStore.js',
+                    'lib/edit/offlineQuery.js',
+                    'lib/edit/changeSet.js',
                     'lib/edit/attachmentsStore.js'
                 ],
                 dest: 'dist/offline-edit-advanced-src.js'
@@ -66,10 +76,22 @@ module.exports = function(grunt) {
                     'lib/edit/offlineJSOptions.js',
                     'lib/edit/OfflineEditBasic.js',
                     'lib/edit/OfflineEditNS.js',
+                    'lib/edit/storageAdapters.js',
                     'lib/edit/editStorePOLS.js'
                 ],
                 dest: 'dist/offline-edit-basic-src.js'
             },
+            /* Runs in a service worker. Replays the edits stored by OfflineEditAdvanced with Background Sync */
+            editServiceWorker: {
+                src: [
+                    'lib/edit/OfflineEditNS.js',
+                    'lib/edit/storageAdapters.js',
+                    'lib/edit/editsStore.js',
+                    'lib/edit/attachmentsStore.js',
+                    'lib/edit/backgroundSync.js'
+                ],
+                dest: 'dist/offline-edit-sw-src.js'
+            },
             /* Tiles basic is for use with WebMaps. Cannot be reloaded or restarted while offline */
             tilesBasic: {
                 src: [
@@ -81,7 +103,9 @@ module.exports = function(grunt) {
                     'lib/tiles/FileSaver.js',
                     'lib/tiles/TilesCore.js',
                     'lib/tiles/TilesStore.js',
-                    'lib/tiles/tilingScheme.js'
+                    'lib/tiles/tilingScheme.js',
+                    'lib/tiles/tileDownloader.js',
+                    'lib/tiles/sqliteFile.js'
                 ],
                 dest: 'dist/offline-tiles-basic-src.js'
             },
@@ -96,10 +120,25 @@ module.exports = function(grunt) {
                     'lib/tiles/FileSaver.js',
                     'lib/tiles/TilesCore.js',
                     'lib/tiles/TilesStore.js',
-                    'lib/tiles/tilingScheme.js'
+                    'lib/tiles/tilingScheme.js',
+                    'lib/tiles/tileDownloader.js',
+                    'lib/tiles/sqliteFile.js',
+                    'lib/tiles/tileUrlTemplate.js',
+                    'lib/tiles/wmtsCapabilities.js'
                 ],
                 dest: 'dist/offline-tiles-advanced-src.js'
             },
+            /* Runs in a service worker. Serves the tiles stored by OfflineTilesAdvanced */
+            tilesServiceWorker: {
+                src: [
+                    'lib/tiles/OfflineTilesNS.js',
+                    'lib/tiles/base64string.js',
+                    'lib/tiles/lzString.js',
+                    'lib/tiles/TilesStore.js',
+                    'lib/tiles/tileProvider.js'
+                ],
+                dest: 'dist/offline-tiles-sw-src.js'
+            },
             /* TPKLayer - for working directly with tile packages (.tpk files) */
             tpk: {
                 src: [
@@ -135,8 +174,10 @@ module.exports = function(grunt) {
                 files: {
                     'dist/offline-edit-advanced-min.js': ['dist/offline-edit-advanced-src.js'],
                     'dist/offline-edit-basic-min.js': ['dist/offline-edit-basic-src.js'],
+                    'dist/offline-edit-sw-min.js': ['dist/offline-edit-sw-src.js'],
                     'dist/offline-tiles-basic-min.js': ['dist/offline-tiles-basic-src.js'],
                     'dist/offline-tiles-advanced-min.js': ['dist/offline-tiles-advanced-src.js'],
+                    'dist/offline-tiles-sw-min.js': ['dist/offline-tiles-sw-src.js'],
                     'dist/offline-tpk-min.js': ['dist/offline-tpk-src.js']
                 }
             }
@@ -12,35 +12,104 @@ define([
         "esri/layers/GraphicsLayer",
         "esri/graphic",
         "esri/request",
+        "esri/tasks/FeatureSet",
         "esri/symbols/SimpleMarkerSymbol",
         "esri/symbols/SimpleLineSymbol",
         "esri/symbols/SimpleFillSymbol",
         "esri/urlUtils"],
     function (Evented, Deferred, all, declare, array, domAttr, domStyle, query,
-              esriConfig, GraphicsLayer, Graphic, esriRequest, SimpleMarkerSymbol, SimpleLineSymbol, SimpleFillSymbol, urlUtils) {
+              esriConfig, GraphicsLayer, Graphic, esriRequest, FeatureSet, SimpleMarkerSymbol, SimpleLineSymbol, SimpleFillSymbol, urlUtils) {
         "use strict";
         return declare("O.esri.Edit.OfflineEditAdvanced", [Evented],
             {
                 _onlineStatus: "online",
                 _featureLayers: {},
                 _featureCollectionUsageFlag: false, // if a feature collection was used to create the feature layer.
+                _retryNeeded: false,            // whether the last sync had failures that can be retried
+                _retryCount: 0,                 // retries since the last sync that didn't need one
+                _retryTimer: null,
+                _sync: null,                    // the handle of the goOnline() in progress
+                _connectivityMonitor: null,
+                _autoSyncTimer: null,
+                _backgroundSyncListener: null,
+                _BACKGROUND_SYNC_TAG: "offline-edit-sync", // must match O.esri.Edit.BackgroundSync
                 _editStore: new O.esri.Edit.EditStore(),
+                _offlineQuery: new O.esri.Edit.OfflineQuery(),
+                _changeSet: new O.esri.Edit.ChangeSet(),
                 _defaultXhrTimeout: 15000,      // ms
                 _esriFieldTypeOID: "",          // Determines the correct casing for objectid. Some feature layers use different casing
 
                 ONLINE: "online",				// all edits will directly go to the server
                 OFFLINE: "offline",             // edits will be enqueued
                 RECONNECTING: "reconnecting",   // sending stored edits to the server
+
+                // How stored edits are sent when going online
+                REPLAY_MODES: {
+                    CONCURRENT: "concurrent",   // up to REPLAY_MAX_REQUESTS requests are sent at once
+                    SEQUENTIAL: "sequential"    // edits are sent in the order they were made. Stops at the first failure.
+                },
+
+                // How a stored edit is handled when the feature was changed on the server while we were offline
+                CONFLICT_POLICY: {
+                    CLIENT_WINS: "client-wins", // the offline edit overwrites the server's feature
+                    SERVER_WINS: "server-wins", // the offline edit is discarded and the server's feature is restored
+                    MERGE: "merge",             // fields changed offline are applied on top of the server's feature
+                    DEFER: "defer"              // the edit stays in the database until resolveConflict() is called
+                },
+
+                // File formats of exportEdits()
+                CHANGE_SET_FORMATS: {
+                    ESRI_JSON: "esrijson",      // edits as Esri JSON graphics
+                    GEOJSON: "geojson"          // edits as a GeoJSON FeatureCollection
+                },
+
                 attachmentsStore: null,         // indexedDB for storing attachments
                 proxyPath: null,                // by default we use CORS and therefore proxyPath is null
 
                 ENABLE_FEATURECOLLECTION: false,    // Set this to true for full offline use if you want to use the
                                                     // getFeatureCollections() pattern of reconstituting a feature layer.
 
+                REPLAY_BATCH_SIZE: 100,             // Maximum number of stored edits sent in a single applyEdits request.
+                ENABLE_SERVICE_APPLYEDITS: false,   // Set this to true to send the edits of all layers in the same feature
+                                                    // service together to the service's applyEdits endpoint.
+                REPLAY_MODE: "concurrent",          // A REPLAY_MODES value. Controls the order in which stored edits are sent.
+                REPLAY_MAX_REQUESTS: 6,             // Maximum number of applyEdits requests, or attachment uploads, in flight
+                                                    // at the same time. Requests that haven't started can be cancelled.
+
+                ENABLE_CONFLICT_DETECTION: false,   // Set this to true to compare stored UPDATEs and DELETEs against the
+                                                    // server before they are replayed.
+                conflictPolicy: "client-wins",      // A CONFLICT_POLICY value, or a function(conflict, callback) that
+                                                    // calls back with a CONFLICT_POLICY value for each conflict.
+
+                ENABLE_ATTRIBUTE_VALIDATION: false, // Set this to true to check the attributes of offline edits against
+                                                    // the layer's fields, domains and subtypes before enqueuing them.
+
+                ENABLE_RETRY: false,                // Set this to true to retry failed syncs and move rejected edits
+                                                    // into the dead-letter object store.
+                RETRY_MAX_ATTEMPTS: 5,              // Attempts before an edit that keeps failing is moved to the dead-letter store
+                RETRY_DELAY: 2000,                  // ms. Delay before the first retry. It doubles after every failed retry.
+                RETRY_MAX_DELAY: 300000,            // ms. Upper limit for the delay between retries.
+
+                ENABLE_CONNECTIVITY_MONITOR: false, // Set this to true to start the connectivity monitor in extend().
+                CONNECTIVITY_CHECK_INTERVAL: 30000, // ms between heartbeat requests to the feature service
+                CONNECTIVITY_FAILURE_THRESHOLD: 3,  // Requests that fail in a row with a network error before a heartbeat
+                                                    // is sent to confirm that we are offline
+                AUTO_SYNC: true,                    // Call goOffline() and goOnline() when the connectivity monitor
+                                                    // detects a change
+                AUTO_SYNC_DELAY: 3000,              // ms. The connection has to stay up this long before goOnline() is called.
+
+                ENABLE_BACKGROUND_SYNC: false,      // Set this to true to let a service worker that runs O.esri.Edit.BackgroundSync
+                                                    // send the stored edits when the browser is online again, even after
+                                                    // the page was closed.
+
                 // Database properties
                 DB_NAME: "features_store",      // Sets the database name.
                 DB_OBJECTSTORE_NAME: "features",// Represents an object store that allows access to a set of data in the IndexedDB database
                 DB_UID: "objectid",        // Set this based on the unique identifier is set up in the feature service
+                DB_STORAGE: null,          // Storage adapter for the edits and attachments databases. Defaults to O.esri.Edit.IndexedDBStorage.
+                                           // Use O.esri.Edit.MemoryStorage or O.esri.Edit.LocalStorage where IndexedDB is blocked.
+                ENCRYPTION: null,          // O.esri.Edit.Encryption. Set it before extend() and initAttachments() to encrypt
+                                           // the edits, the feature layer JSON and the attachments at rest.
 
                 ATTACHMENTS_DB_NAME: "attachments_store", //Sets attachments database name
                 ATTACHMENTS_DB_OBJECTSTORE_NAME: "attachments",
@@ -58,6 +127,13 @@ define([
                     ALL_EDITS_SENT: "all-edits-sent",   // ...after going online and there are no pending edits in the queue
                     ATTACHMENT_ENQUEUED: "attachment-enqueued",
                     ATTACHMENTS_SENT: "attachments-sent",
+                    EDITS_CONFLICT: "edits-conflict",   // ...when stored edits conflict with changes made on the server
+                    EDITS_RETRY_SCHEDULED: "edits-retry-scheduled", // ...when a failed sync will be retried
+                    EDITS_DEAD_LETTERED: "edits-dead-lettered",     // ...when an edit is moved to the dead-letter store
+                    EDITS_IMPORTED: "edits-imported",   // ...when importEdits() has added edits from a change-set
+                    SYNC_PROGRESS: "sync-progress",     // ...after each edit, layer and attachment that goOnline() has sent
+                    SYNC_CANCELLED: "sync-cancelled",   // ...when a cancelled goOnline() has stopped
+                    CONNECTIVITY_CHANGED: "connectivity-changed" // ...when the connectivity monitor detects a change
                 },
 
                 /**
@@ -79,6 +155,10 @@ define([
                         this.attachmentsStore = new O.esri.Edit.AttachmentsStore();
                         this.attachmentsStore.dbName = this.ATTACHMENTS_DB_NAME;
                         this.attachmentsStore.objectStoreName = this.ATTACHMENTS_DB_OBJECTSTORE_NAME;
+                        this.attachmentsStore.encryption = this.ENCRYPTION;
+                        if (this.DB_STORAGE) {
+                            this.attachmentsStore.storage = this.DB_STORAGE;
+                        }
 
                         if (/*false &&*/ this.attachmentsStore.isSupported()) {
                             this.attachmentsStore.init(callback);
@@ -165,6 +245,11 @@ define([
                     layer._deleteAttachments = layer.deleteAttachments;
                     layer._updateAttachment = layer.updateAttachment;
 
+                    // queries
+                    layer._queryFeatures = layer.queryFeatures;
+                    layer._queryIds = layer.queryIds;
+                    layer._queryCount = layer.queryCount;
+
                     /*
                      operations supported offline:
                      1. add a new attachment to an existing feature (DONE)
@@ -398,6 +483,11 @@ define([
                         if (self.getOnlineStatus() === self.ONLINE) {
                             var def = this._applyEdits(adds, updates, deletes,
                                 function () {
+                                    // The graphics we sent may hold only some attributes and a stale edit date,
+                                    // so the baseline of the updated features is read from the server again
+                                    layer._removeServerStates(updates);
+                                    layer._removeServerStates(deletes);
+                                    layer._refreshServerStates(updates);
                                     self.emit(self.events.EDITS_SENT, arguments);
                                     callback && callback.apply(this, arguments);
                                 },
@@ -405,9 +495,24 @@ define([
                             return def;
                         }
 
+                        // The server would reject these when going online, so don't store any of the edits
+                        if (self.ENABLE_ATTRIBUTE_VALIDATION) {
+                            var validationErrors = self._validateEdits(this, adds, updates);
+                            if (validationErrors.length > 0) {
+                                var validationError = {msg: "Invalid attributes", errors: validationErrors};
+                                var rejected = new Deferred();
+
+                                self.emit(self.events.EDITS_ENQUEUED_ERROR, validationError);
+                                errback && errback(validationError);
+                                rejected.reject(validationError);
+                                return rejected;
+                            }
+                        }
+
                         var deferred1 = new Deferred();
                         var results = {addResults: [], updateResults: [], deleteResults: []};
                         var updatesMap = {};
+                        var changes = []; // one for each feature, see _createHistoryChange()
 
                         var _adds = adds || [];
                         _adds.forEach(function (addEdit) {
@@ -425,6 +530,7 @@ define([
                                 console.log("EDIT ADD IS BACK!!! " );
 
                                 if(result.success){
+                                    changes.push(thisLayer._createHistoryChange(objectId, result, null));
                                     thisLayer._pushValidatedAddFeatureToDB(thisLayer,addEdit,result.operation,results,objectId,deferred);
                                 }
                                 else{
@@ -449,6 +555,7 @@ define([
                             updatesMap[objectId] = updateEdit;
 
                             var thisLayer = this;
+                            var snapshot = this._getGraphicJson(objectId);
 
                             // We need to run some validation tests against each feature being updated.
                             // If we have added a feature and we need to update it then we change it's operation type to "add"
@@ -457,7 +564,8 @@ define([
                                 console.log("EDIT UPDATE IS BACK!!! " );
 
                                 if(result.success){
-                                    thisLayer._pushValidatedUpdateFeatureToDB(thisLayer,updateEdit,result.operation,results,objectId,deferred);
+                                    changes.push(thisLayer._createHistoryChange(objectId, result, snapshot));
+                                    thisLayer._pushValidatedUpdateFeatureToDB(thisLayer,updateEdit,result.operation,results,objectId,deferred,result.serverState);
                                 }
                                 else{
                                     // If we get here then we deleted an edit that was added offline.
@@ -480,6 +588,7 @@ define([
                             var objectId = deleteEdit.attributes[this.objectIdField];
 
                             var thisLayer = this;
+                            var snapshot = this._getGraphicJson(objectId);
 
                             // We need to run some validation tests against each feature being deleted.
                             // If we have added a feature and then deleted it in the app then we go ahead
@@ -488,8 +597,10 @@ define([
                             this._validateFeature(deleteEdit,this.url,self._editStore.DELETE).then(function(result){
                                 console.log("EDIT DELETE IS BACK!!! " );
 
+                                changes.push(thisLayer._createHistoryChange(objectId, result, snapshot));
+
                                 if(result.success){
-                                    thisLayer._pushValidatedDeleteFeatureToDB(thisLayer,deleteEdit,result.operation,results,objectId,deferred);
+                                    thisLayer._pushValidatedDeleteFeatureToDB(thisLayer,deleteEdit,result.operation,results,objectId,deferred,result.serverState);
                                 }
                                 else{
                                     // If we get here then we deleted an edit that was added offline.
@@ -514,23 +625,30 @@ define([
                                 }
                             }
 
-                            layer._pushFeatureCollections(function(success){
-                                console.log("All edits done");
+                            // Record the previous state of each feature so the edits can be undone
+                            layer._pushHistory(changes, function () {
+                                layer._pushFeatureCollections(function(success){
+                                    console.log("All edits done");
 
-                                if(success && promisesSuccess){
-                                    self.emit(self.events.EDITS_ENQUEUED, results);
-                                }
-                                else {
-                                    if(!success){
-                                        console.log("applyEdits() there was a problem with _pushFeatureCollections.");
+                                    if(success && promisesSuccess){
+                                        self.emit(self.events.EDITS_ENQUEUED, results);
+
+                                        if(self.ENABLE_BACKGROUND_SYNC){
+                                            self.registerBackgroundSync();
+                                        }
+                                    }
+                                    else {
+                                        if(!success){
+                                            console.log("applyEdits() there was a problem with _pushFeatureCollections.");
+                                        }
+                                        self.emit(self.events.EDITS_ENQUEUED_ERROR, results);
                                     }
-                                    self.emit(self.events.EDITS_ENQUEUED_ERROR, results);
-                                }
 
-                                //promisesSuccess === true ? self.emit(self.events.EDITS_ENQUEUED, results) : self.emit(self.events.EDITS_ENQUEUED_ERROR, results);
+                                    //promisesSuccess === true ? self.emit(self.events.EDITS_ENQUEUED, results) : self.emit(self.events.EDITS_ENQUEUED_ERROR, results);
 
-                                // we already pushed the edits into the database, now we let the FeatureLayer to do the local updating of the layer graphics
-                                this._editHandler(results, _adds, updatesMap, callback, errback, deferred1);
+                                    // we already pushed the edits into the database, now we let the FeatureLayer to do the local updating of the layer graphics
+                                    this._editHandler(results, _adds, updatesMap, callback, errback, deferred1);
+                                }.bind(this));
                             }.bind(this));
 
                             //success === true ? self.emit(self.events.EDITS_ENQUEUED, results) : self.emit(self.events.EDITS_ENQUEUED_ERROR, results);
@@ -777,6 +895,139 @@ define([
                         });
                     };
 
+                    /**
+                     * Reverts the most recent offline applyEdits() call on this layer. Restores the stored
+                     * edits, the layer's graphics and the phantom graphics to how they were before the call.
+                     * Undoing an ADD removes the new feature entirely.
+                     * @param callback callback(true, historyEntry) or callback(false, error)
+                     */
+                    layer.undo = function (callback) {
+                        callback = callback || function () {};
+
+                        self._editStore.getHistory(this.url, function (success, entries) {
+                            var entry = success ? entries.filter(function (entry) {
+                                return !entry.undone;
+                            }).pop() : null;
+
+                            if (!entry) {
+                                return callback(false, "Nothing to undo");
+                            }
+
+                            layer._applyHistoryEntry(entry, true, callback);
+                        });
+                    };
+
+                    /**
+                     * Re-applies the most recently undone applyEdits() call on this layer.
+                     * Making a new edit clears what can be redone.
+                     * @param callback callback(true, historyEntry) or callback(false, error)
+                     */
+                    layer.redo = function (callback) {
+                        callback = callback || function () {};
+
+                        self._editStore.getHistory(this.url, function (success, entries) {
+                            var entry = success ? entries.filter(function (entry) {
+                                return entry.undone;
+                            })[0] : null;
+
+                            if (!entry) {
+                                return callback(false, "Nothing to redo");
+                            }
+
+                            layer._applyHistoryEntry(entry, false, callback);
+                        });
+                    };
+
+                    /**
+                     * Returns the states that a feature has been through while offline, oldest first.
+                     * Each item is {historyId, timestamp, undone, before, after} where before and after
+                     * are the stored edits, or null if there was no pending edit for the feature.
+                     * @param objectId
+                     * @param callback callback(true, array) or callback(false, error)
+                     */
+                    layer.getEditHistory = function (objectId, callback) {
+                        self._editStore.getHistory(this.url, function (success, entries) {
+                            if (!success) {
+                                return callback(false, entries);
+                            }
+
+                            var history = [];
+                            entries.forEach(function (entry) {
+                                entry.changes.forEach(function (change) {
+                                    if (change.objectId == objectId) {
+                                        history.push({
+                                            historyId: entry.id,
+                                            timestamp: entry.timestamp,
+                                            undone: entry.undone,
+                                            before: change.before,
+                                            after: change.after
+                                        });
+                                    }
+                                });
+                            });
+
+                            callback(true, history);
+                        });
+                    };
+
+                    //
+                    // queries
+                    //
+
+                    /**
+                     * While offline, runs the query against the layer's features merged with the pending edits
+                     * and returns a FeatureSet. Supports a subset of SQL where clauses, objectIds, orderByFields,
+                     * start and num, and the intersects and envelope intersects spatial relationships.
+                     * The query geometry must use the layer's spatial reference.
+                     */
+                    layer.queryFeatures = function (query, callback, errback) {
+                        if (self.getOnlineStatus() === self.ONLINE) {
+                            return this._queryFeatures.apply(this, arguments);
+                        }
+
+                        return this._queryOffline(query, true, function (features) {
+                            var featureSet = new FeatureSet();
+                            featureSet.features = features.map(function (feature) {
+                                return new Graphic(feature.geometry ? feature : {attributes: feature.attributes});
+                            });
+                            featureSet.geometryType = layer.geometryType;
+                            featureSet.spatialReference = layer.spatialReference;
+                            featureSet.fields = layer.fields;
+                            featureSet.objectIdFieldName = layer.objectIdField;
+                            featureSet.displayFieldName = layer.displayField;
+                            featureSet.exceededTransferLimit = false;
+                            return featureSet;
+                        }, callback, errback);
+                    };
+
+                    /**
+                     * While offline, returns the object ids of the local features that match the query.
+                     */
+                    layer.queryIds = function (query, callback, errback) {
+                        if (self.getOnlineStatus() === self.ONLINE) {
+                            return this._queryIds.apply(this, arguments);
+                        }
+
+                        return this._queryOffline(query, false, function (features) {
+                            return features.map(function (feature) {
+                                return feature.attributes[layer.objectIdField];
+                            });
+                        }, callback, errback);
+                    };
+
+                    /**
+                     * While offline, returns the number of local features that match the query.
+                     */
+                    layer.queryCount = function (query, callback, errback) {
+                        if (self.getOnlineStatus() === self.ONLINE) {
+                            return this._queryCount.apply(this, arguments);
+                        }
+
+                        return this._queryOffline(query, false, function (features) {
+                            return features.length;
+                        }, callback, errback);
+                    };
+
                     /* internal methods */
 
                     /**
@@ -864,9 +1115,12 @@ define([
                      * @param resultsArray
                      * @param objectId
                      * @param deferred
+                     * @param serverState Optional. The server state captured by a previous edit of this feature
                      * @private
                      */
-                    layer._pushValidatedDeleteFeatureToDB = function(layer,deleteEdit,operation,resultsArray,objectId,deferred){
+                    layer._pushValidatedDeleteFeatureToDB = function(layer,deleteEdit,operation,resultsArray,objectId,deferred,serverState){
+                        serverState = serverState || layer._getServerState(objectId);
+
                         self._editStore.pushEdit(operation, layer.url, deleteEdit, function (result, error) {
 
                             if(result){
@@ -909,7 +1163,7 @@ define([
                             }
 
                             deferred.resolve(result);
-                        });
+                        }, serverState);
                     };
 
                     /**
@@ -920,9 +1174,13 @@ define([
                      * @param resultsArray
                      * @param objectId
                      * @param deferred
+                     * @param serverState Optional. The server state captured by a previous edit of this feature
                      * @private
                      */
-                    layer._pushValidatedUpdateFeatureToDB = function(layer,updateEdit,operation,resultsArray,objectId,deferred){
+                    layer._pushValidatedUpdateFeatureToDB = function(layer,updateEdit,operation,resultsArray,objectId,deferred,serverState){
+                        // Features that only exist offline (ADDs) have no server state to conflict with
+                        serverState = operation === self._editStore.ADD ? null : (serverState || layer._getServerState(objectId));
+
                         self._editStore.pushEdit(operation, layer.url, updateEdit, function (result, error) {
 
                             if(result){
@@ -959,7 +1217,7 @@ define([
                             }
 
                             deferred.resolve(result);
-                        });
+                        }, serverState);
                     };
 
                     /**
@@ -1018,7 +1276,7 @@ define([
                      * @param graphic esri.Graphic.
                      * @param layerUrl the URL of the feature service
                      * @param operation add, update or delete action on an edit
-                     * @returns deferred {success:boolean,graphic:graphic,operation:add|update|delete}
+                     * @returns deferred {success:boolean,graphic:graphic,operation:add|update|delete,edit:the stored edit or null}
                      * @private
                      */
                     layer._validateFeature = function (graphic,layerUrl,operation) {
@@ -1034,7 +1292,7 @@ define([
                                     case self._editStore.ADD:
                                         // Not good - however we'll allow the new ADD to replace/overwrite existing edit
                                         // and pass it through unmodified. Last ADD wins.
-                                        deferred.resolve({"success":true,"graphic":graphic,"operation":operation});
+                                        deferred.resolve({"success":true,"graphic":graphic,"operation":operation,"edit":result});
                                         break;
                                     case self._editStore.UPDATE:
                                         // If we are doing an update on a feature that has not been added to
@@ -1046,7 +1304,8 @@ define([
                                             graphic.operation = self._editStore.ADD;
                                             operation = self._editStore.ADD;
                                         }
-                                        deferred.resolve({"success":true,"graphic":graphic,"operation":operation});
+                                        // Keep the server state from the first offline edit of this feature
+                                        deferred.resolve({"success":true,"graphic":graphic,"operation":operation,"serverState":result.serverState,"edit":result});
                                         break;
                                     case self._editStore.DELETE:
 
@@ -1061,7 +1320,7 @@ define([
                                                 }
                                             });
                                         }
-                                        deferred.resolve({"success":resolved,"graphic":graphic,"operation":operation});
+                                        deferred.resolve({"success":resolved,"graphic":graphic,"operation":operation,"serverState":result.serverState,"edit":result});
                                         break;
                                 }
                             }
@@ -1069,7 +1328,7 @@ define([
                                 // Let's simply pass the graphic back as good-to-go.
                                 // No modifications needed because the graphic does not
                                 // already exist in the database.
-                                deferred.resolve({"success":true,"graphic":graphic,"operation":operation});
+                                deferred.resolve({"success":true,"graphic":graphic,"operation":operation,"edit":null});
                             }
                             else{
                                 deferred.reject(graphic);
@@ -1123,6 +1382,326 @@ define([
 
                     };
 
+                    /**
+                     * Runs a query against the local features
+                     * @param query
+                     * @param paginate whether to apply the query's start and num
+                     * @param format creates the result from the array of matching graphic JSON
+                     * @param callback
+                     * @param errback
+                     * @returns {Deferred}
+                     * @private
+                     */
+                    layer._queryOffline = function (query, paginate, format, callback, errback) {
+                        var deferred = new Deferred();
+
+                        this._getOfflineFeatures(function (success, features) {
+                            var result;
+
+                            try {
+                                if (!success) {
+                                    throw new Error(features);
+                                }
+                                result = format(self._offlineQuery.filter(features, query, layer.objectIdField, paginate));
+                            }
+                            catch (err) {
+                                errback && errback(err);
+                                deferred.reject(err);
+                                return;
+                            }
+
+                            callback && callback(result);
+                            deferred.resolve(result);
+                        });
+
+                        return deferred;
+                    };
+
+                    /**
+                     * Returns the layer's features merged with the pending edits in the database,
+                     * so that deleted features are left out and added or updated features are current.
+                     * The attributes of an update are applied to the cached feature, which keeps its geometry
+                     * if the update has none.
+                     * @param callback callback(true, array of graphic JSON) or callback(false, error)
+                     * @private
+                     */
+                    layer._getOfflineFeatures = function (callback) {
+                        var features = {};
+                        var url = this.url;
+                        var objectIdField = this.objectIdField;
+
+                        this.graphics.forEach(function (graphic) {
+                            if (graphic.attributes) {
+                                features[graphic.attributes[objectIdField]] = JSON.parse(JSON.stringify(graphic.toJson()));
+                            }
+                        });
+
+                        self._editStore.getAllEditsArray(function (edits, message) {
+                            if (message !== "end") {
+                                return callback(false, message);
+                            }
+
+                            edits.forEach(function (edit) {
+                                if (edit.layer !== url) {
+                                    return;
+                                }
+
+                                // The edit id is the layer url followed by the object id
+                                var objectId = parseInt(edit.id.substring(edit.id.lastIndexOf("/") + 1), 10);
+
+                                if (edit.operation === self._editStore.DELETE) {
+                                    delete features[objectId];
+                                }
+                                else {
+                                    var feature = JSON.parse(JSON.stringify(edit.graphic));
+                                    var cached = features[objectId];
+                                    feature.attributes = feature.attributes || {};
+
+                                    // An update may hold only the changed attributes, and no geometry
+                                    if (edit.operation === self._editStore.UPDATE && cached) {
+                                        for (var name in cached.attributes) {
+                                            if (cached.attributes.hasOwnProperty(name) && !feature.attributes.hasOwnProperty(name)) {
+                                                feature.attributes[name] = cached.attributes[name];
+                                            }
+                                        }
+                                        if (!feature.geometry) {
+                                            feature.geometry = cached.geometry;
+                                        }
+                                    }
+
+                                    feature.attributes[objectIdField] = objectId;
+                                    features[objectId] = feature;
+                                }
+                            });
+
+                            callback(true, Object.keys(features).map(function (objectId) {
+                                return features[objectId];
+                            }));
+                        });
+                    };
+
+                    /**
+                     * Returns a copy of the graphic in the layer that has the given objectId
+                     * @param objectId
+                     * @returns {Object} graphic JSON, or null if the layer doesn't contain the feature
+                     * @private
+                     */
+                    layer._getGraphicJson = function (objectId) {
+                        for (var i = 0; i < this.graphics.length; i++) {
+                            if (this.graphics[i].attributes && this.graphics[i].attributes[this.objectIdField] === objectId) {
+                                return JSON.parse(JSON.stringify(this.graphics[i].toJson()));
+                            }
+                        }
+                        return null;
+                    };
+
+                    /**
+                     * Describes how an edit changes a feature, so that it can be undone.
+                     * @param objectId
+                     * @param validation The result of _validateFeature()
+                     * @param snapshot The feature's graphic JSON in the layer before the edit
+                     * @returns {Object} {editId, objectId, before, after, graphic, removed}
+                     * @private
+                     */
+                    layer._createHistoryChange = function (objectId, validation, snapshot) {
+                        var before = validation.edit || null;
+                        var graphic = snapshot;
+
+                        // graphic is the feature as it should appear in the layer when the edit is undone
+                        if (before) {
+                            graphic = before.operation === self._editStore.DELETE ? null : before.graphic;
+                        }
+                        else {
+                            // The layer's graphic may already have been modified by the app, so prefer the server's copy
+                            var serverState = this._getServerState(objectId);
+                            if (serverState && serverState.geometry) {
+                                graphic = {geometry: serverState.geometry, attributes: serverState.attributes};
+                            }
+                        }
+
+                        return {
+                            editId: this.url + "/" + objectId,
+                            objectId: objectId,
+                            before: before,
+                            after: null,
+                            graphic: graphic,
+                            removed: !validation.success // a feature that was added offline and then deleted
+                        };
+                    };
+
+                    /**
+                     * Reads the stored state of each changed feature and adds an entry to the edit history
+                     * @param changes
+                     * @param callback
+                     * @private
+                     */
+                    layer._pushHistory = function (changes, callback) {
+                        if (changes.length === 0) {
+                            return callback();
+                        }
+
+                        var promises = changes.map(function (change) {
+                            var deferred = new Deferred();
+
+                            if (change.removed) {
+                                deferred.resolve();
+                            }
+                            else {
+                                self._editStore.getEdit(change.editId, function (success, edit) {
+                                    change.after = success ? edit : null;
+                                    deferred.resolve();
+                                });
+                            }
+
+                            return deferred.promise;
+                        });
+
+                        all(promises).then(function () {
+                            var entry = {
+                                layer: layer.url,
+                                timestamp: new Date().getTime(),
+                                undone: false,
+                                changes: changes.map(function (change) {
+                                    return {editId: change.editId, objectId: change.objectId, before: change.before, after: change.after, graphic: change.graphic};
+                                })
+                            };
+
+                            self._editStore.pushHistory(entry, function (success, error) {
+                                if (!success) {
+                                    console.log("There was a problem saving the edit history: " + error);
+                                }
+                                callback();
+                            });
+                        });
+                    };
+
+                    /**
+                     * Undoes or redoes a history entry, one feature at a time
+                     * @param entry
+                     * @param undo true to undo, false to redo
+                     * @param callback callback(true, entry) or callback(false, error)
+                     * @private
+                     */
+                    layer._applyHistoryEntry = function (entry, undo, callback) {
+                        var changes = undo ? entry.changes.slice().reverse() : entry.changes;
+
+                        var next = function (i) {
+                            if (i === changes.length) {
+                                entry.undone = undo;
+                                self._editStore.updateHistory(entry, function (success, error) {
+                                    if (!success) {
+                                        return callback(false, error);
+                                    }
+                                    layer._pushFeatureCollections(function () {
+                                        callback(true, entry);
+                                    });
+                                });
+                                return;
+                            }
+
+                            var change = changes[i];
+                            var edit = undo ? change.before : change.after;
+                            var graphic = undo ? change.graphic :
+                                (change.after && change.after.operation !== self._editStore.DELETE ? change.after.graphic : null);
+
+                            self._editStore.restoreEdit(change.editId, edit, function (success, error) {
+                                if (!success) {
+                                    return callback(false, error);
+                                }
+
+                                layer._restoreGraphic(change.objectId, graphic);
+                                layer._restorePhantomGraphic(change.objectId, edit, function () {
+                                    next(i + 1);
+                                });
+                            });
+                        };
+
+                        next(0);
+                    };
+
+                    /**
+                     * Sets the layer's graphic for a feature. Graphic JSON without a geometry, such as an
+                     * attribute-only update, changes the attributes it has and keeps the graphic's geometry.
+                     * @param objectId
+                     * @param graphicJson the feature's graphic JSON, or null to remove it from the layer
+                     * @private
+                     */
+                    layer._restoreGraphic = function (objectId, graphicJson) {
+                        var existing = null;
+                        for (var i = 0; i < this.graphics.length; i++) {
+                            if (this.graphics[i].attributes && this.graphics[i].attributes[this.objectIdField] === objectId) {
+                                existing = this.graphics[i];
+                                break;
+                            }
+                        }
+
+                        if (!graphicJson) {
+                            if (existing) {
+                                this.remove(existing);
+                            }
+                            return;
+                        }
+
+                        var graphic = new Graphic(JSON.parse(JSON.stringify(graphicJson)));
+                        if (existing && !graphic.geometry) {
+                            var attributes = {};
+                            var name;
+                            for (name in existing.attributes) {
+                                if (existing.attributes.hasOwnProperty(name)) {
+                                    attributes[name] = existing.attributes[name];
+                                }
+                            }
+                            for (name in graphic.attributes) {
+                                if (graphic.attributes.hasOwnProperty(name)) {
+                                    attributes[name] = graphic.attributes[name];
+                                }
+                            }
+                            existing.setAttributes(attributes);
+                        }
+                        else if (existing) {
+                            existing.setGeometry(graphic.geometry);
+                            existing.setAttributes(graphic.attributes);
+                        }
+                        else if (graphic.geometry) {
+                            this.add(graphic);
+                        }
+                    };
+
+                    /**
+                     * Replaces a feature's phantom graphic with one that matches a stored edit
+                     * @param objectId
+                     * @param edit the stored edit, or null to remove the phantom graphic
+                     * @param callback
+                     * @private
+                     */
+                    layer._restorePhantomGraphic = function (objectId, edit, callback) {
+                        var phantomGraphicId = self._editStore.PHANTOM_GRAPHIC_PREFIX + self._editStore._PHANTOM_PREFIX_TOKEN + objectId;
+
+                        var phantomGraphics = this._phantomLayer.graphics.slice();
+                        for (var i = 0; i < phantomGraphics.length; i++) {
+                            if (phantomGraphics[i].attributes && phantomGraphics[i].attributes[self.DB_UID] === objectId) {
+                                this._phantomLayer.remove(phantomGraphics[i]);
+                            }
+                        }
+
+                        self._editStore.deletePhantomGraphic(phantomGraphicId, function () {
+                            if (!edit) {
+                                return callback();
+                            }
+
+                            var tempIdObject = {};
+                            tempIdObject[self.DB_UID] = objectId;
+
+                            var geometry = new Graphic(JSON.parse(JSON.stringify(edit.graphic))).geometry;
+                            var phantom = new Graphic(geometry, self._getPhantomSymbol(geometry, edit.operation), tempIdObject);
+
+                            layer._phantomLayer.add(phantom);
+                            self._editStore.pushPhantomGraphic(phantom, function () {
+                                callback();
+                            });
+                        });
+                    };
+
                     layer._getFilesFromForm = function (formNode) {
                         var files = [];
                         var inputNodes = array.filter(formNode.elements, function (node) {
@@ -1176,31 +1755,110 @@ define([
                         return this._nextTempId--;
                     };
 
-                    function _initPhantomLayer() {
-                        try {
-                            layer._phantomLayer = new GraphicsLayer({opacity: 0.8});
-                            layer._map.addLayer(layer._phantomLayer);
-                        }
-                        catch (err) {
-                            console.log("Unable to init PhantomLayer: " + err.message);
-                        }
-                    }
+                    //
+                    // Server state of each feature. This is the baseline that offline edits are compared
+                    // against when ENABLE_CONFLICT_DETECTION is true.
+                    //
 
-                    _initPhantomLayer();
+                    layer._serverStates = {};
 
-                    // We are currently only passing in a single deferred.
-                    all(extendPromises).then(function (r) {
+                    /**
+                     * Returns the last known server state of a feature
+                     * @param objectId
+                     * @returns {Object} {editDate, attributesHash, geometryHash, attributes} or null
+                     * @private
+                     */
+                    layer._getServerState = function (objectId) {
+                        return this._serverStates.hasOwnProperty(objectId) ? this._serverStates[objectId] : null;
+                    };
 
-                        // DB already initialized
-                        if(r.length === 0 && url){
-                            // Initialize the internal featureLayerCollectionObject
-                            if(this.ENABLE_FEATURECOLLECTION) {
-                                layer._pushFeatureCollections(function(success){
-                                    if(success){
-                                        callback(true, null);
-                                    }
-                                    else {
-                                        callback(false, null);
+                    /**
+                     * Records the server state of an array of graphics. Temporary (negative) ids are ignored.
+                     * @param graphics
+                     * @private
+                     */
+                    layer._setServerStates = function (graphics) {
+                        (graphics || []).forEach(function (graphic) {
+                            var objectId = graphic.attributes ? graphic.attributes[this.objectIdField] : undefined;
+                            if (typeof objectId === "number" && objectId >= 0) {
+                                this._serverStates[objectId] = self._createServerState(this, graphic);
+                            }
+                        }, this);
+                    };
+
+                    layer._removeServerStates = function (graphics) {
+                        (graphics || []).forEach(function (graphic) {
+                            delete this._serverStates[graphic.attributes[this.objectIdField]];
+                        }, this);
+                    };
+
+                    /**
+                     * Queries the server for the current state of an array of graphics. Until the query returns,
+                     * or if it fails, the graphics have no server state and their offline edits aren't checked.
+                     * @param graphics
+                     * @private
+                     */
+                    layer._refreshServerStates = function (graphics) {
+                        var objectIds = (graphics || []).map(function (graphic) {
+                            return graphic.attributes ? graphic.attributes[this.objectIdField] : undefined;
+                        }, this).filter(function (objectId) {
+                            return typeof objectId === "number" && objectId >= 0;
+                        });
+
+                        if (!self.ENABLE_CONFLICT_DETECTION || objectIds.length === 0) {
+                            return;
+                        }
+
+                        self._makeQueryRequest(this, objectIds, function (response) {
+                            this._setServerStates((response.features || []).map(function (feature) {
+                                if (feature.geometry && response.spatialReference) {
+                                    feature.geometry.spatialReference = response.spatialReference;
+                                }
+                                return new Graphic(feature);
+                            }));
+                        }.bind(this), function (error) {
+                            console.log("_refreshServerStates: unable to query " + this.url + " " + error);
+                        }.bind(this));
+                    };
+
+                    layer._setServerStates(layer.graphics);
+
+                    // Graphics are only refreshed from the server while we are online
+                    layer.on("update-end", function () {
+                        if (self.getOnlineStatus() === self.ONLINE) {
+                            layer._setServerStates(layer.graphics);
+                        }
+                    });
+
+                    function _initPhantomLayer() {
+                        try {
+                            layer._phantomLayer = new GraphicsLayer({opacity: 0.8});
+                            layer._map.addLayer(layer._phantomLayer);
+                        }
+                        catch (err) {
+                            console.log("Unable to init PhantomLayer: " + err.message);
+                        }
+                    }
+
+                    _initPhantomLayer();
+
+                    // We are currently only passing in a single deferred.
+                    all(extendPromises).then(function (r) {
+
+                        if(this.ENABLE_CONNECTIVITY_MONITOR) {
+                            this.startConnectivityMonitor();
+                        }
+
+                        // DB already initialized
+                        if(r.length === 0 && url){
+                            // Initialize the internal featureLayerCollectionObject
+                            if(this.ENABLE_FEATURECOLLECTION) {
+                                layer._pushFeatureCollections(function(success){
+                                    if(success){
+                                        callback(true, null);
+                                    }
+                                    else {
+                                        callback(false, null);
                                     }
                                 });
                             }
@@ -1256,7 +1914,10 @@ define([
                                 callback(true, null);
                             }
                         }
-                    }.bind(this));
+                    }.bind(this), function (err) {
+                        // e.g. the database is encrypted with a different key
+                        callback(false, err && err.error ? err.error : err);
+                    });
 
                 }, // extend
 
@@ -1266,32 +1927,63 @@ define([
                 goOffline: function () {
                     console.log("offlineFeatureManager going offline");
                     this._onlineStatus = this.OFFLINE;
+                    this._cancelRetry();
                 },
 
                 /**
                  * Forces library to return to an online state. If there are pending edits,
                  * an attempt will be made to sync them with the remote feature server
                  * @param callback callback( boolean, errors )
+                 * @returns {Object} sync handle {cancel(), cancelled, progress, promise}. The promise resolves with
+                 * the same result as the callback, and reports the same progress as the SYNC_PROGRESS event.
                  */
                 goOnline: function (callback) {
                     console.log("OfflineEditAdvanced going online");
+                    var sync = this._createSync();
+                    this._sync = sync;
                     this._onlineStatus = this.RECONNECTING;
-                    this._replayStoredEdits(function (success, responses) {
-                        var result = {success: success, responses: responses};
-                        this._onlineStatus = this.ONLINE;
-                        if (this.attachmentsStore != null) {
-                            console.log("sending attachments");
-                            this._sendStoredAttachments(function (success, uploadedResponses, dbResponses) {
-                                //this._onlineStatus = this.ONLINE;
-                                result.attachments = {success: success, responses: uploadedResponses, dbResponses: dbResponses};
+                    this._cancelRetry();
+                    this._withSyncLock(function (release) {
+                        this._replayStoredEdits(function (success, responses) {
+                            var result = {success: success, responses: responses};
+
+                            var finish = function () {
+                                release();
+                                if (this._sync === sync) {
+                                    this._sync = null;
+                                }
+                                if (sync.cancelled) {
+                                    result.cancelled = true;
+                                    this.emit(this.events.SYNC_CANCELLED, {progress: this._copyProgress(sync.progress)});
+                                }
+                                sync._deferred.resolve(result);
                                 callback && callback(result);
-                            }.bind(this));
-                        }
-                        else {
-                            //this._onlineStatus = this.ONLINE;
-                            callback && callback(result);
-                        }
+                            }.bind(this);
+
+                            // Unsent edits stay in the database until the next goOnline()
+                            if (sync.cancelled) {
+                                this._retryNeeded = false;
+                                return finish();
+                            }
+
+                            this._onlineStatus = this.ONLINE;
+                            this._scheduleRetry();
+                            if (this.attachmentsStore != null) {
+                                console.log("sending attachments");
+                                this._sendStoredAttachments(function (success, uploadedResponses, dbResponses) {
+                                    //this._onlineStatus = this.ONLINE;
+                                    result.attachments = {success: success, responses: uploadedResponses, dbResponses: dbResponses};
+                                    finish();
+                                }.bind(this));
+                            }
+                            else {
+                                //this._onlineStatus = this.ONLINE;
+                                finish();
+                            }
+                        }.bind(this));
                     }.bind(this));
+
+                    return sync;
                 },
 
                 /**
@@ -1302,6 +1994,96 @@ define([
                     return this._onlineStatus;
                 },
 
+                /**
+                 * Starts watching the connection to the feature services. Emits CONNECTIVITY_CHANGED when it
+                 * changes and, if AUTO_SYNC is true, calls goOffline() and goOnline().
+                 * Safe to call more than once.
+                 */
+                startConnectivityMonitor: function () {
+                    if (!this._connectivityMonitor) {
+                        this._connectivityMonitor = new O.esri.Edit.ConnectivityMonitor({
+                            getHeartbeatUrl: this._getHeartbeatUrl.bind(this),
+                            interval: this.CONNECTIVITY_CHECK_INTERVAL,
+                            timeout: this._defaultXhrTimeout,
+                            failureThreshold: this.CONNECTIVITY_FAILURE_THRESHOLD,
+                            onStatusChange: this._onConnectivityChange.bind(this)
+                        });
+                    }
+                    this._connectivityMonitor.start();
+                },
+
+                /**
+                 * Stops watching the connection. The online status stays as it is.
+                 */
+                stopConnectivityMonitor: function () {
+                    if (this._connectivityMonitor) {
+                        this._connectivityMonitor.stop();
+                    }
+                    clearTimeout(this._autoSyncTimer);
+                    this._autoSyncTimer = null;
+                },
+
+                /**
+                 * Asks the service worker to send the stored edits the next time the browser is online, using the
+                 * Background Sync API. The service worker must run O.esri.Edit.BackgroundSync. Also sends the worker
+                 * the database names, proxyPath and the layers' tokens it needs to replay the edits. The worker keeps
+                 * the tokens in memory only: once the browser stops the worker, the edits of layers that need a token
+                 * aren't sent and the browser retries the sync, until the page calls registerBackgroundSync() again.
+                 * The browser gives up after a few retries, so these edits may only be sent by the next
+                 * registerBackgroundSync() or goOnline(). Not available with ENCRYPTION, ENABLE_CONFLICT_DETECTION,
+                 * ENABLE_RETRY or REPLAY_MODES.SEQUENTIAL, which the worker doesn't implement.
+                 * Called after each enqueued edit when ENABLE_BACKGROUND_SYNC is true.
+                 * @param callback optional callback(true, null) or callback(false, error)
+                 */
+                registerBackgroundSync: function (callback) {
+                    callback = callback || function (success, error) {
+                        if (!success) {
+                            console.log("OfflineEditAdvanced unable to register background sync: " + error);
+                        }
+                    };
+
+                    if (this.ENCRYPTION) {
+                        return callback(false, "Encrypted edits can't be sent by a service worker");
+                    }
+                    // The worker sends the edits as they are, in the order they were made
+                    if (this.ENABLE_CONFLICT_DETECTION) {
+                        return callback(false, "A service worker can't detect conflicts. Turn off ENABLE_CONFLICT_DETECTION");
+                    }
+                    if (this.ENABLE_RETRY) {
+                        return callback(false, "A service worker can't move rejected edits to the dead-letter store. Turn off ENABLE_RETRY");
+                    }
+                    if (this.REPLAY_MODE === this.REPLAY_MODES.SEQUENTIAL) {
+                        return callback(false, "A service worker doesn't stop at the first failure. Use REPLAY_MODES.CONCURRENT");
+                    }
+
+                    var serviceWorker = window.navigator.serviceWorker;
+                    if (!serviceWorker || !("SyncManager" in window)) {
+                        return callback(false, "Background Sync is not supported");
+                    }
+
+                    this._listenForBackgroundSync();
+
+                    serviceWorker.ready.then(function (registration) {
+                        registration.active.postMessage({
+                            type: "offline-edit-sync-config",
+                            config: this._getBackgroundSyncConfig()
+                        });
+                        return registration.sync.register(this._BACKGROUND_SYNC_TAG);
+                    }.bind(this)).then(function () {
+                        callback(true, null);
+                    }, function (err) {
+                        callback(false, err && err.message ? err.message : err);
+                    });
+                },
+
+                /**
+                 * Whether the connectivity monitor can reach the feature services
+                 * @returns {boolean} or null if the monitor hasn't been started
+                 */
+                isConnected: function () {
+                    return this._connectivityMonitor ? this._connectivityMonitor.online : null;
+                },
+
                 /**
                 * Serialize the feature layer graphics
                 * @param features Array of features
@@ -1376,124 +2158,585 @@ define([
                     }
                 },
 
-                /* internal methods */
+                /**
+                 * Resolves a conflict that was reported by the EDITS_CONFLICT event. Use this with the
+                 * CONFLICT_POLICY.DEFER policy, or to override how a conflict was handled.
+                 * @param conflict A conflict Object from the EDITS_CONFLICT event
+                 * @param resolution A CONFLICT_POLICY value, or an esri.Graphic to store as the resolved edit
+                 * @param callback callback(boolean, error)
+                 */
+                resolveConflict: function (conflict, resolution, callback) {
+                    var layer = this._featureLayers[conflict.layer];
+                    var graphic;
+
+                    callback = callback || function (success, error) {
+                        console.log("resolveConflict ", success ? "ok" : error);
+                    };
+
+                    if (!layer) {
+                        return callback(false, "resolveConflict() - unknown feature layer: " + conflict.layer);
+                    }
+
+                    if (resolution === this.CONFLICT_POLICY.SERVER_WINS) {
+                        return this._discardConflictingEdit(layer, conflict.edit, conflict.serverFeature, callback);
+                    }
+
+                    if (resolution === this.CONFLICT_POLICY.CLIENT_WINS) {
+                        graphic = new Graphic(conflict.edit.graphic);
+                    }
+                    else if (resolution === this.CONFLICT_POLICY.MERGE) {
+                        if (!conflict.serverFeature || conflict.operation !== this._editStore.UPDATE) {
+                            return callback(false, "resolveConflict() - only updates of existing features can be merged");
+                        }
+                        graphic = new Graphic(this._mergeConflict(layer, conflict.edit, conflict.serverFeature));
+                    }
+                    else if (resolution instanceof Graphic) {
+                        graphic = resolution;
+                    }
+                    else {
+                        return callback(false, "resolveConflict() - invalid resolution: " + resolution);
+                    }
+
+                    // Re-baseline the edit against the server's current feature so it isn't reported again
+                    var serverState = conflict.serverFeature ? this._createServerState(layer, new Graphic(conflict.serverFeature)) : null;
+
+                    this._editStore.pushEdit(conflict.operation, layer.url, graphic, function (success, error) {
+                        callback(success, error);
+                    }, serverState);
+                },
 
                 /**
-                 * Initialize the database and push featureLayer JSON to DB if required.
-                 * NOTE: also stores feature layer url in hidden dataStore property dataStore.__featureLayerURL.
-                 * @param dataStore Object
-                 * @param url Feature Layer's url. This is used by this library for internal feature identification.
-                 * @param callback
-                 * @private
+                 * Returns the edits that were rejected by the server, or that ran out of retry attempts.
+                 * Each edit has a lastError {code, description} and an attempts count.
+                 * @param callback callback(true, [edits]) or callback(false, error)
                  */
-                //_initializeDB: function(dataStore,url,callback){
-                _initializeDB: function(dataStore,url){
-                    var deferred = new Deferred();
+                getDeadLetterEdits: function (callback) {
+                    this._editStore.getDeadLetterEdits(callback);
+                },
 
-                    var editStore = this._editStore;
+                /**
+                 * Returns a single dead-letter edit
+                 * @param id The edit's id
+                 * @param callback callback(true, edit) or callback(false, error)
+                 */
+                getDeadLetterEdit: function (id, callback) {
+                    this._editStore.getDeadLetterEdit(id, callback);
+                },
 
-                    // Configure the database
-                    editStore.dbName = this.DB_NAME;
-                    editStore.objectStoreName = this.DB_OBJECTSTORE_NAME;
-                    editStore.objectId = this.DB_UID;
+                /**
+                 * Moves a dead-letter edit back into the queue of pending edits. It is sent the next time
+                 * goOnline() runs. Fails if the feature has been edited again since.
+                 * @param id The edit's id
+                 * @param callback callback(true, edit) or callback(false, error)
+                 */
+                retryDeadLetterEdit: function (id, callback) {
+                    this._editStore.restoreDeadLetterEdit(id, callback);
+                },
 
-                    // Attempt to initialize the database
-                    editStore.init(function (result, error) {
+                /**
+                 * Permanently deletes a dead-letter edit
+                 * @param id The edit's id
+                 * @param callback callback(true) or callback(false, error)
+                 */
+                discardDeadLetterEdit: function (id, callback) {
+                    this._editStore.deleteDeadLetterEdit(id, callback);
+                },
 
-                        ////////////////////////////////////////////////////
-                        // OFFLINE RESTART CONFIGURATION
-                        // Added @ v2.5
-                        //
-                        // Configure database for offline restart
-                        // dataStore object allows you to store data that you'll
-                        // use after an offline browser restart.
-                        //
-                        // If dataStore Object is not defined then do nothing.
-                        //
-                        ////////////////////////////////////////////////////
+                /**
+                 * Exports all pending edits, and the attachments waiting to be sent, as a change-set file
+                 * that can be archived or loaded on another device with importEdits().
+                 * @param options Optional. {format: CHANGE_SET_FORMATS value, default ESRI_JSON, includeAttachments: default true}
+                 * @param callback callback(true, Blob) or callback(false, error)
+                 */
+                exportEdits: function (options, callback) {
+                    options = options || {};
+                    var format = options.format || this.CHANGE_SET_FORMATS.ESRI_JSON;
 
-                        if (typeof dataStore === "object" && result === true && (dataStore !== undefined) && (dataStore !== null)) {
+                    this._editStore.getAllEditsArray(function (edits, message) {
+                        if (message !== "end") {
+                            return callback(false, message);
+                        }
 
-                            // Add a hidden property to hold the feature layer's url
-                            // When converting a feature layer to json (layer.toJson()) we lose this information.
-                            // This library needs to know the feature layer url.
-                            if(url) {
-                                dataStore.__featureLayerURL = url;
+                        var attachmentsStore = options.includeAttachments !== false ? this.attachmentsStore : null;
+                        var getAttachments = attachmentsStore ? attachmentsStore.getAllAttachments.bind(attachmentsStore) : function (done) {
+                            done([], []);
+                        };
+
+                        getAttachments(function (attachments, failed) {
+                            if (failed.length > 0) {
+                                return callback(false, this._undecryptableAttachmentsError(failed));
                             }
 
-                            editStore.pushFeatureLayerJSON(dataStore, function (success, err) {
-                                if (success) {
-                                    deferred.resolve({success:true, error: null});
-                                }
-                                else {
-                                    deferred.reject({success:false, error: err});
-                                }
-                            });
-                        }
-                        else if(result){
-                            deferred.resolve({success:true, error: null});
-                        }
-                        else{
-                            deferred.reject({success:false, error: null});
-                        }
-                    });
+                            var changeSet;
+                            try {
+                                changeSet = this._changeSet.create(edits, attachments, format);
+                            }
+                            catch (err) {
+                                return callback(false, err.message);
+                            }
 
-                    return deferred;
+                            var type = format === this.CHANGE_SET_FORMATS.GEOJSON ? "application/geo+json" : "application/json";
+                            callback(true, new Blob([JSON.stringify(changeSet)], {type: type}));
+                        }.bind(this));
+                    }.bind(this));
                 },
 
                 /**
-                 * internal method that checks if this browser supports everything that is needed to handle offline attachments
-                 * it also extends XMLHttpRequest with sendAsBinary() method, needed in Chrome
+                 * Validates a change-set created by exportEdits() and merges it into this device's pending edits.
+                 * Nothing is imported if the change-set is invalid. Temporary objectIds and attachment ids are
+                 * replaced by new ones so they can't collide with the edits made on this device. An imported edit
+                 * replaces the pending edit of the same feature, unless that feature was deleted on this device.
+                 * @param file Blob or File, JSON string or change-set Object
+                 * @param callback callback(true, {imported: [edits], skipped: [{id, reason}], objectIds: {oldId: newId}})
+                 * or callback(false, {msg, errors: [{index, id, reason}]})
                  */
-                _checkFileAPIs: function () {
-                    if (window.File && window.FileReader && window.FileList && window.Blob) {
-                        console.log("All APIs supported!");
+                importEdits: function (file, callback) {
+                    callback = callback || function () {};
 
-                        if (!XMLHttpRequest.prototype.sendAsBinary) {
-                            // https://code.google.com/p/chromium/issues/detail?id=35705#c40
-                            XMLHttpRequest.prototype.sendAsBinary = function (datastr) {
-                                function byteValue(x) {
-                                    return x.charCodeAt(0) & 0xff; // jshint ignore:line
-                                }
+                    var fail = function (msg, errors) {
+                        callback(false, {msg: msg, errors: errors || []});
+                    };
 
-                                var ords = Array.prototype.map.call(datastr, byteValue);
-                                var ui8a = new Uint8Array(ords);
-                                this.send(ui8a.buffer);
-                            };
-                            console.log("extending XMLHttpRequest");
+                    this._readChangeSet(file, function (success, changeSet) {
+                        if (!success) {
+                            return fail(changeSet);
                         }
-                        return true;
-                    }
-                    console.log("The File APIs are not fully supported in this browser.");
-                    return false;
+
+                        var parsed = this._changeSet.parse(changeSet, this.DB_UID);
+                        var errors = parsed.errors.concat(this._validateImportedEdits(parsed.edits));
+
+                        if (parsed.attachments.length > 0 && !this.attachmentsStore) {
+                            errors.push({index: null, id: null, reason: "The change-set has attachments. Call initAttachments() first."});
+                        }
+
+                        if (errors.length > 0) {
+                            return fail("Invalid change-set", errors);
+                        }
+
+                        this._getLowestTempId(function (success, lowestTempId) {
+                            if (!success) {
+                                return fail(lowestTempId);
+                            }
+
+                            var objectIds = this._replaceImportedTempIds(parsed, lowestTempId - 1);
+
+                            this._editStore.mergeEdits(parsed.edits, function (success, result) {
+                                if (!success) {
+                                    return fail(result);
+                                }
+
+                                this._showImportedEdits(result.merged).then(function () {
+                                    this._importAttachments(parsed.attachments, function () {
+                                        var results = {imported: result.merged, skipped: result.skipped, objectIds: objectIds};
+                                        this.emit(this.events.EDITS_IMPORTED, results);
+                                        callback(true, results);
+                                    }.bind(this));
+                                }.bind(this));
+                            }.bind(this));
+                        }.bind(this));
+                    }.bind(this));
                 },
 
                 /**
-                 * internal method that extends an object with sendAsBinary() method
-                 * sometimes extending XMLHttpRequest.prototype is not enough, as ArcGIS JS lib seems to mess with this object too
-                 * @param oAjaxReq object to extend
+                 * Encrypts the edits and the attachments with a new key. Pass null to store them in plain text again.
+                 * Also use this to encrypt what was stored before ENCRYPTION was set.
+                 * Don't make edits until the callback is called.
+                 * @param encryption O.esri.Edit.Encryption, or null
+                 * @param callback callback(boolean, error)
                  */
-                _extendAjaxReq: function (oAjaxReq) {
-                    oAjaxReq.sendAsBinary = XMLHttpRequest.prototype.sendAsBinary;
-                    console.log("extending XMLHttpRequest");
-                },
+                rotateEncryptionKey: function (encryption, callback) {
+                    callback = callback || function (success, error) {
+                        console.log("rotateEncryptionKey ", success ? "ok" : error);
+                    };
 
-                //
-                // phantom symbols
-                //
+                    if (!this._editStore._isDBInit) {
+                        return callback(false, "The edits database isn't open. Call extend() first");
+                    }
+                    if (encryption && !encryption.isSupported()) {
+                        return callback(false, "WebCrypto is not supported");
+                    }
 
-                _phantomSymbols: [],
+                    var getAttachments = this.attachmentsStore ? this.attachmentsStore.getAllAttachments.bind(this.attachmentsStore) : function (done) {
+                        done([], []);
+                    };
 
-                _getPhantomSymbol: function (geometry, operation) {
-                    if (this._phantomSymbols.length === 0) {
-                        var color = [0, 255, 0, 255];
-                        var width = 1.5;
+                    // Don't rotate the edits if the attachments can't be rotated after them
+                    getAttachments(function (attachments, failed) {
+                        if (failed.length > 0) {
+                            return callback(false, this._undecryptableAttachmentsError(failed));
+                        }
 
-                        this._phantomSymbols.point = [];
-                        this._phantomSymbols.point[this._editStore.ADD] = new SimpleMarkerSymbol({
-                            "type": "esriSMS", "style": "esriSMSCross",
-                            "xoffset": 10, "yoffset": 10,
-                            "color": [255, 255, 255, 0], "size": 15,
+                        this._editStore.rotateKey(encryption, function (success, error) {
+                            if (!success) {
+                                return callback(false, error);
+                            }
+
+                            this.ENCRYPTION = encryption;
+
+                            if (!this.attachmentsStore) {
+                                return callback(true);
+                            }
+
+                            this.attachmentsStore.rotateKey(encryption, function (success, error) {
+                                callback(success, error || null);
+                            });
+                        }.bind(this));
+                    }.bind(this));
+                },
+
+                /* internal methods */
+
+                /**
+                 * Reads a change-set from a Blob, a JSON string or an Object
+                 * @param file
+                 * @param callback callback(true, changeSet) or callback(false, error)
+                 * @private
+                 */
+                _readChangeSet: function (file, callback) {
+                    var parse = function (text) {
+                        try {
+                            callback(true, JSON.parse(text));
+                        }
+                        catch (err) {
+                            callback(false, "The change-set isn't valid JSON");
+                        }
+                    };
+
+                    if (typeof Blob !== "undefined" && file instanceof Blob) {
+                        var reader = new FileReader();
+                        reader.onload = function (evt) {
+                            parse(evt.target.result);
+                        };
+                        reader.onerror = function () {
+                            callback(false, "Unable to read the change-set file");
+                        };
+                        reader.readAsText(file);
+                    }
+                    else if (typeof file === "string") {
+                        parse(file);
+                    }
+                    else {
+                        callback(true, file);
+                    }
+                },
+
+                /**
+                 * Checks the attributes of imported edits against the schema of layers that have been extended
+                 * @param edits
+                 * @returns {Array} errors [{index, id, reason}]
+                 * @private
+                 */
+                _validateImportedEdits: function (edits) {
+                    var errors = [];
+
+                    if (!this.ENABLE_ATTRIBUTE_VALIDATION) {
+                        return errors;
+                    }
+
+                    edits.forEach(function (edit, index) {
+                        var layer = this._featureLayers[edit.layer];
+                        if (!layer || edit.operation === this._editStore.DELETE) {
+                            return;
+                        }
+
+                        this._validateAttributes(layer, edit.graphic.attributes, edit.operation).forEach(function (error) {
+                            errors.push({index: index, id: edit.id, reason: error.message});
+                        });
+                    }, this);
+
+                    return errors;
+                },
+
+                /**
+                 * Returns the lowest temporary id used by pending or dead-letter edits, attachments or the extended layers
+                 * @param callback callback(true, id) or callback(false, error)
+                 * @private
+                 */
+                _getLowestTempId: function (callback) {
+                    var lowest = 0;
+
+                    for (var url in this._featureLayers) {
+                        if (this._featureLayers.hasOwnProperty(url) && typeof this._featureLayers[url]._nextTempId === "number") {
+                            // _nextTempId is the next id the layer will use
+                            lowest = Math.min(lowest, this._featureLayers[url]._nextTempId + 1);
+                        }
+                    }
+
+                    this._editStore.getAllEditsArray(function (edits, message) {
+                        if (message !== "end") {
+                            return callback(false, message);
+                        }
+
+                        this._editStore.getDeadLetterEdits(function (success, deadLetters) {
+                            if (!success) {
+                                return callback(false, deadLetters);
+                            }
+
+                            edits.concat(deadLetters).forEach(function (edit) {
+                                lowest = Math.min(lowest, this._changeSet._getObjectId(edit) || 0);
+                            }, this);
+
+                            if (!this.attachmentsStore) {
+                                return callback(true, lowest);
+                            }
+
+                            // The ids of attachments that can't be decrypted are still taken
+                            this.attachmentsStore.getAllAttachments(function (attachments, failed) {
+                                attachments.concat(failed).forEach(function (attachment) {
+                                    lowest = Math.min(lowest, attachment.id, attachment.objectId);
+                                });
+                                callback(true, lowest);
+                            });
+                        }.bind(this));
+                    }.bind(this));
+                },
+
+                /**
+                 * Gives the imported features and attachments that have temporary ids new temporary ids,
+                 * starting at nextTempId. The extended layers continue below the ids that were used.
+                 * @param parsed The result of ChangeSet.parse()
+                 * @param nextTempId
+                 * @returns {Object} the new objectIds of the imported features, by their old edit id
+                 * @private
+                 */
+                _replaceImportedTempIds: function (parsed, nextTempId) {
+                    var objectIds = {};
+
+                    var getObjectId = function (layerUrl, objectId) {
+                        if (objectId >= 0) {
+                            return objectId;
+                        }
+                        var id = layerUrl + "/" + objectId;
+                        if (!objectIds.hasOwnProperty(id)) {
+                            objectIds[id] = nextTempId--;
+                        }
+                        return objectIds[id];
+                    };
+
+                    parsed.edits.forEach(function (edit) {
+                        var objectId = getObjectId(edit.layer, this._changeSet._getObjectId(edit));
+                        edit.id = edit.layer + "/" + objectId;
+                        edit.graphic.attributes[this.DB_UID] = objectId;
+                    }, this);
+
+                    parsed.attachments.forEach(function (attachment) {
+                        attachment.objectId = getObjectId(attachment.layer, attachment.objectId);
+                        if (attachment.id < 0) {
+                            attachment.id = nextTempId--;
+                        }
+                    });
+
+                    for (var url in this._featureLayers) {
+                        if (this._featureLayers.hasOwnProperty(url) && typeof this._featureLayers[url]._nextTempId === "number") {
+                            this._featureLayers[url]._nextTempId = Math.min(this._featureLayers[url]._nextTempId, nextTempId);
+                        }
+                    }
+
+                    return objectIds;
+                },
+
+                /**
+                 * Adds the phantom graphics of imported edits, and updates the graphics of the extended layers
+                 * @param edits
+                 * @returns {Promise}
+                 * @private
+                 */
+                _showImportedEdits: function (edits) {
+                    var promises = edits.map(function (edit) {
+                        var dfd = new Deferred();
+                        var layer = this._featureLayers[edit.layer];
+                        var objectId = edit.graphic.attributes[this.DB_UID];
+
+                        if (layer) {
+                            layer._restoreGraphic(objectId, edit.operation !== this._editStore.DELETE ? edit.graphic : null);
+                        }
+
+                        // Deletes in a GeoJSON change-set may not have a geometry
+                        if (!edit.graphic.geometry) {
+                            dfd.resolve();
+                        }
+                        else if (layer) {
+                            layer._restorePhantomGraphic(objectId, edit, function () {
+                                dfd.resolve();
+                            });
+                        }
+                        else {
+                            var tempIdObject = {};
+                            tempIdObject[this.DB_UID] = objectId;
+
+                            var geometry = new Graphic(JSON.parse(JSON.stringify(edit.graphic))).geometry;
+                            var phantom = new Graphic(geometry, this._getPhantomSymbol(geometry, edit.operation), tempIdObject);
+                            this._editStore.pushPhantomGraphic(phantom, function () {
+                                dfd.resolve();
+                            });
+                        }
+
+                        return dfd.promise;
+                    }, this);
+
+                    return all(promises).then(function () {
+                        var layers = {};
+                        edits.forEach(function (edit) {
+                            if (this._featureLayers[edit.layer]) {
+                                layers[edit.layer] = this._featureLayers[edit.layer];
+                            }
+                        }, this);
+
+                        return all(Object.keys(layers).map(function (url) {
+                            var dfd = new Deferred();
+                            layers[url]._pushFeatureCollections(function () {
+                                dfd.resolve();
+                            });
+                            return dfd.promise;
+                        }));
+                    }.bind(this));
+                },
+
+                /**
+                 * Stores the attachments of a change-set
+                 * @param attachments
+                 * @param callback
+                 * @private
+                 */
+                _importAttachments: function (attachments, callback) {
+                    var next = function (index) {
+                        if (index === attachments.length) {
+                            return callback();
+                        }
+
+                        var attachment = attachments[index];
+                        this.attachmentsStore.store(attachment.layer, attachment.id, attachment.objectId,
+                            this._changeSet.toBlob(attachment), attachment.operation, function (success, error) {
+                                if (!success) {
+                                    console.error("OfflineEditAdvanced unable to import attachment " + attachment.id + ": " + error);
+                                }
+                                next(index + 1);
+                            });
+                    }.bind(this);
+
+                    next(0);
+                },
+
+                /**
+                 * Initialize the database and push featureLayer JSON to DB if required.
+                 * NOTE: also stores feature layer url in hidden dataStore property dataStore.__featureLayerURL.
+                 * @param dataStore Object
+                 * @param url Feature Layer's url. This is used by this library for internal feature identification.
+                 * @param callback
+                 * @private
+                 */
+                //_initializeDB: function(dataStore,url,callback){
+                _initializeDB: function(dataStore,url){
+                    var deferred = new Deferred();
+
+                    var editStore = this._editStore;
+
+                    // Configure the database
+                    editStore.dbName = this.DB_NAME;
+                    editStore.objectStoreName = this.DB_OBJECTSTORE_NAME;
+                    editStore.objectId = this.DB_UID;
+                    if (this.DB_STORAGE) {
+                        editStore.storage = this.DB_STORAGE;
+                    }
+                    editStore.encryption = this.ENCRYPTION;
+
+                    // Attempt to initialize the database
+                    editStore.init(function (result, error) {
+
+                        ////////////////////////////////////////////////////
+                        // OFFLINE RESTART CONFIGURATION
+                        // Added @ v2.5
+                        //
+                        // Configure database for offline restart
+                        // dataStore object allows you to store data that you'll
+                        // use after an offline browser restart.
+                        //
+                        // If dataStore Object is not defined then do nothing.
+                        //
+                        ////////////////////////////////////////////////////
+
+                        if (typeof dataStore === "object" && result === true && (dataStore !== undefined) && (dataStore !== null)) {
+
+                            // Add a hidden property to hold the feature layer's url
+                            // When converting a feature layer to json (layer.toJson()) we lose this information.
+                            // This library needs to know the feature layer url.
+                            if(url) {
+                                dataStore.__featureLayerURL = url;
+                            }
+
+                            editStore.pushFeatureLayerJSON(dataStore, function (success, err) {
+                                if (success) {
+                                    deferred.resolve({success:true, error: null});
+                                }
+                                else {
+                                    deferred.reject({success:false, error: err});
+                                }
+                            });
+                        }
+                        else if(result){
+                            deferred.resolve({success:true, error: null});
+                        }
+                        else{
+                            deferred.reject({success:false, error: error || null});
+                        }
+                    });
+
+                    return deferred;
+                },
+
+                /**
+                 * internal method that checks if this browser supports everything that is needed to handle offline attachments
+                 * it also extends XMLHttpRequest with sendAsBinary() method, needed in Chrome
+                 */
+                _checkFileAPIs: function () {
+                    if (window.File && window.FileReader && window.FileList && window.Blob) {
+                        console.log("All APIs supported!");
+
+                        if (!XMLHttpRequest.prototype.sendAsBinary) {
+                            // https://code.google.com/p/chromium/issues/detail?id=35705#c40
+                            XMLHttpRequest.prototype.sendAsBinary = function (datastr) {
+                                function byteValue(x) {
+                                    return x.charCodeAt(0) & 0xff; // jshint ignore:line
+                                }
+
+                                var ords = Array.prototype.map.call(datastr, byteValue);
+                                var ui8a = new Uint8Array(ords);
+                                this.send(ui8a.buffer);
+                            };
+                            console.log("extending XMLHttpRequest");
+                        }
+                        return true;
+                    }
+                    console.log("The File APIs are not fully supported in this browser.");
+                    return false;
+                },
+
+                /**
+                 * internal method that extends an object with sendAsBinary() method
+                 * sometimes extending XMLHttpRequest.prototype is not enough, as ArcGIS JS lib seems to mess with this object too
+                 * @param oAjaxReq object to extend
+                 */
+                _extendAjaxReq: function (oAjaxReq) {
+                    oAjaxReq.sendAsBinary = XMLHttpRequest.prototype.sendAsBinary;
+                    console.log("extending XMLHttpRequest");
+                },
+
+                //
+                // phantom symbols
+                //
+
+                _phantomSymbols: [],
+
+                _getPhantomSymbol: function (geometry, operation) {
+                    if (this._phantomSymbols.length === 0) {
+                        var color = [0, 255, 0, 255];
+                        var width = 1.5;
+
+                        this._phantomSymbols.point = [];
+                        this._phantomSymbols.point[this._editStore.ADD] = new SimpleMarkerSymbol({
+                            "type": "esriSMS", "style": "esriSMSCross",
+                            "xoffset": 10, "yoffset": 10,
+                            "color": [255, 255, 255, 0], "size": 15,
                             "outline": {"color": color, "width": width, "type": "esriSLS", "style": "esriSLSSolid"}
                         });
                         this._phantomSymbols.point[this._editStore.UPDATE] = new SimpleMarkerSymbol({
@@ -1665,25 +2908,40 @@ define([
                  * @private
                  */
                 _sendStoredAttachments: function (callback) {
-                    this.attachmentsStore.getAllAttachments(function (attachments) {
+                    this.attachmentsStore.getAllAttachments(function (attachments, failed) {
 
                         var self = this;
 
                         console.log("we have", attachments.length, "attachments to upload");
 
-                        var promises = [];
-                        attachments.forEach(function (attachment) {
-                            console.log("sending attachment", attachment.id, "to feature", attachment.featureId);
+                        if (this._sync) {
+                            this._sync.progress.attachmentsTotal = attachments.length;
+                            this._sync.progress.bytesTotal = attachments.reduce(function (bytes, attachment) {
+                                return bytes + (attachment.size || 0);
+                            }, 0);
+                        }
 
-                            var uploadAttachmentComplete = this._uploadAttachment(attachment);
-                            promises.push(uploadAttachmentComplete);
+                        // Attachments that haven't been uploaded when the sync is cancelled stay in the database
+                        var requests = attachments.map(function (attachment) {
+                            return function () {
+                                console.log("sending attachment", attachment.id, "to feature", attachment.featureId);
+
+                                return this._uploadAttachment(attachment).then(function (result) {
+                                    this._reportAttachmentProgress(attachment, this._isAttachmentUploaded(result));
+                                    return result;
+                                }.bind(this), function (err) {
+                                    this._reportAttachmentProgress(attachment, false);
+                                    throw err;
+                                }.bind(this));
+                            }.bind(this);
                         }, this);
-                        console.log("promises", promises.length);
-                        var allPromises = all(promises);
-                        allPromises.then(function (uploadResults) {
+                        console.log("requests", requests.length);
+                        this._runRequests(requests).then(function (uploadResults) {
                                 console.log(uploadResults);
                                 self._cleanAttachmentsDB(uploadResults,function(dbResults){
-                                    if(dbResults.errors){
+                                    // Attachments that can't be decrypted aren't sent and stay in the database
+                                    dbResults.decryptErrors = failed;
+                                    if(dbResults.errors || failed.length > 0){
                                         callback && callback(false, uploadResults,dbResults);
                                     }
                                     else{
@@ -1698,119 +2956,1113 @@ define([
                     }.bind(this));
                 },
 
+                /**
+                 * @param failed the attachments that AttachmentsStore couldn't decrypt [{id, objectId, featureId, error}]
+                 * @returns {string}
+                 * @private
+                 */
+                _undecryptableAttachmentsError: function (failed) {
+                    return "Attachments can't be decrypted: " + failed.map(function (attachment) {
+                        return attachment.id;
+                    }).join(", ");
+                },
+
+                /**
+                 * Whether the server accepted an attachment upload. Deletes return an array of results.
+                 * @param result {attachmentResult, id}
+                 * @returns {boolean}
+                 * @private
+                 */
+                _isAttachmentUploaded: function (result) {
+                    if (result.attachmentResult instanceof Array) {
+                        return result.attachmentResult.every(function (deleteResult) {
+                            return deleteResult.success;
+                        });
+                    }
+                    return !!(result.attachmentResult && result.attachmentResult.success);
+                },
+
                 //
-                // methods to send features back to the server
+                // methods to report the progress of goOnline()
                 //
 
                 /**
-                 * Attempts to send any edits in the database. Monitor events for success or failure.
-                 * @param callback
-                 * @event ALL_EDITS_SENT when all edits have been successfully sent. Contains {[addResults],[updateResults],[deleteResults]}
-                 * @event EDITS_SENT_ERROR some edits were not sent successfully. Contains {msg: error}
+                 * Creates the handle that goOnline() returns
+                 * @returns {Object} {cancel(), cancelled, progress, promise}
                  * @private
                  */
-                _replayStoredEdits: function (callback) {
-                    var promises = {};
-                    var that = this;
+                _createSync: function () {
+                    var deferred = new Deferred();
+                    var sync = {
+                        cancelled: false,
+                        progress: {
+                            editsTotal: 0, editsDone: 0, editsFailed: 0,
+                            attachmentsTotal: 0, attachmentsDone: 0, attachmentsFailed: 0,
+                            bytesTotal: 0, bytesDone: 0
+                        },
+                        promise: deferred.promise,
+                        _deferred: deferred,
+                        _layers: {} // progress of each layer by url
+                    };
 
-                    //
-                    // send edits for each of the layers
-                    //
-                    var layer;
-                    var adds = [], updates = [], deletes = [];
-                    var tempObjectIds = [];
-                    var tempArray = [];
-                    var featureLayers = this._featureLayers;
+                    sync.cancel = function () {
+                        this._cancelSync(sync);
+                    }.bind(this);
+
+                    return sync;
+                },
+
+                /**
+                 * Stops a sync from sending more requests. Requests that were already sent are allowed to finish,
+                 * so that their results are recorded. The manager goes back to OFFLINE.
+                 * @param sync
+                 * @private
+                 */
+                _cancelSync: function (sync) {
+                    if (sync.cancelled || sync._deferred.isFulfilled()) {
+                        return;
+                    }
+                    sync.cancelled = true;
+                    this._onlineStatus = this.OFFLINE;
+                    this._cancelRetry();
+                },
+
+                _isSyncCancelled: function () {
+                    return this._sync !== null && this._sync.cancelled;
+                },
+
+                /**
+                 * Sets the number of edits that the sync will send, in total and for each layer
+                 * @param edits
+                 * @private
+                 */
+                _startSyncProgress: function (edits) {
+                    var sync = this._sync;
+                    if (!sync) {
+                        return;
+                    }
+
+                    sync.progress.editsTotal = edits.length;
+                    edits.forEach(function (edit) {
+                        var layerProgress = sync._layers[edit.layer] || (sync._layers[edit.layer] = {editsTotal: 0, editsDone: 0});
+                        layerProgress.editsTotal++;
+                    });
+                },
+
+                /**
+                 * Reports the edits of one layer in a batch, then the progress of the layer
+                 * @param layerEdits
+                 * @param responses [{index, response}] in the order of the edits, or null if the request failed
+                 * @param error the error of a failed request
+                 * @private
+                 */
+                _reportEditsProgress: function (layerEdits, responses, error) {
+                    var sync = this._sync;
+                    if (!sync) {
+                        return;
+                    }
+
+                    var url = layerEdits.layer.url;
+                    var layerProgress = sync._layers[url] || (sync._layers[url] = {editsTotal: layerEdits.items.length, editsDone: 0});
+
+                    layerEdits.items.forEach(function (item, i) {
+                        var response = responses ? responses[i].response : null;
+                        var results = response ? response.addResults.concat(response.updateResults, response.deleteResults) : [];
+                        var success = results.length > 0 && results.every(function (result) {
+                            return result.success;
+                        });
+
+                        sync.progress.editsDone++;
+                        layerProgress.editsDone++;
+                        if (!success) {
+                            sync.progress.editsFailed++;
+                        }
+
+                        this._reportSyncProgress({type: "edit", id: item.edit.id, layer: url, success: success, error: error || null});
+                    }, this);
+
+                    this._reportSyncProgress({type: "layer", layer: url, editsDone: layerProgress.editsDone, editsTotal: layerProgress.editsTotal});
+                },
+
+                /**
+                 * Reports an attachment that was uploaded, or failed to upload
+                 * @param attachment
+                 * @param success
+                 * @private
+                 */
+                _reportAttachmentProgress: function (attachment, success) {
+                    var sync = this._sync;
+                    if (!sync) {
+                        return;
+                    }
+
+                    sync.progress.attachmentsDone++;
+                    sync.progress.bytesDone += attachment.size || 0;
+                    if (!success) {
+                        sync.progress.attachmentsFailed++;
+                    }
+
+                    this._reportSyncProgress({type: "attachment", id: attachment.id, featureId: attachment.featureId,
+                        layer: attachment.featureLayerUrl, success: success, bytes: attachment.size || 0});
+                },
+
+                /**
+                 * Adds a copy of the sync's progress to a progress event, then emits SYNC_PROGRESS
+                 * and reports it to the sync's promise
+                 * @param event
+                 * @private
+                 */
+                _reportSyncProgress: function (event) {
+                    event.progress = this._copyProgress(this._sync.progress);
+                    this._sync._deferred.progress(event);
+                    this.emit(this.events.SYNC_PROGRESS, event);
+                },
+
+                _copyProgress: function (progress) {
+                    var copy = {};
+                    for (var key in progress) {
+                        if (progress.hasOwnProperty(key)) {
+                            copy[key] = progress[key];
+                        }
+                    }
+                    return copy;
+                },
+
+                /**
+                 * Puts the graphics and phantom graphics of edits that weren't sent back on their layers.
+                 * Sending a batch clears the phantom graphics of its layers, and removes the graphics of adds.
+                 * @param items batch items {edit, graphic, tempId}
+                 * @returns {promise}
+                 * @private
+                 */
+                _restoreUnsentEdits: function (items) {
+                    return all(items.map(function (item) {
+                        var dfd = new Deferred();
+                        var layer = this._featureLayers[item.edit.layer];
+                        var objectId = item.tempId !== null ? item.tempId : item.graphic.attributes[layer.objectIdField];
+
+                        if (item.tempId !== null) {
+                            var graphicJson = JSON.parse(JSON.stringify(item.edit.graphic));
+                            graphicJson.attributes[layer.objectIdField] = item.tempId;
+                            layer._restoreGraphic(item.tempId, graphicJson);
+                        }
+
+                        layer._restorePhantomGraphic(objectId, item.edit, function () {
+                            dfd.resolve();
+                        });
+
+                        return dfd.promise;
+                    }, this));
+                },
+
+                //
+                // methods to detect conflicts between stored edits and the server
+                //
+
+                /**
+                 * Captures the server state of a feature so it can later be compared against the server.
+                 * If the layer uses editor tracking the edit date is used, otherwise a hash of the attributes
+                 * and one of the geometry. The editor tracking fields are left out of the attributes hash.
+                 * @param layer
+                 * @param graphic
+                 * @returns {{editDate: *, attributesHash: number, geometryHash: number, attributes: Object}}
+                 * @private
+                 */
+                _createServerState: function (layer, graphic) {
+                    var attributes = {};
+                    var fields = layer.fields || [];
+                    var tracked = {};
+                    var editFields = layer.editFieldsInfo || {};
+                    var editDateField = editFields.editDateField || null;
+
+                    [editFields.creatorField, editFields.creationDateField, editFields.editorField, editDateField].forEach(function (name) {
+                        if (name) {
+                            tracked[name] = true;
+                        }
+                    });
+
+                    for (var i = 0; i < fields.length; i++) {
+                        if (graphic.attributes.hasOwnProperty(fields[i].name)) {
+                            attributes[fields[i].name] = graphic.attributes[fields[i].name];
+                        }
+                    }
+
+                    var hashed = {};
+                    for (var name in attributes) {
+                        if (attributes.hasOwnProperty(name) && !tracked[name]) {
+                            hashed[name] = attributes[name];
+                        }
+                    }
+
+                    return {
+                        editDate: editDateField && attributes.hasOwnProperty(editDateField) ? attributes[editDateField] : null,
+                        attributesHash: this._hashObject(hashed),
+                        geometryHash: graphic.geometry ? this._hashGeometry(graphic.geometry) : null,
+                        attributes: attributes,
+                        geometry: graphic.geometry ? graphic.geometry.toJson() : null
+                    };
+                },
+
+                /**
+                 * Validates the attributes of offline adds and updates against the layer's schema.
+                 * @param layer
+                 * @param adds
+                 * @param updates
+                 * @returns {Array} [{operation, index, objectId, field, value, reason, message}]
+                 * @private
+                 */
+                _validateEdits: function (layer, adds, updates) {
+                    var errors = [];
+
+                    [[this._editStore.ADD, adds || []], [this._editStore.UPDATE, updates || []]].forEach(function (edits) {
+                        edits[1].forEach(function (graphic, index) {
+                            this._validateAttributes(layer, graphic.attributes || {}, edits[0]).forEach(function (error) {
+                                error.operation = edits[0];
+                                error.index = index;
+                                error.objectId = edits[0] === this._editStore.ADD ? null : graphic.attributes[layer.objectIdField];
+                                errors.push(error);
+                            }, this);
+                        }, this);
+                    }, this);
+
+                    return errors;
+                },
+
+                /**
+                 * Checks attribute values against the field types, lengths, nullability, domains and
+                 * subtypes of a layer. Attributes that aren't included in an update are left unchanged,
+                 * so they aren't checked.
+                 * @param layer
+                 * @param attributes
+                 * @param operation add or update
+                 * @returns {Array} [{field, value, reason, message}]
+                 * @private
+                 */
+                _validateAttributes: function (layer, attributes, operation) {
+                    var errors = [];
+                    var fields = layer.fields || [];
+                    var editFields = layer.editFieldsInfo || {};
+                    var skip = [layer.objectIdField, layer.globalIdField, editFields.creatorField, editFields.creationDateField,
+                        editFields.editorField, editFields.editDateField];
+
+                    // Subtypes can override the domain of each field
+                    var featureType = null;
+                    if (layer.typeIdField && attributes[layer.typeIdField] !== undefined && attributes[layer.typeIdField] !== null) {
+                        var types = layer.types || [];
+                        for (var i = 0; i < types.length; i++) {
+                            if (types[i].id == attributes[layer.typeIdField]) {
+                                featureType = types[i];
+                                break;
+                            }
+                        }
+                        if (!featureType && types.length > 0) {
+                            errors.push({field: layer.typeIdField, value: attributes[layer.typeIdField], reason: "subtype",
+                                message: "Unknown subtype " + attributes[layer.typeIdField]});
+                        }
+                    }
+
+                    fields.forEach(function (field) {
+                        if (field.editable === false || skip.indexOf(field.name) !== -1 || field.type === "esriFieldTypeOID") {
+                            return;
+                        }
+
+                        var value = attributes[field.name];
+
+                        if (value === undefined && operation === this._editStore.UPDATE) {
+                            return;
+                        }
+
+                        if (value === undefined || value === null) {
+                            // New features get the field's default value from the service
+                            if (field.nullable === false && !(value === undefined && field.defaultValue !== undefined && field.defaultValue !== null)) {
+                                errors.push({field: field.name, value: value, reason: "nullable", message: field.name + " can't be empty"});
+                            }
+                            return;
+                        }
+
+                        var message = this._validateFieldType(field, value);
+                        if (message) {
+                            errors.push({field: field.name, value: value, reason: "type", message: message});
+                            return;
+                        }
+
+                        if (field.type === "esriFieldTypeString" && field.length && value.length > field.length) {
+                            errors.push({field: field.name, value: value, reason: "length",
+                                message: field.name + " is longer than " + field.length + " characters"});
+                            return;
+                        }
+
+                        var domain = field.domain;
+                        if (featureType && featureType.domains && featureType.domains[field.name]) {
+                            domain = featureType.domains[field.name].type === "inherited" ? field.domain : featureType.domains[field.name];
+                        }
+
+                        if (domain && domain.type === "codedValue") {
+                            var valid = (domain.codedValues || []).some(function (codedValue) {
+                                return codedValue.code === value;
+                            });
+                            if (!valid) {
+                                errors.push({field: field.name, value: value, reason: "domain",
+                                    message: value + " is not a valid value of " + field.name});
+                            }
+                        }
+                        else if (domain && domain.type === "range") {
+                            if (value < domain.minValue || value > domain.maxValue) {
+                                errors.push({field: field.name, value: value, reason: "range",
+                                    message: field.name + " must be between " + domain.minValue + " and " + domain.maxValue});
+                            }
+                        }
+                    }, this);
+
+                    return errors;
+                },
+
+                /**
+                 * Checks that a value can be stored in a field of the given type
+                 * @param field
+                 * @param value
+                 * @returns {String} an error message, or null if the value is valid
+                 * @private
+                 */
+                _validateFieldType: function (field, value) {
+                    var isInteger = typeof value === "number" && isFinite(value) && Math.floor(value) === value;
+
+                    switch (field.type) {
+                        case "esriFieldTypeString":
+                            return typeof value === "string" ? null : field.name + " must be a string";
+                        case "esriFieldTypeSmallInteger":
+                            return isInteger && value >= -32768 && value <= 32767 ? null : field.name + " must be a small integer";
+                        case "esriFieldTypeInteger":
+                            return isInteger && value >= -2147483648 && value <= 2147483647 ? null : field.name + " must be an integer";
+                        case "esriFieldTypeSingle":
+                        case "esriFieldTypeDouble":
+                            return typeof value === "number" && isFinite(value) ? null : field.name + " must be a number";
+                        case "esriFieldTypeDate":
+                            return isInteger ? null : field.name + " must be a date in milliseconds since epoch";
+                        case "esriFieldTypeGUID":
+                        case "esriFieldTypeGlobalID":
+                            return typeof value === "string" && /^\{?[0-9a-fA-F]{8}-([0-9a-fA-F]{4}-){3}[0-9a-fA-F]{12}\}?$/.test(value) ?
+                                null : field.name + " must be a GUID";
+                        default:
+                            return null;
+                    }
+                },
+
+                /**
+                 * Compares stored UPDATEs and DELETEs against the server and applies the conflictPolicy.
+                 * @param edits Array of edits from the database
+                 * @returns {promise} resolves with the array of edits that should be sent to the server
+                 * @event EDITS_CONFLICT if one or more edits conflict. Contains {conflicts: [conflict]}
+                 * @private
+                 */
+                _checkForConflicts: function (edits) {
+                    var dfd = new Deferred();
+                    var editsByLayer = {};
+                    var promises = [];
+
+                    if (!this.ENABLE_CONFLICT_DETECTION) {
+                        dfd.resolve(edits);
+                        return dfd.promise;
+                    }
+
+                    edits.forEach(function (edit) {
+                        if (edit.serverState && (edit.operation === this._editStore.UPDATE || edit.operation === this._editStore.DELETE)) {
+                            editsByLayer[edit.layer] = editsByLayer[edit.layer] || [];
+                            editsByLayer[edit.layer].push(edit);
+                        }
+                    }, this);
+
+                    for (var url in editsByLayer) {
+                        if (editsByLayer.hasOwnProperty(url) && this._featureLayers[url]) {
+                            promises.push(this._checkLayerForConflicts(this._featureLayers[url], editsByLayer[url]));
+                        }
+                    }
+
+                    all(promises).then(function (results) {
+                        var conflicts = [];
+                        var withheld = {};
+
+                        results.forEach(function (layerConflicts) {
+                            layerConflicts.forEach(function (conflict) {
+                                conflicts.push(conflict);
+                                if (conflict.resolution !== this.CONFLICT_POLICY.CLIENT_WINS && conflict.resolution !== this.CONFLICT_POLICY.MERGE) {
+                                    withheld[conflict.id] = true;
+                                }
+                            }, this);
+                        }, this);
+
+                        if (conflicts.length > 0) {
+                            this.emit(this.events.EDITS_CONFLICT, {conflicts: conflicts});
+                        }
+
+                        dfd.resolve(edits.filter(function (edit) {
+                            return !withheld[edit.id];
+                        }));
+                    }.bind(this));
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * Queries the server for the features of a layer's stored edits and resolves each conflict found.
+                 * If the query fails the edits are passed through unchecked.
+                 * @param layer
+                 * @param edits
+                 * @returns {promise} resolves with an array of conflicts
+                 * @private
+                 */
+                _checkLayerForConflicts: function (layer, edits) {
+                    var dfd = new Deferred();
+
+                    var objectIds = edits.map(function (edit) {
+                        return edit.graphic.attributes[this.DB_UID];
+                    }, this);
+
+                    this._makeQueryRequest(layer, objectIds, function (response) {
+                        var serverFeatures = {};
+                        var oidField = response.objectIdFieldName || this._esriFieldTypeOID;
+                        var promises = [];
+
+                        (response.features || []).forEach(function (feature) {
+                            if (feature.geometry && response.spatialReference) {
+                                feature.geometry.spatialReference = response.spatialReference;
+                            }
+                            serverFeatures[feature.attributes[oidField]] = feature;
+                        });
+
+                        edits.forEach(function (edit) {
+                            var objectId = edit.graphic.attributes[this.DB_UID];
+                            var serverFeature = serverFeatures.hasOwnProperty(objectId) ? serverFeatures[objectId] : null;
+
+                            if (this._isConflict(layer, edit, serverFeature)) {
+                                promises.push(this._resolveConflict(layer, {
+                                    id: edit.id,
+                                    layer: edit.layer,
+                                    objectId: objectId,
+                                    operation: edit.operation,
+                                    edit: edit,
+                                    serverFeature: serverFeature,
+                                    resolution: null
+                                }));
+                            }
+                        }, this);
+
+                        all(promises).then(function (conflicts) {
+                            dfd.resolve(conflicts);
+                        });
+                    }.bind(this), function (error) {
+                        console.log("_checkLayerForConflicts: unable to query " + layer.url + " " + error);
+                        dfd.resolve([]);
+                    });
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * A stored edit conflicts if the feature was deleted on the server, or if it was changed
+                 * on the server since the edit's server state was captured.
+                 * @private
+                 */
+                _isConflict: function (layer, edit, serverFeature) {
+                    if (!serverFeature) {
+                        // Deleting a feature that is already gone is harmless
+                        return edit.operation !== this._editStore.DELETE;
+                    }
+
+                    var serverState = this._createServerState(layer, new Graphic(serverFeature));
+
+                    if (edit.serverState.editDate !== null && serverState.editDate !== null) {
+                        return edit.serverState.editDate !== serverState.editDate;
+                    }
+
+                    if (edit.serverState.attributesHash !== serverState.attributesHash) {
+                        return true;
+                    }
+
+                    // Only compared when both are known, e.g. a stored DELETE may have been captured without a geometry
+                    return edit.serverState.geometryHash !== null && serverState.geometryHash !== null &&
+                        edit.serverState.geometryHash !== serverState.geometryHash;
+                },
+
+                /**
+                 * Applies the conflictPolicy to a single conflict
+                 * @param layer
+                 * @param conflict
+                 * @returns {promise} resolves with the conflict, including its resolution
+                 * @private
+                 */
+                _resolveConflict: function (layer, conflict) {
+                    var dfd = new Deferred();
+
+                    var applyResolution = function (resolution) {
+                        conflict.resolution = resolution;
+
+                        // A merge needs both sides, and a DELETE has nothing to merge
+                        if (resolution === this.CONFLICT_POLICY.MERGE &&
+                            (!conflict.serverFeature || conflict.operation !== this._editStore.UPDATE)) {
+                            conflict.resolution = this.CONFLICT_POLICY.DEFER;
+                        }
+
+                        switch (conflict.resolution) {
+                            case this.CONFLICT_POLICY.SERVER_WINS:
+                                this._discardConflictingEdit(layer, conflict.edit, conflict.serverFeature, function () {
+                                    dfd.resolve(conflict);
+                                });
+                                break;
+                            case this.CONFLICT_POLICY.MERGE:
+                                // Replace the graphic that is about to be sent with the merged feature
+                                conflict.edit.graphic = this._mergeConflict(layer, conflict.edit, conflict.serverFeature);
+                                dfd.resolve(conflict);
+                                break;
+                            case this.CONFLICT_POLICY.CLIENT_WINS:
+                                dfd.resolve(conflict);
+                                break;
+                            default:
+                                conflict.resolution = this.CONFLICT_POLICY.DEFER;
+                                dfd.resolve(conflict);
+                        }
+                    }.bind(this);
+
+                    if (typeof this.conflictPolicy === "function") {
+                        this.conflictPolicy(conflict, applyResolution);
+                    }
+                    else {
+                        applyResolution(this.conflictPolicy);
+                    }
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * Field-level merge. Starts with the server's feature and applies every attribute that was
+                 * changed offline. The offline geometry is used only if it was changed offline.
+                 * @param layer
+                 * @param edit
+                 * @param serverFeature
+                 * @returns {Object} graphic JSON
+                 * @private
+                 */
+                _mergeConflict: function (layer, edit, serverFeature) {
+                    var baseline = edit.serverState.attributes;
+                    var localAttributes = edit.graphic.attributes;
+                    var attributes = {};
+                    var key;
+
+                    for (key in serverFeature.attributes) {
+                        if (serverFeature.attributes.hasOwnProperty(key)) {
+                            attributes[key] = serverFeature.attributes[key];
+                        }
+                    }
+
+                    for (key in localAttributes) {
+                        if (localAttributes.hasOwnProperty(key) && (!baseline.hasOwnProperty(key) || baseline[key] !== localAttributes[key])) {
+                            attributes[key] = localAttributes[key];
+                        }
+                    }
+
+                    var geometryChanged = edit.graphic.geometry &&
+                        this._hashGeometry(new Graphic(edit.graphic).geometry) !== edit.serverState.geometryHash;
+
+                    return {
+                        geometry: geometryChanged || !serverFeature.geometry ? edit.graphic.geometry : serverFeature.geometry,
+                        attributes: attributes
+                    };
+                },
+
+                /**
+                 * Removes an edit and its phantom graphic from the database, and restores the server's
+                 * version of the feature in the layer.
+                 * @param layer
+                 * @param edit
+                 * @param serverFeature null if the feature was deleted on the server
+                 * @param callback callback(boolean, error)
+                 * @private
+                 */
+                _discardConflictingEdit: function (layer, edit, serverFeature, callback) {
+                    var objectId = edit.graphic.attributes[this.DB_UID];
+                    var phantomGraphicId = this._editStore.PHANTOM_GRAPHIC_PREFIX + this._editStore._PHANTOM_PREFIX_TOKEN + objectId;
+                    var i;
+
+                    for (i = layer._phantomLayer.graphics.length - 1; i >= 0; i--) {
+                        if (layer._phantomLayer.graphics[i].attributes[this.DB_UID] === objectId) {
+                            layer._phantomLayer.remove(layer._phantomLayer.graphics[i]);
+                        }
+                    }
+
+                    var current = null;
+                    for (i = 0; i < layer.graphics.length; i++) {
+                        if (layer.graphics[i].attributes[layer.objectIdField] === objectId) {
+                            current = layer.graphics[i];
+                            break;
+                        }
+                    }
+
+                    if (serverFeature) {
+                        var serverGraphic = new Graphic(serverFeature);
+                        serverGraphic.attributes[layer.objectIdField] = objectId;
+
+                        if (current) {
+                            current.setGeometry(serverGraphic.geometry);
+                            current.setAttributes(serverGraphic.attributes);
+                        }
+                        else {
+                            layer.add(serverGraphic);
+                        }
+                        layer._setServerStates([serverGraphic]);
+                    }
+                    else if (current) {
+                        layer.remove(current);
+                    }
+
+                    this._editStore.delete(layer.url, edit.graphic, function (success, error) {
+                        this._editStore.deletePhantomGraphic(phantomGraphicId, function () {
+                            callback(success, error);
+                        });
+                    }.bind(this));
+                },
+
+                /**
+                 * Retrieves features by objectId directly from the feature service.
+                 * Respects proxyPath and the layer's token.
+                 * @param layer
+                 * @param objectIds
+                 * @param callback callback(featureSetJSON)
+                 * @param errback errback(error)
+                 * @private
+                 */
+                _makeQueryRequest: function (layer, objectIds, callback, errback) {
+                    var params = "f=json&outFields=*&returnGeometry=true&objectIds=" + objectIds.join(",");
+
+                    if (layer.spatialReference && layer.spatialReference.wkid) {
+                        params = params + "&outSR=" + layer.spatialReference.wkid;
+                    }
+
+                    if(layer.hasOwnProperty("credential") && layer.credential){
+                        if(layer.credential.hasOwnProperty("token") && layer.credential.token){
+                            params = params + "&token=" + layer.credential.token;
+                        }
+                    }
+
+                    var url = this.proxyPath ? this.proxyPath + "?" + layer.url : layer.url;
+
+                    var self = this;
+                    var req = new XMLHttpRequest();
+                    req.open("POST", url + "/query", true);
+                    req.setRequestHeader("Content-type", "application/x-www-form-urlencoded");
+                    req.onload = function()
+                    {
+                        self._reportRequestResult(true);
+                        if( req.status === 200 && req.responseText !== "")
+                        {
+                            try {
+                                var obj = JSON.parse(this.responseText);
+                                if (obj.error) {
+                                    errback(obj.error.message);
+                                }
+                                else {
+                                    callback(obj);
+                                }
+                            }
+                            catch(err) {
+                                console.error("FAILED TO PARSE QUERY RESPONSE:", req);
+                                errback("Unable to parse xhr response");
+                            }
+                        }
+                        else {
+                            errback("xhr status " + req.status);
+                        }
+                    };
+                    req.onerror = function(e)
+                    {
+                        self._reportRequestResult(false);
+                        console.error("_makeQueryRequest failed: " + e);
+                        errback(e);
+                    };
+                    req.ontimeout = function() {
+                        self._reportRequestResult(false);
+                        errback("xhr timeout error");
+                    };
+                    req.timeout = this._defaultXhrTimeout;
+                    req.send(params);
+                },
+
+                /**
+                 * Hashes an Object. Keys are sorted so that the result doesn't depend on property order.
+                 * @param object
+                 * @returns {number}
+                 * @private
+                 */
+                _hashObject: function (object) {
+                    var json = JSON.stringify(object, function (key, value) {
+                        if (value && typeof value === "object" && !(value instanceof Array)) {
+                            var sorted = {};
+                            Object.keys(value).sort().forEach(function (k) {
+                                sorted[k] = value[k];
+                            });
+                            return sorted;
+                        }
+                        return value;
+                    });
+
+                    var hash = 0;
+                    for (var i = 0; i < json.length; i++) {
+                        hash = (hash * 31 + json.charCodeAt(i)) % 4294967296;
+                    }
+                    return hash;
+                },
+
+                /**
+                 * Hashes a geometry without its spatial reference, which the layer's graphics and query
+                 * responses don't always describe the same way
+                 * @param geometry
+                 * @returns {number}
+                 * @private
+                 */
+                _hashGeometry: function (geometry) {
+                    var json = geometry.toJson();
+                    delete json.spatialReference;
+                    return this._hashObject(json);
+                },
+
+                //
+                // methods to send features back to the server
+                //
+
+                /**
+                 * Attempts to send any edits in the database. Monitor events for success or failure.
+                 * @param callback
+                 * @event ALL_EDITS_SENT when all edits have been successfully sent. Contains {[addResults],[updateResults],[deleteResults]}
+                 * @event EDITS_SENT_ERROR some edits were not sent successfully. Contains {msg: error}
+                 * @private
+                 */
+                _replayStoredEdits: function (callback) {
+                    var that = this;
+
+                    var featureLayers = this._featureLayers;
                     var attachmentsStore = this.attachmentsStore;
-                    var editStore = this._editStore;
+
+                    this._retryNeeded = false;
 
                     this._editStore.getAllEditsArray(function (result, err) {
-                        if (result.length > 0) {
-                            tempArray = result;
 
-                            var length = tempArray.length;
+                        // Conflicting edits may be modified, or held back in the database, before we send anything
+                        that._checkForConflicts(result || []).then(function (result) {
+                            if (result.length > 0 && that._isSyncCancelled()) {
+                                callback(true, []);
+                            }
+                            else if (result.length > 0) {
+                                that._startSyncProgress(result);
+
+                                // Edits that are sent to the server can't be undone
+                                that._editStore.resetHistory(function (success) {
+                                    if (!success) {
+                                        console.log("OfflineEditAdvanced unable to clear the edit history");
+                                    }
+                                });
 
-                            for (var n = 0; n < length; n++) {
-                                layer = featureLayers[tempArray[n].layer];
+                                result.forEach(function (edit) {
+                                    var layer = featureLayers[edit.layer];
 
-                                // If the layer has attachments then check to see if the attachmentsStore has been initialized
-                                if (attachmentsStore == null && layer.hasAttachments) {
-                                    console.log("NOTICE: you may need to run OfflineEditAdvanced.initAttachments(). Check the Attachments doc for more info. Layer id: " + layer.id + " accepts attachments");
-                                }
+                                    // If the layer has attachments then check to see if the attachmentsStore has been initialized
+                                    if (attachmentsStore == null && layer.hasAttachments) {
+                                        console.log("NOTICE: you may need to run OfflineEditAdvanced.initAttachments(). Check the Attachments doc for more info. Layer id: " + layer.id + " accepts attachments");
+                                    }
 
-                                // Assign the attachmentsStore to the layer as a private var so we can access it from
-                                // the promises applyEdits() method.
-                                layer._attachmentsStore = attachmentsStore;
-
-                                layer.__onEditsComplete = layer.onEditsComplete;
-                                layer.onEditsComplete = function () {
-                                    console.log("intercepting events onEditsComplete");
-                                };
-
-                                // Let's zero everything out
-                                adds = [], updates = [], deletes = [], tempObjectIds = [];
-
-                                // IMPORTANT: reconstitute the graphic JSON into an actual esri.Graphic object
-                                // NOTE: we are only sending one Graphic per loop!
-                                var graphic = new Graphic(tempArray[n].graphic);
-
-                                switch (tempArray[n].operation) {
-                                    case editStore.ADD:
-                                        for (var i = 0; i < layer.graphics.length; i++) {
-                                            var g = layer.graphics[i];
-                                            if (g.attributes[layer.objectIdField] === graphic.attributes[layer.objectIdField]) {
-                                                layer.remove(g);
-                                                break;
-                                            }
+                                    // Assign the attachmentsStore to the layer as a private var so we can access it from
+                                    // the promises applyEdits() method.
+                                    layer._attachmentsStore = attachmentsStore;
+
+                                    if (!layer.hasOwnProperty("__onEditsComplete")) {
+                                        layer.__onEditsComplete = layer.onEditsComplete;
+                                        layer.onEditsComplete = function () {
+                                            console.log("intercepting events onEditsComplete");
+                                        };
+                                    }
+                                });
+
+                                // Edits are grouped by layer (or by service) and sent REPLAY_BATCH_SIZE at a time
+                                var batches = that._createReplayBatches(result);
+
+                                // wait for all requests to finish
+                                // responses contain {id,layer,tempId,addResults,updateResults,deleteResults}
+                                that._sendReplayBatches(batches).then(
+                                    function (sent) {
+                                        console.log("OfflineEditAdvanced sync - all responses are back");
+
+                                        // There is one response per stored edit that was sent, in the same order as the edits
+                                        var responses = {};
+                                        sent.batchResponses.forEach(function (batchResponse) {
+                                            batchResponse.forEach(function (response) {
+                                                responses[response.index] = response.response;
+                                            });
+                                        });
+
+                                        // Halted edits can be sent once the edit that stopped them is dead-lettered
+                                        if (sent.halted.length > 0) {
+                                            this._retryNeeded = true;
                                         }
-                                        tempObjectIds.push(graphic.attributes[layer.objectIdField]);
-                                        delete graphic.attributes[layer.objectIdField];
-                                        adds.push(graphic);
-                                        break;
-                                    case editStore.UPDATE:
-                                        updates.push(graphic);
-                                        break;
-                                    case editStore.DELETE:
-                                        deletes.push(graphic);
-                                        break;
-                                }
 
-                                //if(that._featureCollectionUsageFlag){
-                                // Note: when the feature layer is created with a feature collection we have to handle applyEdits() differently
-                                // TO-DO rename this method.
-                                promises[n] = that._internalApplyEditsAll(layer, tempArray[n].id, tempObjectIds, adds, updates, deletes);
+                                        this._parseResponsesArray(responses).then(function(result) {
+                                            if(!result || sent.halted.length > 0) {
+                                                this.emit(this.events.EDITS_SENT_ERROR, {msg: "Not all edits synced", respones: responses, halted: sent.halted});
+                                            }
+                                            else if(sent.unsent.length === 0) {
+                                                this.emit(this.events.ALL_EDITS_SENT,responses);
+                                            }
+
+                                            // Edits that weren't sent because the sync was cancelled go back on their layers
+                                            this._restoreUnsentEdits(sent.unsent).then(function () {
+                                                callback && callback(true, responses);
+                                            });
+                                        }.bind(this));
+                                    }.bind(that),
+                                    function (errors) {
+                                        console.log("OfflineEditAdvanced._replayStoredEdits - ERROR!!");
+                                        console.log(errors);
+                                        callback && callback(false, errors);
+                                    }.bind(that)
+                                );
+
+                            }
+                            else{
+                                // No edits were found
+                                callback(true,[]);
+                            }
+                        });
+                    });
+                },
+
+                /**
+                 * Groups stored edits into the batches that will be sent to the server. Each batch holds
+                 * at most REPLAY_BATCH_SIZE edits. If ENABLE_SERVICE_APPLYEDITS is true, edits for
+                 * different layers of the same feature service share a batch.
+                 *
+                 * In SEQUENTIAL mode a batch only holds consecutive edits, and only in an order that the server
+                 * will apply them in (adds, then updates, then deletes for each layer).
+                 * @param edits Array of edits from the database, in the order they were made
+                 * @returns {Array} [{serviceUrl: String or null, layers: [{layer, layerId, items: [{index, edit, graphic, tempId}]}]}]
+                 * @private
+                 */
+                _createReplayBatches: function (edits) {
+                    var batches = [];
+                    var openBatches = {};
+                    var batchSize = this.REPLAY_BATCH_SIZE > 0 ? this.REPLAY_BATCH_SIZE : 1;
+                    var sequential = this.REPLAY_MODE === this.REPLAY_MODES.SEQUENTIAL;
+
+                    edits.forEach(function (edit, index) {
+                        var layer = this._featureLayers[edit.layer];
+                        var serviceInfo = this.ENABLE_SERVICE_APPLYEDITS ? this._getServiceInfo(layer.url) : null;
+                        var key = serviceInfo ? serviceInfo.serviceUrl : layer.url;
+
+                        var batch = sequential ? (batches.length > 0 && batches[batches.length - 1].key === key ? batches[batches.length - 1] : null) : openBatches[key];
+                        if (!batch || batch.count >= batchSize || (sequential && !this._canAppendInOrder(batch, layer, edit))) {
+                            batch = {key: key, serviceUrl: serviceInfo ? serviceInfo.serviceUrl : null, layers: [], count: 0};
+                            openBatches[key] = batch;
+                            batches.push(batch);
+                        }
+
+                        var layerEdits = null;
+                        for (var i = 0; i < batch.layers.length; i++) {
+                            if (batch.layers[i].layer === layer) {
+                                layerEdits = batch.layers[i];
                             }
+                        }
+                        if (!layerEdits) {
+                            layerEdits = {layer: layer, layerId: serviceInfo ? serviceInfo.layerId : null, items: []};
+                            batch.layers.push(layerEdits);
+                        }
 
-                            // wait for all requests to finish
-                            // responses contain {id,layer,tempId,addResults,updateResults,deleteResults}
-                            var allPromises = all(promises);
-                            allPromises.then(
-                                function (responses) {
-                                    console.log("OfflineEditAdvanced sync - all responses are back");
+                        batch.count++;
+                        layerEdits.items.push(this._prepareReplayItem(layer, edit, index));
+                    }, this);
 
-                                    this._parseResponsesArray(responses).then(function(result) {
-                                        if(result) {
-                                            this.emit(this.events.ALL_EDITS_SENT,responses);
-                                        }
-                                        else {
-                                            this.emit(this.events.EDITS_SENT_ERROR, {msg: "Not all edits synced", respones: responses});
-                                        }
-                                        callback && callback(true, responses);
-                                    }.bind(this));
-                                }.bind(that),
-                                function (errors) {
-                                    console.log("OfflineEditAdvanced._replayStoredEdits - ERROR!!");
-                                    console.log(errors);
-                                    callback && callback(false, errors);
-                                }.bind(that)
-                            );
+                    return batches;
+                },
 
+                /**
+                 * Whether an edit can be added to the end of a batch without the server applying it
+                 * before an edit that was made earlier.
+                 * @param batch
+                 * @param layer
+                 * @param edit
+                 * @returns {boolean}
+                 * @private
+                 */
+                _canAppendInOrder: function (batch, layer, edit) {
+                    var rank = [this._editStore.ADD, this._editStore.UPDATE, this._editStore.DELETE];
+                    var last = batch.layers[batch.layers.length - 1];
+                    var i;
+
+                    if (last.layer !== layer) {
+                        // A layer can only appear once in a request
+                        for (i = 0; i < batch.layers.length; i++) {
+                            if (batch.layers[i].layer === layer) {
+                                return false;
+                            }
                         }
-                        else{
-                            // No edits were found
-                            callback(true,[]);
+                        return true;
+                    }
+
+                    var lastEdit = last.items[last.items.length - 1].edit;
+                    return rank.indexOf(edit.operation) >= rank.indexOf(lastEdit.operation);
+                },
+
+                /**
+                 * Sends batches to the server. In SEQUENTIAL mode each batch waits for the previous one,
+                 * and if any edit in a batch fails the remaining batches are not sent.
+                 * Batches that haven't been sent when the sync is cancelled are returned as unsent.
+                 * @param batches
+                 * @returns {promise} resolves with {batchResponses: Array, halted: [edit ids], unsent: [batch items]}
+                 * @private
+                 */
+                _sendReplayBatches: function (batches) {
+                    var dfd = new Deferred();
+                    var batchResponses = [];
+
+                    var getItems = function (batches) {
+                        var items = [];
+                        batches.forEach(function (batch) {
+                            batch.layers.forEach(function (layerEdits) {
+                                items.push.apply(items, layerEdits.items);
+                            });
+                        });
+                        return items;
+                    };
+
+                    if (this.REPLAY_MODE !== this.REPLAY_MODES.SEQUENTIAL) {
+                        this._runRequests(batches.map(function (batch) {
+                            return function () {
+                                return this._internalApplyEditsBatch(batch);
+                            }.bind(this);
+                        }, this)).then(function (responses) {
+                            dfd.resolve({batchResponses: responses, halted: [], unsent: getItems(batches.slice(responses.length))});
+                        }, function (error) {
+                            dfd.reject(error);
+                        });
+                        return dfd.promise;
+                    }
+
+                    var sendNext = function (n) {
+                        if (n === batches.length) {
+                            dfd.resolve({batchResponses: batchResponses, halted: [], unsent: []});
+                            return;
                         }
-                    });
+
+                        if (this._isSyncCancelled()) {
+                            dfd.resolve({batchResponses: batchResponses, halted: [], unsent: getItems(batches.slice(n))});
+                            return;
+                        }
+
+                        this._internalApplyEditsBatch(batches[n]).then(function (responses) {
+                            batchResponses.push(responses);
+
+                            var failed = responses.some(function (response) {
+                                var results = response.response.addResults.concat(response.response.updateResults, response.response.deleteResults);
+                                return results.length === 0 || results.some(function (result) {
+                                    return !result.success;
+                                });
+                            });
+
+                            if (failed) {
+                                // Later edits may depend on the one that failed, so they stay in the database
+                                var halted = getItems(batches.slice(n + 1)).map(function (item) {
+                                    return item.edit.id;
+                                });
+                                dfd.resolve({batchResponses: batchResponses, halted: halted, unsent: []});
+                            }
+                            else {
+                                sendNext(n + 1);
+                            }
+                        }, function (error) {
+                            dfd.reject(error);
+                        });
+                    }.bind(this);
+
+                    sendNext(0);
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * Starts requests with at most REPLAY_MAX_REQUESTS in flight. No more requests are started
+                 * once the sync is cancelled.
+                 * @param requests Array of functions that send a request and return a promise
+                 * @returns {promise} resolves with the results of the requests that were started, in order,
+                 * or rejects with the first error
+                 * @private
+                 */
+                _runRequests: function (requests) {
+                    var dfd = new Deferred();
+                    var results = [];
+                    var limit = this.REPLAY_MAX_REQUESTS > 0 ? this.REPLAY_MAX_REQUESTS : 1;
+                    var started = 0;
+                    var running = 0;
+                    var failed = false;
+
+                    var startNext = function () {
+                        while (!failed && running < limit && started < requests.length && !this._isSyncCancelled()) {
+                            send(started++);
+                        }
+                        if (!failed && running === 0) {
+                            results.length = started;
+                            dfd.resolve(results);
+                        }
+                    }.bind(this);
+
+                    var send = function (index) {
+                        running++;
+                        requests[index]().then(function (result) {
+                            results[index] = result;
+                            running--;
+                            startNext();
+                        }, function (error) {
+                            failed = true;
+                            dfd.reject(error);
+                        });
+                    };
+
+                    startNext();
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * Reconstitutes a stored edit into the esri.Graphic that is sent to the server.
+                 * @param layer
+                 * @param edit
+                 * @param index Position of the edit in the replay
+                 * @returns {{index: number, edit: Object, graphic: Graphic, tempId: *}}
+                 * @private
+                 */
+                _prepareReplayItem: function (layer, edit, index) {
+                    // IMPORTANT: reconstitute the graphic JSON into an actual esri.Graphic object
+                    var graphic = new Graphic(edit.graphic);
+                    var tempId = null;
+
+                    if (edit.operation === this._editStore.ADD) {
+                        for (var i = 0; i < layer.graphics.length; i++) {
+                            var g = layer.graphics[i];
+                            if (g.attributes[layer.objectIdField] === graphic.attributes[layer.objectIdField]) {
+                                layer.remove(g);
+                                break;
+                            }
+                        }
+                        tempId = graphic.attributes[layer.objectIdField];
+                        delete graphic.attributes[layer.objectIdField];
+                    }
+
+                    return {index: index, edit: edit, graphic: graphic, tempId: tempId};
+                },
+
+                /**
+                 * Splits a layer URL such as ".../FeatureServer/0" into the service URL and layer id.
+                 * @param url
+                 * @returns {Object} {serviceUrl: String, layerId: number} or null if the URL doesn't end with a layer id
+                 * @private
+                 */
+                _getServiceInfo: function (url) {
+                    var match = /^(.+)\/(\d+)\/?$/.exec(url || "");
+                    return match ? {serviceUrl: match[1], layerId: parseInt(match[2], 10)} : null;
                 },
 
                 /**
@@ -1856,115 +4108,256 @@ define([
                             callbackParamName: "callback"
                         });
 
-                        request.then(function (response) {
-                            console.log("Success: ", response);
-                            callback(true, response);
-                        }, function (error) {
-                            console.log("Error: ", error.message);
-                            callback(false, error.message);
-                        });
-                    });
+                        request.then(function (response) {
+                            console.log("Success: ", response);
+                            callback(true, response);
+                        }, function (error) {
+                            console.log("Error: ", error.message);
+                            callback(false, error.message);
+                        });
+                    });
+                },
+
+                /**
+                 * Sends a batch of edits in a single request. This works with both standard feature layers and
+                 * when a feature layer is created using a feature collection.
+                 *
+                 * This works around specific behaviors in esri.layers.FeatureLayer when using the pattern
+                 * new FeatureLayer(featureCollectionObject).
+                 *
+                 * Details on the specific behaviors can be found here:
+                 * https://developers.arcgis.com/javascript/jsapi/featurelayer-amd.html#featurelayer2
+                 *
+                 * @param batch A batch created by _createReplayBatches()
+                 * @returns {promise} resolves with an array of {index, response}, one for each edit in the batch
+                 * @private
+                 */
+                _internalApplyEditsBatch: function (batch) {
+                    var that = this;
+                    var dfd = new Deferred();
+
+                    var onError = function (error, req) {
+                        batch.layers.forEach(function (layerEdits) {
+                            that._reportEditsProgress(layerEdits, null, error);
+
+                            var layer = layerEdits.layer;
+                            if (layer.hasOwnProperty("__onEditsComplete")) {
+                                layer.onEditsComplete = layer.__onEditsComplete;
+                                delete layer.__onEditsComplete;
+                            }
+                        });
+
+                        if (!that.ENABLE_RETRY) {
+                            return dfd.reject(error);
+                        }
+
+                        that._recordFailedBatch(batch, error, req).then(function () {
+                            dfd.reject(error);
+                        });
+                    };
+
+                    var onResults = function (layerResults) {
+                        var promises = batch.layers.map(function (layerEdits, i) {
+                            return that._processBatchResults(layerEdits, layerResults[i]).then(function (responses) {
+                                that._reportEditsProgress(layerEdits, responses, null);
+                                return responses;
+                            });
+                        });
+
+                        all(promises).then(function (results) {
+                            dfd.resolve(Array.prototype.concat.apply([], results));
+                        });
+                    };
+
+                    if (batch.serviceUrl) {
+                        this._makeServiceEditRequest(batch, function (results) {
+                            onResults(batch.layers.map(function (layerEdits) {
+                                for (var i = 0; i < results.length; i++) {
+                                    if (results[i].id === layerEdits.layerId) {
+                                        return results[i];
+                                    }
+                                }
+                                return {addResults: [], updateResults: [], deleteResults: []};
+                            }));
+                        }, onError);
+                    }
+                    else {
+                        var layerEdits = batch.layers[0];
+                        var edits = this._getBatchEdits(layerEdits);
+
+                        this._makeEditRequest(layerEdits.layer, edits.adds, edits.updates, edits.deletes,
+                            function (addResults, updateResults, deleteResults) {
+                                onResults([{addResults: addResults, updateResults: updateResults, deleteResults: deleteResults}]);
+                            }, onError);
+                    }
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * Returns the adds, updates and deletes of one layer in a batch. The order matches the
+                 * order of the results returned by the server.
+                 * @param layerEdits
+                 * @returns {{adds: Array, updates: Array, deletes: Array}}
+                 * @private
+                 */
+                _getBatchEdits: function (layerEdits) {
+                    var edits = {adds: [], updates: [], deletes: []};
+
+                    layerEdits.items.forEach(function (item) {
+                        switch (item.edit.operation) {
+                            case this._editStore.ADD:
+                                edits.adds.push(item.graphic);
+                                break;
+                            case this._editStore.UPDATE:
+                                edits.updates.push(item.graphic);
+                                break;
+                            case this._editStore.DELETE:
+                                edits.deletes.push(item.graphic);
+                                break;
+                        }
+                    }, this);
+
+                    return edits;
+                },
+
+                /**
+                 * Maps the results of one layer in a batch back to each of its stored edits, then cleans up
+                 * the database, the layer's graphics and any attachments that reference temporary ids.
+                 * @param layerEdits
+                 * @param results {addResults, updateResults, deleteResults}
+                 * @returns {promise} resolves with an array of {index, response}
+                 * @private
+                 */
+                _processBatchResults: function (layerEdits, results) {
+                    var layer = layerEdits.layer;
+                    var addResults = results.addResults || [], updateResults = results.updateResults || [], deleteResults = results.deleteResults || [];
+                    var a = 0, u = 0, d = 0;
+                    var promises = [];
+
+                    layer._phantomLayer.clear();
+
+                    layerEdits.items.forEach(function (item) {
+                        var addResult = [], updateResult = [], deleteResult = [];
+
+                        switch (item.edit.operation) {
+                            case this._editStore.ADD:
+                                addResult = addResults[a] ? [addResults[a]] : [];
+                                a++;
+                                break;
+                            case this._editStore.UPDATE:
+                                updateResult = updateResults[u] ? [updateResults[u]] : [];
+                                u++;
+                                break;
+                            case this._editStore.DELETE:
+                                deleteResult = deleteResults[d] ? [deleteResults[d]] : [];
+                                d++;
+                                break;
+                        }
+
+                        promises.push(this._processEditResult(layer, item, addResult, updateResult, deleteResult));
+                    }, this);
+
+                    return all(promises);
                 },
 
                 /**
-                 * Applies edits. This works with both standard feature layers and when a feature layer is created
-                 * using a feature collection.
-                 *
-                 * This works around specific behaviors in esri.layers.FeatureLayer when using the pattern
-                 * new FeatureLayer(featureCollectionObject).
-                 *
-                 * Details on the specific behaviors can be found here:
-                 * https://developers.arcgis.com/javascript/jsapi/featurelayer-amd.html#featurelayer2
-                 *
+                 * Handles the server's result for a single stored edit.
                  * @param layer
-                 * @param id
-                 * @param tempObjectIds
-                 * @param adds
-                 * @param updates
-                 * @param deletes
-                 * @returns {*|r}
+                 * @param item
+                 * @param addResults
+                 * @param updateResults
+                 * @param deleteResults
+                 * @returns {promise} resolves with {index, response}
                  * @private
                  */
-                _internalApplyEditsAll: function (layer, id, tempObjectIds, adds, updates, deletes) {
+                _processEditResult: function (layer, item, addResults, updateResults, deleteResults) {
                     var that = this;
                     var dfd = new Deferred();
+                    var id = item.edit.id;
+                    var tempObjectIds = item.tempId !== null ? [item.tempId] : [];
+
+                    var rejected = addResults.concat(updateResults, deleteResults).filter(function (result) {
+                        return !result.success;
+                    })[0];
+
+                    // The server refused the edit, so sending it again won't help
+                    var resolve = function (response) {
+                        if (rejected && that.ENABLE_RETRY) {
+                            var error = rejected.error || {code: null, description: "Edit rejected by the server"};
+                            that._deadLetterEdit(layer, item.edit, error).then(function () {
+                                dfd.resolve(response);
+                            });
+                        }
+                        else {
+                            dfd.resolve(response);
+                        }
+                    };
 
-                    this._makeEditRequest(layer, adds, updates, deletes,
-                        function (addResults, updateResults, deleteResults) {
-                            layer._phantomLayer.clear();
+                    // We use a different pattern if the attachmentsStore is valid and the layer has attachments
+                    if (layer._attachmentsStore != null && layer.hasAttachments && tempObjectIds.length > 0) {
 
-                            // We use a different pattern if the attachmentsStore is valid and the layer has attachments
-                            if (layer._attachmentsStore != null && layer.hasAttachments && tempObjectIds.length > 0) {
+                        var newObjectIds = addResults.map(function (r) {
+                            return r.objectId;
+                        });
 
-                                var newObjectIds = addResults.map(function (r) {
-                                    return r.objectId;
-                                });
+                        layer._replaceFeatureIds(tempObjectIds, newObjectIds, function (count) {
+                            console.log("Done replacing feature ids. Total count = " + count);
+                        });
+                    }
 
-                                layer._replaceFeatureIds(tempObjectIds, newObjectIds, function (count) {
-                                    console.log("Done replacing feature ids. Total count = " + count);
-                                });
-                            }
+                    // addResults present a special case for handling objectid
+                    if(addResults.length > 0) {
+                        var objectid = "";
 
-                            // addResults present a special case for handling objectid
-                            if(addResults.length > 0) {
-                                var objectid = "";
+                        if(addResults[0].hasOwnProperty("objectid")){
+                            objectid = "objectid";
+                        }
 
-                                if(addResults[0].hasOwnProperty("objectid")){
-                                    objectid = "objectid";
-                                }
+                        if(addResults[0].hasOwnProperty("objectId")){
+                            objectid = "objectId";
+                        }
 
-                                if(addResults[0].hasOwnProperty("objectId")){
-                                    objectid = "objectId";
-                                }
+                        if(addResults[0].hasOwnProperty("OBJECTID")){
+                            objectid = "OBJECTID";
+                        }
 
-                                if(addResults[0].hasOwnProperty("OBJECTID")){
-                                    objectid = "OBJECTID";
-                                }
+                        // ??? These are the most common objectid values. I may have missed some!
 
-                                // ??? These are the most common objectid values. I may have missed some!
-
-                                // Some feature layers will return different casing such as: 'objectid', 'objectId' and 'OBJECTID'
-                                // Normalize these values to the feature type OID so that we don't break other aspects
-                                // of the JS API.
-                                adds[0].attributes[that._esriFieldTypeOID] = addResults[0][objectid];
-                                var graphic = new Graphic(adds[0].geometry,null,adds[0].attributes);
-                                layer.add(graphic);
-                            }
-
-                            that._cleanDatabase(layer, tempObjectIds, addResults, updateResults, deleteResults).then(function(results){
-                                dfd.resolve({
-                                    id: id,
-                                    layer: layer.url,
-                                    tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
-                                    addResults: addResults,
-                                    updateResults: updateResults,
-                                    deleteResults: deleteResults,
-                                    databaseResults: results,
-                                    databaseErrors: null,
-                                    syncError: null
-                                });
-                            }, function(error) {
-                                dfd.resolve({
-                                    id: id,
-                                    layer: layer.url,
-                                    tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
-                                    addResults: addResults,
-                                    updateResults: updateResults,
-                                    deleteResults: deleteResults,
-                                    databaseResults: null,
-                                    databaseErrors: error,
-                                    syncError: error
-                                });
-                            });
+                        // Some feature layers will return different casing such as: 'objectid', 'objectId' and 'OBJECTID'
+                        // Normalize these values to the feature type OID so that we don't break other aspects
+                        // of the JS API.
+                        item.graphic.attributes[that._esriFieldTypeOID] = addResults[0][objectid];
+                        var graphic = new Graphic(item.graphic.geometry,null,item.graphic.attributes);
+                        layer.add(graphic);
+                    }
 
-                        },
-                        function (error) {
-                            layer.onEditsComplete = layer.__onEditsComplete;
-                            delete layer.__onEditsComplete;
+                    that._cleanDatabase(layer, tempObjectIds, addResults, updateResults, deleteResults).then(function(results){
+                        resolve({index: item.index, response: {
+                            id: id,
+                            layer: layer.url,
+                            tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
+                            addResults: addResults,
+                            updateResults: updateResults,
+                            deleteResults: deleteResults,
+                            databaseResults: results,
+                            databaseErrors: null,
+                            syncError: null
+                        }});
+                    }, function(error) {
+                        resolve({index: item.index, response: {
+                            id: id,
+                            layer: layer.url,
+                            tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
+                            addResults: addResults,
+                            updateResults: updateResults,
+                            deleteResults: deleteResults,
+                            databaseResults: null,
+                            databaseErrors: error,
+                            syncError: error
+                        }});
+                    });
 
-                            dfd.reject(error);
-                        }
-                    );
                     return dfd.promise;
                 },
 
@@ -2039,7 +4432,8 @@ define([
                  */
                 _makeEditRequest: function(layer,adds, updates, deletes, callback, errback) {
 
-                    var f = "f=json", a = "", u = "", d = "";
+                    // Without rollbackOnFailure=false one rejected edit would fail the whole batch
+                    var f = "f=json&rollbackOnFailure=false", a = "", u = "", d = "";
 
                     if(adds.length > 0) {
                         array.forEach(adds, function(add){
@@ -2058,8 +4452,10 @@ define([
                         u = "&updates=" + encodeURIComponent(JSON.stringify(updates));
                     }
                     if(deletes.length > 0) {
-                        var id = deletes[0].attributes[this.DB_UID];
-                        d = "&deletes=" + id;
+                        var ids = deletes.map(function(deleteEdit){
+                            return deleteEdit.attributes[this.DB_UID];
+                        }, this);
+                        d = "&deletes=" + ids.join(",");
                     }
 
                     var params = f + a + u + d;
@@ -2073,36 +4469,458 @@ define([
                     // Respect the proxyPath if one has been set (Added at v3.2.0)
                     var url = this.proxyPath ? this.proxyPath + "?" + layer.url : layer.url;
 
+                    var self = this;
                     var req = new XMLHttpRequest();
                     req.open("POST", url + "/applyEdits", true);
                     req.setRequestHeader("Content-type", "application/x-www-form-urlencoded");
                     req.onload = function()
                     {
+                        self._reportRequestResult(true);
                         if( req.status === 200 && req.responseText !== "")
                         {
                             try {
                                 var obj = JSON.parse(this.responseText);
-                                callback(obj.addResults, obj.updateResults, obj.deleteResults);
+                                if(obj.error) {
+                                    errback(obj.error.message, req);
+                                }
+                                else {
+                                    callback(obj.addResults, obj.updateResults, obj.deleteResults);
+                                }
                             }
                             catch(err) {
                                 console.error("FAILED TO PARSE EDIT REQUEST RESPONSE:", req);
                                 errback("Unable to parse xhr response", req);
                             }
                         }
-
+                        else {
+                            errback("xhr error: " + req.status, req);
+                        }
                     };
                     req.onerror = function(e)
                     {
+                        self._reportRequestResult(false);
                         console.error("_makeEditRequest failed: " + e);
                         errback(e);
                     };
                     req.ontimeout = function() {
+                        self._reportRequestResult(false);
+                        errback("xhr timeout error");
+                    };
+                    req.timeout = this._defaultXhrTimeout;
+                    req.send(params);
+                },
+
+                /**
+                 * Sends the edits of several layers of the same feature service in a single request
+                 * to the service's applyEdits endpoint.
+                 * @param batch A batch created by _createReplayBatches()
+                 * @param callback callback([{id, addResults, updateResults, deleteResults}])
+                 * @param errback
+                 * @private
+                 */
+                _makeServiceEditRequest: function(batch, callback, errback) {
+
+                    var edits = batch.layers.map(function(layerEdits){
+                        var layerEdit = {id: layerEdits.layerId};
+                        var batchEdits = this._getBatchEdits(layerEdits);
+
+                        if(batchEdits.adds.length > 0) {
+                            layerEdit.adds = batchEdits.adds.map(function(add){ return add.toJson(); });
+                        }
+                        if(batchEdits.updates.length > 0) {
+                            layerEdit.updates = batchEdits.updates.map(function(update){ return update.toJson(); });
+                        }
+                        if(batchEdits.deletes.length > 0) {
+                            layerEdit.deletes = batchEdits.deletes.map(function(deleteEdit){
+                                return deleteEdit.attributes[this.DB_UID];
+                            }, this);
+                        }
+                        return layerEdit;
+                    }, this);
+
+                    // Match the behavior of the layer endpoint, where each edit succeeds or fails on its own
+                    var params = "f=json&rollbackOnFailure=false&edits=" + encodeURIComponent(JSON.stringify(edits));
+
+                    var layer = batch.layers[0].layer;
+                    if(layer.hasOwnProperty("credential") && layer.credential){
+                        if(layer.credential.hasOwnProperty("token") && layer.credential.token){
+                            params = params + "&token=" + layer.credential.token;
+                        }
+                    }
+
+                    var url = this.proxyPath ? this.proxyPath + "?" + batch.serviceUrl : batch.serviceUrl;
+
+                    var self = this;
+                    var req = new XMLHttpRequest();
+                    req.open("POST", url + "/applyEdits", true);
+                    req.setRequestHeader("Content-type", "application/x-www-form-urlencoded");
+                    req.onload = function()
+                    {
+                        self._reportRequestResult(true);
+                        if( req.status === 200 && req.responseText !== "")
+                        {
+                            try {
+                                var obj = JSON.parse(this.responseText);
+                                if(obj instanceof Array) {
+                                    callback(obj);
+                                }
+                                else {
+                                    errback(obj.error ? obj.error.message : "Unexpected applyEdits response", req);
+                                }
+                            }
+                            catch(err) {
+                                console.error("FAILED TO PARSE EDIT REQUEST RESPONSE:", req);
+                                errback("Unable to parse xhr response", req);
+                            }
+                        }
+                        else {
+                            errback("xhr error: " + req.status, req);
+                        }
+                    };
+                    req.onerror = function(e)
+                    {
+                        self._reportRequestResult(false);
+                        console.error("_makeServiceEditRequest failed: " + e);
+                        errback(e);
+                    };
+                    req.ontimeout = function() {
+                        self._reportRequestResult(false);
                         errback("xhr timeout error");
                     };
                     req.timeout = this._defaultXhrTimeout;
                     req.send(params);
                 },
 
+                /**
+                 * Returns the status of a failed applyEdits request. This is the HTTP status, or the
+                 * error code in the response body. Network errors and timeouts return 0.
+                 * @param req XMLHttpRequest
+                 * @returns {number}
+                 * @private
+                 */
+                _getErrorStatus: function (req) {
+                    if (!req) {
+                        return 0;
+                    }
+                    if (req.status !== 200) {
+                        return req.status;
+                    }
+                    try {
+                        var obj = JSON.parse(req.responseText);
+                        return obj && obj.error ? obj.error.code : 0;
+                    }
+                    catch (err) {
+                        return 0;
+                    }
+                },
+
+                /**
+                 * Whether a failed request is worth retrying. Timeouts, throttling, expired tokens and
+                 * server errors are transient. Other errors mean the server won't accept the request.
+                 * @param status
+                 * @returns {boolean}
+                 * @private
+                 */
+                _isTransientError: function (status) {
+                    return status === 0 || status === 408 || status === 429 || status === 498 || status === 499 || status >= 500;
+                },
+
+                /**
+                 * Increments the attempt counter of every edit in a batch whose request failed. Edits are
+                 * moved to the dead-letter store if the failure isn't transient, or after RETRY_MAX_ATTEMPTS.
+                 * @param batch
+                 * @param message
+                 * @param req
+                 * @returns {promise}
+                 * @private
+                 */
+                _recordFailedBatch: function (batch, message, req) {
+                    var status = this._getErrorStatus(req);
+                    var transient = this._isTransientError(status);
+                    var error = {code: status, description: typeof message === "string" ? message : "Network error"};
+                    var promises = [];
+
+                    batch.layers.forEach(function (layerEdits) {
+                        layerEdits.items.forEach(function (item) {
+                            var dfd = new Deferred();
+                            promises.push(dfd.promise);
+
+                            this._editStore.recordEditAttempt(item.edit.id, error, function (success, edit) {
+                                if (success && (!transient || edit.attempts >= this.RETRY_MAX_ATTEMPTS)) {
+                                    this._deadLetterEdit(layerEdits.layer, edit, error).then(function () {
+                                        dfd.resolve();
+                                    });
+                                }
+                                else {
+                                    this._retryNeeded = this._retryNeeded || success;
+                                    dfd.resolve();
+                                }
+                            }.bind(this));
+                        }, this);
+                    }, this);
+
+                    return all(promises);
+                },
+
+                /**
+                 * Moves a pending edit into the dead-letter store, removes its phantom graphic and
+                 * emits EDITS_DEAD_LETTERED.
+                 * @param layer
+                 * @param edit
+                 * @param error {code, description}
+                 * @returns {promise}
+                 * @private
+                 */
+                _deadLetterEdit: function (layer, edit, error) {
+                    var dfd = new Deferred();
+
+                    this._editStore.moveToDeadLetter(edit.id, error, function (success, record) {
+                        if (!success) {
+                            console.error("OfflineEditAdvanced unable to dead-letter edit " + edit.id + ": " + record);
+                            return dfd.resolve();
+                        }
+
+                        // The edit's id is the layer url followed by the feature's objectid
+                        var phantomId = this._editStore.PHANTOM_GRAPHIC_PREFIX + this._editStore._PHANTOM_PREFIX_TOKEN + edit.id.substring(edit.layer.length + 1);
+                        this._editStore.deletePhantomGraphic(phantomId, function () {
+                            this.emit(this.events.EDITS_DEAD_LETTERED, {edit: record, layer: layer.url});
+                            dfd.resolve();
+                        }.bind(this));
+                    }.bind(this));
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * Schedules another goOnline() if the last sync failed in a way that can be retried.
+                 * The delay doubles after each retry, up to RETRY_MAX_DELAY.
+                 * @private
+                 */
+                _scheduleRetry: function () {
+                    if (!this.ENABLE_RETRY || !this._retryNeeded) {
+                        this._retryCount = 0;
+                        return;
+                    }
+
+                    if (this._retryCount >= this.RETRY_MAX_ATTEMPTS) {
+                        console.log("OfflineEditAdvanced giving up on retries");
+                        this._retryCount = 0;
+                        return;
+                    }
+
+                    var delay = Math.min(this.RETRY_DELAY * Math.pow(2, this._retryCount), this.RETRY_MAX_DELAY);
+                    this._retryCount++;
+
+                    this._retryTimer = setTimeout(function () {
+                        this._retryTimer = null;
+                        if (this._onlineStatus === this.ONLINE) {
+                            this.goOnline();
+                        }
+                    }.bind(this), delay);
+
+                    this.emit(this.events.EDITS_RETRY_SCHEDULED, {attempt: this._retryCount, delay: delay});
+                },
+
+                /**
+                 * What the service worker needs to replay the edits without the page
+                 * @returns {Object}
+                 * @private
+                 */
+                _getBackgroundSyncConfig: function () {
+                    var layers = {};
+                    for (var url in this._featureLayers) {
+                        if (this._featureLayers.hasOwnProperty(url)) {
+                            var credential = this._featureLayers[url].credential;
+                            layers[url] = credential && credential.token ? credential.token : null;
+                        }
+                    }
+
+                    return {
+                        dbName: this.DB_NAME,
+                        objectStoreName: this.DB_OBJECTSTORE_NAME,
+                        objectId: this.DB_UID,
+                        attachmentsDbName: this.attachmentsStore ? this.ATTACHMENTS_DB_NAME : null,
+                        attachmentsObjectStoreName: this.ATTACHMENTS_DB_OBJECTSTORE_NAME,
+                        // the worker resolves relative URLs against its own location
+                        proxyPath: this.proxyPath ? new window.URL(this.proxyPath, window.location.href).href : null,
+                        batchSize: this.REPLAY_BATCH_SIZE,
+                        layers: layers
+                    };
+                },
+
+                _listenForBackgroundSync: function () {
+                    if (this._backgroundSyncListener) {
+                        return;
+                    }
+
+                    this._backgroundSyncListener = function (event) {
+                        var data = event.data;
+                        if (data && data.type === "offline-edit-sync-result" && data.dbName === this.DB_NAME) {
+                            this._onBackgroundSyncResult(data.result);
+                        }
+                    }.bind(this);
+
+                    window.navigator.serviceWorker.addEventListener("message", this._backgroundSyncListener);
+                },
+
+                /**
+                 * Brings the layers up to date with the edits the service worker sent: phantom graphics are removed
+                 * and new features get the objectId the server assigned. Then emits the same events as goOnline().
+                 * @param result {success, responses, retry, error} from O.esri.Edit.BackgroundSync
+                 * @private
+                 */
+                _onBackgroundSyncResult: function (result) {
+                    var responses = {};
+
+                    result.responses.forEach(function (response, index) {
+                        responses[index] = response;
+
+                        var layer = this._featureLayers[response.layer];
+                        var editResult = response.addResults.concat(response.updateResults, response.deleteResults)[0];
+                        if (!layer || !editResult || !editResult.success) {
+                            return;
+                        }
+
+                        var objectId = response.tempId.length > 0 ? response.tempId[0] : editResult.objectId;
+                        layer._restorePhantomGraphic(objectId, null, function () {});
+
+                        if (response.addResults.length > 0) {
+                            for (var i = 0; i < layer.graphics.length; i++) {
+                                var attributes = layer.graphics[i].attributes;
+                                if (attributes && attributes[layer.objectIdField] === objectId) {
+                                    attributes[layer.objectIdField] = editResult.objectId;
+                                    if (this._esriFieldTypeOID) {
+                                        attributes[this._esriFieldTypeOID] = editResult.objectId;
+                                    }
+                                    break;
+                                }
+                            }
+                        }
+                    }, this);
+
+                    if (!result.success) {
+                        this.emit(this.events.EDITS_SENT_ERROR, {msg: result.error || "Not all edits synced", respones: responses});
+                    }
+                    else if (result.responses.length > 0) {
+                        this.emit(this.events.ALL_EDITS_SENT, responses);
+                    }
+                },
+
+                /**
+                 * Runs fn while holding the lock that O.esri.Edit.BackgroundSync takes, so that the page and
+                 * the service worker never send the same edits. fn must call release() when it is done.
+                 * Without ENABLE_BACKGROUND_SYNC, or the Web Locks API, fn runs straight away.
+                 * @param fn function(release)
+                 * @private
+                 */
+                _withSyncLock: function (fn) {
+                    var locks = window.navigator.locks;
+                    if (!this.ENABLE_BACKGROUND_SYNC || !locks) {
+                        return fn(function () {});
+                    }
+
+                    locks.request(this._BACKGROUND_SYNC_TAG + "/" + this.DB_NAME, function () {
+                        var dfd = new Deferred();
+                        fn(function () {
+                            dfd.resolve();
+                        });
+                        return dfd.promise;
+                    });
+                },
+
+                /**
+                 * Goes offline straight away, but waits AUTO_SYNC_DELAY before going online
+                 * so that a flapping connection doesn't start a sync each time it comes back.
+                 * @param online
+                 * @param reason "browser", "heartbeat" or "requests"
+                 * @private
+                 */
+                _onConnectivityChange: function (online, reason) {
+                    this.emit(this.events.CONNECTIVITY_CHANGED, {online: online, reason: reason});
+
+                    if (!this.AUTO_SYNC) {
+                        return;
+                    }
+
+                    clearTimeout(this._autoSyncTimer);
+                    this._autoSyncTimer = null;
+
+                    if (!online) {
+                        if (this._sync) {
+                            this._cancelSync(this._sync);
+                        }
+                        else {
+                            this.goOffline();
+                        }
+                        return;
+                    }
+
+                    this._autoSyncTimer = setTimeout(function () {
+                        this._autoSyncTimer = null;
+                        if (this._connectivityMonitor.online && this._onlineStatus === this.OFFLINE) {
+                            this.goOnline();
+                        }
+                    }.bind(this), this.AUTO_SYNC_DELAY);
+                },
+
+                /**
+                 * The heartbeat asks the first extended layer for its description.
+                 * Respects proxyPath and the layer's token.
+                 * @returns {string} or null if no layer has been extended
+                 * @private
+                 */
+                _getHeartbeatUrl: function () {
+                    var layer = null;
+                    for (var url in this._featureLayers) {
+                        if (this._featureLayers.hasOwnProperty(url) && this._featureLayers[url].url) {
+                            layer = this._featureLayers[url];
+                            break;
+                        }
+                    }
+                    if (!layer) {
+                        return null;
+                    }
+
+                    var params = "f=json";
+
+                    if(layer.hasOwnProperty("credential") && layer.credential){
+                        if(layer.credential.hasOwnProperty("token") && layer.credential.token){
+                            params = params + "&token=" + layer.credential.token;
+                        }
+                    }
+
+                    return this.proxyPath ? this.proxyPath + "?" + layer.url + "?" + params : layer.url + "?" + params;
+                },
+
+                /**
+                 * Feeds the connectivity monitor. A request was answered, or it failed with a network error or timeout.
+                 * @param answered
+                 * @private
+                 */
+                _reportRequestResult: function (answered) {
+                    var monitor = this._connectivityMonitor;
+                    if (!monitor || !monitor.running) {
+                        return;
+                    }
+                    if (answered) {
+                        monitor.reportSuccess();
+                    }
+                    else {
+                        monitor.reportFailure();
+                    }
+                },
+
+                /**
+                 * Cancels a scheduled retry
+                 * @private
+                 */
+                _cancelRetry: function () {
+                    if (this._retryTimer) {
+                        clearTimeout(this._retryTimer);
+                        this._retryTimer = null;
+                    }
+                },
+
                 /**
                  * Parses the respones related to going back online and cleaning up the database.
                  * @param responses
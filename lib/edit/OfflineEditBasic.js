@@ -33,10 +33,23 @@ define([
                 RECONNECTING: "reconnecting",   // sending stored edits to the server
                 proxyPath: null,                // by default we use CORS and therefore proxyPath is null
 
+                REPLAY_BATCH_SIZE: 100,         // Maximum number of stored edits sent in a single applyEdits request.
+                ENABLE_SERVICE_APPLYEDITS: false, // Set this to true to send the edits of all layers in the same feature
+                                                  // service together to the service's applyEdits endpoint.
+                REPLAY_MODE: "concurrent",      // A REPLAY_MODES value. Controls the order in which stored edits are sent.
+
+                // How stored edits are sent when going online
+                REPLAY_MODES: {
+                    CONCURRENT: "concurrent",   // all requests are sent at once
+                    SEQUENTIAL: "sequential"    // edits are sent in the order they were made. Stops at the first failure.
+                },
+
                 // Database properties
                 DB_NAME: "features_store",      // Sets the database name.
                 DB_OBJECTSTORE_NAME: "features",// Represents an object store that allows access to a set of data in the IndexedDB database
                 DB_UID: "objectid",        // Set this based on the unique identifier is set up in the feature service
+                DB_STORAGE: null,          // Storage adapter for the edits database. Defaults to O.esri.Edit.IndexedDBStorage.
+                                           // Use O.esri.Edit.MemoryStorage or O.esri.Edit.LocalStorage where IndexedDB is blocked.
 
                 // manager emits event when...
                 events: {
@@ -590,6 +603,9 @@ define([
                     editStore.dbName = this.DB_NAME;
                     editStore.objectStoreName = this.DB_OBJECTSTORE_NAME;
                     editStore.objectId = this.DB_UID;
+                    if (this.DB_STORAGE) {
+                        editStore.storage = this.DB_STORAGE;
+                    }
 
                     // Attempt to initialize the database
                     editStore.init(function (result, error) {
@@ -617,72 +633,40 @@ define([
                  * @private
                  */
                 _replayStoredEdits: function (callback) {
-                    var promises = {};
                     var that = this;
-
-                    //
-                    // send edits for each of the layers
-                    //
-                    var layer;
-                    var adds = [], updates = [], deletes = [];
-                    var tempObjectIds = [];
-                    var tempArray = [];
                     var featureLayers = this._featureLayers;
 
-                    var editStore = this._editStore;
-
                     this._editStore.getAllEditsArray(function (result, err) {
                         if (result.length > 0) {
-                            tempArray = result;
-
-                            var length = tempArray.length;
-
-                            for (var n = 0; n < length; n++) {
-                                layer = featureLayers[tempArray[n].layer];
-                                layer.__onEditsComplete = layer.onEditsComplete;
-                                layer.onEditsComplete = function () {
-                                    console.log("intercepting events onEditsComplete");
-                                };
-
-                                // Let's zero everything out
-                                adds = [], updates = [], deletes = [], tempObjectIds = [];
-
-                                // IMPORTANT: reconstitute the graphic JSON into an actual esri.Graphic object
-                                // NOTE: we are only sending one Graphic per loop!
-                                var graphic = new Graphic(tempArray[n].graphic);
-
-                                switch (tempArray[n].operation) {
-                                    case editStore.ADD:
-                                        for (var i = 0; i < layer.graphics.length; i++) {
-                                            var g = layer.graphics[i];
-                                            if (g.attributes[layer.objectIdField] === graphic.attributes[layer.objectIdField]) {
-                                                layer.remove(g);
-                                                break;
-                                            }
-                                        }
-                                        tempObjectIds.push(graphic.attributes[layer.objectIdField]);
-                                        delete graphic.attributes[layer.objectIdField];
-                                        adds.push(graphic);
-                                        break;
-                                    case editStore.UPDATE:
-                                        updates.push(graphic);
-                                        break;
-                                    case editStore.DELETE:
-                                        deletes.push(graphic);
-                                        break;
+
+                            result.forEach(function (edit) {
+                                var layer = featureLayers[edit.layer];
+                                if (!layer.hasOwnProperty("__onEditsComplete")) {
+                                    layer.__onEditsComplete = layer.onEditsComplete;
+                                    layer.onEditsComplete = function () {
+                                        console.log("intercepting events onEditsComplete");
+                                    };
                                 }
+                            });
 
-                                // Note: when the feature layer is created with a feature collection we have to handle applyEdits() differently
-                                // TO-DO rename this method.
-                                promises[n] = that._internalApplyEditsAll(layer, tempArray[n].id, tempObjectIds, adds, updates, deletes);
-                            }
+                            // Edits are grouped by layer (or by service) and sent REPLAY_BATCH_SIZE at a time
+                            var batches = that._createReplayBatches(result);
 
                             // wait for all requests to finish
                             // responses contain {id,layer,tempId,addResults,updateResults,deleteResults}
-                            var allPromises = all(promises);
-                            allPromises.then(
-                                function (responses) {
+                            // In SEQUENTIAL mode, edits after a failed edit are not sent and stay in the database.
+                            that._sendReplayBatches(batches).then(
+                                function (sent) {
                                     console.log("OfflineEditBasic sync - all responses are back");
+
+                                    // There is one response per stored edit that was sent, in the same order as the edits
+                                    var responses = {};
+                                    sent.batchResponses.forEach(function (batchResponse) {
+                                        batchResponse.forEach(function (response) {
+                                            responses[response.index] = response.response;
+                                        });
+                                    });
+
                                     callback(true, responses);
                                 },
                                 function (errors) {
@@ -699,6 +683,183 @@ define([
                     });
                 },
 
+                /**
+                 * Groups stored edits into the batches that will be sent to the server. Each batch holds
+                 * at most REPLAY_BATCH_SIZE edits. If ENABLE_SERVICE_APPLYEDITS is true, edits for
+                 * different layers of the same feature service share a batch.
+                 *
+                 * In SEQUENTIAL mode a batch only holds consecutive edits, and only in an order that the server
+                 * will apply them in (adds, then updates, then deletes for each layer).
+                 * @param edits Array of edits from the database, in the order they were made
+                 * @returns {Array} [{serviceUrl: String or null, layers: [{layer, layerId, items: [{index, edit, graphic, tempId}]}]}]
+                 * @private
+                 */
+                _createReplayBatches: function (edits) {
+                    var batches = [];
+                    var openBatches = {};
+                    var batchSize = this.REPLAY_BATCH_SIZE > 0 ? this.REPLAY_BATCH_SIZE : 1;
+                    var sequential = this.REPLAY_MODE === this.REPLAY_MODES.SEQUENTIAL;
+
+                    edits.forEach(function (edit, index) {
+                        var layer = this._featureLayers[edit.layer];
+                        var serviceInfo = this.ENABLE_SERVICE_APPLYEDITS ? this._getServiceInfo(layer.url) : null;
+                        var key = serviceInfo ? serviceInfo.serviceUrl : layer.url;
+
+                        var batch = sequential ? (batches.length > 0 && batches[batches.length - 1].key === key ? batches[batches.length - 1] : null) : openBatches[key];
+                        if (!batch || batch.count >= batchSize || (sequential && !this._canAppendInOrder(batch, layer, edit))) {
+                            batch = {key: key, serviceUrl: serviceInfo ? serviceInfo.serviceUrl : null, layers: [], count: 0};
+                            openBatches[key] = batch;
+                            batches.push(batch);
+                        }
+
+                        var layerEdits = null;
+                        for (var i = 0; i < batch.layers.length; i++) {
+                            if (batch.layers[i].layer === layer) {
+                                layerEdits = batch.layers[i];
+                            }
+                        }
+                        if (!layerEdits) {
+                            layerEdits = {layer: layer, layerId: serviceInfo ? serviceInfo.layerId : null, items: []};
+                            batch.layers.push(layerEdits);
+                        }
+
+                        batch.count++;
+                        layerEdits.items.push(this._prepareReplayItem(layer, edit, index));
+                    }, this);
+
+                    return batches;
+                },
+
+                /**
+                 * Whether an edit can be added to the end of a batch without the server applying it
+                 * before an edit that was made earlier.
+                 * @param batch
+                 * @param layer
+                 * @param edit
+                 * @returns {boolean}
+                 * @private
+                 */
+                _canAppendInOrder: function (batch, layer, edit) {
+                    var rank = [this._editStore.ADD, this._editStore.UPDATE, this._editStore.DELETE];
+                    var last = batch.layers[batch.layers.length - 1];
+                    var i;
+
+                    if (last.layer !== layer) {
+                        // A layer can only appear once in a request
+                        for (i = 0; i < batch.layers.length; i++) {
+                            if (batch.layers[i].layer === layer) {
+                                return false;
+                            }
+                        }
+                        return true;
+                    }
+
+                    var lastEdit = last.items[last.items.length - 1].edit;
+                    return rank.indexOf(edit.operation) >= rank.indexOf(lastEdit.operation);
+                },
+
+                /**
+                 * Sends batches to the server. In SEQUENTIAL mode each batch waits for the previous one,
+                 * and if any edit in a batch fails the remaining batches are not sent.
+                 * @param batches
+                 * @returns {promise} resolves with {batchResponses: Array, halted: [edit ids]}
+                 * @private
+                 */
+                _sendReplayBatches: function (batches) {
+                    var dfd = new Deferred();
+                    var batchResponses = [];
+
+                    if (this.REPLAY_MODE !== this.REPLAY_MODES.SEQUENTIAL) {
+                        all(batches.map(function (batch) {
+                            return this._internalApplyEditsBatch(batch);
+                        }, this)).then(function (responses) {
+                            dfd.resolve({batchResponses: responses, halted: []});
+                        }, function (error) {
+                            dfd.reject(error);
+                        });
+                        return dfd.promise;
+                    }
+
+                    var sendNext = function (n) {
+                        if (n === batches.length) {
+                            dfd.resolve({batchResponses: batchResponses, halted: []});
+                            return;
+                        }
+
+                        this._internalApplyEditsBatch(batches[n]).then(function (responses) {
+                            batchResponses.push(responses);
+
+                            var failed = responses.some(function (response) {
+                                var results = response.response.addResults.concat(response.response.updateResults, response.response.deleteResults);
+                                return results.length === 0 || results.some(function (result) {
+                                    return !result.success;
+                                });
+                            });
+
+                            if (failed) {
+                                // Later edits may depend on the one that failed, so they stay in the database
+                                var halted = [];
+                                batches.slice(n + 1).forEach(function (batch) {
+                                    batch.layers.forEach(function (layerEdits) {
+                                        layerEdits.items.forEach(function (item) {
+                                            halted.push(item.edit.id);
+                                        });
+                                    });
+                                });
+                                dfd.resolve({batchResponses: batchResponses, halted: halted});
+                            }
+                            else {
+                                sendNext(n + 1);
+                            }
+                        }, function (error) {
+                            dfd.reject(error);
+                        });
+                    }.bind(this);
+
+                    sendNext(0);
+
+                    return dfd.promise;
+                },
+
+                /**
+                 * Reconstitutes a stored edit into the esri.Graphic that is sent to the server.
+                 * @param layer
+                 * @param edit
+                 * @param index Position of the edit in the replay
+                 * @returns {{index: number, edit: Object, graphic: Graphic, tempId: *}}
+                 * @private
+                 */
+                _prepareReplayItem: function (layer, edit, index) {
+                    // IMPORTANT: reconstitute the graphic JSON into an actual esri.Graphic object
+                    var graphic = new Graphic(edit.graphic);
+                    var tempId = null;
+
+                    if (edit.operation === this._editStore.ADD) {
+                        for (var i = 0; i < layer.graphics.length; i++) {
+                            var g = layer.graphics[i];
+                            if (g.attributes[layer.objectIdField] === graphic.attributes[layer.objectIdField]) {
+                                layer.remove(g);
+                                break;
+                            }
+                        }
+                        tempId = graphic.attributes[layer.objectIdField];
+                        delete graphic.attributes[layer.objectIdField];
+                    }
+
+                    return {index: index, edit: edit, graphic: graphic, tempId: tempId};
+                },
+
+                /**
+                 * Splits a layer URL such as ".../FeatureServer/0" into the service URL and layer id.
+                 * @param url
+                 * @returns {Object} {serviceUrl: String, layerId: number} or null if the URL doesn't end with a layer id
+                 * @private
+                 */
+                _getServiceInfo: function (url) {
+                    var match = /^(.+)\/(\d+)\/?$/.exec(url || "");
+                    return match ? {serviceUrl: match[1], layerId: parseInt(match[2], 10)} : null;
+                },
+
                 /**
                  * DEPRECATED as of v2.11 -
                  * TO-DO remove in next release
@@ -804,8 +965,8 @@ define([
                 },
 
                 /**
-                 * Applies edits. This works with both standard feature layers and when a feature layer is created
-                 * using a feature collection.
+                 * Sends a batch of edits in a single request. This works with both standard feature layers and
+                 * when a feature layer is created using a feature collection.
                  *
                  * This works around specific behaviors in esri.layers.FeatureLayer when using the pattern
                  * new FeatureLayer(featureCollectionObject).
@@ -813,83 +974,194 @@ define([
                  * Details on the specific behaviors can be found here:
                  * https://developers.arcgis.com/javascript/jsapi/featurelayer-amd.html#featurelayer2
                  *
-                 * @param layer
-                 * @param id
-                 * @param tempObjectIds
-                 * @param adds
-                 * @param updates
-                 * @param deletes
-                 * @returns {*|r}
+                 * @param batch A batch created by _createReplayBatches()
+                 * @returns {promise} resolves with an array of {index, response}, one for each edit in the batch
                  * @private
                  */
-                _internalApplyEditsAll: function (layer, id, tempObjectIds, adds, updates, deletes) {
+                _internalApplyEditsBatch: function (batch) {
                     var that = this;
                     var dfd = new Deferred();
 
-                    this._makeEditRequest(layer, adds, updates, deletes,
-                        function (addResults, updateResults, deleteResults) {
+                    var onError = function (error) {
+                        batch.layers.forEach(function (layerEdits) {
+                            var layer = layerEdits.layer;
+                            if (layer.hasOwnProperty("__onEditsComplete")) {
+                                layer.onEditsComplete = layer.__onEditsComplete;
+                                delete layer.__onEditsComplete;
+                            }
+                        });
 
-                            // addResults present a special case for handling objectid
-                            if(addResults.length > 0) {
+                        dfd.reject(error);
+                    };
 
-                                var objectid = "";
+                    var onResults = function (layerResults) {
+                        var promises = batch.layers.map(function (layerEdits, i) {
+                            return that._processBatchResults(layerEdits, layerResults[i]);
+                        });
 
-                                if(addResults[0].hasOwnProperty("objectid")){
-                                    objectid = "objectid";
-                                }
+                        all(promises).then(function (results) {
+                            dfd.resolve(Array.prototype.concat.apply([], results));
+                        });
+                    };
 
-                                if(addResults[0].hasOwnProperty("objectId")){
-                                    objectid = "objectId";
+                    if (batch.serviceUrl) {
+                        this._makeServiceEditRequest(batch, function (results) {
+                            onResults(batch.layers.map(function (layerEdits) {
+                                for (var i = 0; i < results.length; i++) {
+                                    if (results[i].id === layerEdits.layerId) {
+                                        return results[i];
+                                    }
                                 }
+                                return {addResults: [], updateResults: [], deleteResults: []};
+                            }));
+                        }, onError);
+                    }
+                    else {
+                        var layerEdits = batch.layers[0];
+                        var edits = this._getBatchEdits(layerEdits);
 
-                                if(addResults[0].hasOwnProperty("OBJECTID")){
-                                    objectid = "OBJECTID";
-                                }
+                        this._makeEditRequest(layerEdits.layer, edits.adds, edits.updates, edits.deletes,
+                            function (addResults, updateResults, deleteResults) {
+                                onResults([{addResults: addResults, updateResults: updateResults, deleteResults: deleteResults}]);
+                            }, onError);
+                    }
 
-                                // ??? These are the most common objectid values. I may have missed some!
+                    return dfd.promise;
+                },
 
-                                // Some feature layers will return different casing such as: 'objectid', 'objectId' and 'OBJECTID'
-                                // Normalize these values to the feature type OID so that we don't break other aspects
-                                // of the JS API.
-                                adds[0].attributes[that._esriFieldTypeOID] = addResults[0][objectid];
-                                var graphic = new Graphic(adds[0].geometry,null,adds[0].attributes);
-                                layer.add(graphic);
-                            }
+                /**
+                 * Returns the adds, updates and deletes of one layer in a batch. The order matches the
+                 * order of the results returned by the server.
+                 * @param layerEdits
+                 * @returns {{adds: Array, updates: Array, deletes: Array}}
+                 * @private
+                 */
+                _getBatchEdits: function (layerEdits) {
+                    var edits = {adds: [], updates: [], deletes: []};
+
+                    layerEdits.items.forEach(function (item) {
+                        switch (item.edit.operation) {
+                            case this._editStore.ADD:
+                                edits.adds.push(item.graphic);
+                                break;
+                            case this._editStore.UPDATE:
+                                edits.updates.push(item.graphic);
+                                break;
+                            case this._editStore.DELETE:
+                                edits.deletes.push(item.graphic);
+                                break;
+                        }
+                    }, this);
 
-                            that._cleanDatabase(layer, tempObjectIds, addResults, updateResults, deleteResults).then(function(results){
-                                dfd.resolve({
-                                    id: id,
-                                    layer: layer.url,
-                                    tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
-                                    addResults: addResults,
-                                    updateResults: updateResults,
-                                    deleteResults: deleteResults,
-                                    databaseResults: results,
-                                    databaseErrors: null,
-                                    syncError: null
-                                });
-                            }, function(error) {
-                                dfd.resolve({
-                                    id: id,
-                                    layer: layer.url,
-                                    tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
-                                    addResults: addResults,
-                                    updateResults: updateResults,
-                                    deleteResults: deleteResults,
-                                    databaseResults: null,
-                                    databaseErrors: error,
-                                    syncError: error
-                                });
-                            });
+                    return edits;
+                },
 
-                        },
-                        function (error) {
-                            layer.onEditsComplete = layer.__onEditsComplete;
-                            delete layer.__onEditsComplete;
+                /**
+                 * Maps the results of one layer in a batch back to each of its stored edits, then cleans up
+                 * the database and the layer's graphics.
+                 * @param layerEdits
+                 * @param results {addResults, updateResults, deleteResults}
+                 * @returns {promise} resolves with an array of {index, response}
+                 * @private
+                 */
+                _processBatchResults: function (layerEdits, results) {
+                    var layer = layerEdits.layer;
+                    var addResults = results.addResults || [], updateResults = results.updateResults || [], deleteResults = results.deleteResults || [];
+                    var a = 0, u = 0, d = 0;
+                    var promises = [];
+
+                    layerEdits.items.forEach(function (item) {
+                        var addResult = [], updateResult = [], deleteResult = [];
+
+                        switch (item.edit.operation) {
+                            case this._editStore.ADD:
+                                addResult = addResults[a] ? [addResults[a]] : [];
+                                a++;
+                                break;
+                            case this._editStore.UPDATE:
+                                updateResult = updateResults[u] ? [updateResults[u]] : [];
+                                u++;
+                                break;
+                            case this._editStore.DELETE:
+                                deleteResult = deleteResults[d] ? [deleteResults[d]] : [];
+                                d++;
+                                break;
+                        }
 
-                            dfd.reject(error);
+                        promises.push(this._processEditResult(layer, item, addResult, updateResult, deleteResult));
+                    }, this);
+
+                    return all(promises);
+                },
+
+                /**
+                 * Handles the server's result for a single stored edit.
+                 * @param layer
+                 * @param item
+                 * @param addResults
+                 * @param updateResults
+                 * @param deleteResults
+                 * @returns {promise} resolves with {index, response}
+                 * @private
+                 */
+                _processEditResult: function (layer, item, addResults, updateResults, deleteResults) {
+                    var that = this;
+                    var dfd = new Deferred();
+                    var id = item.edit.id;
+                    var tempObjectIds = item.tempId !== null ? [item.tempId] : [];
+
+                    // addResults present a special case for handling objectid
+                    if(addResults.length > 0) {
+                        var objectid = "";
+
+                        if(addResults[0].hasOwnProperty("objectid")){
+                            objectid = "objectid";
+                        }
+
+                        if(addResults[0].hasOwnProperty("objectId")){
+                            objectid = "objectId";
                         }
-                    );
+
+                        if(addResults[0].hasOwnProperty("OBJECTID")){
+                            objectid = "OBJECTID";
+                        }
+
+                        // ??? These are the most common objectid values. I may have missed some!
+
+                        // Some feature layers will return different casing such as: 'objectid', 'objectId' and 'OBJECTID'
+                        // Normalize these values to the feature type OID so that we don't break other aspects
+                        // of the JS API.
+                        item.graphic.attributes[that._esriFieldTypeOID] = addResults[0][objectid];
+                        var graphic = new Graphic(item.graphic.geometry,null,item.graphic.attributes);
+                        layer.add(graphic);
+                    }
+
+                    that._cleanDatabase(layer, tempObjectIds, addResults, updateResults, deleteResults).then(function(results){
+                        dfd.resolve({index: item.index, response: {
+                            id: id,
+                            layer: layer.url,
+                            tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
+                            addResults: addResults,
+                            updateResults: updateResults,
+                            deleteResults: deleteResults,
+                            databaseResults: results,
+                            databaseErrors: null,
+                            syncError: null
+                        }});
+                    }, function(error) {
+                        dfd.resolve({index: item.index, response: {
+                            id: id,
+                            layer: layer.url,
+                            tempId: tempObjectIds, // let's us internally match an ADD to it's new ObjectId
+                            addResults: addResults,
+                            updateResults: updateResults,
+                            deleteResults: deleteResults,
+                            databaseResults: null,
+                            databaseErrors: error,
+                            syncError: error
+                        }});
+                    });
+
                     return dfd.promise;
                 },
 
@@ -951,7 +1223,8 @@ define([
                  */
                 _makeEditRequest: function(layer,adds, updates, deletes, callback, errback) {
 
-                    var f = "f=json", a = "", u = "", d = "";
+                    // Without rollbackOnFailure=false one rejected edit would fail the whole batch
+                    var f = "f=json&rollbackOnFailure=false", a = "", u = "", d = "";
 
                     if(adds.length > 0) {
                         array.forEach(adds, function(add){
@@ -970,8 +1243,10 @@ define([
                         u = "&updates=" + encodeURIComponent(JSON.stringify(updates));
                     }
                     if(deletes.length > 0) {
-                        var id = deletes[0].attributes[this.DB_UID];
-                        d = "&deletes=" + id;
+                        var ids = deletes.map(function(deleteEdit){
+                            return deleteEdit.attributes[this.DB_UID];
+                        }, this);
+                        d = "&deletes=" + ids.join(",");
                     }
 
                     var params = f + a + u + d;
@@ -1016,6 +1291,81 @@ define([
                     req.send(params);
                 },
 
+                /**
+                 * Sends the edits of several layers of the same feature service in a single request
+                 * to the service's applyEdits endpoint.
+                 * @param batch A batch created by _createReplayBatches()
+                 * @param callback callback([{id, addResults, updateResults, deleteResults}])
+                 * @param errback
+                 * @private
+                 */
+                _makeServiceEditRequest: function(batch, callback, errback) {
+
+                    var edits = batch.layers.map(function(layerEdits){
+                        var layerEdit = {id: layerEdits.layerId};
+                        var batchEdits = this._getBatchEdits(layerEdits);
+
+                        if(batchEdits.adds.length > 0) {
+                            layerEdit.adds = batchEdits.adds.map(function(add){ return add.toJson(); });
+                        }
+                        if(batchEdits.updates.length > 0) {
+                            layerEdit.updates = batchEdits.updates.map(function(update){ return update.toJson(); });
+                        }
+                        if(batchEdits.deletes.length > 0) {
+                            layerEdit.deletes = batchEdits.deletes.map(function(deleteEdit){
+                                return deleteEdit.attributes[this.DB_UID];
+                            }, this);
+                        }
+                        return layerEdit;
+                    }, this);
+
+                    // Match the behavior of the layer endpoint, where each edit succeeds or fails on its own
+                    var params = "f=json&rollbackOnFailure=false&edits=" + encodeURIComponent(JSON.stringify(edits));
+
+                    var layer = batch.layers[0].layer;
+                    if(layer.hasOwnProperty("credential") && layer.credential){
+                        if(layer.credential.hasOwnProperty("token") && layer.credential.token){
+                            params = params + "&token=" + layer.credential.token;
+                        }
+                    }
+
+                    var url = this.proxyPath ? this.proxyPath + "?" + batch.serviceUrl : batch.serviceUrl;
+
+                    var req = new XMLHttpRequest();
+                    req.open("POST", url + "/applyEdits", true);
+                    req.setRequestHeader("Content-type", "application/x-www-form-urlencoded");
+                    req.onload = function()
+                    {
+                        if( req.status === 200 && req.responseText !== "")
+                        {
+                            try {
+                                var obj = JSON.parse(this.responseText);
+                                if(obj instanceof Array) {
+                                    callback(obj);
+                                }
+                                else {
+                                    errback(obj.error ? obj.error.message : "Unexpected applyEdits response", req);
+                                }
+                            }
+                            catch(err) {
+                                console.error("FAILED TO PARSE EDIT REQUEST RESPONSE:", req);
+                                errback("Unable to parse xhr response", req);
+                            }
+                        }
+
+                    };
+                    req.onerror = function(e)
+                    {
+                        console.error("_makeServiceEditRequest failed: " + e);
+                        errback(e);
+                    };
+                    req.ontimeout = function() {
+                        errback("xhr timeout error");
+                    };
+                    req.timeout = this._defaultXhrTimeout;
+                    req.send(params);
+                },
+
                 /**
                  * Parses the respones related to going back online and cleaning up the database.
                  * @param responses
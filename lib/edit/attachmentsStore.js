@@ -1,12 +1,16 @@
-/*global IDBKeyRange,indexedDB */
+/*global IDBKeyRange */
 
 O.esri.Edit.AttachmentsStore = function () {
     "use strict";
 
     this._db = null;
+    this._key = null; // CryptoKey of an encrypted database
 
     this.dbName = "attachments_store";
     this.objectStoreName = "attachments";
+    this.keysObjectStoreName = "keys"; // the key-check record of an encrypted database
+    this.encryption = null; // O.esri.Edit.Encryption. Set it before init() to encrypt the attachments at rest
+    this.storage = null; // storage adapter, see storageAdapters.js. Defaults to O.esri.Edit.IndexedDBStorage
 
     this.TYPE = {
         "ADD" : "add",
@@ -14,11 +18,13 @@ O.esri.Edit.AttachmentsStore = function () {
         "DELETE" : "delete"
     };
 
+    this._KEY_CHECK_ID = "key-check";
+
+    // Fields that stay in plain text when attachments are encrypted. The file is rebuilt from the content.
+    this._PLAIN_FIELDS = ["id", "objectId", "type", "featureId", "featureLayerUrl"];
+
     this.isSupported = function () {
-        if (!window.indexedDB) {
-            return false;
-        }
-        return true;
+        return this._getStorage().isSupported();
     };
 
     /**
@@ -59,22 +65,28 @@ O.esri.Edit.AttachmentsStore = function () {
                             file: attachmentFile
                         };
 
-                        var transaction = this._db.transaction([this.objectStoreName], "readwrite");
+                        this._seal(newAttachment, function (success, record) {
+                            if (!success) {
+                                return callback(false, record);
+                            }
 
-                        transaction.oncomplete = function (event) {
-                            callback(true, newAttachment);
-                        };
+                            var transaction = this._db.transaction([this.objectStoreName], "readwrite");
 
-                        transaction.onerror = function (event) {
-                            callback(false, event.target.error.message);
-                        };
+                            transaction.oncomplete = function (event) {
+                                callback(true, newAttachment);
+                            };
 
-                        try {
-                            transaction.objectStore(this.objectStoreName).put(newAttachment);
-                        }
-                        catch(err) {
-                            callback(false, err);
-                        }
+                            transaction.onerror = function (event) {
+                                callback(false, event.target.error.message);
+                            };
+
+                            try {
+                                transaction.objectStore(this.objectStoreName).put(record);
+                            }
+                            catch(err) {
+                                callback(false, err);
+                            }
+                        }.bind(this));
                     }
                     else {
                         callback(false, fileContent);
@@ -103,15 +115,21 @@ O.esri.Edit.AttachmentsStore = function () {
                 callback(false, "not found");
             }
             else {
-                callback(true, result);
+                this._unseal(result, callback);
             }
-        };
+        }.bind(this);
         request.onerror = function (err) {
             console.log(err);
             callback(false, err);
         };
     };
 
+    /**
+     * The getters call back with the attachments, and with the attachments that can't be decrypted
+     * @param featureLayerUrl
+     * @param objectId
+     * @param callback callback(attachments, failed). failed is [{id, objectId, featureId, error}]
+     */
     this.getAttachmentsByFeatureId = function (featureLayerUrl, objectId, callback) {
         console.assert(this._db !== null, "indexeddb not initialized");
 
@@ -119,18 +137,11 @@ O.esri.Edit.AttachmentsStore = function () {
         var attachments = [];
 
         var objectStore = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName);
-        var index = objectStore.index("featureId");
-        var keyRange = IDBKeyRange.only(featureId);
-        index.openCursor(keyRange).onsuccess = function (evt) {
-            var cursor = evt.target.result;
-            if (cursor) {
-                attachments.push(cursor.value);
-                cursor.continue();
-            }
-            else {
-                callback(attachments);
-            }
-        };
+        this._openIndexCursor(objectStore, "featureId", featureId, function (cursor) {
+            attachments.push(cursor.value);
+        }, function () {
+            this._unsealAll(attachments, callback);
+        });
     };
 
     this.getAttachmentsByFeatureLayer = function (featureLayerUrl, callback) {
@@ -139,18 +150,11 @@ O.esri.Edit.AttachmentsStore = function () {
         var attachments = [];
 
         var objectStore = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName);
-        var index = objectStore.index("featureLayerUrl");
-        var keyRange = IDBKeyRange.only(featureLayerUrl);
-        index.openCursor(keyRange).onsuccess = function (evt) {
-            var cursor = evt.target.result;
-            if (cursor) {
-                attachments.push(cursor.value);
-                cursor.continue();
-            }
-            else {
-                callback(attachments);
-            }
-        };
+        this._openIndexCursor(objectStore, "featureLayerUrl", featureLayerUrl, function (cursor) {
+            attachments.push(cursor.value);
+        }, function () {
+            this._unsealAll(attachments, callback);
+        });
     };
 
     this.getAllAttachments = function (callback) {
@@ -166,9 +170,9 @@ O.esri.Edit.AttachmentsStore = function () {
                 cursor.continue();
             }
             else {
-                callback(attachments);
+                this._unsealAll(attachments, callback);
             }
-        };
+        }.bind(this);
     };
 
     this.deleteAttachmentsByFeatureId = function (featureLayerUrl, objectId, callback) {
@@ -177,24 +181,17 @@ O.esri.Edit.AttachmentsStore = function () {
         var featureId = featureLayerUrl + "/" + objectId;
 
         var objectStore = this._db.transaction([this.objectStoreName], "readwrite").objectStore(this.objectStoreName);
-        var index = objectStore.index("featureId");
-        var keyRange = IDBKeyRange.only(featureId);
         var deletedCount = 0;
-        index.openCursor(keyRange).onsuccess = function (evt) {
-            var cursor = evt.target.result;
-            if (cursor) {
-                //var attachment = cursor.value;
-                //this._revokeLocalURL(attachment);
-                objectStore.delete(cursor.primaryKey);
-                deletedCount++;
-                cursor.continue();
-            }
-            else {
-                setTimeout(function () {
-                    callback(deletedCount);
-                }, 0);
-            }
-        }.bind(this);
+        this._openIndexCursor(objectStore, "featureId", featureId, function (cursor) {
+            //var attachment = cursor.value;
+            //this._revokeLocalURL(attachment);
+            objectStore.delete(cursor.primaryKey);
+            deletedCount++;
+        }, function () {
+            setTimeout(function () {
+                callback(deletedCount);
+            }, 0);
+        });
     };
 
     this.delete = function (attachmentId, callback) {
@@ -252,28 +249,20 @@ O.esri.Edit.AttachmentsStore = function () {
         var featureId = featureLayerUrl + "/" + oldId;
 
         var objectStore = this._db.transaction([this.objectStoreName], "readwrite").objectStore(this.objectStoreName);
-        var index = objectStore.index("featureId");
-        var keyRange = IDBKeyRange.only(featureId);
         var replacedCount = 0;
-        index.openCursor(keyRange).onsuccess = function (evt) {
-            var cursor = evt.target.result;
-            if (cursor) {
-                var newFeatureId = featureLayerUrl + "/" + newId;
-                var updated = cursor.value;
-                updated.featureId = newFeatureId;
-                updated.objectId = newId;
-                objectStore.put(updated);
-                replacedCount++;
-                cursor.continue();
-            }
-            else {
-                // If no records match then evt.target.result = null
-                // allow time for all changes to persist...
-                setTimeout(function () {
-                    callback(replacedCount);
-                }, 1);
-            }
-        };
+        this._openIndexCursor(objectStore, "featureId", featureId, function (cursor) {
+            var newFeatureId = featureLayerUrl + "/" + newId;
+            var updated = cursor.value;
+            updated.featureId = newFeatureId;
+            updated.objectId = newId;
+            objectStore.put(updated);
+            replacedCount++;
+        }, function () {
+            // allow time for all changes to persist...
+            setTimeout(function () {
+                callback(replacedCount);
+            }, 1);
+        });
     };
 
     this.getUsage = function (callback) {
@@ -329,8 +318,282 @@ O.esri.Edit.AttachmentsStore = function () {
         };
     };
 
+    /**
+     * Encrypts all attachments with a new key, and stores the new key-check record. Pass null to store the
+     * attachments in plain text again. Use this as well to encrypt the attachments that were stored before
+     * encryption was turned on. Don't add attachments while they are being encrypted. Nothing changes if an
+     * attachment can't be decrypted with the current key.
+     * @param encryption O.esri.Edit.Encryption, or null
+     * @param callback callback(true) or callback(false, error)
+     */
+    this.rotateKey = function (encryption, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        // Attachments are read with the current key, then written with the new one
+        this.getAllAttachments(function (attachments, failed) {
+            // Rewriting the others would leave these encrypted with a key that no longer exists
+            if (failed.length > 0) {
+                return callback(false, "Attachments can't be decrypted: " + failed.map(function (attachment) {
+                    return attachment.id;
+                }).join(", "));
+            }
+
+            var rotate = function (success, result) {
+                if (!success) {
+                    return callback(false, result);
+                }
+
+                var previous = {encryption: this.encryption, key: this._key};
+                var fail = function (error) {
+                    this.encryption = previous.encryption;
+                    this._key = previous.key;
+                    callback(false, error);
+                }.bind(this);
+
+                this.encryption = encryption;
+                this._key = result ? result.key : null;
+
+                this._mapRecords(attachments, this._seal, function (success, records) {
+                    if (!success) {
+                        return fail(records);
+                    }
+
+                    var transaction = this._db.transaction([this.objectStoreName, this.keysObjectStoreName], "readwrite");
+
+                    transaction.oncomplete = function () {
+                        callback(true);
+                    };
+                    transaction.onerror = function (event) {
+                        fail(event.target.error.message);
+                    };
+
+                    var objectStore = transaction.objectStore(this.objectStoreName);
+                    records.forEach(function (record) {
+                        objectStore.put(record);
+                    });
+
+                    var keys = transaction.objectStore(this.keysObjectStoreName);
+                    keys.clear();
+                    if (result) {
+                        result.check.id = this._KEY_CHECK_ID;
+                        keys.put(result.check);
+                    }
+                }.bind(this));
+            }.bind(this);
+
+            if (encryption) {
+                encryption.createKey(rotate);
+            }
+            else {
+                rotate(true, null);
+            }
+        }.bind(this));
+    };
+
     // internal methods
 
+    /**
+     * Returns a copy of the attachment with its name and content encrypted, or the attachment as it is
+     * if the database isn't encrypted
+     * @param attachment
+     * @param callback callback(true, attachment) or callback(false, error)
+     * @private
+     */
+    this._seal = function (attachment, callback) {
+        if (!this._key) {
+            return callback(true, attachment);
+        }
+
+        var copy = {};
+        for (var field in attachment) {
+            if (attachment.hasOwnProperty(field) && field !== "file") {
+                copy[field] = attachment[field];
+            }
+        }
+        this.encryption.seal(this._key, copy, this._PLAIN_FIELDS, callback);
+    };
+
+    /**
+     * Returns a decrypted copy of the attachment, with its file rebuilt from the content
+     * @param attachment
+     * @param callback callback(true, attachment) or callback(false, error)
+     * @private
+     */
+    this._unseal = function (attachment, callback) {
+        if (!this._key || !attachment.sealed) {
+            return callback(true, this._restoreFile(attachment));
+        }
+
+        this.encryption.unseal(this._key, attachment, function (success, result) {
+            if (!success) {
+                return callback(false, result);
+            }
+            callback(true, this._restoreFile(result));
+        }.bind(this));
+    };
+
+    /**
+     * Rebuilds the file of an attachment from its content. Encrypted attachments are stored without their file,
+     * and storage adapters that serialize to JSON, such as O.esri.Edit.MemoryStorage, can't keep it.
+     * @param attachment
+     * @returns {Object} the attachment
+     * @private
+     */
+    this._restoreFile = function (attachment) {
+        if (attachment.file instanceof window.Blob) {
+            return attachment;
+        }
+
+        var content = attachment.content || "";
+        var bytes = new Uint8Array(content.length);
+        for (var i = 0; i < content.length; i++) {
+            bytes[i] = content.charCodeAt(i);
+        }
+        attachment.file = new window.File([bytes], attachment.name, {type: attachment.contentType});
+        return attachment;
+    };
+
+    /**
+     * Calls onRecord(cursor) for each record whose field equals value, then onEnd(). Uses the index of the field
+     * when the storage adapter has indexes, and otherwise scans the object store.
+     * @param objectStore
+     * @param field name of an index of the attachments object store
+     * @param value
+     * @param onRecord function(cursor). The cursor is advanced after it returns.
+     * @param onEnd function()
+     * @private
+     */
+    this._openIndexCursor = function (objectStore, field, value, onRecord, onEnd) {
+        var useIndex = typeof objectStore.index === "function";
+        var request = useIndex ?
+            objectStore.index(field).openCursor(IDBKeyRange.only(value)) :
+            objectStore.openCursor();
+
+        request.onsuccess = function (evt) {
+            var cursor = evt.target.result;
+            if (!cursor) {
+                return onEnd.call(this);
+            }
+            if (useIndex || cursor.value[field] === value) {
+                onRecord.call(this, cursor);
+            }
+            cursor.continue();
+        }.bind(this);
+    };
+
+    /**
+     * Decrypts a list of attachments for the getters. Attachments that can't be decrypted are left out of
+     * the attachments and reported in failed, and stay in the database.
+     * @param attachments
+     * @param callback callback(attachments, failed). failed is [{id, objectId, featureId, error}]
+     * @private
+     */
+    this._unsealAll = function (attachments, callback) {
+        var failed = [];
+
+        this._mapRecords(attachments, function (attachment, done) {
+            this._unseal(attachment, function (success, result) {
+                if (!success) {
+                    console.error("AttachmentsStore: attachment " + attachment.id + " - " + result);
+                    failed.push({id: attachment.id, objectId: attachment.objectId, featureId: attachment.featureId, error: result});
+                }
+                done(true, success ? result : null);
+            });
+        }, function (success, results) {
+            callback(results.filter(function (attachment) {
+                return attachment !== null;
+            }), failed);
+        });
+    };
+
+    /**
+     * Calls fn(record, done) for every record, and callback once they are all done
+     * @param records Array
+     * @param fn function(record, done) that calls done(true, result) or done(false, error)
+     * @param callback callback(true, results) in the order of the records, or callback(false, error) on the first error
+     * @private
+     */
+    this._mapRecords = function (records, fn, callback) {
+        var results = new Array(records.length);
+        var pending = records.length;
+        var failed = false;
+
+        if (pending === 0) {
+            return callback.call(this, true, results);
+        }
+
+        records.forEach(function (record, index) {
+            fn.call(this, record, function (success, result) {
+                if (failed) {
+                    return;
+                }
+                if (!success) {
+                    failed = true;
+                    return callback.call(this, false, result);
+                }
+                results[index] = result;
+                if (--pending === 0) {
+                    callback.call(this, true, results);
+                }
+            }.bind(this));
+        }, this);
+    };
+
+    /**
+     * Gets the key of an encrypted database. Creates the key-check record if the database is encrypted for the first time.
+     * @param callback callback(true) or callback(false, error)
+     * @private
+     */
+    this._initEncryption = function (callback) {
+        var request = this._db.transaction([this.keysObjectStoreName])
+            .objectStore(this.keysObjectStoreName)
+            .get(this._KEY_CHECK_ID);
+
+        request.onsuccess = function () {
+            var check = request.result;
+
+            if (!this.encryption) {
+                return check ? callback(false, "The database is encrypted. Set an encryption key before opening it") : callback(true);
+            }
+            if (!this.encryption.isSupported()) {
+                return callback(false, "WebCrypto is not supported");
+            }
+
+            if (check) {
+                this.encryption.openKey(check, function (success, key) {
+                    if (!success) {
+                        return callback(false, key);
+                    }
+                    this._key = key;
+                    callback(true);
+                }.bind(this));
+                return;
+            }
+
+            this.encryption.createKey(function (success, result) {
+                if (!success) {
+                    return callback(false, result);
+                }
+
+                var transaction = this._db.transaction([this.keysObjectStoreName], "readwrite");
+                transaction.oncomplete = function () {
+                    this._key = result.key;
+                    callback(true);
+                }.bind(this);
+                transaction.onerror = function (event) {
+                    callback(false, event.target.error.message);
+                };
+
+                result.check.id = this._KEY_CHECK_ID;
+                transaction.objectStore(this.keysObjectStoreName).put(result.check);
+            }.bind(this));
+        }.bind(this);
+
+        request.onerror = function (event) {
+            callback(false, event.target.error.message);
+        };
+    };
+
     this._readFile = function (attachmentFile, callback) {
         var reader = new FileReader();
         reader.onload = function (evt) {
@@ -342,6 +605,18 @@ O.esri.Edit.AttachmentsStore = function () {
         reader.readAsBinaryString(attachmentFile);
     };
 
+    /**
+     * Returns the storage adapter, and creates the default IndexedDB adapter if none was set
+     * @returns {Object}
+     * @private
+     */
+    this._getStorage = function () {
+        if (!this.storage) {
+            this.storage = new O.esri.Edit.IndexedDBStorage();
+        }
+        return this.storage;
+    };
+
     // Deprecated @ v2.7
     //this._createLocalURL = function (attachmentFile) {
     //    return window.URL.createObjectURL(attachmentFile);
@@ -354,32 +629,39 @@ O.esri.Edit.AttachmentsStore = function () {
     this.init = function (callback) {
         console.log("init AttachmentStore");
 
-        var request = indexedDB.open(this.dbName, 12);
+        var request = this._getStorage().open(this.dbName, 13);
         callback = callback || function (success) {
             console.log("AttachmentsStore::init() success:", success);
         }.bind(this);
 
         request.onerror = function (event) {
-            console.log("indexedDB error: " + event.target.errorCode);
+            console.log("database error: " + event.target.errorCode);
             callback(false, event.target.errorCode);
         }.bind(this);
 
         request.onupgradeneeded = function (event) {
             var db = event.target.result;
 
-            if (db.objectStoreNames.contains(this.objectStoreName)) {
-                db.deleteObjectStore(this.objectStoreName);
+            // Keep the attachments when only the keys object store is added
+            if (event.oldVersion < 12 || !db.objectStoreNames.contains(this.objectStoreName)) {
+                if (db.objectStoreNames.contains(this.objectStoreName)) {
+                    db.deleteObjectStore(this.objectStoreName);
+                }
+
+                var objectStore = db.createObjectStore(this.objectStoreName, {keyPath: "id"});
+                objectStore.createIndex("featureId", "featureId", {unique: false});
+                objectStore.createIndex("featureLayerUrl", "featureLayerUrl", {unique: false});
             }
 
-            var objectStore = db.createObjectStore(this.objectStoreName, {keyPath: "id"});
-            objectStore.createIndex("featureId", "featureId", {unique: false});
-            objectStore.createIndex("featureLayerUrl", "featureLayerUrl", {unique: false});
+            if (!db.objectStoreNames.contains(this.keysObjectStoreName)) {
+                db.createObjectStore(this.keysObjectStoreName, {keyPath: "id"});
+            }
         }.bind(this);
 
         request.onsuccess = function (event) {
             this._db = event.target.result;
             console.log("database opened successfully");
-            callback(true);
+            this._initEncryption(callback);
         }.bind(this);
     };
 };
@@ -0,0 +1,461 @@
+/*jshint -W030 */
+/*global Promise */
+/**
+ * Replays the edits that OfflineEditAdvanced stored in IndexedDB from a Service Worker, using the Background Sync API.
+ * The browser fires the sync when it is online again, even if the app's tabs were closed.
+ *
+ * Load it into your service worker with the offline-edit-sw build:
+ *
+ *      importScripts("offline-edit-sw-min.js");
+ *      new O.esri.Edit.BackgroundSync().listen(self);
+ *
+ * The page sends the configuration the worker needs, such as the database names, proxyPath and tokens,
+ * each time it registers the sync. The configuration is kept in Cache Storage so that it survives a restart
+ * of the worker, except for the tokens, which are only kept in memory. After the browser stops the worker, the edits of
+ * layers that need a token aren't sent, and the sync fails so that the browser retries it, until the page sends
+ * the configuration again. Results are posted to every open page so that OfflineEditAdvanced
+ * can update its layers and emit ALL_EDITS_SENT or EDITS_SENT_ERROR.
+ *
+ * Encrypted databases can't be replayed here because the key never leaves the page.
+ * @constructor
+ */
+O.esri.Edit.BackgroundSync = function () {
+
+    "use strict";
+
+    this.SYNC_TAG = "offline-edit-sync";
+    this.CONFIG_MESSAGE = "offline-edit-sync-config";
+    this.RESULT_MESSAGE = "offline-edit-sync-result";
+
+    this.storage = null; // storage adapter of the edits and attachments databases, see storageAdapters.js. Defaults to IndexedDB
+
+    this._scope = null;
+    this._tokens = {}; // tokens by layer URL. Never written to Cache Storage
+    this._CONFIG_CACHE = "offline-edit-sync";
+    this._CONFIG_URL = "offline-edit-sync-config.json"; // cache key, relative to the worker's scope
+
+    /**
+     * Adds the message and sync listeners to the service worker
+     * @param scope the ServiceWorkerGlobalScope, i.e. self
+     */
+    this.listen = function (scope) {
+        this._scope = scope;
+
+        scope.addEventListener("message", function (event) {
+            if (event.data && event.data.type === this.CONFIG_MESSAGE) {
+                event.waitUntil(this.saveConfig(event.data.config));
+            }
+        }.bind(this));
+
+        scope.addEventListener("sync", function (event) {
+            if (event.tag === this.SYNC_TAG) {
+                event.waitUntil(this.sync());
+            }
+        }.bind(this));
+    };
+
+    /**
+     * Keeps the configuration sent by the page, so that it is still available after the worker restarts.
+     * The tokens are kept in memory and the stored configuration only lists the layers that need one.
+     * @param config
+     * @returns {Promise}
+     */
+    this.saveConfig = function (config) {
+        var stored = JSON.parse(JSON.stringify(config));
+        stored.securedLayers = [];
+        this._tokens = {};
+
+        for (var url in stored.layers) {
+            if (stored.layers.hasOwnProperty(url) && stored.layers[url]) {
+                this._tokens[url] = stored.layers[url];
+                stored.securedLayers.push(url);
+                stored.layers[url] = null;
+            }
+        }
+
+        return this._scope.caches.open(this._CONFIG_CACHE).then(function (cache) {
+            return cache.put(this._CONFIG_URL, new this._scope.Response(JSON.stringify(stored)));
+        }.bind(this));
+    };
+
+    /**
+     * Layers that need a token the worker no longer has, because it restarted, are left out of config.layers
+     * and listed in config.missingTokens. Their edits wait for the page to register the sync again, or to go online.
+     * @returns {Promise} resolves with the configuration, or null if the page hasn't sent one
+     */
+    this.loadConfig = function () {
+        return this._scope.caches.open(this._CONFIG_CACHE).then(function (cache) {
+            return cache.match(this._CONFIG_URL);
+        }.bind(this)).then(function (response) {
+            return response ? response.json() : null;
+        }).then(function (config) {
+            if (config) {
+                config.missingTokens = [];
+                (config.securedLayers || []).forEach(function (url) {
+                    if (this._tokens[url]) {
+                        config.layers[url] = this._tokens[url];
+                    }
+                    else {
+                        delete config.layers[url];
+                        config.missingTokens.push(url);
+                    }
+                }, this);
+            }
+            return config;
+        }.bind(this));
+    };
+
+    /**
+     * Replays the stored edits and posts the result to the open pages. The returned promise rejects
+     * when the edits should be sent again later, which makes the browser retry the sync. That includes
+     * edits of layers whose token the worker lost when it restarted.
+     * @returns {Promise}
+     */
+    this.sync = function () {
+        return this.loadConfig().then(function (config) {
+            if (!config) {
+                console.log("BackgroundSync: no configuration, the page hasn't registered a sync yet");
+                return null;
+            }
+
+            return this._withLock(config.dbName, function () {
+                return new Promise(function (resolve) {
+                    this.replay(config, resolve);
+                }.bind(this));
+            }.bind(this)).then(function (result) {
+                return this._postResult(config, result).then(function () {
+                    if (result.retry) {
+                        throw new Error(result.error || "Not all edits synced");
+                    }
+                    return result;
+                });
+            }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * Sends the stored edits to their feature layers, one applyEdits request at a time, in the order
+     * the edits were made. Sent edits, and their phantom graphics, are removed from the database, and
+     * attachments of new features get the objectId the server assigned.
+     * Edits of layers listed in config.missingTokens are left in the database and the result asks for a retry.
+     * @param config {dbName, objectStoreName, objectId, attachmentsDbName, attachmentsObjectStoreName,
+     * proxyPath, batchSize, layers: {layerUrl: token}, missingTokens: [layerUrl]}
+     * @param callback callback({success, responses, retry, error}). responses has one
+     * {id, layer, tempId, addResults, updateResults, deleteResults} for each edit that got an answer.
+     */
+    this.replay = function (config, callback) {
+        var result = {success: true, responses: [], retry: false, error: null};
+
+        var fail = function (error, retry) {
+            result.success = false;
+            result.retry = result.retry || retry;
+            result.error = result.error || error;
+        };
+
+        this._openStores(config, function (success, stores) {
+            if (!success) {
+                fail(stores, false);
+                return callback(result);
+            }
+
+            stores.edits.getAllEditsArray(function (edits, status) {
+                if (!edits) {
+                    fail(status, false);
+                    return callback(result);
+                }
+
+                // The sync has to stay pending until the page sends the tokens again
+                var missingTokens = config.missingTokens || [];
+                var waiting = missingTokens.filter(function (url) {
+                    return edits.some(function (edit) {
+                        return edit.layer === url;
+                    });
+                });
+                if (waiting.length > 0) {
+                    fail("No token for " + waiting.join(", ") + ". The page has to register the sync again", true);
+                }
+
+                // Edits of layers the page didn't tell us about are left for the page
+                var batches = this._createBatches(config, edits.filter(function (edit) {
+                    return config.layers.hasOwnProperty(edit.layer);
+                }));
+
+                if (batches.length === 0) {
+                    return callback(result);
+                }
+
+                // Edits that are sent to the server can't be undone
+                stores.edits.resetHistory(function () {});
+
+                var next = function (index) {
+                    if (index >= batches.length) {
+                        return callback(result);
+                    }
+
+                    this._sendBatch(config, stores, batches[index], function (responses, error, retry) {
+                        result.responses = result.responses.concat(responses);
+                        if (error) {
+                            fail(error, retry);
+                        }
+
+                        // Without a connection the other batches would fail too
+                        if (error && retry) {
+                            return callback(result);
+                        }
+                        next(index + 1);
+                    });
+                }.bind(this);
+
+                next(0);
+            }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * Groups consecutive edits of the same layer into batches of up to config.batchSize edits
+     * @param config
+     * @param edits sorted by sequence
+     * @returns {Array} [{layer, edits}]
+     * @private
+     */
+    this._createBatches = function (config, edits) {
+        var batchSize = config.batchSize > 0 ? config.batchSize : 1;
+        var batches = [];
+
+        edits.forEach(function (edit) {
+            var batch = batches[batches.length - 1];
+            if (!batch || batch.layer !== edit.layer || batch.edits.length >= batchSize) {
+                batch = {layer: edit.layer, edits: []};
+                batches.push(batch);
+            }
+            batch.edits.push(edit);
+        });
+
+        return batches;
+    };
+
+    /**
+     * Sends one batch, then updates the database with the results
+     * @param config
+     * @param stores
+     * @param batch
+     * @param callback callback(responses, error, retry)
+     * @private
+     */
+    this._sendBatch = function (config, stores, batch, callback) {
+        var objectId = config.objectId;
+        var adds = [], updates = [], deletes = [];
+
+        batch.edits.forEach(function (edit) {
+            var graphic = JSON.parse(JSON.stringify(edit.graphic));
+            switch (edit.operation) {
+                case stores.edits.ADD:
+                    // The server assigns the objectId of new features
+                    delete graphic.attributes[objectId];
+                    adds.push(graphic);
+                    break;
+                case stores.edits.UPDATE:
+                    updates.push(graphic);
+                    break;
+                case stores.edits.DELETE:
+                    deletes.push(graphic.attributes[objectId]);
+                    break;
+            }
+        });
+
+        // Each edit succeeds or fails on its own, as with OfflineEditAdvanced
+        var params = "f=json&rollbackOnFailure=false";
+        if (adds.length > 0) {
+            params = params + "&adds=" + encodeURIComponent(JSON.stringify(adds));
+        }
+        if (updates.length > 0) {
+            params = params + "&updates=" + encodeURIComponent(JSON.stringify(updates));
+        }
+        if (deletes.length > 0) {
+            params = params + "&deletes=" + deletes.join(",");
+        }
+        if (config.layers[batch.layer]) {
+            params = params + "&token=" + config.layers[batch.layer];
+        }
+
+        var url = config.proxyPath ? config.proxyPath + "?" + batch.layer : batch.layer;
+
+        var onError = function (error) {
+            this._recordAttempts(stores, batch.edits, error, function () {
+                callback([], error.description || error.message, this._isTransient(error.code));
+            }.bind(this));
+        }.bind(this);
+
+        this._scope.fetch(url + "/applyEdits", {
+            method: "POST",
+            headers: {"Content-type": "application/x-www-form-urlencoded"},
+            body: params
+        }).then(function (response) {
+            if (response.status !== 200) {
+                return onError({code: response.status, description: "xhr error: " + response.status});
+            }
+
+            response.json().then(function (obj) {
+                if (obj.error) {
+                    onError(obj.error);
+                }
+                else {
+                    this._processResults(config, stores, batch, obj, callback);
+                }
+            }.bind(this), function () {
+                onError({code: null, description: "Unable to parse xhr response"});
+            });
+        }.bind(this), function (err) {
+            // Network errors: the edits stay in the database and the browser retries the sync
+            callback([], err && err.message ? err.message : "Network error", true);
+        });
+    };
+
+    /**
+     * Maps the results of a batch back to each edit, in the order they were sent, and cleans up the database
+     * @private
+     */
+    this._processResults = function (config, stores, batch, obj, callback) {
+        var objectId = config.objectId;
+        var addResults = obj.addResults || [], updateResults = obj.updateResults || [], deleteResults = obj.deleteResults || [];
+        var a = 0, u = 0, d = 0;
+        var responses = [];
+        var rejected = null;
+
+        var pending = batch.edits.length;
+        var done = function () {
+            if (--pending === 0) {
+                callback(responses, rejected ? "Not all edits synced" : null, false);
+            }
+        };
+
+        batch.edits.forEach(function (edit) {
+            var response = {id: edit.id, layer: edit.layer, tempId: [], addResults: [], updateResults: [], deleteResults: []};
+            var editResult;
+
+            switch (edit.operation) {
+                case stores.edits.ADD:
+                    editResult = addResults[a++];
+                    response.addResults = editResult ? [editResult] : [];
+                    response.tempId = [edit.graphic.attributes[objectId]];
+                    break;
+                case stores.edits.UPDATE:
+                    editResult = updateResults[u++];
+                    response.updateResults = editResult ? [editResult] : [];
+                    break;
+                case stores.edits.DELETE:
+                    editResult = deleteResults[d++];
+                    response.deleteResults = editResult ? [editResult] : [];
+                    break;
+            }
+            responses.push(response);
+
+            if (!editResult || !editResult.success) {
+                rejected = editResult && editResult.error ? editResult.error : {code: null, description: "Edit rejected by the server"};
+                return stores.edits.recordEditAttempt(edit.id, rejected, done);
+            }
+
+            this._cleanDatabase(stores, edit, editResult, done);
+        }, this);
+    };
+
+    /**
+     * Deletes a sent edit and its phantom graphic. Attachments of a new feature are moved to its new objectId.
+     * @private
+     */
+    this._cleanDatabase = function (stores, edit, editResult, callback) {
+        var store = stores.edits;
+        var oid = edit.graphic.attributes[store.objectId];
+        var fakeGraphic = {attributes: {}};
+        fakeGraphic.attributes[store.objectId] = oid;
+
+        store.delete(edit.layer, fakeGraphic, function () {
+            store.deletePhantomGraphic(store.PHANTOM_GRAPHIC_PREFIX + store._PHANTOM_PREFIX_TOKEN + oid, function () {
+                if (stores.attachments && edit.operation === store.ADD) {
+                    stores.attachments.replaceFeatureId(edit.layer, oid, editResult.objectId, function () {
+                        callback();
+                    });
+                }
+                else {
+                    callback();
+                }
+            });
+        });
+    };
+
+    this._recordAttempts = function (stores, edits, error, callback) {
+        var pending = edits.length;
+        edits.forEach(function (edit) {
+            stores.edits.recordEditAttempt(edit.id, error, function () {
+                if (--pending === 0) {
+                    callback();
+                }
+            });
+        });
+    };
+
+    /**
+     * Timeouts, throttling, expired tokens and server errors are worth retrying
+     * @param status
+     * @returns {boolean}
+     * @private
+     */
+    this._isTransient = function (status) {
+        return status === 408 || status === 429 || status === 498 || status === 499 || status >= 500;
+    };
+
+    /**
+     * Opens the edits database, and the attachments database if the page uses attachments
+     * @param config
+     * @param callback callback(true, {edits, attachments}) or callback(false, error)
+     * @private
+     */
+    this._openStores = function (config, callback) {
+        var edits = new O.esri.Edit.EditStore();
+        edits.dbName = config.dbName;
+        edits.objectStoreName = config.objectStoreName;
+        edits.objectId = config.objectId;
+        edits.storage = this.storage;
+
+        edits.init(function (success, error) {
+            if (!success) {
+                return callback(false, error);
+            }
+            if (!config.attachmentsDbName) {
+                return callback(true, {edits: edits, attachments: null});
+            }
+
+            var attachments = new O.esri.Edit.AttachmentsStore();
+            attachments.dbName = config.attachmentsDbName;
+            attachments.objectStoreName = config.attachmentsObjectStoreName;
+            attachments.storage = this.storage;
+            attachments.init(function (success, error) {
+                if (!success) {
+                    return callback(false, error);
+                }
+                callback(true, {edits: edits, attachments: attachments});
+            });
+        }.bind(this));
+    };
+
+    /**
+     * Runs fn while holding the lock that OfflineEditAdvanced.goOnline() holds, so that the page
+     * and the worker never send the same edits. Runs fn straight away without the Web Locks API.
+     * @param dbName
+     * @param fn function returning a Promise
+     * @returns {Promise}
+     * @private
+     */
+    this._withLock = function (dbName, fn) {
+        var locks = this._scope.navigator && this._scope.navigator.locks;
+        return locks ? locks.request(this.SYNC_TAG + "/" + dbName, fn) : fn();
+    };
+
+    this._postResult = function (config, result) {
+        return this._scope.clients.matchAll({type: "window", includeUncontrolled: true}).then(function (clients) {
+            clients.forEach(function (client) {
+                client.postMessage({type: this.RESULT_MESSAGE, dbName: config.dbName, result: result});
+            }, this);
+        }.bind(this));
+    };
+};
@@ -0,0 +1,424 @@
+/**
+ * Converts stored edits and attachments to and from portable change-sets.
+ *
+ * An Esri JSON change-set is {changeSetVersion, format, created, edits: [...], attachments: [...]} where each edit is
+ * {operation, layer, objectId, geometryType, sequence, serverState, graphic}.
+ *
+ * A GeoJSON change-set is a FeatureCollection with the same changeSetVersion, format, created and attachments
+ * members. Each feature has the graphic's attributes as its properties, and an edit member with the other
+ * properties of the edit. Web Mercator geometries are converted to WGS84, other coordinates are not changed.
+ */
+O.esri.Edit.ChangeSet = function () {
+
+    "use strict";
+
+    this.VERSION = 1;
+
+    this.FORMATS = {
+        ESRI_JSON: "esrijson",
+        GEOJSON: "geojson"
+    };
+
+    var OPERATIONS = ["add", "update", "delete"];
+    var WEB_MERCATOR_WKIDS = [102100, 102113, 3857, 900913];
+    var EARTH_RADIUS = 6378137;
+
+    /**
+     * Creates a change-set
+     * @param edits Edit records from the edits store
+     * @param attachments Attachment records from the attachments store
+     * @param format FORMATS.ESRI_JSON or FORMATS.GEOJSON
+     * @returns {Object} change-set
+     */
+    this.create = function (edits, attachments, format) {
+        var changeSet = {
+            changeSetVersion: this.VERSION,
+            format: format,
+            created: Date.now()
+        };
+
+        var items = edits.map(function (edit) {
+            return {
+                operation: edit.operation,
+                layer: edit.layer,
+                objectId: this._getObjectId(edit),
+                geometryType: edit.type,
+                sequence: edit.sequence,
+                serverState: edit.serverState || null,
+                graphic: edit.graphic
+            };
+        }, this);
+
+        if (format === this.FORMATS.GEOJSON) {
+            changeSet.type = "FeatureCollection";
+            changeSet.features = items.map(function (item) {
+                var geometry = item.graphic.geometry || null;
+                var feature = {
+                    type: "Feature",
+                    id: item.layer + "/" + item.objectId,
+                    geometry: geometry ? this.toGeoJSONGeometry(geometry) : null,
+                    properties: item.graphic.attributes || {},
+                    edit: {
+                        operation: item.operation,
+                        layer: item.layer,
+                        objectId: item.objectId,
+                        geometryType: item.geometryType,
+                        sequence: item.sequence,
+                        serverState: item.serverState,
+                        spatialReference: geometry ? geometry.spatialReference || null : null
+                    }
+                };
+                return feature;
+            }, this);
+        }
+        else if (format === this.FORMATS.ESRI_JSON) {
+            changeSet.edits = items;
+        }
+        else {
+            throw new Error("Unsupported change-set format: " + format);
+        }
+
+        changeSet.attachments = attachments.map(function (attachment) {
+            return {
+                id: attachment.id,
+                objectId: attachment.objectId,
+                layer: attachment.featureLayerUrl,
+                operation: attachment.type,
+                name: attachment.name,
+                contentType: attachment.contentType,
+                size: attachment.size,
+                data: attachment.content !== null && attachment.content !== undefined ? window.btoa(attachment.content) : null
+            };
+        });
+
+        return changeSet;
+    };
+
+    /**
+     * Reads a change-set. Edits are returned as edit records in the order they were made,
+     * with their original ids.
+     * @param changeSet
+     * @param objectIdField The name of the objectId attribute in the edits store
+     * @returns {Object} {edits: [], attachments: [], errors: [{index, id, reason}]}
+     */
+    this.parse = function (changeSet, objectIdField) {
+        var result = {edits: [], attachments: [], errors: []};
+
+        if (!changeSet || typeof changeSet !== "object") {
+            result.errors.push({index: null, id: null, reason: "Not a change-set"});
+            return result;
+        }
+
+        if (typeof changeSet.changeSetVersion !== "number" || changeSet.changeSetVersion > this.VERSION) {
+            result.errors.push({index: null, id: null, reason: "Unsupported change-set version: " + changeSet.changeSetVersion});
+            return result;
+        }
+
+        var items;
+        if (changeSet.format === this.FORMATS.GEOJSON && Array.isArray(changeSet.features)) {
+            items = changeSet.features.map(function (feature) {
+                var edit = feature && feature.edit ? feature.edit : {};
+                var graphic = {attributes: feature ? feature.properties : null};
+                if (feature && feature.geometry) {
+                    graphic.geometry = this.toEsriGeometry(feature.geometry, edit.spatialReference);
+                }
+                return {
+                    operation: edit.operation,
+                    layer: edit.layer,
+                    objectId: edit.objectId,
+                    geometryType: edit.geometryType,
+                    sequence: edit.sequence,
+                    serverState: edit.serverState,
+                    graphic: graphic
+                };
+            }, this);
+        }
+        else if (changeSet.format === this.FORMATS.ESRI_JSON && Array.isArray(changeSet.edits)) {
+            items = changeSet.edits;
+        }
+        else {
+            result.errors.push({index: null, id: null, reason: "Unsupported change-set format: " + changeSet.format});
+            return result;
+        }
+
+        var ids = {};
+        items.forEach(function (item, index) {
+            var id = item && typeof item.layer === "string" ? item.layer + "/" + item.objectId : null;
+            var reason = null;
+
+            if (!id) {
+                reason = "Missing layer url";
+            }
+            else if (OPERATIONS.indexOf(item.operation) === -1) {
+                reason = "Unsupported operation: " + item.operation;
+            }
+            else if (typeof item.objectId !== "number" || isNaN(item.objectId)) {
+                reason = "Missing objectId";
+            }
+            else if (!item.graphic || !item.graphic.attributes || typeof item.graphic.attributes !== "object") {
+                reason = "Missing attributes";
+            }
+            else if (item.operation === "add" && !item.graphic.geometry) {
+                // Updates may change attributes only, and deletes don't need a geometry
+                reason = "Missing geometry";
+            }
+            else if (item.operation === "add" && item.objectId >= 0) {
+                reason = "Added features must have a temporary (negative) objectId";
+            }
+            else if (ids[id]) {
+                reason = "More than one edit of the same feature";
+            }
+
+            if (reason) {
+                result.errors.push({index: index, id: id, reason: reason});
+                return;
+            }
+
+            ids[id] = true;
+
+            var graphic = JSON.parse(JSON.stringify(item.graphic));
+            graphic.attributes[objectIdField] = item.objectId;
+
+            result.edits.push({
+                id: id,
+                operation: item.operation,
+                layer: item.layer,
+                type: item.geometryType || (graphic.geometry ? this._getGeometryType(graphic.geometry) : null),
+                graphic: graphic,
+                serverState: item.serverState || null,
+                sequence: typeof item.sequence === "number" ? item.sequence : index
+            });
+        }, this);
+
+        result.edits.sort(function (a, b) {
+            return a.sequence - b.sequence;
+        });
+
+        (Array.isArray(changeSet.attachments) ? changeSet.attachments : []).forEach(function (attachment, index) {
+            if (!attachment || typeof attachment.layer !== "string" || typeof attachment.objectId !== "number" ||
+                attachment.id === null || attachment.id === undefined || OPERATIONS.indexOf(attachment.operation) === -1) {
+                result.errors.push({index: index, id: attachment ? attachment.id : null, reason: "Invalid attachment"});
+                return;
+            }
+            result.attachments.push(attachment);
+        });
+
+        return result;
+    };
+
+    /**
+     * Creates a Blob for an attachment in a change-set. The Blob has the attachment's name.
+     * @param attachment
+     * @returns {Blob}
+     */
+    this.toBlob = function (attachment) {
+        var binary = attachment.data ? window.atob(attachment.data) : "";
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        var blob = new Blob([bytes], {type: attachment.contentType || ""});
+        blob.name = attachment.name;
+        return blob;
+    };
+
+    /**
+     * Converts an Esri JSON geometry to a GeoJSON geometry
+     * @param geometry
+     * @returns {Object}
+     */
+    this.toGeoJSONGeometry = function (geometry) {
+        var project = this._isWebMercator(geometry.spatialReference) ? this._toGeographic : function (point) {
+            return point.slice();
+        };
+
+        if (geometry.x !== undefined && geometry.y !== undefined) {
+            var point = [geometry.x, geometry.y];
+            if (geometry.z !== undefined) {
+                point.push(geometry.z);
+            }
+            return {type: "Point", coordinates: project(point)};
+        }
+
+        if (geometry.points) {
+            return {type: "MultiPoint", coordinates: geometry.points.map(project)};
+        }
+
+        if (geometry.paths) {
+            var lines = geometry.paths.map(function (path) {
+                return path.map(project);
+            });
+            return lines.length === 1 ? {type: "LineString", coordinates: lines[0]} : {type: "MultiLineString", coordinates: lines};
+        }
+
+        if (geometry.rings) {
+            var polygons = [];
+            var holes = [];
+
+            geometry.rings.forEach(function (ring) {
+                ring = this._closeRing(ring.map(project));
+                // Esri outer rings are clockwise, GeoJSON outer rings are counter-clockwise
+                if (this._isClockwise(ring)) {
+                    polygons.push([ring.reverse()]);
+                }
+                else {
+                    holes.push(ring.reverse());
+                }
+            }, this);
+
+            holes.forEach(function (hole) {
+                var owner = polygons.filter(function (polygon) {
+                    return this._pointInRing(hole[0], polygon[0]);
+                }, this)[0];
+                if (owner) {
+                    owner.push(hole);
+                }
+                else {
+                    // A hole without an outer ring becomes a polygon of its own
+                    polygons.push([hole.reverse()]);
+                }
+            }, this);
+
+            return polygons.length === 1 ? {type: "Polygon", coordinates: polygons[0]} : {type: "MultiPolygon", coordinates: polygons};
+        }
+
+        throw new Error("Unsupported geometry");
+    };
+
+    /**
+     * Converts a GeoJSON geometry to an Esri JSON geometry
+     * @param geometry
+     * @param spatialReference Optional. The original spatial reference. Defaults to WGS84.
+     * @returns {Object}
+     */
+    this.toEsriGeometry = function (geometry, spatialReference) {
+        spatialReference = spatialReference || {wkid: 4326};
+
+        var project = this._isWebMercator(spatialReference) ? this._toWebMercator : function (point) {
+            return point.slice();
+        };
+
+        var result;
+        var polygons;
+
+        switch (geometry.type) {
+            case "Point":
+                var point = project(geometry.coordinates);
+                result = {x: point[0], y: point[1]};
+                if (point.length > 2) {
+                    result.z = point[2];
+                }
+                break;
+            case "MultiPoint":
+                result = {points: geometry.coordinates.map(project)};
+                break;
+            case "LineString":
+                result = {paths: [geometry.coordinates.map(project)]};
+                break;
+            case "MultiLineString":
+                result = {
+                    paths: geometry.coordinates.map(function (line) {
+                        return line.map(project);
+                    })
+                };
+                break;
+            case "Polygon":
+            case "MultiPolygon":
+                polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+                result = {rings: []};
+                polygons.forEach(function (polygon) {
+                    polygon.forEach(function (ring, index) {
+                        ring = this._closeRing(ring.map(project));
+                        // Outer rings must be clockwise and holes counter-clockwise
+                        if (this._isClockwise(ring) !== (index === 0)) {
+                            ring.reverse();
+                        }
+                        result.rings.push(ring);
+                    }, this);
+                }, this);
+                break;
+            default:
+                throw new Error("Unsupported geometry type: " + geometry.type);
+        }
+
+        result.spatialReference = spatialReference;
+        return result;
+    };
+
+    //
+    // internal methods
+    //
+
+    /**
+     * The objectId of an edit. The edit id is the layer url followed by the objectId.
+     * @param edit
+     * @returns {Number}
+     * @private
+     */
+    this._getObjectId = function (edit) {
+        return Number(edit.id.substring(edit.layer.length + 1));
+    };
+
+    this._getGeometryType = function (geometry) {
+        if (geometry.x !== undefined) {
+            return "point";
+        }
+        if (geometry.points) {
+            return "multipoint";
+        }
+        if (geometry.paths) {
+            return "polyline";
+        }
+        if (geometry.rings) {
+            return "polygon";
+        }
+        return null;
+    };
+
+    this._isWebMercator = function (spatialReference) {
+        return !!spatialReference &&
+            (WEB_MERCATOR_WKIDS.indexOf(spatialReference.wkid) !== -1 || WEB_MERCATOR_WKIDS.indexOf(spatialReference.latestWkid) !== -1);
+    };
+
+    this._toGeographic = function (point) {
+        var result = point.slice();
+        result[0] = point[0] / EARTH_RADIUS * 180 / Math.PI;
+        result[1] = (Math.PI / 2 - 2 * Math.atan(Math.exp(-point[1] / EARTH_RADIUS))) * 180 / Math.PI;
+        return result;
+    };
+
+    this._toWebMercator = function (point) {
+        var result = point.slice();
+        result[0] = point[0] * Math.PI / 180 * EARTH_RADIUS;
+        result[1] = EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + point[1] * Math.PI / 360));
+        return result;
+    };
+
+    this._closeRing = function (ring) {
+        var first = ring[0];
+        var last = ring[ring.length - 1];
+        if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+            ring.push(first.slice());
+        }
+        return ring;
+    };
+
+    this._isClockwise = function (ring) {
+        var sum = 0;
+        for (var i = 1; i < ring.length; i++) {
+            sum += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+        }
+        return sum > 0;
+    };
+
+    this._pointInRing = function (point, ring) {
+        var inside = false;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+            if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    };
+};
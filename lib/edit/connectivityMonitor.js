@@ -0,0 +1,202 @@
+/*jshint -W030 */
+/**
+ * Detects whether the feature services can be reached. It combines three signals:
+ * the browser's navigator.onLine and online/offline events, a heartbeat request that is
+ * sent every interval, and the network errors of the requests the edit manager makes.
+ *
+ * navigator.onLine === false is trusted straight away. Being online is only trusted once
+ * a heartbeat request has been answered by the feature service, because browsers report
+ * onLine === true behind captive portals and on networks without internet access.
+ *
+ * @param options {getHeartbeatUrl: Function, interval: Number, timeout: Number, failureThreshold: Number,
+ * onStatusChange: Function}. getHeartbeatUrl returns the URL of a feature service resource that answers
+ * with JSON (f=json), or null to rely on navigator.onLine.
+ * onStatusChange is called with (online, reason) where reason is "browser", "heartbeat" or "requests".
+ * @constructor
+ */
+O.esri.Edit.ConnectivityMonitor = function (options) {
+
+    "use strict";
+
+    options = options || {};
+
+    this.getHeartbeatUrl = options.getHeartbeatUrl || function () { return null; };
+    this.interval = options.interval || 30000;          // ms between heartbeat requests
+    this.timeout = options.timeout || 15000;            // ms before a heartbeat request fails
+    this.failureThreshold = options.failureThreshold || 3; // failed requests in a row before a heartbeat is sent
+    this.onStatusChange = options.onStatusChange || function () {};
+
+    this.online = true;     // like the edit manager, start online so that the first check reports being offline
+    this.running = false;
+
+    this._failures = 0;
+    this._timer = null;
+    this._request = null;
+
+    this._onBrowserOnline = function () {
+        this.check();
+    }.bind(this);
+
+    this._onBrowserOffline = function () {
+        this._abortHeartbeat();
+        this._setOnline(false, "browser");
+        this._schedule();
+    }.bind(this);
+
+    /**
+     * Starts listening to the browser and sends the first heartbeat
+     */
+    this.start = function () {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        window.addEventListener("online", this._onBrowserOnline);
+        window.addEventListener("offline", this._onBrowserOffline);
+        this.check();
+    };
+
+    /**
+     * Stops the heartbeat and removes the browser listeners
+     */
+    this.stop = function () {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        window.removeEventListener("online", this._onBrowserOnline);
+        window.removeEventListener("offline", this._onBrowserOffline);
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._abortHeartbeat();
+    };
+
+    /**
+     * Checks the connection now instead of waiting for the next heartbeat
+     * @param callback optional callback(online)
+     */
+    this.check = function (callback) {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._abortHeartbeat();
+
+        var done = function (online, reason) {
+            this._setOnline(online, reason);
+            this._schedule();
+            callback && callback(online);
+        }.bind(this);
+
+        if (window.navigator.onLine === false) {
+            return done(false, "browser");
+        }
+
+        var url = this.getHeartbeatUrl();
+        if (!url) {
+            return done(true, "browser");
+        }
+
+        this._sendHeartbeat(url, function (online) {
+            done(online, "heartbeat");
+        });
+    };
+
+    /**
+     * Reports that a request to the server was answered
+     */
+    this.reportSuccess = function () {
+        this._failures = 0;
+        this._setOnline(true, "requests");
+    };
+
+    /**
+     * Reports that a request failed without an answer from the server, i.e. a network error or a timeout.
+     * After failureThreshold failures in a row a heartbeat is sent to confirm that we are offline.
+     */
+    this.reportFailure = function () {
+        this._failures++;
+        if (this._failures >= this.failureThreshold && this.online && !this._request) {
+            this._failures = 0;
+            this.check();
+        }
+    };
+
+    /**
+     * Any answer of the feature service means it can be reached, even an error such as an expired token.
+     * Captive portals and proxies that answer in its place don't send its JSON.
+     * @param url
+     * @param callback callback(online)
+     * @private
+     */
+    this._sendHeartbeat = function (url, callback) {
+        var req = new XMLHttpRequest();
+        this._request = req;
+
+        // Cached answers would hide that the server can't be reached
+        url = url + (url.indexOf("?") === -1 ? "?" : "&") + "_=" + new Date().getTime();
+
+        var finish = function (online) {
+            if (this._request === req) {
+                this._request = null;
+                callback(online);
+            }
+        }.bind(this);
+
+        req.open("GET", url, true);
+        req.onload = function () {
+            finish(req.status > 0 && this._isServiceResponse(req.responseText));
+        }.bind(this);
+        req.onerror = function () {
+            finish(false);
+        };
+        req.ontimeout = function () {
+            finish(false);
+        };
+        req.timeout = this.timeout;
+        req.send();
+    };
+
+    /**
+     * Whether a heartbeat was answered by an ArcGIS Server resource: its description has currentVersion,
+     * and its errors are {error: {code, message}}
+     * @param text
+     * @returns {boolean}
+     * @private
+     */
+    this._isServiceResponse = function (text) {
+        var obj;
+        try {
+            obj = JSON.parse(text);
+        }
+        catch (err) {
+            return false;
+        }
+        return obj !== null && typeof obj === "object" && (obj.hasOwnProperty("currentVersion") || obj.hasOwnProperty("error"));
+    };
+
+    this._abortHeartbeat = function () {
+        var req = this._request;
+        if (req) {
+            this._request = null;
+            req.abort();
+        }
+    };
+
+    this._schedule = function () {
+        if (this.running && !this._timer) {
+            this._timer = setTimeout(function () {
+                this._timer = null;
+                this.check();
+            }.bind(this), this.interval);
+        }
+    };
+
+    this._setOnline = function (online, reason) {
+        if (online) {
+            this._failures = 0;
+        }
+        if (this.online !== online) {
+            this.online = online;
+            this.onStatusChange(online, reason);
+        }
+    };
+};
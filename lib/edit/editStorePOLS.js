@@ -1,4 +1,3 @@
-/*global indexedDB */
 /*jshint -W030 */
 /**
  * This library is optimized for Partial Offline Support ONLY
@@ -10,12 +9,14 @@ O.esri.Edit.EditStorePOLS = function () {
 
     this._db = null;
     this._isDBInit = false;
+    this._nextSequence = 0; // Monotonic counter that records the order in which edits were made
 
     // Public properties
 
     this.dbName = "features_store";
     this.objectStoreName = "features";
     this.objectId = "objectid"; // set this depending on how your feature service is configured;
+    this.storage = null; // storage adapter, see storageAdapters.js. Defaults to O.esri.Edit.IndexedDBStorage
 
     //var _dbIndex = "featureId"; // @private
 
@@ -29,10 +30,7 @@ O.esri.Edit.EditStorePOLS = function () {
     this.FEATURE_COLLECTION_ID = "feature-collection-object-1001";
 
     this.isSupported = function () {
-        if (!window.indexedDB) {
-            return false;
-        }
-        return true;
+        return this._getStorage().isSupported();
     };
 
     /**
@@ -68,7 +66,13 @@ O.esri.Edit.EditStorePOLS = function () {
             };
 
             var objectStore = transaction.objectStore(this.objectStoreName);
-            objectStore.put(edit);
+
+            // A feature that is edited again keeps the sequence number of its first edit
+            objectStore.get(edit.id).onsuccess = function (event) {
+                var existing = event.target.result;
+                edit.sequence = existing && typeof existing.sequence === "number" ? existing.sequence : this._nextSequence++;
+                objectStore.put(edit);
+            }.bind(this);
         }
     };
 
@@ -106,7 +110,7 @@ O.esri.Edit.EditStorePOLS = function () {
     };
 
     /**
-     * Returns all the edits as a single Array via the callback
+     * Returns all the edits as a single Array via the callback, in the order they were made
      * @param callback {array, messageString} or {null, messageString}
      */
     this.getAllEditsArray = function (callback) {
@@ -135,7 +139,7 @@ O.esri.Edit.EditStorePOLS = function () {
                     cursor.continue();
                 }
                 else {
-                    callback(editsArray, "end");
+                    callback(this._sortBySequence(editsArray), "end");
                 }
             }.bind(this);
             transaction.onerror = function (err) {
@@ -211,22 +215,28 @@ O.esri.Edit.EditStorePOLS = function () {
 
         var objectStore = this._db.transaction([this.objectStoreName], "readwrite").objectStore(this.objectStoreName);
 
+        var id = layer + "/" + graphic.attributes[this.objectId];
+
         //Let's get the entry associated with the graphic
-        var objectStoreGraphicRequest = objectStore.get(graphic.attributes[this.objectId]);
+        var objectStoreGraphicRequest = objectStore.get(id);
         objectStoreGraphicRequest.onsuccess = function () {
 
             //Grab the data object returned as a result
-            // TO-DO Do we keep this??
-            objectStoreGraphicRequest.result;
+            var existing = objectStoreGraphicRequest.result;
 
             //Create a new update object
             var update = {
-                id: layer + "/" + graphic.attributes[this.objectId],
+                id: id,
                 operation: operation,
                 layer: layer,
                 graphic: graphic.toJson()
             };
 
+            // Keep the edit's place in the replay order
+            if (existing && typeof existing.sequence === "number") {
+                update.sequence = existing.sequence;
+            }
+
             // Insert the update into the database
             var updateGraphicRequest = objectStore.put(update);
 
@@ -249,7 +259,6 @@ O.esri.Edit.EditStorePOLS = function () {
      * @param callback {boolean, error}
      */
     this.delete = function (layerUrl, graphic, callback) {
-
         // NOTE: the implementation of the IndexedDB spec has a design fault with respect to
         // handling deletes. The result of a delete operation is always designated as undefined.
         // What this means is that there is no way to tell if an operation was successful or not.
@@ -259,54 +268,18 @@ O.esri.Edit.EditStorePOLS = function () {
         // if the record is or is not in the database. Kinda dumb, but that's how IndexedDB works.
         //http://stackoverflow.com/questions/17137879/is-there-a-way-to-get-information-on-deleted-record-when-calling-indexeddbs-obj
 
-        var db = this._db;
-        var deferred = null;
-        var self = this;
-
         var id = layerUrl + "/" + graphic.attributes[this.objectId];
 
-        require(["dojo/Deferred"], function (Deferred) {
-            deferred = new Deferred();
-
-            // Step 1 - lets see if record exits. If it does then return callback.
-            self.editExists(id).then(function (result) {
-
-                    // Step 4 - Then we check to see if the record actually exists or not.
-                    deferred.then(function (result) {
-
-                            // IF the delete was successful, then the record should return 'false' because it doesn't exist.
-                            self.editExists(id).then(function (results) {
-                                    callback(false);
-                                },
-                                function (err) {
-                                    callback(true); //because we want this test to throw an error. That means item deleted.
-                                });
-                        },
-                        // There was a problem with the delete operation on the database
-                        function (err) {
-                            callback(false, err);
-                        });
-
-                    var objectStore = db.transaction([self.objectStoreName], "readwrite").objectStore(self.objectStoreName);
-
-                    // Step 2 - go ahead and delete graphic
-                    var objectStoreDeleteRequest = objectStore.delete(id);
-
-                    // Step 3 - We know that the onsuccess will always fire unless something serious goes wrong.
-                    // So we go ahead and resolve the deferred here.
-                    objectStoreDeleteRequest.onsuccess = function () {
-                        deferred.resolve(true);
-                    };
-
-                    objectStoreDeleteRequest.onerror = function (msg) {
-                        deferred.reject({success: false, error: msg});
-                    };
-
-                },
-                // If there is an error in editExists()
-                function (err) {
-                    callback(false, err);
-                });
+        this._deleteAndVerify(id, function (status, error) {
+            if (status === "deleted") {
+                callback(true);
+            }
+            else if (status === "not-deleted") {
+                callback(false);
+            }
+            else {
+                callback(false, error);
+            }
         });
     };
 
@@ -436,16 +409,133 @@ O.esri.Edit.EditStorePOLS = function () {
         };
     };
 
+    /**
+     * Sorts edits in the order they were made. Edits stored before sequence numbers
+     * were introduced come first, in key order.
+     * @param edits
+     * @returns {Array}
+     * @private
+     */
+    this._sortBySequence = function (edits) {
+        var sequenceOf = function (edit) {
+            return typeof edit.sequence === "number" ? edit.sequence : -1;
+        };
+
+        // Array.sort() isn't guaranteed to be stable, so fall back to the original position
+        return edits.map(function (edit, index) {
+            return {edit: edit, index: index};
+        }).sort(function (a, b) {
+            return (sequenceOf(a.edit) - sequenceOf(b.edit)) || (a.index - b.index);
+        }).map(function (item) {
+            return item.edit;
+        });
+    };
+
+    /**
+     * Finds the highest sequence number in the database so new edits are numbered after it
+     * @param callback
+     * @private
+     */
+    this._initSequence = function (callback) {
+        var highest = -1;
+
+        var transaction = this._db.transaction([this.objectStoreName])
+            .objectStore(this.objectStoreName)
+            .openCursor();
+
+        transaction.onsuccess = function (event) {
+            var cursor = event.target.result;
+            if (cursor) {
+                if (cursor.value && typeof cursor.value.sequence === "number" && cursor.value.sequence > highest) {
+                    highest = cursor.value.sequence;
+                }
+                cursor.continue();
+            }
+            else {
+                this._nextSequence = highest + 1;
+                callback(true);
+            }
+        }.bind(this);
+        transaction.onerror = function (err) {
+            callback(false, err);
+        };
+    };
+
+    /**
+     * Deletes a record, then checks that it is gone. See the note in delete() about why.
+     * @param id
+     * @param callback callback(status, error). status is "missing" if there was no record, "deleted",
+     * "not-deleted" if the record is still there, or "error" if the delete request failed.
+     * @private
+     */
+    this._deleteAndVerify = function (id, callback) {
+        this._recordExists(id, function (exists, error) {
+            if (!exists) {
+                return callback("missing", error);
+            }
+
+            var objectStoreDeleteRequest = this._db.transaction([this.objectStoreName], "readwrite")
+                .objectStore(this.objectStoreName)
+                .delete(id);
+
+            objectStoreDeleteRequest.onsuccess = function () {
+                this._recordExists(id, function (stillExists) {
+                    callback(stillExists ? "not-deleted" : "deleted");
+                });
+            }.bind(this);
+
+            objectStoreDeleteRequest.onerror = function (msg) {
+                callback("error", {success: false, error: msg});
+            };
+        }.bind(this));
+    };
+
+    /**
+     * Callback version of editExists(), which needs dojo
+     * @param id
+     * @param callback callback(true) or callback(false, {success: false, error})
+     * @private
+     */
+    this._recordExists = function (id, callback) {
+        var objectStoreGraphicRequest = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName).get(id);
+
+        objectStoreGraphicRequest.onsuccess = function () {
+            var graphic = objectStoreGraphicRequest.result;
+            if (graphic && (graphic.id == id)) {
+                callback(true);
+            }
+            else {
+                callback(false, {success: false, error: "objectId is not a match."});
+            }
+        };
+
+        objectStoreGraphicRequest.onerror = function (msg) {
+            callback(false, {success: false, error: msg});
+        };
+    };
+
+    /**
+     * Returns the storage adapter, and creates the default IndexedDB adapter if none was set
+     * @returns {Object}
+     * @private
+     */
+    this._getStorage = function () {
+        if (!this.storage) {
+            this.storage = new O.esri.Edit.IndexedDBStorage();
+        }
+        return this.storage;
+    };
+
     this.init = function (callback) {
         console.log("init editsStore.js");
 
-        var request = indexedDB.open(this.dbName, 11);
+        var request = this._getStorage().open(this.dbName, 11);
         callback = callback || function (success) {
                 console.log("EditsStore::init() success:", success);
             }.bind(this);
 
         request.onerror = function (event) {
-            console.log("indexedDB error: " + event.target.errorCode);
+            console.log("database error: " + event.target.errorCode);
             callback(false, event.target.errorCode);
         }.bind(this);
 
@@ -463,7 +553,9 @@ O.esri.Edit.EditStorePOLS = function () {
             this._db = event.target.result;
             this._isDBInit = true;
             console.log("database opened successfully");
-            callback(true, null);
+            this._initSequence(function (success, error) {
+                callback(success, error || null);
+            });
         }.bind(this);
     };
 };
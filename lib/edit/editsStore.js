@@ -1,4 +1,3 @@
-/*global indexedDB */
 /*jshint -W030 */
 O.esri.Edit.EditStore = function () {
 
@@ -6,12 +5,19 @@ O.esri.Edit.EditStore = function () {
 
     this._db = null;
     this._isDBInit = false;
+    this._nextSequence = 0; // Monotonic counter that records the order in which edits were made
+    this._key = null; // CryptoKey of an encrypted database
 
     // Public properties
 
     this.dbName = "features_store";
     this.objectStoreName = "features";
+    this.deadLetterObjectStoreName = "dead_letters"; // edits the server rejected, or that ran out of retry attempts
+    this.historyObjectStoreName = "history"; // the states of each pending edit, used for undo and redo
     this.objectId = "objectid"; // set this depending on how your feature service is configured;
+    this.keysObjectStoreName = "keys"; // the key-check record of an encrypted database
+    this.storage = null; // storage adapter, see storageAdapters.js. Defaults to O.esri.Edit.IndexedDBStorage
+    this.encryption = null; // O.esri.Edit.Encryption. Set it before init() to encrypt the records at rest
 
     //var _dbIndex = "featureId"; // @private
 
@@ -25,12 +31,14 @@ O.esri.Edit.EditStore = function () {
     this.FEATURE_COLLECTION_ID = "feature-collection-object-1001";
     this.PHANTOM_GRAPHIC_PREFIX = "phantom-layer";
     this._PHANTOM_PREFIX_TOKEN = "|@|";
+    this._KEY_CHECK_ID = "key-check";
+
+    // Fields that stay in plain text when records are encrypted
+    this._PLAIN_FIELDS = ["id", "operation", "layer", "type", "sequence", "attempts", "lastAttempt", "lastError",
+        "deadLettered", "timestamp", "undone"];
 
     this.isSupported = function () {
-        if (!window.indexedDB) {
-            return false;
-        }
-        return true;
+        return this._getStorage().isSupported();
     };
 
     /**
@@ -39,15 +47,18 @@ O.esri.Edit.EditStore = function () {
      * @param layerUrl the URL of the feature layer
      * @param graphic esri/graphic. The method will serialize to JSON
      * @param callback callback(true, edit) or callback(false, error)
+     * @param serverState Optional. The feature's last known server state {editDate, attributesHash, geometryHash, attributes, geometry}.
+     * Used to detect conflicts when the edit is replayed.
      */
-    this.pushEdit = function (operation, layerUrl, graphic, callback) {
+    this.pushEdit = function (operation, layerUrl, graphic, callback, serverState) {
 
         var edit = {
             id: layerUrl + "/" + graphic.attributes[this.objectId],
             operation: operation,
             layer: layerUrl,
             type: graphic.geometry.type,
-            graphic: graphic.toJson()
+            graphic: graphic.toJson(),
+            serverState: serverState || null
         };
 
         if(typeof graphic.attributes[this.objectId] === "undefined") {
@@ -55,18 +66,30 @@ O.esri.Edit.EditStore = function () {
             callback(false,"editsStore.pushEdit() - failed to insert undefined objectId into database. Did you set offlineEdit.DB_UID? " + JSON.stringify(graphic.attributes));
         }
         else{
-            var transaction = this._db.transaction([this.objectStoreName], "readwrite");
+            this._seal(edit, function (success, record) {
+                if (!success) {
+                    return callback(false, record);
+                }
 
-            transaction.oncomplete = function (event) {
-                callback(true);
-            };
+                var transaction = this._db.transaction([this.objectStoreName], "readwrite");
 
-            transaction.onerror = function (event) {
-                callback(false, event.target.error.message);
-            };
+                transaction.oncomplete = function (event) {
+                    callback(true);
+                };
 
-            var objectStore = transaction.objectStore(this.objectStoreName);
-            objectStore.put(edit);
+                transaction.onerror = function (event) {
+                    callback(false, event.target.error.message);
+                };
+
+                var objectStore = transaction.objectStore(this.objectStoreName);
+
+                // A feature that is edited again keeps the sequence number of its first edit
+                objectStore.get(record.id).onsuccess = function (event) {
+                    var existing = event.target.result;
+                    record.sequence = existing && typeof existing.sequence === "number" ? existing.sequence : this._nextSequence++;
+                    objectStore.put(record);
+                }.bind(this);
+            }.bind(this));
         }
     };
 
@@ -110,8 +133,6 @@ O.esri.Edit.EditStore = function () {
 
             if (success && typeof result !== "undefined") {
 
-                objectStore = db.transaction([this.objectStoreName], "readwrite").objectStore(this.objectStoreName);
-
                 // Make a copy of the object
                 for (var key in dataStore) {
                     if (dataStore.hasOwnProperty(key)) {
@@ -119,39 +140,53 @@ O.esri.Edit.EditStore = function () {
                     }
                 }
 
-                // Insert the update into the database
-                var updateFeatureLayerDataRequest = objectStore.put(result);
+                this._seal(result, function (success, record) {
+                    if (!success) {
+                        return callback(false, record);
+                    }
 
-                updateFeatureLayerDataRequest.onsuccess = function () {
-                    callback(true, null);
-                };
+                    objectStore = db.transaction([this.objectStoreName], "readwrite").objectStore(this.objectStoreName);
 
-                updateFeatureLayerDataRequest.onerror = function (err) {
-                    callback(false, err);
-                };
+                    // Insert the update into the database
+                    var updateFeatureLayerDataRequest = objectStore.put(record);
+
+                    updateFeatureLayerDataRequest.onsuccess = function () {
+                        callback(true, null);
+                    };
+
+                    updateFeatureLayerDataRequest.onerror = function (err) {
+                        callback(false, err);
+                    };
+                }.bind(this));
             }
             else {
 
-                var transaction = db.transaction([this.objectStoreName], "readwrite");
+                this._seal(dataStore, function (success, record) {
+                    if (!success) {
+                        return callback(false, record);
+                    }
 
-                transaction.oncomplete = function (event) {
-                    callback(true, null);
-                };
+                    var transaction = db.transaction([this.objectStoreName], "readwrite");
 
-                transaction.onerror = function (event) {
-                    callback(false, event.target.error.message);
-                };
+                    transaction.oncomplete = function (event) {
+                        callback(true, null);
+                    };
 
-                objectStore = transaction.objectStore(this.objectStoreName);
+                    transaction.onerror = function (event) {
+                        callback(false, event.target.error.message);
+                    };
 
-                // Protect against data cloning errors since we don't validate the input object
-                // Example: if you attempt to use an esri.Graphic in its native form you'll get a data clone error
-                try {
-                    objectStore.put(dataStore);
-                }
-                catch (err) {
-                    callback(false, JSON.stringify(err));
-                }
+                    objectStore = transaction.objectStore(this.objectStoreName);
+
+                    // Protect against data cloning errors since we don't validate the input object
+                    // Example: if you attempt to use an esri.Graphic in its native form you'll get a data clone error
+                    try {
+                        objectStore.put(record);
+                    }
+                    catch (err) {
+                        callback(false, JSON.stringify(err));
+                    }
+                }.bind(this));
             }
         }.bind(this));
     };
@@ -172,12 +207,12 @@ O.esri.Edit.EditStore = function () {
         objectStoreGraphicRequest.onsuccess = function () {
             var object = objectStoreGraphicRequest.result;
             if (typeof object != "undefined") {
-                callback(true, object);
+                this._unseal(object, callback);
             }
             else {
                 callback(false, "nothing found");
             }
-        };
+        }.bind(this);
 
         objectStoreGraphicRequest.onerror = function (msg) {
             callback(false, msg);
@@ -198,59 +233,16 @@ O.esri.Edit.EditStore = function () {
         // if the record is or is not in the database. Kinda dumb, but that's how IndexedDB works.
         //http://stackoverflow.com/questions/17137879/is-there-a-way-to-get-information-on-deleted-record-when-calling-indexeddbs-obj
 
-        var db = this._db;
-        var deferred = null;
-        var self = this;
-
-        var id = this.FEATURE_LAYER_JSON_ID;
-
-        require(["dojo/Deferred"], function (Deferred) {
-            deferred = new Deferred();
-
-            // Step 4 - Then we check to see if the record actually exists or not.
-            deferred.then(function (result) {
-                    // IF the delete was successful, then the record should return an error because it doesn't exist.
-                    // We aren't 100% sure how all platforms will perform so we also trap the promise for return results.
-                    self.editExists(id).then(function (results) {
-                            // If edit does exist then we have not been successful in deleting the object.
-                            callback(false, {message: "object was not deleted."});
-                        },
-                        function (err) {
-                            // If the result is false then in theory the id no longer exists
-                            // and we should return 'true' to indicate a successful delete operation.
-                            callback(true, {message: "id does not exist"}); //because we want this test to throw an error. That means item deleted.
-                        });
-                },
-                // There was a problem with the delete operation on the database
-                // This error message will come from editExists();
-                function (err) {
-                    callback(false, {message: "id does not exist"});
-                });
-
-            // Step 1 - lets see if record exits. If it does not then return callback. Otherwise,
-            // continue on with the deferred.
-            self.editExists(id).then(function (result) {
-
-                var objectStore = db.transaction([self.objectStoreName], "readwrite").objectStore(self.objectStoreName);
-
-                // Step 2 - go ahead and delete graphic
-                var objectStoreDeleteRequest = objectStore.delete(id);
-
-                // Step 3 - We know that the onsuccess will always fire unless something serious goes wrong.
-                // So we go ahead and resolve the deferred here.
-                objectStoreDeleteRequest.onsuccess = function () {
-                    deferred.resolve(true);
-                };
-
-                objectStoreDeleteRequest.onerror = function (msg) {
-                    deferred.reject({success: false, error: msg});
-                };
-
-            },
-            // If there is an error in editExists()
-            function (err) {
-                deferred.reject({success: false, message: err});
-            }.bind(this));
+        this._deleteAndVerify(this.FEATURE_LAYER_JSON_ID, function (status) {
+            if (status === "deleted") {
+                callback(true, {message: "id does not exist"});
+            }
+            else if (status === "not-deleted") {
+                callback(false, {message: "object was not deleted."});
+            }
+            else {
+                callback(false, {message: "id does not exist"});
+            }
         });
     };
 
@@ -271,19 +263,24 @@ O.esri.Edit.EditStore = function () {
             graphic: graphic.toJson()
         };
 
-        var transaction = db.transaction([this.objectStoreName], "readwrite");
+        this._seal(object, function (success, record) {
+            if (!success) {
+                return callback(false, record);
+            }
 
-        transaction.oncomplete = function (event) {
-            callback(true, null);
-        };
+            var transaction = db.transaction([this.objectStoreName], "readwrite");
 
-        transaction.onerror = function (event) {
-            callback(false, event.target.error.message);
-        };
+            transaction.oncomplete = function (event) {
+                callback(true, null);
+            };
 
-        var objectStore = transaction.objectStore(this.objectStoreName);
-        objectStore.put(object);
+            transaction.onerror = function (event) {
+                callback(false, event.target.error.message);
+            };
 
+            var objectStore = transaction.objectStore(this.objectStoreName);
+            objectStore.put(record);
+        }.bind(this));
     };
 
     /**
@@ -314,7 +311,9 @@ O.esri.Edit.EditStore = function () {
                     cursor.continue();
                 }
                 else {
-                    callback(editsArray, "end");
+                    this._unsealAll(editsArray, function (success, graphics) {
+                        success ? callback(graphics, "end") : callback(null, graphics);
+                    });
                 }
             }.bind(this);
             transaction.onerror = function (err) {
@@ -382,51 +381,19 @@ O.esri.Edit.EditStore = function () {
         // if the record is or is not in the database. Kinda dumb, but that's how IndexedDB works.
         //http://stackoverflow.com/questions/17137879/is-there-a-way-to-get-information-on-deleted-record-when-calling-indexeddbs-obj
 
-        var db = this._db;
-        var deferred = null;
-        var self = this;
-
-        require(["dojo/Deferred"], function (Deferred) {
-            deferred = new Deferred();
-
-            // Step 1 - lets see if record exits. If it does then return callback.
-            self.editExists(id).then(function (result) {
-
-                // Step 4 - Then we check to see if the record actually exists or not.
-                deferred.then(function (result) {
-
-                        // IF the delete was successful, then the record should return 'false' because it doesn't exist.
-                        self.editExists(id).then(function (results) {
-                                callback(false, "item was not deleted"); // item is still in the database!!
-                            },
-                            function (err) {
-                                callback(true, "item successfully deleted"); //because we want this test to throw an error. That means item deleted.
-                            });
-                    },
-                    // There was a problem with the delete operation on the database
-                    function (err) {
-                        callback(false, err);
-                    });
-
-                var objectStore = db.transaction([self.objectStoreName], "readwrite").objectStore(self.objectStoreName);
-
-                // Step 2 - go ahead and delete graphic
-                var objectStoreDeleteRequest = objectStore.delete(id);
-
-                // Step 3 - We know that the onsuccess will always fire unless something serious goes wrong.
-                // So we go ahead and resolve the deferred here.
-                objectStoreDeleteRequest.onsuccess = function () {
-                    deferred.resolve(true);
-                };
-
-                objectStoreDeleteRequest.onerror = function (msg) {
-                    deferred.reject({success: false, error: msg});
-                };
-            },
-            // If there is an error in editExists()
-            function (err) {
+        this._deleteAndVerify(id, function (status, error) {
+            if (status === "deleted") {
+                callback(true, "item successfully deleted");
+            }
+            else if (status === "not-deleted") {
+                callback(false, "item was not deleted"); // item is still in the database!!
+            }
+            else if (status === "error") {
+                callback(false, error);
+            }
+            else {
                 callback(false, "item doesn't exist in db");
-            });
+            }
         });
     };
 
@@ -487,12 +454,12 @@ O.esri.Edit.EditStore = function () {
         objectStoreGraphicRequest.onsuccess = function () {
             var graphic = objectStoreGraphicRequest.result;
             if (graphic && (graphic.id == id)) {
-                callback(true,graphic);
+                this._unseal(graphic, callback);
             }
             else {
                 callback(false,"Id not found");
             }
-        };
+        }.bind(this);
 
         objectStoreGraphicRequest.onerror = function (msg) {
             callback(false,msg);
@@ -506,6 +473,7 @@ O.esri.Edit.EditStore = function () {
     this.getAllEdits = function (callback) {
 
         console.assert(this._db !== null, "indexeddb not initialized");
+        var editsArray = [];
 
         if (this._db !== null) {
 
@@ -523,12 +491,21 @@ O.esri.Edit.EditStore = function () {
 
                     // Make sure we are not return FeatureLayer JSON data or a Phantom Graphic
                     if (cursor.value.id !== fLayerJSONId && cursor.value.id !== fCollectionId && cursor.value.id.indexOf(phantomGraphicPrefix) == -1) {
-                        callback(cursor.value, null);
+                        editsArray.push(cursor.value);
                     }
                     cursor.continue();
                 }
                 else {
-                    callback(null, "end");
+                    // Encrypted edits can't be decrypted while the cursor is open
+                    this._unsealAll(editsArray, function (success, edits) {
+                        if (!success) {
+                            return callback(null, edits);
+                        }
+                        edits.forEach(function (edit) {
+                            callback(edit, null);
+                        });
+                        callback(null, "end");
+                    });
                 }
             }.bind(this);
             transaction.onerror = function (err) {
@@ -546,8 +523,7 @@ O.esri.Edit.EditStore = function () {
      * @param callback {int, messageString} or {null, messageString}
      */
     this.getNextLowestTempId = function (feature, callback) {
-        var addOIDsArray = [],
-            self = this;
+        var addOIDsArray = [];
 
         if (this._db !== null) {
 
@@ -565,7 +541,7 @@ O.esri.Edit.EditStore = function () {
                     // Make sure we are not return FeatureLayer JSON data or a Phantom Graphic
                     if (cursor.value.id !== fLayerJSONId && cursor.value.id !== fCollectionId && cursor.value.id.indexOf(phantomGraphicPrefix) == -1) {
                         if(cursor.value.layer === feature.url && cursor.value.operation === "add"){ // check to make sure the edit is for the feature we are looking for, and that the operation is an add.
-                            addOIDsArray.push(cursor.value.graphic.attributes[self.objectId]); // add the temporary OID to the array
+                            addOIDsArray.push(Number(cursor.value.id.substring(feature.url.length + 1))); // add the temporary OID to the array. The id ends with it, even if the edit is encrypted
                         }
                     }
                     cursor.continue();
@@ -593,7 +569,7 @@ O.esri.Edit.EditStore = function () {
     };
 
     /**
-     * Returns all the edits as a single Array via the callback
+     * Returns all the edits as a single Array via the callback, in the order they were made
      * @param callback {array, messageString} or {null, messageString}
      */
     this.getAllEditsArray = function (callback) {
@@ -623,7 +599,9 @@ O.esri.Edit.EditStore = function () {
                     cursor.continue();
                 }
                 else {
-                    callback(editsArray, "end");
+                    this._unsealAll(this._sortBySequence(editsArray), function (success, edits) {
+                        success ? callback(edits, "end") : callback(null, edits);
+                    });
                 }
             }.bind(this);
             transaction.onerror = function (err) {
@@ -646,35 +624,52 @@ O.esri.Edit.EditStore = function () {
 
         console.assert(this._db !== null, "indexeddb not initialized");
 
-        var objectStore = this._db.transaction([this.objectStoreName], "readwrite").objectStore(this.objectStoreName);
+        var id = layer + "/" + graphic.attributes[this.objectId];
 
         //Let's get the entry associated with the graphic
-        var objectStoreGraphicRequest = objectStore.get(graphic.attributes[this.objectId]);
-        objectStoreGraphicRequest.onsuccess = function () {
+        this._getRecords(this.objectStoreName, [id], function (success, records) {
+            if (!success) {
+                return callback(false, records);
+            }
 
             //Grab the data object returned as a result
-            // TO-DO Do we keep this??
-            objectStoreGraphicRequest.result;
+            var existing = records[0];
 
             //Create a new update object
             var update = {
-                id: layer + "/" + graphic.attributes[this.objectId],
+                id: id,
                 operation: operation,
                 layer: layer,
                 graphic: graphic.toJson()
             };
 
-            // Insert the update into the database
-            var updateGraphicRequest = objectStore.put(update);
+            // Keep the edit's place in the replay order, and the server state it was based on
+            if (existing && existing.hasOwnProperty("serverState")) {
+                update.serverState = existing.serverState;
+            }
+            if (existing && typeof existing.sequence === "number") {
+                update.sequence = existing.sequence;
+            }
 
-            updateGraphicRequest.onsuccess = function () {
-                callback(true);
-            };
+            this._seal(update, function (success, record) {
+                if (!success) {
+                    return callback(false, record);
+                }
 
-            updateGraphicRequest.onerror = function (err) {
-                callback(false, err);
-            };
-        }.bind(this);
+                // Insert the update into the database
+                var updateGraphicRequest = this._db.transaction([this.objectStoreName], "readwrite")
+                    .objectStore(this.objectStoreName)
+                    .put(record);
+
+                updateGraphicRequest.onsuccess = function () {
+                    callback(true);
+                };
+
+                updateGraphicRequest.onerror = function (err) {
+                    callback(false, err);
+                };
+            }.bind(this));
+        }.bind(this));
     };
 
     /**
@@ -686,7 +681,6 @@ O.esri.Edit.EditStore = function () {
      * @param callback {boolean, error}
      */
     this.delete = function (layerUrl, graphic, callback) {
-
         // NOTE: the implementation of the IndexedDB spec has a design fault with respect to
         // handling deletes. The result of a delete operation is always designated as undefined.
         // What this means is that there is no way to tell if an operation was successful or not.
@@ -696,54 +690,18 @@ O.esri.Edit.EditStore = function () {
         // if the record is or is not in the database. Kinda dumb, but that's how IndexedDB works.
         //http://stackoverflow.com/questions/17137879/is-there-a-way-to-get-information-on-deleted-record-when-calling-indexeddbs-obj
 
-        var db = this._db;
-        var deferred = null;
-        var self = this;
-
         var id = layerUrl + "/" + graphic.attributes[this.objectId];
 
-        require(["dojo/Deferred"], function (Deferred) {
-            deferred = new Deferred();
-
-            // Step 1 - lets see if record exits. If it does then return callback.
-            self.editExists(id).then(function (result) {
-
-                // Step 4 - Then we check to see if the record actually exists or not.
-                deferred.then(function (result) {
-
-                        // IF the delete was successful, then the record should return 'false' because it doesn't exist.
-                        self.editExists(id).then(function (results) {
-                                callback(false);
-                            },
-                            function (err) {
-                                callback(true); //because we want this test to throw an error. That means item deleted.
-                            });
-                    },
-                    // There was a problem with the delete operation on the database
-                    function (err) {
-                        callback(false, err);
-                    });
-
-                var objectStore = db.transaction([self.objectStoreName], "readwrite").objectStore(self.objectStoreName);
-
-                // Step 2 - go ahead and delete graphic
-                var objectStoreDeleteRequest = objectStore.delete(id);
-
-                // Step 3 - We know that the onsuccess will always fire unless something serious goes wrong.
-                // So we go ahead and resolve the deferred here.
-                objectStoreDeleteRequest.onsuccess = function () {
-                    deferred.resolve(true);
-                };
-
-                objectStoreDeleteRequest.onerror = function (msg) {
-                    deferred.reject({success: false, error: msg});
-                };
-
-            },
-            // If there is an error in editExists()
-            function (err) {
+        this._deleteAndVerify(id, function (status, error) {
+            if (status === "deleted") {
+                callback(true);
+            }
+            else if (status === "error") {
+                callback(false, error);
+            }
+            else {
                 callback(false);
-            });
+            }
         });
     };
 
@@ -757,9 +715,11 @@ O.esri.Edit.EditStore = function () {
     this.resetEditsQueue = function (callback) {
         console.assert(this._db !== null, "indexeddb not initialized");
 
-        var request = this._db.transaction([this.objectStoreName], "readwrite")
-            .objectStore(this.objectStoreName)
-            .clear();
+        // The history can't be undone once the edits it refers to are gone
+        var transaction = this._db.transaction([this.objectStoreName, this.historyObjectStoreName], "readwrite");
+        transaction.objectStore(this.historyObjectStoreName).clear();
+
+        var request = transaction.objectStore(this.objectStoreName).clear();
         request.onsuccess = function (event) {
             setTimeout(function () {
                 callback(true);
@@ -837,124 +797,938 @@ O.esri.Edit.EditStore = function () {
     };
 
     /**
-     * Returns the approximate size of the database in bytes
-     * IMPORTANT: Currently requires all data be serialized!
-     * @param callback  callback({usage}, error) Whereas, the usage Object is {sizeBytes: number, editCount: number}
+     * Increments the attempt counter of a pending edit after it failed to sync.
+     * @param id the edit's id
+     * @param error {code, description} of the last failure
+     * @param callback callback(true, edit) or callback(false, error)
      */
-    this.getUsage = function (callback) {
+    this.recordEditAttempt = function (id, error, callback) {
         console.assert(this._db !== null, "indexeddb not initialized");
 
-        var id = this.FEATURE_LAYER_JSON_ID;
-        var fCollectionId = this.FEATURE_COLLECTION_ID;
-        var phantomGraphicPrefix = this.PHANTOM_GRAPHIC_PREFIX;
+        var edit = null;
+        var transaction = this._db.transaction([this.objectStoreName], "readwrite");
 
-        var usage = {sizeBytes: 0, editCount: 0};
+        transaction.oncomplete = function () {
+            if (edit) {
+                this._unseal(edit, callback);
+            }
+            else {
+                callback(false, "Id not found");
+            }
+        }.bind(this);
 
-        var transaction = this._db.transaction([this.objectStoreName])
-            .objectStore(this.objectStoreName)
-            .openCursor();
+        transaction.onerror = function (event) {
+            callback(false, event.target.error.message);
+        };
 
-        console.log("dumping keys");
+        var objectStore = transaction.objectStore(this.objectStoreName);
+        objectStore.get(id).onsuccess = function (event) {
+            edit = event.target.result;
+            if (edit) {
+                edit.attempts = (edit.attempts || 0) + 1;
+                edit.lastAttempt = new Date().getTime();
+                edit.lastError = error;
+                objectStore.put(edit);
+            }
+        };
+    };
 
-        transaction.onsuccess = function (event) {
-            var cursor = event.target.result;
-            if (cursor && cursor.value && cursor.value.id) {
-                var storedObject = cursor.value;
-                var json = JSON.stringify(storedObject);
-                usage.sizeBytes += json.length;
+    /**
+     * Moves a pending edit into the dead-letter object store. It will no longer be sent to the server.
+     * It replaces an older dead-letter edit of the same feature, e.g. one that was rejected before the
+     * feature was edited again.
+     * @param id the edit's id
+     * @param error {code, description} of the failure
+     * @param callback callback(true, edit) or callback(false, error)
+     */
+    this.moveToDeadLetter = function (id, error, callback) {
+        this._moveEdit(this.objectStoreName, this.deadLetterObjectStoreName, id, true, function (edit) {
+            edit.lastError = error;
+            edit.deadLettered = new Date().getTime();
+        }, callback);
+    };
 
-                if (cursor.value.id.indexOf(phantomGraphicPrefix) == -1 && cursor.value.id !== id && cursor.value.id !== fCollectionId) {
-                    usage.editCount += 1;
-                }
+    /**
+     * Moves an edit out of the dead-letter object store and back into the queue of pending edits.
+     * Its attempt counter is reset. Fails if the feature has been edited again since.
+     * @param id the edit's id
+     * @param callback callback(true, edit) or callback(false, error)
+     */
+    this.restoreDeadLetterEdit = function (id, callback) {
+        this._moveEdit(this.deadLetterObjectStoreName, this.objectStoreName, id, false, function (edit) {
+            edit.attempts = 0;
+            delete edit.deadLettered;
+        }, callback);
+    };
+
+    /**
+     * Returns all dead-letter edits as a single Array via the callback, in the order they were made
+     * @param callback callback(true, array) or callback(false, error)
+     */
+    this.getDeadLetterEdits = function (callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
 
+        var editsArray = [];
+
+        var transaction = this._db.transaction([this.deadLetterObjectStoreName])
+            .objectStore(this.deadLetterObjectStoreName)
+            .openCursor();
+
+        transaction.onsuccess = function (event) {
+            var cursor = event.target.result;
+            if (cursor) {
+                editsArray.push(cursor.value);
                 cursor.continue();
             }
             else {
-                callback(usage, null);
+                this._unsealAll(this._sortBySequence(editsArray), callback);
             }
-        };
+        }.bind(this);
         transaction.onerror = function (err) {
-            callback(null, err);
+            callback(false, err);
         };
     };
 
-    //
-    // internal methods
-    //
-
     /**
-     * The library automatically keeps a copy of the featureLayerCollection and its
-     * associated layer.url.
-     *
-     * There should be only one featureLayerCollection Object per feature layer.
-     * @param featureCollectionObject
-     * @param callback
-     * @private
+     * Retrieve a dead-letter edit by its id
+     * @param id String identifier
+     * @param callback callback(true, edit) or callback(false, error)
      */
-    this._pushFeatureCollections = function(featureCollectionObject, callback){
-        var transaction = this._db.transaction([this.objectStoreName], "readwrite");
+    this.getDeadLetterEdit = function (id, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
 
-        transaction.oncomplete = function (event) {
-            callback(true);
-        };
+        var request = this._db.transaction([this.deadLetterObjectStoreName])
+            .objectStore(this.deadLetterObjectStoreName)
+            .get(id);
 
-        transaction.onerror = function (event) {
-            callback(false, event.target.error.message);
+        request.onsuccess = function () {
+            if (request.result) {
+                this._unseal(request.result, callback);
+            }
+            else {
+                callback(false, "Id not found");
+            }
+        }.bind(this);
+        request.onerror = function (err) {
+            callback(false, err);
         };
-
-        var objectStore = transaction.objectStore(this.objectStoreName);
-        objectStore.put(featureCollectionObject);
     };
 
-    this._getFeatureCollections = function(callback){
-        var objectStore = this._db.transaction([this.objectStoreName], "readonly").objectStore(this.objectStoreName);
+    /**
+     * Permanently deletes a dead-letter edit
+     * @param id String identifier
+     * @param callback callback(true) or callback(false, error)
+     */
+    this.deleteDeadLetterEdit = function (id, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
 
-        //Get the entry associated with the graphic
-        var objectStoreGraphicRequest = objectStore.get(this.FEATURE_COLLECTION_ID);
+        var found = false;
+        var transaction = this._db.transaction([this.deadLetterObjectStoreName], "readwrite");
 
-        objectStoreGraphicRequest.onsuccess = function () {
-            var object = objectStoreGraphicRequest.result;
-            if (typeof object != "undefined") {
-                callback(true, object);
+        transaction.oncomplete = function () {
+            if (found) {
+                callback(true);
             }
             else {
-                callback(false, null);
+                callback(false, "Id not found");
             }
         };
+        transaction.onerror = function (event) {
+            callback(false, event.target.error.message);
+        };
 
-        objectStoreGraphicRequest.onerror = function (msg) {
+        var objectStore = transaction.objectStore(this.deadLetterObjectStoreName);
+        objectStore.get(id).onsuccess = function (event) {
+            if (event.target.result) {
+                found = true;
+                objectStore.delete(id);
+            }
+        };
+    };
+
+    /**
+     * Replaces a pending edit with a previous state of the same edit. Used by undo and redo.
+     * @param id the edit's id
+     * @param edit the edit record to store, or null to remove the edit from the queue
+     * @param callback callback(true) or callback(false, error)
+     */
+    this.restoreEdit = function (id, edit, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        this._seal(edit, function (success, record) {
+            if (!success) {
+                return callback(false, record);
+            }
+
+            var transaction = this._db.transaction([this.objectStoreName], "readwrite");
+
+            transaction.oncomplete = function () {
+                callback(true);
+            };
+            transaction.onerror = function (event) {
+                callback(false, event.target.error.message);
+            };
+
+            if (record) {
+                transaction.objectStore(this.objectStoreName).put(record);
+            }
+            else {
+                transaction.objectStore(this.objectStoreName).delete(id);
+            }
+        }.bind(this));
+    };
+
+    /**
+     * Adds edits made on another device to the queue, in the given order, after the edits made on this one.
+     * An edit replaces the pending edit of the same feature, unless that feature was deleted on this device.
+     * @param edits edit records {id, operation, layer, type, graphic, serverState}
+     * @param callback callback(true, {merged: [edits], skipped: [{id, reason}]}) or callback(false, error)
+     */
+    this.mergeEdits = function (edits, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        var ids = edits.map(function (edit) {
+            return edit.id;
+        });
+
+        this._getRecords(this.objectStoreName, ids, function (success, existingRecords) {
+            if (!success) {
+                return callback(false, existingRecords);
+            }
+
+            var merged = [];
+            var skipped = [];
+            var records = {}; // the records of this merge by id, in case a feature was edited twice
+
+            edits.forEach(function (edit, index) {
+                var existing = records[edit.id] || existingRecords[index];
+
+                if (existing && existing.operation === this.DELETE) {
+                    skipped.push({id: edit.id, reason: "The feature was deleted on this device"});
+                }
+                else {
+                    var record = {
+                        id: edit.id,
+                        operation: edit.operation,
+                        layer: edit.layer,
+                        type: edit.type,
+                        graphic: edit.graphic,
+                        serverState: edit.serverState || (existing ? existing.serverState : null),
+                        sequence: existing && typeof existing.sequence === "number" ? existing.sequence : this._nextSequence++
+                    };
+                    records[edit.id] = record;
+                    merged.push(record);
+                }
+            }, this);
+
+            this._sealAll(merged, function (success, sealed) {
+                if (!success) {
+                    return callback(false, sealed);
+                }
+
+                var transaction = this._db.transaction([this.objectStoreName], "readwrite");
+
+                transaction.oncomplete = function () {
+                    callback(true, {merged: merged, skipped: skipped});
+                };
+                transaction.onerror = function (event) {
+                    callback(false, event.target.error.message);
+                };
+
+                var objectStore = transaction.objectStore(this.objectStoreName);
+                sealed.forEach(function (record) {
+                    objectStore.put(record);
+                });
+            }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * Adds an entry to the edit history. Entries of the same layer that were undone can no
+     * longer be redone, so they are removed.
+     * @param entry {layer, timestamp, undone, changes: [{editId, objectId, before, after, graphic}]}
+     * @param callback callback(true, entry) or callback(false, error)
+     */
+    this.pushHistory = function (entry, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        this._seal(entry, function (success, record) {
+            if (!success) {
+                return callback(false, record);
+            }
+
+            var transaction = this._db.transaction([this.historyObjectStoreName], "readwrite");
+            var objectStore = transaction.objectStore(this.historyObjectStoreName);
+
+            transaction.oncomplete = function () {
+                callback(true, entry);
+            };
+            transaction.onerror = function (event) {
+                callback(false, event.target.error.message);
+            };
+
+            objectStore.openCursor().onsuccess = function (event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    if (cursor.value.layer === entry.layer && cursor.value.undone) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+                else {
+                    objectStore.add(record).onsuccess = function (event) {
+                        entry.id = event.target.result;
+                    };
+                }
+            };
+        }.bind(this));
+    };
+
+    /**
+     * Returns the edit history of a layer, oldest entry first
+     * @param layerUrl the URL of the feature layer
+     * @param callback callback(true, array) or callback(false, error)
+     */
+    this.getHistory = function (layerUrl, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        var entries = [];
+
+        var transaction = this._db.transaction([this.historyObjectStoreName])
+            .objectStore(this.historyObjectStoreName)
+            .openCursor();
+
+        transaction.onsuccess = function (event) {
+            var cursor = event.target.result;
+            if (cursor) {
+                if (cursor.value.layer === layerUrl) {
+                    entries.push(cursor.value);
+                }
+                cursor.continue();
+            }
+            else {
+                this._unsealAll(entries, callback);
+            }
+        }.bind(this);
+        transaction.onerror = function (err) {
+            callback(false, err);
+        };
+    };
+
+    /**
+     * Updates an existing history entry
+     * @param entry
+     * @param callback callback(true) or callback(false, error)
+     */
+    this.updateHistory = function (entry, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        this._seal(entry, function (success, record) {
+            if (!success) {
+                return callback(false, record);
+            }
+
+            var request = this._db.transaction([this.historyObjectStoreName], "readwrite")
+                .objectStore(this.historyObjectStoreName)
+                .put(record);
+
+            request.onsuccess = function () {
+                callback(true);
+            };
+            request.onerror = function (err) {
+                callback(false, err);
+            };
+        }.bind(this));
+    };
+
+    /**
+     * Removes the edit history of all layers
+     * @param callback callback(true) or callback(false, error)
+     */
+    this.resetHistory = function (callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        var request = this._db.transaction([this.historyObjectStoreName], "readwrite")
+            .objectStore(this.historyObjectStoreName)
+            .clear();
+
+        request.onsuccess = function () {
+            callback(true);
+        };
+        request.onerror = function (err) {
+            callback(false, err);
+        };
+    };
+
+    /**
+     * Returns the approximate size of the database in bytes
+     * IMPORTANT: Currently requires all data be serialized!
+     * @param callback  callback({usage}, error) Whereas, the usage Object is {sizeBytes: number, editCount: number}
+     */
+    this.getUsage = function (callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        var id = this.FEATURE_LAYER_JSON_ID;
+        var fCollectionId = this.FEATURE_COLLECTION_ID;
+        var phantomGraphicPrefix = this.PHANTOM_GRAPHIC_PREFIX;
+
+        var usage = {sizeBytes: 0, editCount: 0};
+
+        var transaction = this._db.transaction([this.objectStoreName])
+            .objectStore(this.objectStoreName)
+            .openCursor();
+
+        console.log("dumping keys");
+
+        transaction.onsuccess = function (event) {
+            var cursor = event.target.result;
+            if (cursor && cursor.value && cursor.value.id) {
+                var storedObject = cursor.value;
+                var json = JSON.stringify(storedObject);
+                usage.sizeBytes += json.length;
+
+                if (cursor.value.id.indexOf(phantomGraphicPrefix) == -1 && cursor.value.id !== id && cursor.value.id !== fCollectionId) {
+                    usage.editCount += 1;
+                }
+
+                cursor.continue();
+            }
+            else {
+                callback(usage, null);
+            }
+        };
+        transaction.onerror = function (err) {
+            callback(null, err);
+        };
+    };
+
+    /**
+     * Encrypts all records with a new key, and stores the new key-check record. Pass null to store the records in
+     * plain text again. Use this as well to encrypt the records that were stored before encryption was turned on.
+     * Don't make edits while the records are being encrypted.
+     * @param encryption O.esri.Edit.Encryption, or null
+     * @param callback callback(true) or callback(false, error)
+     */
+    this.rotateKey = function (encryption, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        var storeNames = [this.objectStoreName, this.deadLetterObjectStoreName, this.historyObjectStoreName];
+
+        // Records are read with the current key, then written with the new one
+        this._readAllRecords(storeNames, function (success, items) {
+            if (!success) {
+                return callback(false, items);
+            }
+
+            var rotate = function (success, result) {
+                if (!success) {
+                    return callback(false, result);
+                }
+
+                var previous = {encryption: this.encryption, key: this._key};
+                var fail = function (error) {
+                    this.encryption = previous.encryption;
+                    this._key = previous.key;
+                    callback(false, error);
+                }.bind(this);
+
+                this.encryption = encryption;
+                this._key = result ? result.key : null;
+
+                this._mapRecords(items, function (item, done) {
+                    this._seal(item.record, function (success, record) {
+                        done(success, success ? {storeName: item.storeName, record: record} : record);
+                    });
+                }, function (success, sealedItems) {
+                    if (!success) {
+                        return fail(sealedItems);
+                    }
+
+                    var transaction = this._db.transaction(storeNames.concat(this.keysObjectStoreName), "readwrite");
+
+                    transaction.oncomplete = function () {
+                        callback(true);
+                    };
+                    transaction.onerror = function (event) {
+                        fail(event.target.error.message);
+                    };
+
+                    sealedItems.forEach(function (item) {
+                        transaction.objectStore(item.storeName).put(item.record);
+                    });
+
+                    var keys = transaction.objectStore(this.keysObjectStoreName);
+                    keys.clear();
+                    if (result) {
+                        result.check.id = this._KEY_CHECK_ID;
+                        keys.put(result.check);
+                    }
+                }.bind(this));
+            }.bind(this);
+
+            if (encryption) {
+                encryption.createKey(rotate);
+            }
+            else {
+                rotate(true, null);
+            }
+        }.bind(this));
+    };
+
+    //
+    // internal methods
+    //
+
+    /**
+     * The library automatically keeps a copy of the featureLayerCollection and its
+     * associated layer.url.
+     *
+     * There should be only one featureLayerCollection Object per feature layer.
+     * @param featureCollectionObject
+     * @param callback
+     * @private
+     */
+    this._pushFeatureCollections = function(featureCollectionObject, callback){
+        this._seal(featureCollectionObject, function (success, record) {
+            if (!success) {
+                return callback(false, record);
+            }
+
+            var transaction = this._db.transaction([this.objectStoreName], "readwrite");
+
+            transaction.oncomplete = function (event) {
+                callback(true);
+            };
+
+            transaction.onerror = function (event) {
+                callback(false, event.target.error.message);
+            };
+
+            var objectStore = transaction.objectStore(this.objectStoreName);
+            objectStore.put(record);
+        }.bind(this));
+    };
+
+    /**
+     * Sorts edits in the order they were made. Edits stored before sequence numbers
+     * were introduced come first, in key order.
+     * @param edits
+     * @returns {Array}
+     * @private
+     */
+    this._sortBySequence = function (edits) {
+        var sequenceOf = function (edit) {
+            return typeof edit.sequence === "number" ? edit.sequence : -1;
+        };
+
+        // Array.sort() isn't guaranteed to be stable, so fall back to the original position
+        return edits.map(function (edit, index) {
+            return {edit: edit, index: index};
+        }).sort(function (a, b) {
+            return (sequenceOf(a.edit) - sequenceOf(b.edit)) || (a.index - b.index);
+        }).map(function (item) {
+            return item.edit;
+        });
+    };
+
+    /**
+     * Moves a record between two object stores in a single transaction.
+     * @param from object store name
+     * @param to object store name
+     * @param id
+     * @param replace whether a record with the same id in the target store is replaced. Otherwise the move fails.
+     * @param modify function(record) called before the record is written
+     * @param callback callback(true, record) or callback(false, error)
+     * @private
+     */
+    this._moveEdit = function (from, to, id, replace, modify, callback) {
+        console.assert(this._db !== null, "indexeddb not initialized");
+
+        var record = null;
+        var error = "Id not found";
+        var transaction = this._db.transaction([from, to], "readwrite");
+
+        transaction.oncomplete = function () {
+            if (record) {
+                this._unseal(record, callback);
+            }
+            else {
+                callback(false, error);
+            }
+        }.bind(this);
+
+        transaction.onerror = function (event) {
+            callback(false, event.target.error.message);
+        };
+
+        var source = transaction.objectStore(from);
+        var target = transaction.objectStore(to);
+
+        source.get(id).onsuccess = function (event) {
+            var value = event.target.result;
+            if (!value) {
+                return;
+            }
+
+            target.get(id).onsuccess = function (event) {
+                if (event.target.result && !replace) {
+                    error = "A newer edit of this feature exists";
+                    return;
+                }
+
+                modify(value);
+                target.put(value);
+                source.delete(id);
+                record = value;
+            };
+        };
+    };
+
+    /**
+     * Finds the highest sequence number in the database so new edits are numbered after it
+     * @param callback
+     * @private
+     */
+    this._initSequence = function (callback) {
+        var highest = -1;
+        var storeNames = [this.objectStoreName, this.deadLetterObjectStoreName];
+        var transaction = this._db.transaction(storeNames);
+
+        transaction.oncomplete = function () {
+            this._nextSequence = highest + 1;
+            callback(true);
+        }.bind(this);
+        transaction.onerror = function (err) {
+            callback(false, err);
+        };
+
+        // Dead-letter edits keep their sequence number in case they are restored
+        storeNames.forEach(function (storeName) {
+            transaction.objectStore(storeName).openCursor().onsuccess = function (event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    if (cursor.value && typeof cursor.value.sequence === "number" && cursor.value.sequence > highest) {
+                        highest = cursor.value.sequence;
+                    }
+                    cursor.continue();
+                }
+            };
+        });
+    };
+
+    this._getFeatureCollections = function(callback){
+        var objectStore = this._db.transaction([this.objectStoreName], "readonly").objectStore(this.objectStoreName);
+
+        //Get the entry associated with the graphic
+        var objectStoreGraphicRequest = objectStore.get(this.FEATURE_COLLECTION_ID);
+
+        objectStoreGraphicRequest.onsuccess = function () {
+            var object = objectStoreGraphicRequest.result;
+            if (typeof object != "undefined") {
+                this._unseal(object, callback);
+            }
+            else {
+                callback(false, null);
+            }
+        }.bind(this);
+
+        objectStoreGraphicRequest.onerror = function (msg) {
             callback(false, msg);
         };
     };
 
+    /**
+     * Deletes a record, then checks that it is gone. See the note in delete() about why.
+     * @param id
+     * @param callback callback(status, error). status is "missing" if there was no record, "deleted",
+     * "not-deleted" if the record is still there, or "error" if the delete request failed.
+     * @private
+     */
+    this._deleteAndVerify = function (id, callback) {
+        this._recordExists(id, function (exists, error) {
+            if (!exists) {
+                return callback("missing", error);
+            }
+
+            var objectStoreDeleteRequest = this._db.transaction([this.objectStoreName], "readwrite")
+                .objectStore(this.objectStoreName)
+                .delete(id);
+
+            objectStoreDeleteRequest.onsuccess = function () {
+                this._recordExists(id, function (stillExists) {
+                    callback(stillExists ? "not-deleted" : "deleted");
+                });
+            }.bind(this);
+
+            objectStoreDeleteRequest.onerror = function (msg) {
+                callback("error", {success: false, error: msg});
+            };
+        }.bind(this));
+    };
+
+    /**
+     * Callback version of editExists(), which needs dojo
+     * @param id
+     * @param callback callback(true) or callback(false, {success: false, error})
+     * @private
+     */
+    this._recordExists = function (id, callback) {
+        var objectStoreGraphicRequest = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName).get(id);
+
+        objectStoreGraphicRequest.onsuccess = function () {
+            var graphic = objectStoreGraphicRequest.result;
+            if (graphic && (graphic.id == id)) {
+                callback(true);
+            }
+            else {
+                callback(false, {success: false, error: "objectId is not a match."});
+            }
+        };
+
+        objectStoreGraphicRequest.onerror = function (msg) {
+            callback(false, {success: false, error: msg});
+        };
+    };
+
+    /**
+     * Returns the storage adapter, and creates the default IndexedDB adapter if none was set
+     * @returns {Object}
+     * @private
+     */
+    this._getStorage = function () {
+        if (!this.storage) {
+            this.storage = new O.esri.Edit.IndexedDBStorage();
+        }
+        return this.storage;
+    };
+
+    /**
+     * Returns a copy of the record with the fields that aren't in _PLAIN_FIELDS encrypted, or the record as it is
+     * if the database isn't encrypted
+     * @param record
+     * @param callback callback(true, record) or callback(false, error)
+     * @private
+     */
+    this._seal = function (record, callback) {
+        if (!this._key || !record) {
+            return callback(true, record);
+        }
+        this.encryption.seal(this._key, record, this._PLAIN_FIELDS, callback);
+    };
+
+    this._sealAll = function (records, callback) {
+        this._mapRecords(records, this._seal, callback);
+    };
+
+    /**
+     * Returns decrypted copies of records
+     * @param record
+     * @param callback callback(true, record) or callback(false, error)
+     * @private
+     */
+    this._unseal = function (record, callback) {
+        if (!this._key) {
+            return callback(true, record);
+        }
+        this.encryption.unseal(this._key, record, callback);
+    };
+
+    this._unsealAll = function (records, callback) {
+        this._mapRecords(records, this._unseal, callback);
+    };
+
+    /**
+     * Calls fn(record, done) for every record, and callback once they are all done
+     * @param records Array
+     * @param fn function(record, done) that calls done(true, result) or done(false, error)
+     * @param callback callback(true, results) in the order of the records, or callback(false, error) on the first error
+     * @private
+     */
+    this._mapRecords = function (records, fn, callback) {
+        var results = new Array(records.length);
+        var pending = records.length;
+        var failed = false;
+
+        if (pending === 0) {
+            return callback(true, results);
+        }
+
+        records.forEach(function (record, index) {
+            fn.call(this, record, function (success, result) {
+                if (failed) {
+                    return;
+                }
+                if (!success) {
+                    failed = true;
+                    return callback.call(this, false, result);
+                }
+                results[index] = result;
+                if (--pending === 0) {
+                    callback.call(this, true, results);
+                }
+            }.bind(this));
+        }, this);
+    };
+
+    /**
+     * Reads records by id in a single transaction and decrypts them
+     * @param storeName
+     * @param ids Array
+     * @param callback callback(true, records) with undefined for the ids that weren't found, or callback(false, error)
+     * @private
+     */
+    this._getRecords = function (storeName, ids, callback) {
+        var records = new Array(ids.length);
+        var transaction = this._db.transaction([storeName]);
+
+        transaction.oncomplete = function () {
+            this._unsealAll(records, callback);
+        }.bind(this);
+        transaction.onerror = function (event) {
+            callback(false, event.target.error.message);
+        };
+
+        var objectStore = transaction.objectStore(storeName);
+        ids.forEach(function (id, index) {
+            objectStore.get(id).onsuccess = function (event) {
+                records[index] = event.target.result;
+            };
+        });
+    };
+
+    /**
+     * Reads all records of the object stores in a single transaction and decrypts them
+     * @param storeNames Array
+     * @param callback callback(true, [{storeName, record}]) or callback(false, error)
+     * @private
+     */
+    this._readAllRecords = function (storeNames, callback) {
+        var items = [];
+        var transaction = this._db.transaction(storeNames);
+
+        transaction.oncomplete = function () {
+            this._mapRecords(items, function (item, done) {
+                this._unseal(item.record, function (success, record) {
+                    done(success, success ? {storeName: item.storeName, record: record} : record);
+                });
+            }, callback);
+        }.bind(this);
+        transaction.onerror = function (event) {
+            callback(false, event.target.error.message);
+        };
+
+        storeNames.forEach(function (storeName) {
+            transaction.objectStore(storeName).openCursor().onsuccess = function (event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    items.push({storeName: storeName, record: cursor.value});
+                    cursor.continue();
+                }
+            };
+        });
+    };
+
+    /**
+     * Gets the key of an encrypted database. Creates the key-check record if the database is encrypted for the first time.
+     * @param callback callback(true) or callback(false, error)
+     * @private
+     */
+    this._initEncryption = function (callback) {
+        var request = this._db.transaction([this.keysObjectStoreName])
+            .objectStore(this.keysObjectStoreName)
+            .get(this._KEY_CHECK_ID);
+
+        request.onsuccess = function () {
+            var check = request.result;
+
+            if (!this.encryption) {
+                return check ? callback(false, "The database is encrypted. Set an encryption key before opening it") : callback(true);
+            }
+            if (!this.encryption.isSupported()) {
+                return callback(false, "WebCrypto is not supported");
+            }
+
+            if (check) {
+                this.encryption.openKey(check, function (success, key) {
+                    if (!success) {
+                        return callback(false, key);
+                    }
+                    this._key = key;
+                    callback(true);
+                }.bind(this));
+                return;
+            }
+
+            this.encryption.createKey(function (success, result) {
+                if (!success) {
+                    return callback(false, result);
+                }
+
+                var transaction = this._db.transaction([this.keysObjectStoreName], "readwrite");
+                transaction.oncomplete = function () {
+                    this._key = result.key;
+                    callback(true);
+                }.bind(this);
+                transaction.onerror = function (event) {
+                    callback(false, event.target.error.message);
+                };
+
+                result.check.id = this._KEY_CHECK_ID;
+                transaction.objectStore(this.keysObjectStoreName).put(result.check);
+            }.bind(this));
+        }.bind(this);
+
+        request.onerror = function (event) {
+            callback(false, event.target.error.message);
+        };
+    };
+
     this.init = function (callback) {
         console.log("init editsStore.js");
 
-        var request = indexedDB.open(this.dbName, 11);
+        var request = this._getStorage().open(this.dbName, 14);
         callback = callback || function (success) {
             console.log("EditsStore::init() success:", success);
         }.bind(this);
 
         request.onerror = function (event) {
-            console.log("indexedDB error: " + event.target.errorCode);
+            console.log("database error: " + event.target.errorCode);
             callback(false, event.target.errorCode);
         }.bind(this);
 
         request.onupgradeneeded = function (event) {
             var db = event.target.result;
 
-            if (db.objectStoreNames.contains(this.objectStoreName)) {
-                db.deleteObjectStore(this.objectStoreName);
+            // Keep any pending edits when upgrading from an earlier version
+            if (!db.objectStoreNames.contains(this.objectStoreName)) {
+                db.createObjectStore(this.objectStoreName, {keyPath: "id"});
+            }
+
+            if (!db.objectStoreNames.contains(this.deadLetterObjectStoreName)) {
+                db.createObjectStore(this.deadLetterObjectStoreName, {keyPath: "id"});
             }
 
-            db.createObjectStore(this.objectStoreName, {keyPath: "id"});
+            if (!db.objectStoreNames.contains(this.historyObjectStoreName)) {
+                db.createObjectStore(this.historyObjectStoreName, {keyPath: "id", autoIncrement: true});
+            }
+
+            if (!db.objectStoreNames.contains(this.keysObjectStoreName)) {
+                db.createObjectStore(this.keysObjectStoreName, {keyPath: "id"});
+            }
         }.bind(this);
 
         request.onsuccess = function (event) {
             this._db = event.target.result;
-            this._isDBInit = true;
             console.log("database opened successfully");
-            callback(true, null);
+            this._initEncryption(function (success, error) {
+                if (!success) {
+                    return callback(false, error);
+                }
+                this._isDBInit = true;
+                this._initSequence(function (success, error) {
+                    callback(success, error || null);
+                });
+            }.bind(this));
         }.bind(this);
     };
 };
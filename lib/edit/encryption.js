@@ -0,0 +1,234 @@
+/*jshint -W030 */
+/**
+ * Encrypts the records of the edit and attachment stores with AES-GCM (WebCrypto) before they are written.
+ * Fields the stores need to look records up, such as ids, operations and layer URLs, are kept in plain text.
+ * Everything else is moved into record.sealed = {iv, data}.
+ *
+ * Each database keeps a key-check record. It holds the PBKDF2 salt and a known value that was encrypted with the
+ * key, so that opening a database with the wrong key fails straight away instead of when a record is read.
+ *
+ * @param options {passphrase: String} to derive a key with PBKDF2, or {key: CryptoKey} to use an AES-GCM key
+ * that was created with the "encrypt" and "decrypt" usages.
+ * @constructor
+ */
+O.esri.Edit.Encryption = function (options) {
+
+    "use strict";
+
+    options = options || {};
+
+    this.passphrase = options.passphrase || null;
+    this.key = options.key || null;
+    this.iterations = options.iterations || 100000; // PBKDF2 iterations
+
+    this.WRONG_KEY_ERROR = "The encryption key doesn't match the key the database was encrypted with";
+    this.NO_KEY_ERROR = "The database is encrypted. Set an encryption key before opening it";
+    this.DECRYPT_ERROR = "A record could not be decrypted";
+
+    this._CHECK_VALUE = "offline-editor-js";
+    this._derivedKeys = {}; // derived keys by salt
+
+    this.isSupported = function () {
+        return !!(window.crypto && window.crypto.subtle && window.TextEncoder && window.TextDecoder);
+    };
+
+    /**
+     * Creates the key of a new database, and the key-check record {salt, iv, data} to store with it
+     * @param callback callback(true, {key, check}) or callback(false, error)
+     */
+    this.createKey = function (callback) {
+        var salt = this.passphrase ? this._toBase64(window.crypto.getRandomValues(new Uint8Array(16))) : null;
+
+        this._getKey(salt, function (success, key) {
+            if (!success) {
+                return callback(false, key);
+            }
+
+            this.encrypt(key, this._CHECK_VALUE, function (success, sealed) {
+                if (!success) {
+                    return callback(false, sealed);
+                }
+
+                callback(true, {
+                    key: key,
+                    check: {salt: salt, iv: sealed.iv, data: sealed.data}
+                });
+            }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * Returns the key of an existing database, after checking it against the database's key-check record
+     * @param check the key-check record
+     * @param callback callback(true, key) or callback(false, error)
+     */
+    this.openKey = function (check, callback) {
+        this._getKey(check.salt, function (success, key) {
+            if (!success) {
+                return callback(false, key);
+            }
+
+            this.decrypt(key, check, function (success, value) {
+                if (success && value === this._CHECK_VALUE) {
+                    callback(true, key);
+                }
+                else {
+                    callback(false, this.WRONG_KEY_ERROR);
+                }
+            }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * Encrypts a value that can be serialized to JSON
+     * @param key CryptoKey
+     * @param value
+     * @param callback callback(true, {iv, data}) or callback(false, error)
+     */
+    this.encrypt = function (key, value, callback) {
+        var iv = window.crypto.getRandomValues(new Uint8Array(12));
+        var data = new window.TextEncoder().encode(JSON.stringify(value));
+
+        window.crypto.subtle.encrypt({name: "AES-GCM", iv: iv}, key, data).then(function (encrypted) {
+            callback(true, {iv: this._toBase64(iv), data: this._toBase64(new Uint8Array(encrypted))});
+        }.bind(this), function (err) {
+            callback(false, err.message || err.name);
+        });
+    };
+
+    /**
+     * Decrypts a value that was encrypted with encrypt()
+     * @param key CryptoKey
+     * @param sealed {iv, data}
+     * @param callback callback(true, value) or callback(false, error)
+     */
+    this.decrypt = function (key, sealed, callback) {
+        var iv = this._fromBase64(sealed.iv);
+        var data = this._fromBase64(sealed.data);
+
+        window.crypto.subtle.decrypt({name: "AES-GCM", iv: iv}, key, data).then(function (decrypted) {
+            callback(true, JSON.parse(new window.TextDecoder().decode(decrypted)));
+        }, function () {
+            // AES-GCM fails the same way for a wrong key and for altered data
+            callback(false, this.DECRYPT_ERROR);
+        }.bind(this));
+    };
+
+    /**
+     * Returns a copy of the record with every field except plainFields encrypted into record.sealed
+     * @param key CryptoKey
+     * @param record
+     * @param plainFields Array of the field names to keep in plain text
+     * @param callback callback(true, record) or callback(false, error)
+     */
+    this.seal = function (key, record, plainFields, callback) {
+        var copy = {};
+        var payload = {};
+
+        for (var field in record) {
+            if (record.hasOwnProperty(field)) {
+                if (plainFields.indexOf(field) !== -1) {
+                    copy[field] = record[field];
+                }
+                else {
+                    payload[field] = record[field];
+                }
+            }
+        }
+
+        this.encrypt(key, payload, function (success, sealed) {
+            if (!success) {
+                return callback(false, sealed);
+            }
+            copy.sealed = sealed;
+            callback(true, copy);
+        });
+    };
+
+    /**
+     * Returns a copy of a record that was encrypted with seal(). Records that aren't encrypted are returned as they are.
+     * @param key CryptoKey, or null if the database isn't encrypted
+     * @param record
+     * @param callback callback(true, record) or callback(false, error)
+     */
+    this.unseal = function (key, record, callback) {
+        if (!record || !record.sealed) {
+            return callback(true, record);
+        }
+        if (!key) {
+            return callback(false, this.NO_KEY_ERROR);
+        }
+
+        this.decrypt(key, record.sealed, function (success, payload) {
+            if (!success) {
+                return callback(false, payload);
+            }
+
+            var copy = {};
+            var field;
+            for (field in record) {
+                if (record.hasOwnProperty(field) && field !== "sealed") {
+                    copy[field] = record[field];
+                }
+            }
+            for (field in payload) {
+                if (payload.hasOwnProperty(field)) {
+                    copy[field] = payload[field];
+                }
+            }
+            callback(true, copy);
+        });
+    };
+
+    /**
+     * Derives the key from the passphrase, or returns the CryptoKey that was passed to the constructor
+     * @param salt base64 String
+     * @param callback callback(true, key) or callback(false, error)
+     * @private
+     */
+    this._getKey = function (salt, callback) {
+        if (this.key) {
+            return callback(true, this.key);
+        }
+        if (!this.passphrase) {
+            return callback(false, "Encryption needs a passphrase or a CryptoKey");
+        }
+        if (!salt) {
+            return callback(false, this.WRONG_KEY_ERROR); // the database was encrypted with a CryptoKey
+        }
+        if (this._derivedKeys[salt]) {
+            return callback(true, this._derivedKeys[salt]);
+        }
+
+        var subtle = window.crypto.subtle;
+        var passphrase = new window.TextEncoder().encode(this.passphrase);
+
+        subtle.importKey("raw", passphrase, "PBKDF2", false, ["deriveKey"]).then(function (baseKey) {
+            return subtle.deriveKey(
+                {name: "PBKDF2", salt: this._fromBase64(salt), iterations: this.iterations, hash: "SHA-256"},
+                baseKey, {name: "AES-GCM", length: 256}, false, ["encrypt", "decrypt"]);
+        }.bind(this)).then(function (key) {
+            this._derivedKeys[salt] = key;
+            callback(true, key);
+        }.bind(this), function (err) {
+            callback(false, err.message || err.name);
+        });
+    };
+
+    this._toBase64 = function (bytes) {
+        var binary = "";
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return window.btoa(binary);
+    };
+
+    this._fromBase64 = function (base64) {
+        var binary = window.atob(base64);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+};
@@ -0,0 +1,702 @@
+/**
+ * Evaluates feature layer queries against features that are stored locally.
+ * Supports a subset of SQL where clauses, and intersects and envelope intersects
+ * spatial relationships. Features and geometries are JSON, or esri objects with the
+ * same properties.
+ */
+O.esri.Edit.OfflineQuery = function () {
+
+    "use strict";
+
+    this.SPATIAL_REL_INTERSECTS = "esriSpatialRelIntersects";
+    this.SPATIAL_REL_ENVELOPEINTERSECTS = "esriSpatialRelEnvelopeIntersects";
+
+    var FUNCTIONS = {
+        UPPER: function (value) {
+            return value === null || value === undefined ? null : String(value).toUpperCase();
+        },
+        LOWER: function (value) {
+            return value === null || value === undefined ? null : String(value).toLowerCase();
+        }
+    };
+
+    /**
+     * Returns the features that match a query, in the requested order.
+     * @param features Array of graphic JSON {geometry, attributes}
+     * @param query esri/tasks/query or an Object with the same properties:
+     * where, objectIds, geometry, spatialRelationship, orderByFields, start and num
+     * @param objectIdField
+     * @param paginate Optional. Set to false to ignore start and num.
+     * @returns {Array} the matching features
+     * @throws Error if the where clause or spatial relationship isn't supported
+     */
+    this.filter = function (features, query, objectIdField, paginate) {
+        query = query || {};
+
+        var where = this.parseWhere(query.where);
+        var objectIds = query.objectIds && query.objectIds.length > 0 ? query.objectIds : null;
+        var geometry = query.geometry || null;
+        var relationship = query.spatialRelationship || this.SPATIAL_REL_INTERSECTS;
+
+        if (geometry && relationship !== this.SPATIAL_REL_INTERSECTS && relationship !== this.SPATIAL_REL_ENVELOPEINTERSECTS) {
+            throw new Error("Unsupported spatial relationship: " + relationship);
+        }
+
+        var results = features.filter(function (feature) {
+            var attributes = feature.attributes || {};
+
+            if (objectIds && objectIds.indexOf(attributes[objectIdField]) === -1) {
+                return false;
+            }
+
+            if (!this.evaluate(where, attributes)) {
+                return false;
+            }
+
+            if (geometry) {
+                if (!feature.geometry) {
+                    return false;
+                }
+                if (relationship === this.SPATIAL_REL_ENVELOPEINTERSECTS) {
+                    return this.envelopeIntersects(geometry, feature.geometry);
+                }
+                return this.intersects(geometry, feature.geometry);
+            }
+
+            return true;
+        }, this);
+
+        results = this.sort(results, query.orderByFields);
+
+        if (paginate !== false && (query.start || query.num)) {
+            var start = query.start || 0;
+            results = results.slice(start, query.num ? start + query.num : undefined);
+        }
+
+        return results;
+    };
+
+    /**
+     * Sorts features by orderByFields such as ["NAME", "POP DESC"]. Nulls come first.
+     * @param features
+     * @param orderByFields
+     * @returns {Array} a sorted copy of features
+     */
+    this.sort = function (features, orderByFields) {
+        if (!orderByFields || orderByFields.length === 0) {
+            return features;
+        }
+
+        var orders = orderByFields.map(function (orderByField) {
+            var parts = orderByField.trim().split(/\s+/);
+            return {field: parts[0], direction: parts[1] && parts[1].toUpperCase() === "DESC" ? -1 : 1};
+        });
+
+        // Keep the original order of equal features
+        return features.map(function (feature, index) {
+            return {feature: feature, index: index};
+        }).sort(function (a, b) {
+            for (var i = 0; i < orders.length; i++) {
+                var x = this._getAttribute(a.feature.attributes || {}, orders[i].field);
+                var y = this._getAttribute(b.feature.attributes || {}, orders[i].field);
+                var result = this._compare(x, y);
+                if (result !== 0) {
+                    return result * orders[i].direction;
+                }
+            }
+            return a.index - b.index;
+        }.bind(this)).map(function (item) {
+            return item.feature;
+        });
+    };
+
+    /**
+     * Parses a where clause into an expression tree.
+     *
+     * Supported: AND, OR, NOT, parentheses, =, <>, !=, <, <=, >, >=, IS [NOT] NULL,
+     * [NOT] IN (...), [NOT] LIKE with % and _ wildcards, [NOT] BETWEEN ... AND ...,
+     * UPPER() and LOWER(), string and number literals, and DATE or TIMESTAMP literals.
+     * @param where
+     * @returns {Object} expression tree
+     * @throws Error if the where clause isn't supported
+     */
+    this.parseWhere = function (where) {
+        if (!where || !String(where).trim()) {
+            return {type: "value", value: true};
+        }
+
+        var tokens = this._tokenize(String(where));
+        var position = 0;
+
+        var fail = function () {
+            var token = tokens[position];
+            throw new Error("Unsupported where clause" + (token ? " near '" + token.value + "'" : "") + ": " + where);
+        };
+
+        var isWord = function (word) {
+            var token = tokens[position];
+            return token && token.type === "word" && token.value.toUpperCase() === word;
+        };
+
+        var isPunctuation = function (value) {
+            var token = tokens[position];
+            return token && token.type === "punctuation" && token.value === value;
+        };
+
+        var expectWord = function (word) {
+            if (!isWord(word)) {
+                fail();
+            }
+            position++;
+        };
+
+        var expectPunctuation = function (value) {
+            if (!isPunctuation(value)) {
+                fail();
+            }
+            position++;
+        };
+
+        var parseOperand = function () {
+            var token = tokens[position++];
+            if (!token) {
+                fail();
+            }
+
+            if (token.type === "string" || token.type === "number") {
+                return {type: "value", value: token.value};
+            }
+
+            if (token.type === "operator" && token.value === "-" && tokens[position] && tokens[position].type === "number") {
+                return {type: "value", value: -tokens[position++].value};
+            }
+
+            if (token.type === "identifier") {
+                return {type: "field", name: token.value};
+            }
+
+            if (token.type === "word") {
+                var word = token.value.toUpperCase();
+
+                if (word === "NULL") {
+                    return {type: "value", value: null};
+                }
+
+                if ((word === "DATE" || word === "TIMESTAMP") && tokens[position] && tokens[position].type === "string") {
+                    var time = this._parseDate(tokens[position++].value);
+                    if (isNaN(time)) {
+                        position--;
+                        fail();
+                    }
+                    return {type: "value", value: time};
+                }
+
+                if (FUNCTIONS.hasOwnProperty(word) && isPunctuation("(")) {
+                    position++;
+                    var argument = parseOperand();
+                    expectPunctuation(")");
+                    return {type: "function", name: word, argument: argument};
+                }
+
+                return {type: "field", name: token.value};
+            }
+
+            position--;
+            fail();
+        }.bind(this);
+
+        var parsePredicate = function () {
+            if (isPunctuation("(")) {
+                position++;
+                var expression = parseOr();
+                expectPunctuation(")");
+                return expression;
+            }
+
+            var operand = parseOperand();
+            var not = false;
+
+            if (isWord("IS")) {
+                position++;
+                if (isWord("NOT")) {
+                    position++;
+                    not = true;
+                }
+                expectWord("NULL");
+                return {type: "null", operand: operand, not: not};
+            }
+
+            if (isWord("NOT")) {
+                position++;
+                not = true;
+            }
+
+            if (isWord("IN")) {
+                position++;
+                expectPunctuation("(");
+                var values = [parseOperand()];
+                while (isPunctuation(",")) {
+                    position++;
+                    values.push(parseOperand());
+                }
+                expectPunctuation(")");
+                return {type: "in", operand: operand, values: values, not: not};
+            }
+
+            if (isWord("LIKE")) {
+                position++;
+                var pattern = parseOperand();
+                if (pattern.type !== "value" || typeof pattern.value !== "string") {
+                    position--;
+                    fail();
+                }
+                return {type: "like", operand: operand, pattern: this._likeToRegExp(pattern.value), not: not};
+            }
+
+            if (isWord("BETWEEN")) {
+                position++;
+                var low = parseOperand();
+                expectWord("AND");
+                return {type: "between", operand: operand, low: low, high: parseOperand(), not: not};
+            }
+
+            var token = tokens[position];
+            if (!not && token && token.type === "operator" && token.value !== "-") {
+                position++;
+                return {type: "compare", operator: token.value === "!=" ? "<>" : token.value, left: operand, right: parseOperand()};
+            }
+
+            fail();
+        }.bind(this);
+
+        var parseNot = function () {
+            if (isWord("NOT")) {
+                position++;
+                return {type: "not", expression: parseNot()};
+            }
+            return parsePredicate();
+        };
+
+        var parseAnd = function () {
+            var left = parseNot();
+            while (isWord("AND")) {
+                position++;
+                left = {type: "and", left: left, right: parseNot()};
+            }
+            return left;
+        };
+
+        var parseOr = function () {
+            var left = parseAnd();
+            while (isWord("OR")) {
+                position++;
+                left = {type: "or", left: left, right: parseAnd()};
+            }
+            return left;
+        };
+
+        var tree = parseOr();
+        if (position < tokens.length) {
+            fail();
+        }
+
+        return tree;
+    };
+
+    /**
+     * Evaluates an expression tree created by parseWhere() against a feature's attributes
+     * @param node
+     * @param attributes
+     * @returns {boolean}
+     */
+    this.evaluate = function (node, attributes) {
+        var value;
+
+        switch (node.type) {
+            case "or":
+                return this.evaluate(node.left, attributes) || this.evaluate(node.right, attributes);
+            case "and":
+                return this.evaluate(node.left, attributes) && this.evaluate(node.right, attributes);
+            case "not":
+                return !this.evaluate(node.expression, attributes);
+            case "null":
+                value = this._getValue(node.operand, attributes);
+                return (value === null || value === undefined) !== node.not;
+            case "in":
+                value = this._getValue(node.operand, attributes);
+                if (value === null || value === undefined) {
+                    return false;
+                }
+                return node.values.some(function (item) {
+                    return this._compare(value, this._getValue(item, attributes)) === 0;
+                }, this) !== node.not;
+            case "like":
+                value = this._getValue(node.operand, attributes);
+                if (value === null || value === undefined) {
+                    return false;
+                }
+                return node.pattern.test(String(value)) !== node.not;
+            case "between":
+                value = this._getValue(node.operand, attributes);
+                if (value === null || value === undefined) {
+                    return false;
+                }
+                return (this._compare(value, this._getValue(node.low, attributes)) >= 0 &&
+                    this._compare(value, this._getValue(node.high, attributes)) <= 0) !== node.not;
+            case "compare":
+                return this._evaluateComparison(node.operator, this._getValue(node.left, attributes), this._getValue(node.right, attributes));
+            case "value":
+                return !!node.value;
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Whether two geometries intersect. Both geometries must use the same spatial reference.
+     * @param a Point, Multipoint, Polyline, Polygon or Extent
+     * @param b Point, Multipoint, Polyline, Polygon or Extent
+     * @returns {boolean}
+     */
+    this.intersects = function (a, b) {
+        var partsA = this._getParts(a);
+        var partsB = this._getParts(b);
+        var i, j;
+
+        if (!this._extentsIntersect(partsA.extent, partsB.extent)) {
+            return false;
+        }
+
+        for (i = 0; i < partsA.segments.length; i++) {
+            for (j = 0; j < partsB.segments.length; j++) {
+                if (this._segmentsIntersect(partsA.segments[i][0], partsA.segments[i][1], partsB.segments[j][0], partsB.segments[j][1])) {
+                    return true;
+                }
+            }
+        }
+
+        // Points of one geometry that are inside the other, or that touch a point or segment of the other
+        var touches = function (points, other) {
+            return points.some(function (point) {
+                if (other.rings.length > 0 && this._pointInRings(point, other.rings)) {
+                    return true;
+                }
+                if (other.segments.some(function (segment) {
+                        return this._pointOnSegment(point, segment[0], segment[1]);
+                    }, this)) {
+                    return true;
+                }
+                return other.points.some(function (otherPoint) {
+                    return otherPoint[0] === point[0] && otherPoint[1] === point[1];
+                });
+            }, this);
+        }.bind(this);
+
+        return touches(partsA.points, partsB) || touches(partsB.points, partsA);
+    };
+
+    /**
+     * Whether the extents of two geometries intersect
+     * @param a
+     * @param b
+     * @returns {boolean}
+     */
+    this.envelopeIntersects = function (a, b) {
+        return this._extentsIntersect(this._getParts(a).extent, this._getParts(b).extent);
+    };
+
+    //
+    // internal methods
+    //
+
+    /**
+     * Splits a where clause into tokens
+     * @param where
+     * @returns {Array} [{type, value}]
+     * @private
+     */
+    this._tokenize = function (where) {
+        var pattern = /\s*(?:'((?:[^']|'')*)'|"([^"]+)"|(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_.]*)|(<>|!=|<=|>=|=|<|>|-)|([(),]))/g;
+        var tokens = [];
+        var index = 0;
+        var match;
+
+        while (index < where.length) {
+            pattern.lastIndex = index;
+            match = pattern.exec(where);
+
+            if (!match || match.index !== index) {
+                if (/^\s*$/.test(where.substring(index))) {
+                    break;
+                }
+                throw new Error("Unsupported where clause near '" + where.substring(index).trim() + "': " + where);
+            }
+
+            if (match[1] !== undefined) {
+                tokens.push({type: "string", value: match[1].replace(/''/g, "'")});
+            }
+            else if (match[2] !== undefined) {
+                tokens.push({type: "identifier", value: match[2]});
+            }
+            else if (match[3] !== undefined) {
+                tokens.push({type: "number", value: parseFloat(match[3])});
+            }
+            else if (match[4] !== undefined) {
+                tokens.push({type: "word", value: match[4]});
+            }
+            else if (match[5] !== undefined) {
+                tokens.push({type: "operator", value: match[5]});
+            }
+            else if (match[6] !== undefined) {
+                tokens.push({type: "punctuation", value: match[6]});
+            }
+            else {
+                break; // only whitespace was left
+            }
+
+            index = pattern.lastIndex;
+        }
+
+        return tokens;
+    };
+
+    /**
+     * Parses the text of a DATE or TIMESTAMP literal. Times without a time zone are UTC.
+     * @param text for example '2015-06-30' or '2015-06-30 14:00:00'
+     * @returns {number} milliseconds since epoch, or NaN
+     * @private
+     */
+    this._parseDate = function (text) {
+        text = text.trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            return Date.parse(text);
+        }
+        text = text.replace(" ", "T");
+        if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+            text += "Z";
+        }
+        return Date.parse(text);
+    };
+
+    /**
+     * Converts a LIKE pattern into a regular expression
+     * @param pattern
+     * @returns {RegExp}
+     * @private
+     */
+    this._likeToRegExp = function (pattern) {
+        var source = pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*").replace(/_/g, ".");
+        return new RegExp("^" + source + "$");
+    };
+
+    /**
+     * Returns an attribute value. Field names are matched without regard to case
+     * if there is no exact match.
+     * @param attributes
+     * @param name
+     * @returns {*}
+     * @private
+     */
+    this._getAttribute = function (attributes, name) {
+        if (attributes.hasOwnProperty(name)) {
+            return attributes[name];
+        }
+
+        var lowerName = name.toLowerCase();
+        for (var key in attributes) {
+            if (attributes.hasOwnProperty(key) && key.toLowerCase() === lowerName) {
+                return attributes[key];
+            }
+        }
+
+        return undefined;
+    };
+
+    /**
+     * Returns the value of an operand
+     * @param operand
+     * @param attributes
+     * @returns {*}
+     * @private
+     */
+    this._getValue = function (operand, attributes) {
+        switch (operand.type) {
+            case "field":
+                return this._getAttribute(attributes, operand.name);
+            case "function":
+                return FUNCTIONS[operand.name](this._getValue(operand.argument, attributes));
+            default:
+                return operand.value;
+        }
+    };
+
+    /**
+     * Applies a comparison operator. Comparisons with null are false, as in SQL.
+     * @param operator
+     * @param left
+     * @param right
+     * @returns {boolean}
+     * @private
+     */
+    this._evaluateComparison = function (operator, left, right) {
+        if (left === null || left === undefined || right === null || right === undefined) {
+            return false;
+        }
+
+        var result = this._compare(left, right);
+
+        switch (operator) {
+            case "=":
+                return result === 0;
+            case "<>":
+                return result !== 0;
+            case "<":
+                return result < 0;
+            case "<=":
+                return result <= 0;
+            case ">":
+                return result > 0;
+            case ">=":
+                return result >= 0;
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Compares two values. Numeric strings are compared to numbers as numbers.
+     * @param a
+     * @param b
+     * @returns {number} -1, 0 or 1
+     * @private
+     */
+    this._compare = function (a, b) {
+        var aIsNull = a === null || a === undefined;
+        var bIsNull = b === null || b === undefined;
+
+        if (aIsNull || bIsNull) {
+            return aIsNull === bIsNull ? 0 : (aIsNull ? -1 : 1);
+        }
+
+        if (typeof a === "number" && typeof b === "string" && b.trim() !== "" && !isNaN(b)) {
+            b = Number(b);
+        }
+        else if (typeof b === "number" && typeof a === "string" && a.trim() !== "" && !isNaN(a)) {
+            a = Number(a);
+        }
+        else if (typeof a !== typeof b) {
+            a = String(a);
+            b = String(b);
+        }
+
+        return a < b ? -1 : (a > b ? 1 : 0);
+    };
+
+    /**
+     * Breaks a geometry into its points, segments and rings
+     * @param geometry
+     * @returns {{points: Array, segments: Array, rings: Array, extent: Object}}
+     * @private
+     */
+    this._getParts = function (geometry) {
+        var parts = {points: [], segments: [], rings: [], extent: null};
+        var lines = [];
+
+        if (geometry.x !== undefined && geometry.y !== undefined) {
+            parts.points.push([geometry.x, geometry.y]);
+        }
+        else if (geometry.points) {
+            parts.points = geometry.points;
+        }
+        else if (geometry.paths) {
+            lines = geometry.paths;
+        }
+        else if (geometry.rings) {
+            lines = geometry.rings;
+            parts.rings = geometry.rings;
+        }
+        else if (geometry.xmin !== undefined) {
+            var ring = [[geometry.xmin, geometry.ymin], [geometry.xmin, geometry.ymax], [geometry.xmax, geometry.ymax],
+                [geometry.xmax, geometry.ymin], [geometry.xmin, geometry.ymin]];
+            lines = [ring];
+            parts.rings = [ring];
+        }
+
+        lines.forEach(function (line) {
+            for (var i = 0; i < line.length; i++) {
+                parts.points.push(line[i]);
+                if (i > 0) {
+                    parts.segments.push([line[i - 1], line[i]]);
+                }
+            }
+        });
+
+        parts.points.forEach(function (point) {
+            if (!parts.extent) {
+                parts.extent = {xmin: point[0], ymin: point[1], xmax: point[0], ymax: point[1]};
+            }
+            else {
+                parts.extent.xmin = Math.min(parts.extent.xmin, point[0]);
+                parts.extent.ymin = Math.min(parts.extent.ymin, point[1]);
+                parts.extent.xmax = Math.max(parts.extent.xmax, point[0]);
+                parts.extent.ymax = Math.max(parts.extent.ymax, point[1]);
+            }
+        });
+
+        return parts;
+    };
+
+    this._extentsIntersect = function (a, b) {
+        return !!a && !!b && a.xmin <= b.xmax && b.xmin <= a.xmax && a.ymin <= b.ymax && b.ymin <= a.ymax;
+    };
+
+    /**
+     * Even-odd test of a point against all the rings of a polygon, so holes are excluded
+     * @param point
+     * @param rings
+     * @returns {boolean}
+     * @private
+     */
+    this._pointInRings = function (point, rings) {
+        var inside = false;
+        var x = point[0], y = point[1];
+
+        rings.forEach(function (ring) {
+            for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+        });
+
+        return inside;
+    };
+
+    this._orientation = function (p, q, r) {
+        var value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+        return value === 0 ? 0 : (value > 0 ? 1 : 2);
+    };
+
+    this._pointOnSegment = function (point, p, q) {
+        return this._orientation(p, q, point) === 0 &&
+            point[0] <= Math.max(p[0], q[0]) && point[0] >= Math.min(p[0], q[0]) &&
+            point[1] <= Math.max(p[1], q[1]) && point[1] >= Math.min(p[1], q[1]);
+    };
+
+    this._segmentsIntersect = function (p1, q1, p2, q2) {
+        var o1 = this._orientation(p1, q1, p2);
+        var o2 = this._orientation(p1, q1, q2);
+        var o3 = this._orientation(p2, q2, p1);
+        var o4 = this._orientation(p2, q2, q1);
+
+        if (o1 !== o2 && o3 !== o4) {
+            return true;
+        }
+
+        return (o1 === 0 && this._pointOnSegment(p2, p1, q1)) ||
+            (o2 === 0 && this._pointOnSegment(q2, p1, q1)) ||
+            (o3 === 0 && this._pointOnSegment(p1, p2, q2)) ||
+            (o4 === 0 && this._pointOnSegment(q1, p2, q2));
+    };
+};
@@ -0,0 +1,535 @@
+/*global indexedDB, setImmediate */
+/*jshint -W030 */
+/**
+ * Storage adapters for the edit stores. An adapter has isSupported() and the same open(name, version) method as
+ * window.indexedDB. The databases that the memory and localStorage adapters open support the part of the
+ * IndexedDB API that the edit stores use:
+ *
+ * - db.transaction(storeNames, mode), db.objectStoreNames.contains(name), db.createObjectStore(name, {keyPath, autoIncrement})
+ *   and db.deleteObjectStore(name)
+ * - transaction.objectStore(name), oncomplete, onerror and onabort
+ * - objectStore.get(key), put(value), add(value), delete(key), clear(), count() and openCursor(). Each returns a
+ *   request {result, error, onsuccess, onerror}. A cursor is {key, value, continue()}.
+ *
+ * Keys must be numbers or strings. Values must be serializable to JSON.
+ */
+
+/**
+ * Stores the edits in IndexedDB. This is the default.
+ * @constructor
+ */
+O.esri.Edit.IndexedDBStorage = function () {
+
+    "use strict";
+
+    this.isSupported = function () {
+        try {
+            return typeof indexedDB !== "undefined" && indexedDB !== null;
+        }
+        catch (err) {
+            return false; // some browsers throw when IndexedDB is blocked
+        }
+    };
+
+    this.open = function (name, version) {
+        return indexedDB.open(name, version);
+    };
+};
+
+/**
+ * Keeps the edits in memory. Use it where IndexedDB isn't available, and to run the edit stores
+ * outside of a browser, for example in Node. Edits are lost when the page is closed.
+ * @param persistence Optional. An Object with getItem(key) and setItem(key, value) such as window.localStorage.
+ * When set, each database is saved to it after every transaction that changes the database.
+ * @constructor
+ */
+O.esri.Edit.MemoryStorage = function (persistence) {
+
+    "use strict";
+
+    var databases = {};
+    var PERSISTENCE_PREFIX = "offline-editor-db:";
+
+    var schedule = typeof setImmediate === "function" ? setImmediate : function (fn) {
+        setTimeout(fn, 0);
+    };
+
+    var createError = function (name, message) {
+        var error = new Error(message);
+        error.name = name;
+        return error;
+    };
+
+    var clone = function (value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    };
+
+    var validateKey = function (key) {
+        if ((typeof key !== "number" || isNaN(key)) && typeof key !== "string") {
+            throw createError("DataError", "Keys must be numbers or strings: " + key);
+        }
+        return key;
+    };
+
+    var encodeKey = function (key) {
+        return (typeof key === "number" ? "n:" : "s:") + key;
+    };
+
+    // Numbers sort before strings, as in IndexedDB
+    var compareKeys = function (a, b) {
+        if (typeof a !== typeof b) {
+            return typeof a === "number" ? -1 : 1;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    };
+
+    var createEvent = function (type, target) {
+        return {
+            type: type,
+            target: target,
+            defaultPrevented: false,
+            preventDefault: function () {
+                this.defaultPrevented = true;
+            },
+            stopPropagation: function () {}
+        };
+    };
+
+    var load = function (name) {
+        if (!persistence) {
+            return null;
+        }
+        var json = persistence.getItem(PERSISTENCE_PREFIX + name);
+        return json ? JSON.parse(json) : null;
+    };
+
+    var save = function (name) {
+        if (persistence) {
+            persistence.setItem(PERSISTENCE_PREFIX + name, JSON.stringify(databases[name]));
+        }
+    };
+
+    this.isSupported = function () {
+        return true;
+    };
+
+    /**
+     * Opens a database, and creates or upgrades it if needed
+     * @param name
+     * @param version
+     * @returns {Object} request with result, error, onsuccess, onerror and onupgradeneeded
+     */
+    this.open = function (name, version) {
+        var request = {result: null, error: null, readyState: "pending", onsuccess: null, onerror: null, onupgradeneeded: null, onblocked: null};
+
+        schedule(function () {
+            var data = databases[name] || load(name) || {version: 0, stores: {}};
+            version = version === undefined ? Math.max(data.version, 1) : version;
+
+            request.readyState = "done";
+
+            if (version < data.version) {
+                request.error = createError("VersionError", "The database " + name + " is already at version " + data.version);
+                request.onerror && request.onerror(createEvent("error", request));
+                return;
+            }
+
+            databases[name] = data;
+            var db = new Database(name, data);
+            request.result = db;
+
+            if (version > data.version) {
+                var backup = JSON.stringify(data);
+                var oldVersion = data.version;
+
+                db._upgrading = true;
+                data.version = version;
+                db.version = version;
+
+                try {
+                    if (request.onupgradeneeded) {
+                        var event = createEvent("upgradeneeded", request);
+                        event.oldVersion = oldVersion;
+                        event.newVersion = version;
+                        request.onupgradeneeded(event);
+                    }
+                    save(name);
+                }
+                catch (err) {
+                    databases[name] = JSON.parse(backup);
+                    request.error = err;
+                    request.onerror && request.onerror(createEvent("error", request));
+                    return;
+                }
+                finally {
+                    db._upgrading = false;
+                }
+            }
+
+            request.onsuccess && request.onsuccess(createEvent("success", request));
+        });
+
+        return request;
+    };
+
+    //
+    // internal classes
+    //
+
+    function Database(name, data) {
+        this.name = name;
+        this.version = data.version;
+        this._data = data;
+        this._upgrading = false;
+
+        this.objectStoreNames = {
+            contains: function (storeName) {
+                return data.stores.hasOwnProperty(storeName);
+            }
+        };
+    }
+
+    Database.prototype.transaction = function (storeNames, mode) {
+        storeNames = typeof storeNames === "string" ? [storeNames] : storeNames;
+        storeNames.forEach(function (storeName) {
+            if (!this.objectStoreNames.contains(storeName)) {
+                throw createError("NotFoundError", "Object store not found: " + storeName);
+            }
+        }, this);
+        return new Transaction(this, storeNames, mode || "readonly");
+    };
+
+    Database.prototype.createObjectStore = function (storeName, options) {
+        if (!this._upgrading) {
+            throw createError("InvalidStateError", "Object stores can only be created while upgrading the database");
+        }
+        if (this.objectStoreNames.contains(storeName)) {
+            throw createError("ConstraintError", "Object store already exists: " + storeName);
+        }
+        options = options || {};
+        this._data.stores[storeName] = {keyPath: options.keyPath || null, autoIncrement: !!options.autoIncrement, nextKey: 1, records: {}};
+        return {
+            name: storeName,
+            keyPath: options.keyPath || null,
+            autoIncrement: !!options.autoIncrement,
+            createIndex: function () {}
+        };
+    };
+
+    Database.prototype.deleteObjectStore = function (storeName) {
+        if (!this._upgrading) {
+            throw createError("InvalidStateError", "Object stores can only be deleted while upgrading the database");
+        }
+        delete this._data.stores[storeName];
+    };
+
+    Database.prototype.close = function () {};
+
+    function Transaction(db, storeNames, mode) {
+        this.db = db;
+        this.mode = mode;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+
+        this._storeNames = storeNames;
+        this._queue = [];
+        this._backups = {};
+        this._finished = false;
+
+        // A transaction without requests completes too
+        schedule(this._next.bind(this));
+    }
+
+    Transaction.prototype.objectStore = function (storeName) {
+        if (this._storeNames.indexOf(storeName) === -1) {
+            throw createError("NotFoundError", "Object store not in this transaction: " + storeName);
+        }
+        return new ObjectStore(this, storeName);
+    };
+
+    Transaction.prototype.abort = function () {
+        this._abort(createError("AbortError", "The transaction was aborted"));
+    };
+
+    Transaction.prototype._request = function (operation, write, storeName) {
+        if (this._finished) {
+            throw createError("TransactionInactiveError", "The transaction has finished");
+        }
+        if (write) {
+            if (this.mode !== "readwrite") {
+                throw createError("ReadOnlyError", "The transaction is read-only");
+            }
+            this._backup(storeName);
+        }
+
+        var request = {result: undefined, error: null, readyState: "pending", transaction: this, onsuccess: null, onerror: null};
+        this._queue.push({request: request, operation: operation});
+        return request;
+    };
+
+    Transaction.prototype._backup = function (storeName) {
+        if (!this._backups.hasOwnProperty(storeName)) {
+            var store = this.db._data.stores[storeName];
+            var records = {};
+            for (var key in store.records) {
+                if (store.records.hasOwnProperty(key)) {
+                    records[key] = store.records[key];
+                }
+            }
+            this._backups[storeName] = {records: records, nextKey: store.nextKey};
+        }
+    };
+
+    Transaction.prototype._next = function () {
+        if (this._finished) {
+            return;
+        }
+
+        var item = this._queue.shift();
+        if (!item) {
+            return this._commit();
+        }
+
+        var request = item.request;
+        var event;
+
+        try {
+            request.result = item.operation();
+            request.readyState = "done";
+        }
+        catch (err) {
+            request.error = err;
+            request.readyState = "done";
+            event = createEvent("error", request);
+
+            try {
+                request.onerror && request.onerror(event);
+                this.onerror && this.onerror(event);
+            }
+            catch (handlerError) {
+                return this._fail(handlerError);
+            }
+
+            if (!event.defaultPrevented) {
+                return this._abort(err);
+            }
+            return schedule(this._next.bind(this));
+        }
+
+        try {
+            request.onsuccess && request.onsuccess(createEvent("success", request));
+        }
+        catch (handlerError) {
+            return this._fail(handlerError);
+        }
+
+        schedule(this._next.bind(this));
+    };
+
+    Transaction.prototype._commit = function () {
+        this._finished = true;
+
+        if (Object.keys(this._backups).length > 0) {
+            try {
+                save(this.db.name);
+            }
+            catch (err) {
+                this._finished = false;
+                this.error = err;
+                this.onerror && this.onerror(createEvent("error", this));
+                return this._abort(err);
+            }
+        }
+
+        this.oncomplete && this.oncomplete(createEvent("complete", this));
+    };
+
+    Transaction.prototype._abort = function (error) {
+        if (this._finished) {
+            return;
+        }
+
+        this._finished = true;
+        this.error = error;
+
+        for (var storeName in this._backups) {
+            if (this._backups.hasOwnProperty(storeName) && this.db._data.stores[storeName]) {
+                this.db._data.stores[storeName].records = this._backups[storeName].records;
+                this.db._data.stores[storeName].nextKey = this._backups[storeName].nextKey;
+            }
+        }
+
+        this.onabort && this.onabort(createEvent("abort", this));
+    };
+
+    // An exception in an event handler aborts the transaction, and is reported like any other uncaught exception
+    Transaction.prototype._fail = function (error) {
+        this._abort(error);
+        setTimeout(function () {
+            throw error;
+        }, 0);
+    };
+
+    function ObjectStore(transaction, storeName) {
+        var store = transaction.db._data.stores[storeName];
+
+        this.name = storeName;
+        this.keyPath = store.keyPath;
+        this.autoIncrement = store.autoIncrement;
+        this.transaction = transaction;
+        this._storeName = storeName;
+    }
+
+    ObjectStore.prototype._getStore = function () {
+        return this.transaction.db._data.stores[this._storeName];
+    };
+
+    ObjectStore.prototype._write = function (value, key, overwrite) {
+        var store = this._getStore();
+        value = clone(value);
+
+        if (store.keyPath) {
+            key = value[store.keyPath];
+        }
+        if (key === undefined && store.autoIncrement) {
+            key = store.nextKey;
+            if (store.keyPath) {
+                value[store.keyPath] = key;
+            }
+        }
+
+        validateKey(key);
+
+        if (store.autoIncrement && typeof key === "number" && key >= store.nextKey) {
+            store.nextKey = Math.floor(key) + 1;
+        }
+
+        var encodedKey = encodeKey(key);
+        if (!overwrite && store.records.hasOwnProperty(encodedKey)) {
+            throw createError("ConstraintError", "Key already exists in the object store: " + key);
+        }
+
+        store.records[encodedKey] = {key: key, value: value};
+        return key;
+    };
+
+    ObjectStore.prototype.get = function (key) {
+        return this.transaction._request(function () {
+            var record = this._getStore().records[encodeKey(validateKey(key))];
+            return record ? clone(record.value) : undefined;
+        }.bind(this), false);
+    };
+
+    ObjectStore.prototype.put = function (value, key) {
+        return this.transaction._request(function () {
+            return this._write(value, key, true);
+        }.bind(this), true, this._storeName);
+    };
+
+    ObjectStore.prototype.add = function (value, key) {
+        return this.transaction._request(function () {
+            return this._write(value, key, false);
+        }.bind(this), true, this._storeName);
+    };
+
+    ObjectStore.prototype.delete = function (key) {
+        return this.transaction._request(function () {
+            delete this._getStore().records[encodeKey(validateKey(key))];
+            return undefined;
+        }.bind(this), true, this._storeName);
+    };
+
+    ObjectStore.prototype.clear = function () {
+        return this.transaction._request(function () {
+            this._getStore().records = {};
+            return undefined;
+        }.bind(this), true, this._storeName);
+    };
+
+    ObjectStore.prototype.count = function () {
+        return this.transaction._request(function () {
+            return Object.keys(this._getStore().records).length;
+        }.bind(this), false);
+    };
+
+    /**
+     * Iterates over the records in key order. Records that are deleted while iterating are skipped.
+     * @returns {Object} request
+     */
+    ObjectStore.prototype.openCursor = function () {
+        var objectStore = this;
+        var transaction = this.transaction;
+        var keys = null;
+        var position = 0;
+        var request;
+
+        var advance = function () {
+            var records = objectStore._getStore().records;
+
+            if (keys === null) {
+                keys = Object.keys(records).map(function (encodedKey) {
+                    return records[encodedKey].key;
+                }).sort(compareKeys);
+            }
+
+            while (position < keys.length) {
+                var record = records[encodeKey(keys[position++])];
+                if (record) {
+                    return {
+                        key: record.key,
+                        primaryKey: record.key,
+                        value: clone(record.value),
+                        "continue": function () {
+                            if (transaction._finished) {
+                                throw createError("TransactionInactiveError", "The transaction has finished");
+                            }
+                            transaction._queue.push({request: request, operation: advance});
+                        }
+                    };
+                }
+            }
+
+            return null;
+        };
+
+        request = transaction._request(advance, false);
+        return request;
+    };
+};
+
+/**
+ * Keeps the edits in memory and saves them to window.localStorage, so they survive a page reload.
+ * Use it where IndexedDB is blocked. localStorage is small and every change saves the whole database,
+ * so it suits a modest number of edits.
+ * @param storage Optional. An Object with getItem(key), setItem(key, value) and removeItem(key).
+ * Defaults to window.localStorage.
+ * @constructor
+ */
+O.esri.Edit.LocalStorage = function (storage) {
+
+    "use strict";
+
+    if (!storage) {
+        try {
+            storage = window.localStorage;
+        }
+        catch (err) {
+            storage = null; // some browsers throw when storage is blocked
+        }
+    }
+
+    O.esri.Edit.MemoryStorage.call(this, storage);
+
+    this.isSupported = function () {
+        try {
+            storage.setItem("offline-editor-test", "1");
+            storage.removeItem("offline-editor-test");
+            return true;
+        }
+        catch (err) {
+            return false;
+        }
+    };
+};
@@ -21,8 +21,30 @@ define([
         _maxZoom: null,
         _tilesCore:null,
         _secure:false, //is this a secured service
+        _serviceWorkerStrategy: null, // set by enableServiceWorker()
+        _serviceWorkerReady: false, // whether the service worker has saved the layer's current strategy
+        _serviceWorkerRequests: 0,
+        _tileTemplate: null, // O.esri.Tiles.TileUrlTemplate of XYZ and WMTS layers
+
+        // How the service worker answers tile requests, see enableServiceWorker()
+        TILE_STRATEGIES: {
+            CACHE_FIRST: "cache-first",     // the stored tile if there is one, otherwise the network
+            NETWORK_FIRST: "network-first", // the network, and the stored tile when the request fails
+            OFFLINE_ONLY: "offline-only"    // only stored tiles
+        },
 
-        constructor:function(url,callback,/* boolean */ state,/* Object */ dbConfig){
+        /**
+         * @param url the REST endpoint of an ArcGIS tiled map service, an XYZ url template such as
+         * "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" or the url of a WMTS service
+         * @param callback callback(boolean, error) once the layer is loaded
+         * @param state whether the layer starts online. Defaults to true.
+         * @param dbConfig optional {dbName, objectStoreName, offlineIdManager}
+         * @param options optional. {type: "wmts"} for WMTS services, with the optional {layer, tileMatrixSet, style, format,
+         * capabilities}. capabilities is the GetCapabilities document, if it shouldn't be requested. XYZ templates take
+         * the optional {subDomains, tileInfo, fullExtent, maxLevel}, and use the Web Mercator tiling scheme
+         * of OpenStreetMap up to maxLevel (19) unless tileInfo is given.
+         */
+        constructor:function(url,callback,/* boolean */ state,/* Object */ dbConfig,/* Object */ options){
 
             if(this._isLocalStorage() === false){
                 alert("OfflineTiles Library not supported on this browser.");
@@ -47,6 +69,7 @@ define([
             }
 
             this._tilesCore = new O.esri.Tiles.TilesCore();
+            this._downloads = {}; // running download jobs by id
 
             this._self = this;
             this._lastTileUrl = "";
@@ -74,12 +97,18 @@ define([
              * IMPORTANT! proxyPath is set to null by default since we assume Feature Service is CORS-enabled.
              * All AGOL Feature Services are CORS-enabled.
              *
-             * @type {{online: boolean, store: O.esri.Tiles.TilesStore, proxyPath: null}}
+             * concurrency, requestsPerSecond and maxRetries control how prepareForOffline() downloads tiles.
+             * requestsPerSecond applies to each host, 0 means no limit.
+             *
+             * @type {{online: boolean, store: O.esri.Tiles.TilesStore, proxyPath: null, concurrency: number, requestsPerSecond: number, maxRetries: number}}
              */
             this.offline = {
                 online: isOnline,
                 store: new O.esri.Tiles.TilesStore(),
-                proxyPath: null
+                proxyPath: null,
+                concurrency: 4,
+                requestsPerSecond: 0,
+                maxRetries: 2
             };
 
             if( /*false &&*/ this.offline.store.isSupported() )
@@ -90,9 +119,20 @@ define([
                     if(success){
 
                         // Configure the layer
-                        this._getTileInfoPrivate(url,function(result){
-                            callback(result);
-                        });
+                        if(options && options.type === "wmts")
+                        {
+                            this._getWMTSInfo(url,options,callback);
+                        }
+                        else if(/\{/.test(url))
+                        {
+                            this._setTileService(this._getTemplateInfo(url,options || {}),callback);
+                        }
+                        else
+                        {
+                            this._getTileInfoPrivate(url,function(result){
+                                callback(result);
+                            });
+                        }
                     }
                 }.bind(this._self));
             }
@@ -141,17 +181,18 @@ define([
                 });
             }
 
-            var url = this.url + "/tile/" + level + "/" + row + "/" + col + token;
+            var url = this._tileTemplate ? this._tileTemplate.getUrl(level,row,col) : this.url + "/tile/" + level + "/" + row + "/" + col + token;
             console.log("LIBRARY ONLINE " + this.offline.online);
 
-            if( this.offline.online )
+            // The service worker answers with the stored tile when it needs to
+            if( this.offline.online || (this._serviceWorkerStrategy && this._serviceWorkerReady) )
             {
                 console.log("fetching url online: ", url);
                 this._lastTileUrl = url;
                 return url;
             }
 
-            url = url.split("?")[0];
+            url = this._tilesCore._getTileKey(url,this);
 
             /* temporary URL returned immediately, as we haven't retrieved the image from the indexeddb yet */
             var tileid = "void:/"+level+"/"+row+"/"+col;
@@ -174,18 +215,19 @@ define([
 
         /**
          * Returns an object that contains the number of tiles that would need to be downloaded
-         * for the specified extent and zoom level, and the estimated byte size of such tiles.
+         * for the specified area and zoom level, and the estimated byte size of such tiles.
          * This method is useful to give the user an indication of the required time and space
          * before launching the actual download operation. The byte size estimation is very rough.
-         * @param extent
+         * @param extent Extent, Polygon or Polyline
          * @param level
          * @param tileSize
+         * @param buffer optional distance around the geometry in map units
          * @returns {{level: *, tileCount: Number, sizeBytes: number}}
          */
-        getLevelEstimation: function(extent, level, tileSize)
+        getLevelEstimation: function(extent, level, tileSize, buffer)
         {
             var tilingScheme = new O.esri.Tiles.TilingScheme(this);
-            var cellIds = tilingScheme.getAllCellIdsInExtent(extent,level);
+            var cellIds = tilingScheme.getAllCellIdsInGeometry(extent,level,buffer);
 
             var levelEstimation = {
                 level: level,
@@ -196,6 +238,20 @@ define([
             return levelEstimation;
         },
 
+        /**
+         * Estimates a prepareForOffline() download. Only the tiles that intersect the area are counted.
+         * @param minLevel
+         * @param maxLevel
+         * @param geometry Extent, Polygon or Polyline
+         * @param tileSize see estimateTileSize()
+         * @param buffer optional distance around the geometry in map units
+         * @returns {{tileCount: number, sizeBytes: number, levels: Array}} levels has one getLevelEstimation() result per level
+         */
+        getDownloadEstimation: function(minLevel, maxLevel, geometry, tileSize, buffer)
+        {
+            return this._tilesCore._estimateDownload(this,minLevel,maxLevel,geometry,tileSize,buffer);
+        },
+
         /**
          * Returns the current zoom level
          * @returns {number}
@@ -258,18 +314,120 @@ define([
         },
 
         /**
-         * Retrieves tiles and stores them in the local cache.
+         * Retrieves tiles and stores them in the local cache. Several tiles are downloaded at a time,
+         * see offline.concurrency. The download is kept as a job until all tiles are stored, and the
+         * progress reports include its jobId. See resumeDownload().
+         * Only the tiles that intersect the area are downloaded, e.g. the tiles along a route when
+         * the area is a polyline and a buffer.
          * @param minLevel
          * @param maxLevel
-         * @param extent
+         * @param extent Extent, Polygon or Polyline
          * @param reportProgress
+         * @param buffer optional distance around the geometry in map units
          */
-        prepareForOffline : function(minLevel, maxLevel, extent, reportProgress)
+        prepareForOffline : function(minLevel, maxLevel, extent, reportProgress, buffer)
         {
-            this._tilesCore._createCellsForOffline(this,minLevel,maxLevel,extent,function(cells){
-                /* launch tile download */
-                this._doNextTile(0, cells, reportProgress);
-            }.bind(this));
+            this._tilesCore._startDownloadJob(this,minLevel,maxLevel,extent,buffer,reportProgress);
+        },
+
+        /**
+         * Lists this layer's download jobs that haven't stored all their tiles. A job whose status is
+         * "downloading" but isn't running was interrupted, e.g. by closing the browser.
+         * @param callback callback([{id, geometry, buffer, minLevel, maxLevel, created, updated, status, running,
+         * tileCount, completedCount, failed}], error)
+         */
+        listDownloadJobs : function(callback)
+        {
+            this._tilesCore._listDownloadJobs(this,callback);
+        },
+
+        /**
+         * Continues a download job. Tiles that are already stored aren't downloaded again.
+         * @param jobId
+         * @param reportProgress works like the one of prepareForOffline(). countNow and countMax
+         * include the tiles the job stored before.
+         */
+        resumeDownload : function(jobId, reportProgress)
+        {
+            this._tilesCore._resumeDownloadJob(this,jobId,reportProgress);
+        },
+
+        /**
+         * Stops a download job if it is running and removes it. Its tiles are kept.
+         * @param jobId
+         * @param callback callback(boolean, error)
+         */
+        cancelDownload : function(jobId, callback)
+        {
+            this._tilesCore._cancelDownloadJob(this,jobId,callback);
+        },
+
+        /**
+         * Checks the stored tiles for changes with conditional requests and replaces the ones that have changed.
+         * Tiles that haven't changed aren't downloaded again.
+         * @param options {maxAge} in ms. Tiles downloaded or checked more recently are skipped. Defaults to 0, i.e. all tiles.
+         * @param reportProgress reportProgress({countNow, countMax, url, changed, error, finishedDownloading: false})
+         * once for each tile, which returns true to cancel, and reportProgress({finishedDownloading: true,
+         * cancelRequested, updated, unchanged, failed}) at the end
+         */
+        refreshTiles : function(options, reportProgress)
+        {
+            this._tilesCore._refreshTiles(this,options,reportProgress);
+        },
+
+        /**
+         * Downloads the tiles of an area and keeps it as a named offline area that can be listed,
+         * refreshed and deleted on its own. Tiles that are already stored aren't downloaded again.
+         * @param name
+         * @param minLevel
+         * @param maxLevel
+         * @param geometry Extent, Polygon or Polyline
+         * @param reportProgress works like the one of prepareForOffline(). Each report has the areaId.
+         * @param buffer optional distance around the geometry in map units
+         * @returns {String} the area's id
+         */
+        createOfflineArea : function(name, minLevel, maxLevel, geometry, reportProgress, buffer)
+        {
+            return this._tilesCore._createOfflineArea(this,name,minLevel,maxLevel,geometry,buffer,reportProgress);
+        },
+
+        /**
+         * Lists this layer's offline areas
+         * @param callback callback([{id, name, layerUrl, geometry, buffer, minLevel, maxLevel, created, updated}], error)
+         */
+        listOfflineAreas : function(callback)
+        {
+            this.offline.store.getAreas(this.url,callback);
+        },
+
+        /**
+         * Size of the tiles of an offline area. Tiles shared with other areas are counted in each of them.
+         * @param areaId
+         * @param callback callback({sizeBytes, tileCount}, null) or callback(null, error)
+         */
+        getOfflineAreaUsage : function(areaId, callback)
+        {
+            this.offline.store.usedSpace(callback,areaId);
+        },
+
+        /**
+         * Downloads all the tiles of an offline area again
+         * @param areaId
+         * @param reportProgress works like the one of createOfflineArea()
+         */
+        refreshOfflineArea : function(areaId, reportProgress)
+        {
+            this._tilesCore._refreshOfflineArea(this,areaId,reportProgress);
+        },
+
+        /**
+         * Deletes an offline area and stops its downloads. Tiles that other offline areas use are kept.
+         * @param areaId
+         * @param callback callback(boolean, error)
+         */
+        deleteOfflineArea : function(areaId, callback)
+        {
+            this._tilesCore._deleteOfflineArea(this,areaId,callback);
         },
 
         /**
@@ -285,6 +443,10 @@ define([
         goOffline : function()
         {
             this.offline.online = false;
+            if(this._serviceWorkerStrategy)
+            {
+                this._registerWithServiceWorker(this.TILE_STRATEGIES.OFFLINE_ONLY);
+            }
         },
 
         /**
@@ -296,7 +458,76 @@ define([
         goOnline : function()
         {
             this.offline.online = true;
-            this.refresh();
+            if(this._serviceWorkerStrategy)
+            {
+                // otherwise the worker may still answer with stored tiles only
+                this._registerWithServiceWorker(this._serviceWorkerStrategy, function()
+                {
+                    this.refresh();
+                }.bind(this));
+            }
+            else
+            {
+                this.refresh();
+            }
+        },
+
+        /**
+         * Lets the app's service worker serve this layer's tiles from the tile database instead of
+         * replacing img elements with data URIs. The service worker must run O.esri.Tiles.TileProvider.
+         * While the layer is offline the worker only serves stored tiles.
+         * @param strategy A TILE_STRATEGIES value. Defaults to CACHE_FIRST.
+         * @param callback callback(boolean, error)
+         */
+        enableServiceWorker : function(strategy, callback)
+        {
+            callback = callback || function(success, error) {
+                console.log("enableServiceWorker() success:", success, error);
+            };
+
+            if(!window.navigator.serviceWorker)
+            {
+                return callback(false, "Service workers are not supported");
+            }
+
+            var strategies = this.TILE_STRATEGIES;
+            strategy = strategy || strategies.CACHE_FIRST;
+            if(strategy !== strategies.CACHE_FIRST && strategy !== strategies.NETWORK_FIRST && strategy !== strategies.OFFLINE_ONLY)
+            {
+                return callback(false, "Unknown strategy " + strategy);
+            }
+
+            this._registerWithServiceWorker(this.offline.online ? strategy : strategies.OFFLINE_ONLY, function(success, error)
+            {
+                if(success)
+                {
+                    this._serviceWorkerStrategy = strategy;
+                    this.refresh();
+                }
+                callback(success, error);
+            }.bind(this));
+        },
+
+        /**
+         * Stops the service worker from serving this layer's tiles
+         * @param callback callback(boolean, error)
+         */
+        disableServiceWorker : function(callback)
+        {
+            callback = callback || function() {};
+
+            if(!this._serviceWorkerStrategy)
+            {
+                return callback(true, null);
+            }
+
+            this._serviceWorkerStrategy = null;
+            this._serviceWorkerReady = false;
+            this._postToServiceWorker({type: "offline-tiles-unregister", url: this.url}, function(success, error)
+            {
+                this.refresh();
+                callback(success, error);
+            }.bind(this));
         },
 
         /**
@@ -309,54 +540,72 @@ define([
         },
 
         /**
-         * Clears the local cache of tiles.
+         * Clears the local cache of this layer's tiles, and its offline areas. The tiles of other layers that
+         * share the database are kept.
          * @param callback callback(boolean, errors)
          */
         deleteAllTiles : function(callback) // callback(success) or callback(false, error)
         {
             var store = this.offline.store;
-            store.deleteAll(callback);
+            store.deleteAll(callback,this.url);
         },
 
         /**
-         * Gets the size in bytes of the local tile cache.
+         * Gets the size in bytes of this layer's tiles in the local tile cache.
+         * See offline.store.getUsageByLayer() for all the layers that share the database.
          * @param callback  callback(size, error)
          */
         getOfflineUsage : function(callback) // callback({size: <>, tileCount: <>}) or callback(null,error)
         {
             var store = this.offline.store;
-            store.usedSpace(callback);
+            store.usedSpace(callback,null,this.url);
+        },
+
+        /**
+         * Estimates the space left for tiles before a download. See offline.store.maxBytes.
+         * @param callback callback({usedBytes, maxBytes, quota, usage, available}). quota and usage are
+         * the browser's navigator.storage.estimate() for the whole site, or null where it isn't supported.
+         * available is the space left in maxBytes and in the browser's quota, whichever is smaller.
+         */
+        getStorageEstimate : function(callback)
+        {
+            this.offline.store.getStorageEstimate(callback);
         },
 
         /**
          * Gets polygons representing all cached cell ids within a particular
          * zoom level and bounded by an extent.
          * @param callback callback(polygon, error)
+         * @param areaId optional. Only the tiles of this offline area, i.e. the area's footprint.
          */
-        getTilePolygons : function(callback)	// callback(Polygon polygon) or callback(null, error)
+        getTilePolygons : function(callback, areaId)	// callback(Polygon polygon) or callback(null, error)
         {
-            this._tilesCore._getTilePolygons(this.offline.store,this.url,this,callback);
+            this._tilesCore._getTilePolygons(this.offline.store,this.url,this,callback,areaId);
         },
 
         /**
-         * Saves tile cache into a portable csv format.
+         * Saves this layer's tile cache into a portable csv format. If fileName ends in .mbtiles the tiles are
+         * saved as an MBTiles file instead, which other mapping tools can read.
          * @param fileName
          * @param callback callback( boolean, error)
+         * @param reportProgress optional reportProgress({countNow, countMax}) as the tiles are read, which returns true to cancel
          */
-        saveToFile : function(fileName, callback) // callback(success, msg)
+        saveToFile : function(fileName, callback, reportProgress) // callback(success, msg)
         {
-            this._tilesCore._saveToFile(fileName,this.offline.store,callback);
+            this._tilesCore._saveToFile(fileName,this.offline.store,callback,this,reportProgress);
         },
 
         /**
-         * Reads a csv file into local tile cache.
+         * Reads a csv file into local tile cache, or an MBTiles file if its name ends in .mbtiles.
+         * The tiles of an MBTiles file are stored as this layer's tiles.
          * @param file
          * @param callback callback( boolean, error)
+         * @param reportProgress optional reportProgress({countNow, bytesRead, bytesTotal}) as the file is read, which returns true to cancel
          */
-        loadFromFile : function(file, callback) // callback(success,msg)
+        loadFromFile : function(file, callback, reportProgress) // callback(success,msg)
         {
             console.log("reading",file);
-            this._tilesCore._loadFromFile(file,this.offline.store,callback);
+            this._tilesCore._loadFromFile(file,this.offline.store,callback,this,reportProgress);
         },
 
         /**
@@ -394,7 +643,14 @@ define([
 
             level_cell_ids.forEach(function(cell_id)
             {
-                cells.push(this.url + "/" + level + "/" + cell_id[1] + "/" + cell_id[0]);
+                if(this._tileTemplate)
+                {
+                    cells.push(this._tileTemplate.getUrl(level,cell_id[1],cell_id[0]));
+                }
+                else
+                {
+                    cells.push(this.url + "/" + level + "/" + cell_id[1] + "/" + cell_id[0]);
+                }
             }.bind(this));
 
             return cells;
@@ -402,34 +658,67 @@ define([
 
         /* internal methods */
 
-        _doNextTile : function(i, cells, reportProgress)
+        /**
+         * Tells the service worker where this layer's tiles are stored and how to serve them. Until the worker
+         * has saved the strategy, offline tiles are read from the database by the layer itself.
+         * @param strategy
+         * @param callback optional callback(boolean, error) once the worker has saved the strategy
+         * @private
+         */
+        _registerWithServiceWorker: function(strategy, callback)
         {
-            var cell = cells[i];
-
-            var url = this._getTileUrl(cell.level,cell.row,cell.col);
-
-            this._tilesCore._storeTile(url,this.offline.proxyPath,this.offline.store,function(success, error)
+            var request = ++this._serviceWorkerRequests;
+            this._serviceWorkerReady = false;
+
+            this._postToServiceWorker({
+                type: "offline-tiles-register",
+                layer: {
+                    url: this.url,
+                    dbName: this.DB_NAME,
+                    objectStoreName: this.DB_OBJECTSTORE_NAME,
+                    strategy: strategy,
+                    tilePattern: this._tileTemplate ? this._tileTemplate.getPattern() : null
+                }
+            }, function(success, error)
             {
-                if(!success)
+                // a later call has changed the strategy again
+                if(request === this._serviceWorkerRequests)
                 {
-                    console.log("error storing tile", cell, error);
-                    error = { cell:cell, msg:error};
+                    this._serviceWorkerReady = success;
                 }
-
-                var cancelRequested = reportProgress({countNow:i, countMax:cells.length, cell: cell, error: error, finishedDownloading:false});
-
-                if( cancelRequested || i === cells.length-1 )
+                if(!success)
                 {
-                    reportProgress({ finishedDownloading: true, cancelRequested: cancelRequested});
+                    console.log("Unable to update the service worker: " + error);
                 }
-                else
+                if(callback)
                 {
-                    this._doNextTile(i+1, cells, reportProgress);
+                    callback(success, error);
                 }
-
             }.bind(this));
         },
 
+        /**
+         * Sends a message to the service worker
+         * @param message
+         * @param callback callback(boolean, error) once the worker has handled the message
+         * @private
+         */
+        _postToServiceWorker: function(message, callback)
+        {
+            window.navigator.serviceWorker.ready.then(function(registration)
+            {
+                var channel = new window.MessageChannel();
+                channel.port1.onmessage = function(event)
+                {
+                    callback(event.data.success, event.data.error);
+                };
+                registration.active.postMessage(message, [channel.port2]);
+            }, function(err)
+            {
+                callback(false, err && err.message ? err.message : err);
+            });
+        },
+
         /**
          * Test for localStorage functionality
          * @returns {boolean}
@@ -477,6 +766,157 @@ define([
             });
         },
 
+        /**
+         * The tiling scheme of an XYZ url template
+         * @param template
+         * @param options {subDomains, tileInfo, fullExtent, maxLevel}
+         * @returns {Object} see _setTileService()
+         * @private
+         */
+        _getTemplateInfo: function(template, options){
+            var maxLevel = options.maxLevel !== undefined ? options.maxLevel : 19;
+            var lods = [];
+            for(var level = 0; level <= maxLevel; level++)
+            {
+                lods.push({level: level, resolution: 156543.03392800014 / Math.pow(2, level), scale: 591657527.591555 / Math.pow(2, level)});
+            }
+
+            var world = {xmin: -20037508.342787, ymin: -20037508.342787, xmax: 20037508.342787, ymax: 20037508.342787, spatialReference: {wkid: 102100}};
+            return {
+                template: template,
+                subDomains: options.subDomains,
+                tileInfo: options.tileInfo || {
+                    rows: 256,
+                    cols: 256,
+                    dpi: 96,
+                    format: /\.jpe?g/i.test(template) ? "JPEG" : "PNG",
+                    origin: {x: world.xmin, y: world.ymax},
+                    spatialReference: world.spatialReference,
+                    lods: lods
+                },
+                fullExtent: options.fullExtent || world
+            };
+        },
+
+        /**
+         * Reads the tiling scheme of a WMTS layer from the service's GetCapabilities document. The result is
+         * kept in localStorage, so that the layer can be loaded while offline.
+         * @param url the service's url or the url of its GetCapabilities document
+         * @param options {layer, tileMatrixSet, style, format, capabilities}
+         * @param callback callback(boolean, error)
+         * @private
+         */
+        _getWMTSInfo: function(url, options, callback){
+            var key = "__offlineWMTSInfo:" + url;
+
+            var parse = function(xml)
+            {
+                var service;
+                try
+                {
+                    service = new O.esri.Tiles.WMTSCapabilities(xml).getTileService(options);
+                }
+                catch(err)
+                {
+                    return callback(false, err.message);
+                }
+                try
+                {
+                    localStorage.setItem(key, JSON.stringify(service));
+                }
+                catch(err)
+                {
+                    console.log("Unable to keep the WMTS tiling scheme for offline use: " + err);
+                }
+                this._setTileService(service, callback);
+            }.bind(this);
+
+            var useStored = function()
+            {
+                var stored = localStorage.getItem(key);
+                if(stored)
+                {
+                    this._setTileService(JSON.parse(stored), callback);
+                }
+                else
+                {
+                    callback(false, "Unable to read the WMTS capabilities of " + url);
+                }
+            }.bind(this);
+
+            if(options.capabilities)
+            {
+                return parse(options.capabilities);
+            }
+            if(!this.offline.online)
+            {
+                return useStored();
+            }
+
+            var capabilitiesUrl = /request=getcapabilities|\.xml$/i.test(url) ? url :
+                url + (url.indexOf("?") === -1 ? "?" : "&") + "SERVICE=WMTS&REQUEST=GetCapabilities&VERSION=1.0.0";
+            var req = new XMLHttpRequest();
+            req.open("GET", this.offline.proxyPath != null ? this.offline.proxyPath + "?" + capabilitiesUrl : capabilitiesUrl, true);
+            req.onload = function()
+            {
+                if(req.status === 200 && req.responseText !== "")
+                {
+                    parse(req.responseText);
+                }
+                else
+                {
+                    console.log("_getWMTSInfo failed");
+                    useStored();
+                }
+            };
+            req.onerror = function(e)
+            {
+                console.log("_getWMTSInfo failed: " + e);
+                useStored();
+            };
+            req.send(null);
+        },
+
+        /**
+         * Sets up a layer whose tiles are made from a url template
+         * @param service {template, subDomains, levelIds, tileInfo, fullExtent, initialExtent} where tileInfo is
+         * a TileInfo or its JSON, and the extents are Extents or their JSON
+         * @param callback callback(boolean)
+         * @private
+         */
+        _setTileService: function(service, callback){
+            var spatialRef = new SpatialReference(service.tileInfo.spatialReference);
+            var extent = function(json)
+            {
+                return new Extent(json.xmin, json.ymin, json.xmax, json.ymax, spatialRef);
+            };
+
+            var tileInfo = service.tileInfo;
+            if(!(tileInfo instanceof TileInfo))
+            {
+                tileInfo = new TileInfo(service.tileInfo);
+                tileInfo.origin = new Point(service.tileInfo.origin.x, service.tileInfo.origin.y, spatialRef);
+                tileInfo.lods = service.tileInfo.lods.map(function(json)
+                {
+                    var lod = new LOD();
+                    lod.level = json.level;
+                    lod.resolution = json.resolution;
+                    lod.scale = json.scale;
+                    return lod;
+                });
+            }
+
+            this._tileTemplate = new O.esri.Tiles.TileUrlTemplate(service.template, {subDomains: service.subDomains, levelIds: service.levelIds});
+            this.tileInfo = tileInfo;
+            this._imageType = (tileInfo.format || "png").toLowerCase();
+            this.spatialReference = spatialRef;
+            this.fullExtent = extent(service.fullExtent);
+            this.initialExtent = extent(service.initialExtent || service.fullExtent);
+            this.loaded = true;
+            this.onLoad(this);
+            callback(true);
+        },
+
         /**
          * Attempts an http request to verify if app is online or offline.
          * Use this in conjunction with the offline checker library: offline.min.js
@@ -34,6 +34,7 @@ define([
                 console.log("extending layer", layer.url);
 
                 layer._tilesCore = new O.esri.Tiles.TilesCore();
+                layer._downloads = {}; // running download jobs by id
                 layer._lastTileUrl = "";
                 layer._imageType = "";
                 layer._minZoom = null;
@@ -71,12 +72,18 @@ define([
                  * IMPORTANT! proxyPath is set to null by default since we assume Feature Service is CORS-enabled.
                  * All AGOL Feature Services are CORS-enabled.
                  *
-                 * @type {{online: boolean, store: O.esri.Tiles.TilesStore, proxyPath: null}}
+                 * concurrency, requestsPerSecond and maxRetries control how prepareForOffline() downloads tiles.
+                 * requestsPerSecond applies to each host, 0 means no limit.
+                 *
+                 * @type {{online: boolean, store: O.esri.Tiles.TilesStore, proxyPath: null, concurrency: number, requestsPerSecond: number, maxRetries: number}}
                  */
                 layer.offline = {
                     online: isOnline,
                     store: new O.esri.Tiles.TilesStore(),
-                    proxyPath: null
+                    proxyPath: null,
+                    concurrency: 4,
+                    requestsPerSecond: 0,
+                    maxRetries: 2
                 };
 
                 if( /*false &&*/ layer.offline.store.isSupported() )
@@ -140,18 +147,19 @@ define([
 
                 /**
                  * Returns an object that contains the number of tiles that would need to be downloaded
-                 * for the specified extent and zoom level, and the estimated byte size of such tiles.
+                 * for the specified area and zoom level, and the estimated byte size of such tiles.
                  * This method is useful to give the user an indication of the required time and space
                  * before launching the actual download operation. The byte size estimation is very rough.
-                 * @param extent
+                 * @param extent Extent, Polygon or Polyline
                  * @param level
                  * @param tileSize
+                 * @param buffer optional distance around the geometry in map units
                  * @returns {{level: *, tileCount: Number, sizeBytes: number}}
                  */
-                layer.getLevelEstimation = function(extent, level, tileSize)
+                layer.getLevelEstimation = function(extent, level, tileSize, buffer)
                 {
                     var tilingScheme = new O.esri.Tiles.TilingScheme(this);
-                    var cellIds = tilingScheme.getAllCellIdsInExtent(extent,level);
+                    var cellIds = tilingScheme.getAllCellIdsInGeometry(extent,level,buffer);
 
                     var levelEstimation = {
                         level: level,
@@ -163,18 +171,121 @@ define([
                 };
 
                 /**
-                 * Retrieves tiles and stores them in the local cache.
+                 * Estimates a prepareForOffline() download. Only the tiles that intersect the area are counted.
                  * @param minLevel
                  * @param maxLevel
-                 * @param extent
+                 * @param geometry Extent, Polygon or Polyline
+                 * @param tileSize see estimateTileSize()
+                 * @param buffer optional distance around the geometry in map units
+                 * @returns {{tileCount: number, sizeBytes: number, levels: Array}} levels has one getLevelEstimation() result per level
+                 */
+                layer.getDownloadEstimation = function(minLevel, maxLevel, geometry, tileSize, buffer)
+                {
+                    return layer._tilesCore._estimateDownload(this,minLevel,maxLevel,geometry,tileSize,buffer);
+                };
+
+                /**
+                 * Retrieves tiles and stores them in the local cache. Several tiles are downloaded at a time,
+                 * see offline.concurrency. The download is kept as a job until all tiles are stored, and the
+                 * progress reports include its jobId. See resumeDownload().
+                 * Only the tiles that intersect the area are downloaded, e.g. the tiles along a route when
+                 * the area is a polyline and a buffer.
+                 * @param minLevel
+                 * @param maxLevel
+                 * @param extent Extent, Polygon or Polyline
                  * @param reportProgress
+                 * @param buffer optional distance around the geometry in map units
                  */
-                layer.prepareForOffline = function(minLevel, maxLevel, extent, reportProgress)
+                layer.prepareForOffline = function(minLevel, maxLevel, extent, reportProgress, buffer)
                 {
-                    layer._tilesCore._createCellsForOffline(this,minLevel,maxLevel,extent,function(cells){
-                        /* launch tile download */
-                        this._doNextTile(0, cells, reportProgress);
-                    }.bind(this));
+                    layer._tilesCore._startDownloadJob(this,minLevel,maxLevel,extent,buffer,reportProgress);
+                };
+
+                /**
+                 * Lists this layer's download jobs that haven't stored all their tiles. A job whose status is
+                 * "downloading" but isn't running was interrupted, e.g. by closing the browser.
+                 * @param callback callback([{id, geometry, buffer, minLevel, maxLevel, created, updated, status, running,
+                 * tileCount, completedCount, failed}], error)
+                 */
+                layer.listDownloadJobs = function(callback)
+                {
+                    layer._tilesCore._listDownloadJobs(this,callback);
+                };
+
+                /**
+                 * Continues a download job. Tiles that are already stored aren't downloaded again.
+                 * @param jobId
+                 * @param reportProgress works like the one of prepareForOffline(). countNow and countMax
+                 * include the tiles the job stored before.
+                 */
+                layer.resumeDownload = function(jobId, reportProgress)
+                {
+                    layer._tilesCore._resumeDownloadJob(this,jobId,reportProgress);
+                };
+
+                /**
+                 * Stops a download job if it is running and removes it. Its tiles are kept.
+                 * @param jobId
+                 * @param callback callback(boolean, error)
+                 */
+                layer.cancelDownload = function(jobId, callback)
+                {
+                    layer._tilesCore._cancelDownloadJob(this,jobId,callback);
+                };
+
+                /**
+                 * Downloads the tiles of an area and keeps it as a named offline area that can be listed,
+                 * refreshed and deleted on its own. Tiles that are already stored aren't downloaded again.
+                 * @param name
+                 * @param minLevel
+                 * @param maxLevel
+                 * @param geometry Extent, Polygon or Polyline
+                 * @param reportProgress works like the one of prepareForOffline(). Each report has the areaId.
+                 * @param buffer optional distance around the geometry in map units
+                 * @returns {String} the area's id
+                 */
+                layer.createOfflineArea = function(name, minLevel, maxLevel, geometry, reportProgress, buffer)
+                {
+                    return layer._tilesCore._createOfflineArea(this,name,minLevel,maxLevel,geometry,buffer,reportProgress);
+                };
+
+                /**
+                 * Lists this layer's offline areas
+                 * @param callback callback([{id, name, layerUrl, geometry, buffer, minLevel, maxLevel, created, updated}], error)
+                 */
+                layer.listOfflineAreas = function(callback)
+                {
+                    this.offline.store.getAreas(layer.url,callback);
+                };
+
+                /**
+                 * Size of the tiles of an offline area. Tiles shared with other areas are counted in each of them.
+                 * @param areaId
+                 * @param callback callback({sizeBytes, tileCount}, null) or callback(null, error)
+                 */
+                layer.getOfflineAreaUsage = function(areaId, callback)
+                {
+                    this.offline.store.usedSpace(callback,areaId);
+                };
+
+                /**
+                 * Downloads all the tiles of an offline area again
+                 * @param areaId
+                 * @param reportProgress works like the one of createOfflineArea()
+                 */
+                layer.refreshOfflineArea = function(areaId, reportProgress)
+                {
+                    layer._tilesCore._refreshOfflineArea(this,areaId,reportProgress);
+                };
+
+                /**
+                 * Deletes an offline area and stops its downloads. Tiles that other offline areas use are kept.
+                 * @param areaId
+                 * @param callback callback(boolean, error)
+                 */
+                layer.deleteOfflineArea = function(areaId, callback)
+                {
+                    layer._tilesCore._deleteOfflineArea(this,areaId,callback);
                 };
 
                 /**
@@ -214,54 +325,72 @@ define([
                 };
 
                 /**
-                 * Clears the local cache of tiles.
+                 * Clears the local cache of this layer's tiles, and its offline areas. The tiles of other layers that
+                 * share the database are kept.
                  * @param callback callback(boolean, errors)
                  */
                 layer.deleteAllTiles = function(callback) // callback(success) or callback(false, error)
                 {
                     var store = this.offline.store;
-                    store.deleteAll(callback);
+                    store.deleteAll(callback,layer.url);
                 };
 
                 /**
-                 * Gets the size in bytes of the local tile cache.
+                 * Gets the size in bytes of this layer's tiles in the local tile cache.
+                 * See offline.store.getUsageByLayer() for all the layers that share the database.
                  * @param callback  callback(size, error)
                  */
                 layer.getOfflineUsage = function(callback) // callback({size: <>, tileCount: <>}) or callback(null,error)
                 {
                     var store = this.offline.store;
-                    store.usedSpace(callback);
+                    store.usedSpace(callback,null,layer.url);
+                };
+
+                /**
+                 * Estimates the space left for tiles before a download. See offline.store.maxBytes.
+                 * @param callback callback({usedBytes, maxBytes, quota, usage, available}). quota and usage are
+                 * the browser's navigator.storage.estimate() for the whole site, or null where it isn't supported.
+                 * available is the space left in maxBytes and in the browser's quota, whichever is smaller.
+                 */
+                layer.getStorageEstimate = function(callback)
+                {
+                    this.offline.store.getStorageEstimate(callback);
                 };
 
                 /**
                  * Gets polygons representing all cached cell ids within a particular
                  * zoom level and bounded by an extent.
                  * @param callback callback(polygon, error)
+                 * @param areaId optional. Only the tiles of this offline area, i.e. the area's footprint.
                  */
-                layer.getTilePolygons = function(callback)	// callback(Polygon polygon) or callback(null, error)
+                layer.getTilePolygons = function(callback, areaId)	// callback(Polygon polygon) or callback(null, error)
                 {
-                    layer._tilesCore._getTilePolygons(this.offline.store,layer.url,this,callback);
+                    layer._tilesCore._getTilePolygons(this.offline.store,layer.url,this,callback,areaId);
                 };
 
                 /**
-                 * Saves tile cache into a portable csv format.
+                 * Saves this layer's tile cache into a portable csv format. If fileName ends in .mbtiles the tiles are
+                 * saved as an MBTiles file instead, which other mapping tools can read.
                  * @param fileName
                  * @param callback callback( boolean, error)
+                 * @param reportProgress optional reportProgress({countNow, countMax}) as the tiles are read, which returns true to cancel
                  */
-                layer.saveToFile = function(fileName, callback) // callback(success, msg)
+                layer.saveToFile = function(fileName, callback, reportProgress) // callback(success, msg)
                 {
-                    layer._tilesCore._saveToFile(fileName,this.offline.store,callback);
+                    layer._tilesCore._saveToFile(fileName,this.offline.store,callback,this,reportProgress);
                 };
 
                 /**
-                 * Reads a csv file into local tile cache.
+                 * Reads a csv file into local tile cache, or an MBTiles file if its name ends in .mbtiles.
+                 * The tiles of an MBTiles file are stored as this layer's tiles.
                  * @param file
                  * @param callback callback( boolean, error)
+                 * @param reportProgress optional reportProgress({countNow, bytesRead, bytesTotal}) as the file is read, which returns true to cancel
                  */
-                layer.loadFromFile = function(file, callback) // callback(success,msg)
+                layer.loadFromFile = function(file, callback, reportProgress) // callback(success,msg)
                 {
                     console.log("reading",file);
-                    layer._tilesCore._loadFromFile(file,this.offline.store,callback);
+                    layer._tilesCore._loadFromFile(file,this.offline.store,callback,this,reportProgress);
                 };
 
                 /**
@@ -359,34 +488,6 @@ define([
 
                     return cells;
                 };
-
-                layer._doNextTile = function(i, cells, reportProgress)
-                {
-                    var cell = cells[i];
-
-                    var url = this._getTileUrl(cell.level,cell.row,cell.col);
-
-                    layer._tilesCore._storeTile(url,this.offline.proxyPath,this.offline.store, function(success, error)
-                    {
-                        if(!success)
-                        {
-                            console.log("error storing tile", cell, error);
-                            error = { cell:cell, msg:error};
-                        }
-
-                        var cancelRequested = reportProgress({countNow:i, countMax:cells.length, cell: cell, error: error, finishedDownloading:false});
-
-                        if( cancelRequested || i === cells.length-1 )
-                        {
-                            reportProgress({ finishedDownloading: true, cancelRequested: cancelRequested});
-                        }
-                        else
-                        {                            
-                            this._doNextTile(i+1, cells, reportProgress);
-                        }
-
-                    }.bind(this));
-                };
             }
     }); // declare
 }); // define
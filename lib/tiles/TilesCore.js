@@ -28,9 +28,8 @@ O.esri.Tiles.TilesCore = function(){
 
             if( success )
             {
-                image.style.borderColor = "blue";
                 console.log("found tile offline", url);
-                imgURL = "data:image/" + imageType +";base64," + offlineTile.img;
+                imgURL = this._createObjectURL(image, offlineTile, imageType);
             }
             else if( !showBlankTiles ) {
                 console.log("showBlankTiles = false");
@@ -38,7 +37,6 @@ O.esri.Tiles.TilesCore = function(){
             }
             else
             {
-                image.style.borderColor = "green";
                 console.log("tile is not in the offline store", url);
                 imgURL = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAQAAAAEACAYAAABccqhmAAAACXBIWXMAAAsTAAALEwEAmpwYAAAKT2lDQ1BQaG90b3Nob3AgSUNDIHByb2ZpbGUAAHjanVNnVFPpFj333vRCS4iAlEtvUhUIIFJCi4AUkSYqIQkQSoghodkVUcERRUUEG8igiAOOjoCMFVEsDIoK2AfkIaKOg6OIisr74Xuja9a89+bN/rXXPues852zzwfACAyWSDNRNYAMqUIeEeCDx8TG4eQuQIEKJHAAEAizZCFz/SMBAPh+PDwrIsAHvgABeNMLCADATZvAMByH/w/qQplcAYCEAcB0kThLCIAUAEB6jkKmAEBGAYCdmCZTAKAEAGDLY2LjAFAtAGAnf+bTAICd+Jl7AQBblCEVAaCRACATZYhEAGg7AKzPVopFAFgwABRmS8Q5ANgtADBJV2ZIALC3AMDOEAuyAAgMADBRiIUpAAR7AGDIIyN4AISZABRG8lc88SuuEOcqAAB4mbI8uSQ5RYFbCC1xB1dXLh4ozkkXKxQ2YQJhmkAuwnmZGTKBNA/g88wAAKCRFRHgg/P9eM4Ors7ONo62Dl8t6r8G/yJiYuP+5c+rcEAAAOF0ftH+LC+zGoA7BoBt/qIl7gRoXgugdfeLZrIPQLUAoOnaV/Nw+H48PEWhkLnZ2eXk5NhKxEJbYcpXff5nwl/AV/1s+X48/Pf14L7iJIEyXYFHBPjgwsz0TKUcz5IJhGLc5o9H/LcL//wd0yLESWK5WCoU41EScY5EmozzMqUiiUKSKcUl0v9k4t8s+wM+3zUAsGo+AXuRLahdYwP2SycQWHTA4vcAAPK7b8HUKAgDgGiD4c93/+8//UegJQCAZkmScQAAXkQkLlTKsz/HCAAARKCBKrBBG/TBGCzABhzBBdzBC/xgNoRCJMTCQhBCCmSAHHJgKayCQiiGzbAdKmAv1EAdNMBRaIaTcA4uwlW4Dj1wD/phCJ7BKLyBCQRByAgTYSHaiAFiilgjjggXmYX4IcFIBBKLJCDJiBRRIkuRNUgxUopUIFVIHfI9cgI5h1xGupE7yAAygvyGvEcxlIGyUT3UDLVDuag3GoRGogvQZHQxmo8WoJvQcrQaPYw2oefQq2gP2o8+Q8cwwOgYBzPEbDAuxsNCsTgsCZNjy7EirAyrxhqwVqwDu4n1Y8+xdwQSgUXACTYEd0IgYR5BSFhMWE7YSKggHCQ0EdoJNwkDhFHCJyKTqEu0JroR+cQYYjIxh1hILCPWEo8TLxB7iEPENyQSiUMyJ7mQAkmxpFTSEtJG0m5SI+ksqZs0SBojk8naZGuyBzmULCAryIXkneTD5DPkG+Qh8lsKnWJAcaT4U+IoUspqShnlEOU05QZlmDJBVaOaUt2ooVQRNY9aQq2htlKvUYeoEzR1mjnNgxZJS6WtopXTGmgXaPdpr+h0uhHdlR5Ol9BX0svpR+iX6AP0dwwNhhWDx4hnKBmbGAcYZxl3GK+YTKYZ04sZx1QwNzHrmOeZD5lvVVgqtip8FZHKCpVKlSaVGyovVKmqpqreqgtV81XLVI+pXlN9rkZVM1PjqQnUlqtVqp1Q61MbU2epO6iHqmeob1Q/pH5Z/YkGWcNMw09DpFGgsV/jvMYgC2MZs3gsIWsNq4Z1gTXEJrHN2Xx2KruY/R27iz2qqaE5QzNKM1ezUvOUZj8H45hx+Jx0TgnnKKeX836K3hTvKeIpG6Y0TLkxZVxrqpaXllirSKtRq0frvTau7aedpr1Fu1n7gQ5Bx0onXCdHZ4/OBZ3nU9lT3acKpxZNPTr1ri6qa6UbobtEd79up+6Ynr5egJ5Mb6feeb3n+hx9L/1U/W36p/VHDFgGswwkBtsMzhg8xTVxbzwdL8fb8VFDXcNAQ6VhlWGX4YSRudE8o9VGjUYPjGnGXOMk423GbcajJgYmISZLTepN7ppSTbmmKaY7TDtMx83MzaLN1pk1mz0x1zLnm+eb15vft2BaeFostqi2uGVJsuRaplnutrxuhVo5WaVYVVpds0atna0l1rutu6cRp7lOk06rntZnw7Dxtsm2qbcZsOXYBtuutm22fWFnYhdnt8Wuw+6TvZN9un2N/T0HDYfZDqsdWh1+c7RyFDpWOt6azpzuP33F9JbpL2dYzxDP2DPjthPLKcRpnVOb00dnF2e5c4PziIuJS4LLLpc+Lpsbxt3IveRKdPVxXeF60vWdm7Obwu2o26/uNu5p7ofcn8w0nymeWTNz0MPIQ+BR5dE/C5+VMGvfrH5PQ0+BZ7XnIy9jL5FXrdewt6V3qvdh7xc+9j5yn+M+4zw33jLeWV/MN8C3yLfLT8Nvnl+F30N/I/9k/3r/0QCngCUBZwOJgUGBWwL7+Hp8Ib+OPzrbZfay2e1BjKC5QRVBj4KtguXBrSFoyOyQrSH355jOkc5pDoVQfujW0Adh5mGLw34MJ4WHhVeGP45wiFga0TGXNXfR3ENz30T6RJZE3ptnMU85ry1KNSo+qi5qPNo3ujS6P8YuZlnM1VidWElsSxw5LiquNm5svt/87fOH4p3iC+N7F5gvyF1weaHOwvSFpxapLhIsOpZATIhOOJTwQRAqqBaMJfITdyWOCnnCHcJnIi/RNtGI2ENcKh5O8kgqTXqS7JG8NXkkxTOlLOW5hCepkLxMDUzdmzqeFpp2IG0yPTq9MYOSkZBxQqohTZO2Z+pn5mZ2y6xlhbL+xW6Lty8elQfJa7OQrAVZLQq2QqboVFoo1yoHsmdlV2a/zYnKOZarnivN7cyzytuQN5zvn//tEsIS4ZK2pYZLVy0dWOa9rGo5sjxxedsK4xUFK4ZWBqw8uIq2Km3VT6vtV5eufr0mek1rgV7ByoLBtQFr6wtVCuWFfevc1+1dT1gvWd+1YfqGnRs+FYmKrhTbF5cVf9go3HjlG4dvyr+Z3JS0qavEuWTPZtJm6ebeLZ5bDpaql+aXDm4N2dq0Dd9WtO319kXbL5fNKNu7g7ZDuaO/PLi8ZafJzs07P1SkVPRU+lQ27tLdtWHX+G7R7ht7vPY07NXbW7z3/T7JvttVAVVN1WbVZftJ+7P3P66Jqun4lvttXa1ObXHtxwPSA/0HIw6217nU1R3SPVRSj9Yr60cOxx++/p3vdy0NNg1VjZzG4iNwRHnk6fcJ3/ceDTradox7rOEH0x92HWcdL2pCmvKaRptTmvtbYlu6T8w+0dbq3nr8R9sfD5w0PFl5SvNUyWna6YLTk2fyz4ydlZ19fi753GDborZ752PO32oPb++6EHTh0kX/i+c7vDvOXPK4dPKy2+UTV7hXmq86X23qdOo8/pPTT8e7nLuarrlca7nuer21e2b36RueN87d9L158Rb/1tWeOT3dvfN6b/fF9/XfFt1+cif9zsu72Xcn7q28T7xf9EDtQdlD3YfVP1v+3Njv3H9qwHeg89HcR/cGhYPP/pH1jw9DBY+Zj8uGDYbrnjg+OTniP3L96fynQ89kzyaeF/6i/suuFxYvfvjV69fO0ZjRoZfyl5O/bXyl/erA6xmv28bCxh6+yXgzMV70VvvtwXfcdx3vo98PT+R8IH8o/2j5sfVT0Kf7kxmTk/8EA5jz/GMzLdsAAAAgY0hSTQAAeiUAAICDAAD5/wAAgOkAAHUwAADqYAAAOpgAABdvkl/FRgAABQdJREFUeNrs2yFv6mocwOH/ualYRUVJRrKKCRATCCZqJ/mOfKQJBGaiYkcguoSJigoQTc4VN222Mdhu7l0ysudJjqFAD13669u37a/lcvkngB8piYhYLBa2BPxAf9kEIACAAAACAAgAIACAAAACAAgAIACAAAACAAgAIACAAAACAAgAIACAAAACAAgAIACAAAACAAgAIACAAAACAAgAIACAAAACAAgAIACAAAACAAgACAAgAIAAAAIACAAgAIAAAAIACAAgAIAAAAIACAAgAIAAAAIACAAgAIAAAAIACAAgAIAAAAIACAAgAIAAAAIACAAgAIAAAAIACAAgAIAAAAIACAAIACAAgAAAAgAIACAAgAAAAgAIACAAgAAAAgAIACAAgAAAAgAIACAAgAAAAgAIACAAgAAAAgAIACAAgAAAAgAIACAAgAAAAgAIACAAgAAAAgAIAPxsiU3wfbRtG1mWnVzedV3kef7q9a7rYrvdxm63i4iILMtiNBpFkiQfftdnZFkWbdtGRAzr7j+fZdnR9Xy0jiRJTv5eBOBHqaoqsiyLm5ubo8ubponFYjG8Vtd1VFV1sKMlSRI3NzdRFMXJ7/qMsixjtVpFRAzr7j9fluVBkD67jjzPoyxLf3gBoLfZbGI8Hh/dqV6q6zoeHh4iSZKYTCYxGo0iImK73Q7Luq6L6+vrg88WRfFqHfv9Puq6jjRN4+rq6tV7Ly4u/tNvKori3e9I09QfXAB4a71ex93d3ckhfNd1UVXVcIR+OZTO8zyKooj7+/uoqiouLy8Pdra3I4OmaaKu67i4uIjpdPq//p63seH7MAn4DXVdF+v1+sOjf390f+88Osuy4ci/2WxsVATgXEwmk2ia5uSOu91uIyJiPB4ffU+/rJ/AA6cAZ2A6ncbz83NUVRV5nr97hO8n104Nrftln53s+ypVVR2czpj8MwLghPl8HkmSDBN556xt22ia5tU/jAA4IU3TmE6nUVVVVFUVs9nsbH/LqUuFGAFwxPX1deR5HnVdD+f8LwPx0fl9f2OQy20IwJm6vb0dTgX2+/3wej8vcCoA/VDb3XYIwLmeoyVJzGaz6LpuOKJHRFxeXkbEP5cDj+mX9e8FAThD4/H44HJfURSRpmk0TROPj48Hn3l4eIimaSJN06O3A4NJwDMxm82ibdtXo4D5fB6r1Sp+//4dz8/Pw5H+6ekpdrtdJEkS8/n8S/9f713ie3vaceo9x557QAB451Sgfyin34HKshweunk5HzAej2MymXz5+f9nbjJyI9L39Wu5XP55+XQZ39uxR4Z3u90wSXjqEV0wAjhjx47oaZq63Me/ZhIQBAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEAAbAJQAAAAQAEABAAQAAAAQAEABAAQAAAAQAEABAAQAAAAQAEABAAQAAAAQAEABAAQAAAAQAEABAAQAAAAQAEABAAQAAAAQAEABAAQAAAAQAEABAAEABAAAABAAQAEABAAAABAAQAEABAAAABAAQAEABAAAABAAQAEABAAAABAAQAEABAAAABAAQAEABAAAABAAQAEABAAAABAAQAEABAAAABAAQAEAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEABAAQAEAAAAEAvqe/BwCeKjUweoA8pQAAAABJRU5ErkJggg==";
             }
@@ -47,7 +45,30 @@ O.esri.Tiles.TilesCore = function(){
             image.style.visibility = "visible";
             image.src = imgURL;
             return "";  /* this result goes nowhere, seriously */
-        });
+        }.bind(this));
+    };
+
+    /**
+     * Creates a URL for the stored image that is released once the image has loaded
+     * @param image the img element
+     * @param tile {data, contentType}
+     * @param imageType the layer's image format, used if the content type is unknown
+     * @returns {String}
+     * @private
+     */
+    this._createObjectURL = function(image,tile,imageType){
+        var type = tile.contentType.indexOf("image/") === 0 ? tile.contentType : "image/" + imageType;
+        var objectURL = URL.createObjectURL(new Blob([tile.data], {type: type}));
+
+        var release = function(){
+            image.removeEventListener("load", release);
+            image.removeEventListener("error", release);
+            URL.revokeObjectURL(objectURL);
+        };
+        image.addEventListener("load", release);
+        image.addEventListener("error", release);
+
+        return objectURL;
     };
 
     /**
@@ -55,58 +76,215 @@ O.esri.Tiles.TilesCore = function(){
      * @param url The image's url
      * @param proxyPath
      * @param store
-     * @param callback
+     * @param callback callback(success, msg, status). status is the HTTP status, or 0 for network errors
+     * @param areaId optional. The offline area the tile is downloaded for.
+     * @param layer optional. The layer the tile belongs to, see _getTileKey(). Its url is stored as the tile's layerUrl.
      * @private
      */
-    this._storeTile= function(url,proxyPath,store,callback) // callback(success, msg)
+    this._storeTile= function(url,proxyPath,store,callback,areaId,layer) // callback(success, msg, status)
     {
-        url = url.split("?")[0];
+        url = this._getTileKey(url,layer);
 
         /* download the tile */
         var imgurl = proxyPath ? proxyPath + "?" + url : url;
         var req = new XMLHttpRequest();
         req.open("GET", imgurl, true);
-        req.overrideMimeType("text/plain; charset=x-user-defined"); // https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/Using_XMLHttpRequest?redirectlocale=en-US&redirectslug=DOM%2FXMLHttpRequest%2FUsing_XMLHttpRequest#Handling_binary_data
+        req.responseType = "arraybuffer";
 
         req.onload = function () {
-            if (req.status === 200 && req.responseText !== "") {
-                var img = O.esri.Tiles.Base64Utils.wordToBase64(O.esri.Tiles.Base64Utils.stringToWord(this.responseText));
-
-                var tile = {
-                    url: url,
-                    img: img
-                };
+            if (req.status === 200 && req.response && req.response.byteLength > 0) {
+                var tile = this._createTile(url, req, store);
+                tile.areas = areaId ? [areaId] : [];
+                tile.layerUrl = layer ? layer.url : null;
 
                 store.store(tile, callback);
             }
             else {
                 console.log("xhr failed for", imgurl);
-                callback(false, req.status + " " + req.statusText + ": " + req.response + " when downloading " + imgurl);
+                callback(false, req.status + " " + req.statusText + " when downloading " + imgurl, req.status);
             }
+        }.bind(this);
+        req.onerror = function (e) {
+            console.log("xhr failed for", imgurl);
+            callback(false, e, 0);
         };
+        req.send(null);
+    };
+
+    /**
+     * Downloads a stored tile again with a conditional request, and replaces it only if it has changed.
+     * Without an ETag or Last-Modified date the tile is always replaced.
+     * @param tile {url, etag, lastModified} the stored tile
+     * @param proxyPath
+     * @param store
+     * @param callback callback(success, msg, status, changed)
+     * @private
+     */
+    this._refreshTile = function(tile,proxyPath,store,callback)
+    {
+        var imgurl = proxyPath ? proxyPath + "?" + tile.url : tile.url;
+        var req = new XMLHttpRequest();
+        req.open("GET", imgurl, true);
+        req.responseType = "arraybuffer";
+        if(tile.etag)
+        {
+            req.setRequestHeader("If-None-Match", tile.etag);
+        }
+        if(tile.lastModified)
+        {
+            req.setRequestHeader("If-Modified-Since", tile.lastModified);
+        }
+
+        req.onload = function () {
+            if (req.status === 304) {
+                store.setDownloaded(tile.url, new Date().getTime(), function(success){
+                    callback(success, success ? undefined : "tile was deleted", undefined, false);
+                });
+            }
+            else if (req.status === 200 && req.response && req.response.byteLength > 0) {
+                // the tile stays in the offline areas it belongs to
+                store.replace(this._createTile(tile.url, req, store), function(success, err){
+                    callback(success, err === "not found" ? "tile was deleted" : err, undefined, true);
+                });
+            }
+            else {
+                console.log("xhr failed for", imgurl);
+                callback(false, req.status + " " + req.statusText + " when refreshing " + imgurl, req.status);
+            }
+        }.bind(this);
         req.onerror = function (e) {
             console.log("xhr failed for", imgurl);
-            callback(false, e);
+            callback(false, e, 0);
         };
         req.send(null);
     };
 
     /**
-     * Retrieves all the cells within a certain extent
+     * @param url the tile's url without the token
+     * @param req the finished XMLHttpRequest
+     * @param store
+     * @returns {Object} the tile to store
+     * @private
+     */
+    this._createTile = function(url,req,store)
+    {
+        var contentType = req.getResponseHeader("Content-Type");
+        return {
+            url: url,
+            data: req.response,
+            // proxies don't always pass the content type on
+            contentType: contentType && contentType.indexOf("image/") === 0 ? contentType : store.getContentType(req.response),
+            // only available if the server exposes them to cross-origin requests
+            etag: req.getResponseHeader("ETag"),
+            lastModified: req.getResponseHeader("Last-Modified"),
+            downloaded: new Date().getTime()
+        };
+    };
+
+    /**
+     * Checks the layer's stored tiles that are older than maxAge for changes, and replaces the ones that have changed
+     * @param layer
+     * @param options {maxAge} in ms. Tiles downloaded more recently are skipped. 0 checks all tiles.
+     * @param reportProgress reportProgress({countNow, countMax, url, changed, error, finishedDownloading: false})
+     * for each tile, which returns true to cancel, and finally
+     * reportProgress({finishedDownloading: true, cancelRequested, updated, unchanged, failed})
+     * @private
+     */
+    this._refreshTiles = function(layer,options,reportProgress){
+        var store = layer.offline.store;
+        var maxAge = (options && options.maxAge) || 0;
+        var now = new Date().getTime();
+        var tiles = [];
+        var validators = {};    // {etag, lastModified} by url
+
+        store.getAllTiles(function(url,tile,err){
+            if(url)
+            {
+                // tiles of unknown age are always checked
+                if(this._isLayerTile(url,layer) && !(tile.downloaded && now - tile.downloaded < maxAge))
+                {
+                    validators[url] = {url: url, etag: tile.etag, lastModified: tile.lastModified};
+                    tiles.push(validators[url]);
+                }
+                return;
+            }
+
+            if(err !== "end")
+            {
+                return reportProgress({finishedDownloading: true, cancelRequested: false, updated: 0, unchanged: 0, failed: 0, error: {msg: err}});
+            }
+
+            var counts = {updated: 0, unchanged: 0, failed: 0};
+            var changed = {};
+
+            var downloader = new O.esri.Tiles.TileDownloader({
+                concurrency: layer.offline.concurrency,
+                requestsPerSecond: layer.offline.requestsPerSecond,
+                maxRetries: layer.offline.maxRetries
+            });
+
+            downloader.download(tiles, function(tile)
+            {
+                return tile.url;
+            }, function(url,callback)
+            {
+                this._refreshTile(validators[url],layer.offline.proxyPath,store,function(success,msg,status,isChanged){
+                    changed[url] = isChanged;
+                    callback(success,msg,status);
+                });
+            }.bind(this), function(progress)
+            {
+                if(progress.finishedDownloading)
+                {
+                    progress.updated = counts.updated;
+                    progress.unchanged = counts.unchanged;
+                    progress.failed = counts.failed;
+                    return reportProgress(progress);
+                }
+
+                var url = progress.cell.url;
+                if(progress.error)
+                {
+                    counts.failed++;
+                }
+                else if(changed[url])
+                {
+                    counts.updated++;
+                }
+                else
+                {
+                    counts.unchanged++;
+                }
+
+                return reportProgress({
+                    countNow: progress.countNow,
+                    countMax: progress.countMax,
+                    url: url,
+                    changed: !progress.error && changed[url],
+                    error: progress.error,
+                    finishedDownloading: false
+                });
+            });
+        }.bind(this));
+    };
+
+    /**
+     * Retrieves all the cells that intersect an area
      * @param context Layer
      * @param minLevel minimum zoom level
      * @param maxLevel maximum zoom level
-     * @param extent Esri.Extent
+     * @param geometry Esri.Extent, Esri.Polygon or Esri.Polyline
+     * @param buffer distance around the geometry in map units
      * @param callback
      * @private
      */
-    this._createCellsForOffline = function(context,minLevel,maxLevel,extent,callback){
+    this._createCellsForOffline = function(context,minLevel,maxLevel,geometry,buffer,callback){
         var tilingScheme = new O.esri.Tiles.TilingScheme(context);
         var cells = [];
 
         for(var level=minLevel; level<=maxLevel; level++)
         {
-            var level_cell_ids = tilingScheme.getAllCellIdsInExtent(extent,level);
+            var level_cell_ids = tilingScheme.getAllCellIdsInGeometry(geometry,level,buffer);
 
             level_cell_ids.forEach(function(cell_id)
             {
@@ -124,44 +302,599 @@ O.esri.Tiles.TilesCore = function(){
     };
 
     /**
-     * Saves locally stored tiles to a csv
+     * Counts the tiles that intersect an area at each level
+     * @param context Layer
+     * @param minLevel
+     * @param maxLevel
+     * @param geometry Extent, Polygon or Polyline
+     * @param tileSize estimated size of a tile in bytes
+     * @param buffer distance around the geometry in map units
+     * @returns {{tileCount: number, sizeBytes: number, levels: Array}} levels holds one {level, tileCount, sizeBytes} per level
+     * @private
+     */
+    this._estimateDownload = function(context,minLevel,maxLevel,geometry,tileSize,buffer){
+        var tilingScheme = new O.esri.Tiles.TilingScheme(context);
+        var estimation = {tileCount: 0, sizeBytes: 0, levels: []};
+
+        for(var level=minLevel; level<=maxLevel; level++)
+        {
+            var tileCount = tilingScheme.getAllCellIdsInGeometry(geometry,level,buffer).length;
+            estimation.levels.push({level: level, tileCount: tileCount, sizeBytes: tileCount * tileSize});
+            estimation.tileCount += tileCount;
+            estimation.sizeBytes += tileCount * tileSize;
+        }
+        return estimation;
+    };
+
+    /**
+     * Downloads the tiles of an area as a download job. The job is kept in the tile database
+     * until all its tiles are stored, so that the download can be resumed after a reload.
+     * @param layer
+     * @param minLevel
+     * @param maxLevel
+     * @param geometry Extent, Polygon or Polyline
+     * @param buffer distance around the geometry in map units
+     * @param reportProgress
+     * @private
+     */
+    this._startDownloadJob = function(layer,minLevel,maxLevel,geometry,buffer,reportProgress){
+        var job = this._createDownloadJob(layer,minLevel,maxLevel,geometry,buffer,null);
+        this._runDownloadJob(layer,job,false,reportProgress);
+    };
+
+    /**
+     * @param areaId the offline area the tiles are downloaded for, or null
+     * @returns {Object} a new download job
+     * @private
+     */
+    this._createDownloadJob = function(layer,minLevel,maxLevel,geometry,buffer,areaId){
+        return {
+            id: this._createId("job"),
+            layerUrl: layer.url,
+            areaId: areaId,
+            geometry: geometry.toJson ? geometry.toJson() : geometry,
+            buffer: buffer || 0,
+            minLevel: minLevel,
+            maxLevel: maxLevel,
+            created: new Date().getTime(),
+            status: this.JOB_STATUS.DOWNLOADING,
+            completed: [],  // "level/row/col" of the stored tiles
+            failed: []      // {cell, msg}
+        };
+    };
+
+    this._createId = function(prefix){
+        return prefix + "-" + new Date().getTime() + "-" + Math.floor(Math.random() * 1000000);
+    };
+
+    /**
+     * Records a named offline area and downloads its tiles. Tiles that are already stored
+     * are added to the area instead of being downloaded again.
+     * @param layer
+     * @param name
+     * @param minLevel
+     * @param maxLevel
+     * @param geometry Extent, Polygon or Polyline
+     * @param buffer distance around the geometry in map units
+     * @param reportProgress
+     * @returns {String} the area's id
+     * @private
+     */
+    this._createOfflineArea = function(layer,name,minLevel,maxLevel,geometry,buffer,reportProgress){
+        var now = new Date().getTime();
+        var area = {
+            id: this._createId("area"),
+            name: name,
+            layerUrl: layer.url,
+            geometry: geometry.toJson ? geometry.toJson() : geometry,
+            buffer: buffer || 0,
+            minLevel: minLevel,
+            maxLevel: maxLevel,
+            created: now,
+            updated: now
+        };
+
+        layer.offline.store.storeArea(area,function(success,err){
+            if(!success)
+            {
+                return reportProgress({finishedDownloading: true, cancelRequested: false, areaId: area.id, error: {msg: err}});
+            }
+            var job = this._createDownloadJob(layer,minLevel,maxLevel,area.geometry,area.buffer,area.id);
+            this._runDownloadJob(layer,job,true,reportProgress);
+        }.bind(this));
+
+        return area.id;
+    };
+
+    /**
+     * Downloads all the tiles of an offline area again
+     * @param layer
+     * @param areaId
+     * @param reportProgress
+     * @private
+     */
+    this._refreshOfflineArea = function(layer,areaId,reportProgress){
+        var store = layer.offline.store;
+        store.retrieveArea(areaId,function(success,area){
+            if(!success || area.layerUrl !== layer.url)
+            {
+                return reportProgress({finishedDownloading: true, cancelRequested: false, areaId: areaId, error: {msg: "Offline area " + areaId + " not found"}});
+            }
+
+            area.updated = new Date().getTime();
+            store.storeArea(area);
+
+            var job = this._createDownloadJob(layer,area.minLevel,area.maxLevel,area.geometry,area.buffer,area.id);
+            this._runDownloadJob(layer,job,false,reportProgress);
+        }.bind(this));
+    };
+
+    /**
+     * Stops and removes the area's download jobs, then deletes the area and the tiles no other area uses
+     * @param layer
+     * @param areaId
+     * @param callback callback(boolean, error)
+     * @private
+     */
+    this._deleteOfflineArea = function(layer,areaId,callback){
+        var store = layer.offline.store;
+        store.getJobs(layer.url,function(jobs,err){
+            if(!jobs)
+            {
+                return callback(false,err);
+            }
+
+            jobs.filter(function(job){
+                return job.areaId === areaId;
+            }).forEach(function(job){
+                this._cancelDownloadJob(layer,job.id);
+            }.bind(this));
+
+            store.deleteArea(areaId,callback);
+        }.bind(this));
+    };
+
+    /**
+     * Downloads the tiles of a job that haven't been stored yet
+     * @param layer
+     * @param jobId
+     * @param reportProgress
+     * @private
+     */
+    this._resumeDownloadJob = function(layer,jobId,reportProgress){
+        var fail = function(msg){
+            reportProgress({finishedDownloading: true, cancelRequested: false, jobId: jobId, error: {msg: msg}});
+        };
+
+        if(layer._downloads[jobId])
+        {
+            return fail("Download job " + jobId + " is already running");
+        }
+
+        layer.offline.store.retrieveJob(jobId,function(success,job){
+            if(!success || job.layerUrl !== layer.url)
+            {
+                return fail("Download job " + jobId + " not found");
+            }
+            this._runDownloadJob(layer,job,true,reportProgress);
+        }.bind(this));
+    };
+
+    /**
+     * Stops a job if it is running and removes it. The tiles it has stored are kept.
+     * @param layer
+     * @param jobId
+     * @param callback callback(boolean, error)
+     * @private
+     */
+    this._cancelDownloadJob = function(layer,jobId,callback){
+        var downloader = layer._downloads[jobId];
+        delete layer._downloads[jobId];
+        if(downloader)
+        {
+            downloader.cancel();
+        }
+        layer.offline.store.deleteJob(jobId,callback);
+    };
+
+    /**
+     * Lists a layer's download jobs, without the cells they have stored
+     * @param layer
+     * @param callback callback(jobs, error)
+     * @private
+     */
+    this._listDownloadJobs = function(layer,callback){
+        layer.offline.store.getJobs(layer.url,function(jobs,err){
+            callback(jobs && jobs.map(function(job){
+                return {
+                    id: job.id,
+                    layerUrl: job.layerUrl,
+                    geometry: job.geometry,
+                    buffer: job.buffer,
+                    minLevel: job.minLevel,
+                    maxLevel: job.maxLevel,
+                    created: job.created,
+                    updated: job.updated,
+                    areaId: job.areaId,
+                    status: job.status,
+                    running: !!layer._downloads[job.id],
+                    tileCount: job.tileCount,
+                    completedCount: job.completed.length,
+                    failed: job.failed
+                };
+            }), err);
+        });
+    };
+
+    this.JOB_STATUS = {
+        DOWNLOADING: "downloading", // running, or interrupted by a reload if it isn't running
+        STOPPED: "stopped",         // cancelled by reportProgress()
+        INCOMPLETE: "incomplete"    // finished, but some tiles failed
+    };
+
+    this._JOB_SAVE_INTERVAL = 25; // tiles downloaded between saves of a job
+
+    /**
+     * @param layer
+     * @param job
+     * @param skipStored whether tiles that are already stored are downloaded again
+     * @param reportProgress each report has the storage estimate taken before the download started,
+     * see TilesStore.getStorageEstimate()
+     * @private
+     */
+    this._runDownloadJob = function(layer,job,skipStored,reportProgress){
+        var store = layer.offline.store;
+
+        // the space left is reported before any tile is stored
+        store.getStorageEstimate(function(storage){
+            this._createCellsForOffline(layer,job.minLevel,job.maxLevel,job.geometry,job.buffer,function(cells){
+                var completed = {};
+                job.completed.forEach(function(key){
+                    completed[key] = true;
+                });
+
+                var remaining = cells.filter(function(cell){
+                    return !completed[this._getCellKey(cell)];
+                }.bind(this));
+                var countBefore = cells.length - remaining.length;
+
+                job.tileCount = cells.length;
+                job.failed = [];    // failed tiles are tried again
+                job.status = this.JOB_STATUS.DOWNLOADING;
+                job.updated = new Date().getTime();
+                store.storeJob(job);
+
+                var downloader = new O.esri.Tiles.TileDownloader({
+                    concurrency: layer.offline.concurrency,
+                    requestsPerSecond: layer.offline.requestsPerSecond,
+                    maxRetries: layer.offline.maxRetries
+                });
+                layer._downloads[job.id] = downloader;
+
+                var unsaved = 0;
+
+                downloader.download(remaining, function(cell)
+                {
+                    return layer._getTileUrl(cell.level,cell.row,cell.col);
+                }, function(url,callback)
+                {
+                    if(!skipStored)
+                    {
+                        return this._storeTile(url,layer.offline.proxyPath,store,callback,job.areaId,layer);
+                    }
+
+                    var download = function(stored){
+                        if(stored)
+                        {
+                            callback(true);
+                        }
+                        else
+                        {
+                            this._storeTile(url,layer.offline.proxyPath,store,callback,job.areaId,layer);
+                        }
+                    }.bind(this);
+
+                    if(job.areaId)
+                    {
+                        store.addToArea(this._getTileKey(url,layer),job.areaId,download);
+                    }
+                    else
+                    {
+                        store.has(this._getTileKey(url,layer),download);
+                    }
+                }.bind(this), function(progress)
+                {
+                    progress.jobId = job.id;
+                    progress.storage = storage;
+                    if(job.areaId)
+                    {
+                        progress.areaId = job.areaId;
+                    }
+
+                    if(progress.finishedDownloading)
+                    {
+                        // unless cancelDownload() has removed the job
+                        if(layer._downloads[job.id] === downloader)
+                        {
+                            delete layer._downloads[job.id];
+                            this._finishDownloadJob(store,job,progress.cancelRequested);
+                        }
+                        return reportProgress(progress);
+                    }
+
+                    if(progress.error)
+                    {
+                        job.failed.push({cell: progress.cell, msg: String(progress.error.msg)});
+                    }
+                    else
+                    {
+                        job.completed.push(this._getCellKey(progress.cell));
+                    }
+
+                    if(++unsaved === this._JOB_SAVE_INTERVAL)
+                    {
+                        unsaved = 0;
+                        job.updated = new Date().getTime();
+                        store.storeJob(job);
+                    }
+
+                    progress.countNow += countBefore;
+                    progress.countMax = cells.length;
+                    return reportProgress(progress);
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * A job is removed once all its tiles are stored
+     * @private
+     */
+    this._finishDownloadJob = function(store,job,cancelled){
+        if(!cancelled && job.failed.length === 0)
+        {
+            return store.deleteJob(job.id);
+        }
+
+        job.status = cancelled ? this.JOB_STATUS.STOPPED : this.JOB_STATUS.INCOMPLETE;
+        job.updated = new Date().getTime();
+        store.storeJob(job);
+    };
+
+    this._getCellKey = function(cell){
+        return cell.level + "/" + cell.row + "/" + cell.col;
+    };
+
+    this._FILE_BATCH_SIZE = 100;            // tiles read from the database at a time when saving a file
+    this._FILE_CHUNK_SIZE = 1024 * 1024;    // bytes read from a file at a time when loading it
+
+    /**
+     * Saves the layer's locally stored tiles to a csv, or to an MBTiles file if the file name ends in .mbtiles.
+     * The tiles are read a batch at a time and each batch is turned into a Blob, so the file doesn't have to fit in memory.
      * @param fileName
      * @param store
-     * @param callback
+     * @param callback callback(boolean, msg)
+     * @param layer the layer whose tiles are saved. Without it the tiles of all layers are saved to a csv.
+     * @param reportProgress optional reportProgress({countNow, countMax}) after each batch, which returns true to cancel
      * @private
      */
-    this._saveToFile = function(fileName,store,callback){
-        var csv = [];
+    this._saveToFile = function(fileName,store,callback,layer,reportProgress){
+        if(layer && this._isMBTilesFile(fileName))
+        {
+            return this._saveToMBTiles(fileName,store,layer,callback,reportProgress);
+        }
+
+        var parts = ["url,img"];
+        var tileCount = 0;
+
+        this._forEachTileBatch(fileName,store,layer ? layer.url : null,reportProgress,function(tiles)
+        {
+            var lines = tiles.map(function(tile)
+            {
+                return "\r\n" + tile.url + "," + store.toBase64(tile.data);
+            });
+            parts.push(new Blob(lines));
+            tileCount += tiles.length;
+        },function(success,msg)
+        {
+            if(!success)
+            {
+                return callback(false,msg);
+            }
+            var blob = new Blob(parts, {type:"text/plain;charset=utf-8"});
+            this._saveBlob(blob,fileName,tileCount,callback);
+        }.bind(this));
+    };
 
-        csv.push("url,img");
-        store.getAllTiles(function(url,img,evt)
+    /**
+     * Reads the stored tiles a batch at a time
+     * @param fileName the file the tiles are saved to
+     * @param store
+     * @param layerUrl only the tiles of this layer, or null for all tiles
+     * @param reportProgress optional reportProgress({countNow, countMax}) after each batch, which returns true to cancel
+     * @param onBatch onBatch(tiles) for each batch
+     * @param callback callback(boolean, msg) once all the tiles have been read
+     * @private
+     */
+    this._forEachTileBatch = function(fileName,store,layerUrl,reportProgress,onBatch,callback){
+        store.countTiles(function(countMax,err)
         {
-            if(evt==="end")
+            if(err)
             {
-                var blob = new Blob([ csv.join("\r\n") ], {type:"text/plain;charset=utf-8"});
-                var saver = O.esri.Tiles.saveAs(blob, fileName);
+                return callback(false, "Error reading tiles: " + err);
+            }
 
-                if( saver.readyState === saver.DONE )
+            var countNow = 0;
+            var next = function(afterUrl)
+            {
+                store.getTileBatch(afterUrl,this._FILE_BATCH_SIZE,function(tiles,err)
                 {
-                    if( saver.error )
+                    if(!tiles)
+                    {
+                        return callback(false, "Error reading tiles: " + err);
+                    }
+
+                    onBatch(tiles);
+                    countNow += tiles.length;
+
+                    if(reportProgress && reportProgress({countNow: countNow, countMax: Math.max(countNow, countMax)}))
                     {
-                        return callback(false,"Error saving file " + fileName);
+                        return callback(false, "Saving " + fileName + " was cancelled");
                     }
-                    return callback(true, "Saved " + (csv.length-1) + " tiles (" + Math.floor(blob.size / 1024 / 1024 * 100) / 100 + " Mb) into " + fileName);
+                    if(tiles.length < this._FILE_BATCH_SIZE)
+                    {
+                        return callback(true, null);
+                    }
+                    next(tiles[tiles.length - 1].url);
+                }.bind(this),layerUrl);
+            }.bind(this);
+            next(null);
+        }.bind(this),layerUrl);
+    };
+
+    this._MBTILES_APPLICATION_ID = 0x4D504258; // "MPBX"
+
+    this._isMBTilesFile = function(fileName){
+        return /\.mbtiles$/i.test(fileName);
+    };
+
+    /**
+     * Saves the layer's stored tiles to an MBTiles file, i.e. an SQLite database with a tiles and a metadata table.
+     * MBTiles rows are numbered from the south (TMS), so the rows of the layer's tiles are flipped.
+     * @param fileName
+     * @param store
+     * @param layer
+     * @param callback callback(boolean, msg)
+     * @param reportProgress optional, see _saveToFile()
+     * @private
+     */
+    this._saveToMBTiles = function(fileName,store,layer,callback,reportProgress){
+        if(!this._isWebMercator(layer))
+        {
+            return callback(false, "MBTiles files can only hold tiles of the Web Mercator tiling scheme");
+        }
+
+        var writer = new O.esri.Tiles.SQLiteWriter({applicationId: this._MBTILES_APPLICATION_ID});
+        var metadata = writer.createTable("metadata", "CREATE TABLE metadata (name text, value text)");
+        var tiles = writer.createTable("tiles", "CREATE TABLE tiles (zoom_level integer, tile_column integer, tile_row integer, tile_data blob)");
+        var summary = {tileCount: 0, format: null, minzoom: Infinity, maxzoom: -Infinity, west: 180, south: 90, east: -180, north: -90};
+
+        this._forEachTileBatch(fileName,store,layer.url,reportProgress,function(batch)
+        {
+            batch.forEach(function(tile)
+            {
+                var cell = this._getLayerCell(tile.url,layer);
+                if(cell)
+                {
+                    var rows = Math.pow(2, cell.level);
+                    writer.addRow(tiles, [cell.level, cell.col, rows - 1 - cell.row, tile.data]);
+                    this._addToMBTilesSummary(summary, cell, tile);
                 }
-                saver.onerror = function() {
-                    callback(false,"Error saving file " + fileName);
-                };
-                saver.onwriteend = function()
+            }, this);
+        }.bind(this),function(success,msg)
+        {
+            if(!success)
+            {
+                return callback(false, msg);
+            }
+
+            var values = {
+                name: fileName.replace(/\.mbtiles$/i, ""),
+                description: layer.url,
+                type: "baselayer",
+                format: summary.format || "png"
+            };
+            if(summary.tileCount > 0)
+            {
+                values.bounds = [summary.west, summary.south, summary.east, summary.north].join(",");
+                values.minzoom = String(summary.minzoom);
+                values.maxzoom = String(summary.maxzoom);
+            }
+            for(var name in values)
+            {
+                if(values.hasOwnProperty(name))
                 {
-                    callback(true, "Saved " + (csv.length-1) + " tiles (" + Math.floor(blob.size / 1024 / 1024 * 100) / 100 + " Mb) into " + fileName);
-                };
+                    writer.addRow(metadata, [name, values[name]]);
+                }
             }
-            else
+
+            this._saveBlob(writer.toBlob(),fileName,summary.tileCount,callback);
+        }.bind(this));
+    };
+
+    /**
+     * Adds a tile to the zoom levels, bounds and format of an MBTiles file
+     * @private
+     */
+    this._addToMBTilesSummary = function(summary,cell,tile){
+        var rows = Math.pow(2, cell.level);
+        var latitude = function(row)
+        {
+            return Math.atan(this._sinh(Math.PI * (1 - 2 * row / rows))) * 180 / Math.PI;
+        }.bind(this);
+
+        summary.tileCount++;
+        summary.minzoom = Math.min(summary.minzoom, cell.level);
+        summary.maxzoom = Math.max(summary.maxzoom, cell.level);
+        summary.west = Math.min(summary.west, cell.col / rows * 360 - 180);
+        summary.east = Math.max(summary.east, (cell.col + 1) / rows * 360 - 180);
+        summary.north = Math.max(summary.north, latitude(cell.row));
+        summary.south = Math.min(summary.south, latitude(cell.row + 1));
+        if(!summary.format)
+        {
+            summary.format = tile.contentType === "image/jpeg" ? "jpg" : tile.contentType === "image/png" ? "png" : null;
+        }
+    };
+
+    this._sinh = function(x){
+        return (Math.exp(x) - Math.exp(-x)) / 2;
+    };
+
+    /**
+     * MBTiles tiles must follow the Web Mercator tiling scheme, where level 0 is a single tile.
+     * @param layer
+     * @returns {boolean}
+     * @private
+     */
+    this._isWebMercator = function(layer){
+        var tileInfo = layer.tileInfo;
+        var wkid = tileInfo && tileInfo.spatialReference && tileInfo.spatialReference.wkid;
+        if([102100, 102113, 3857].indexOf(wkid) === -1 || tileInfo.rows !== tileInfo.cols)
+        {
+            return false;
+        }
+        var lod = tileInfo.lods[0];
+        var worldWidth = 40075016.685578488; // meters
+        return lod.level === 0 && Math.abs(lod.resolution * tileInfo.cols / worldWidth - 1) < 1e-6;
+    };
+
+    /**
+     * Saves a file with FileSaver
+     * @param blob
+     * @param fileName
+     * @param tileCount
+     * @param callback callback(boolean, msg)
+     * @private
+     */
+    this._saveBlob = function(blob,fileName,tileCount,callback){
+        var message = "Saved " + tileCount + " tiles (" + Math.floor(blob.size / 1024 / 1024 * 100) / 100 + " Mb) into " + fileName;
+        var saver = O.esri.Tiles.saveAs(blob, fileName);
+
+        if( saver.readyState === saver.DONE )
+        {
+            if( saver.error )
             {
-                csv.push(url+","+img);
+                return callback(false,"Error saving file " + fileName);
             }
-        });
+            return callback(true, message);
+        }
+        saver.onerror = function() {
+            callback(false,"Error saving file " + fileName);
+        };
+        saver.onwriteend = function()
+        {
+            callback(true, message);
+        };
     };
 
     /**
@@ -208,8 +941,8 @@ O.esri.Tiles.TilesCore = function(){
                 },
                 timeout: 2000
             }).then(function(response){
-                    var img = O.esri.Tiles.Base64Utils.wordToBase64(O.esri.Tiles.Base64Utils.stringToWord(response));
-                    callback(img.length + url.length,null);
+                    // tiles are stored as raw bytes, one character per byte in this response
+                    callback(response.length + url.length,null);
                 },
                 function(err){
                     callback(null,err);
@@ -221,62 +954,260 @@ O.esri.Tiles.TilesCore = function(){
     };
 
     /**
-     * Loads a csv file into storage.
-     * Format is "url,img\r\n somebase64image,http://esri.com"
+     * Loads a csv file into storage, or an MBTiles file if the file name ends in .mbtiles
+     * Format is "url,img\r\nhttp://esri.com,somebase64image"
      * @param file
      * @param store
-     * @param callback
+     * @param callback callback(boolean, msg)
+     * @param layer the layer the tiles of an MBTiles file belong to
+     * @param reportProgress optional reportProgress({countNow, bytesRead, bytesTotal}), which returns true to cancel
      * @private
      */
-    this._loadFromFile = function(file,store,callback){
+    this._loadFromFile = function(file,store,callback,layer,reportProgress){
         if (window.File && window.FileReader && window.FileList && window.Blob)
         {
             // Great success! All the File APIs are supported.
+            if(layer && this._isMBTilesFile(file.name))
+            {
+                // SQLite files can't be read from start to end, so the whole file is read
+                var reader = new FileReader();
+                reader.onload = function(evt)
+                {
+                    this._loadFromMBTiles(evt.target.result,file.name,store,layer,callback,reportProgress);
+                }.bind(this);
+                reader.onerror = function()
+                {
+                    callback(false, "Error reading file " + file.name);
+                };
+                return reader.readAsArrayBuffer(file);
+            }
+
+            this._loadFromCsv(file,store,callback,layer,reportProgress);
+        }
+        else
+        {
+            callback(false, "The File APIs are not fully supported in this browser.");
+        }
+    };
+
+    /**
+     * Reads a csv file a chunk at a time and stores the tiles of each chunk before reading the next one,
+     * so the file doesn't have to fit in memory. A chunk ends at the last line break in it, and the rest
+     * of the chunk is read again with the next one.
+     * @param file
+     * @param store
+     * @param callback callback(boolean, msg)
+     * @param layer optional. The file's tiles of this layer are stored as its tiles.
+     * @param reportProgress optional reportProgress({countNow, bytesRead, bytesTotal}) after each chunk, which returns true to cancel
+     * @private
+     */
+    this._loadFromCsv = function(file,store,callback,layer,reportProgress){
+        var offset = 0;         // the start of the next chunk
+        var headerRead = false;
+        var tileCount = 0;
+        var failed = 0;
+
+        var finish = function()
+        {
+            var msg = tileCount + " tiles loaded from " + file.name;
+            if(failed > 0)
+            {
+                return callback(false, msg + ", " + failed + " tiles couldn't be stored");
+            }
+            callback(true, msg);
+        };
+
+        var storeLines = function(lines, done)
+        {
+            var pending = lines.length;
+            if(pending === 0)
+            {
+                return done();
+            }
+            lines.forEach(function(line)
+            {
+                var pair = line.split(",");
+                var layerUrl = layer && this._isLayerTile(pair[0],layer) ? layer.url : null;
+                store.store({url: pair[0], img: pair[1], layerUrl: layerUrl}, function(success)
+                {
+                    if(success)
+                    {
+                        tileCount++;
+                    }
+                    else
+                    {
+                        failed++;
+                    }
+                    if(--pending === 0)
+                    {
+                        done();
+                    }
+                });
+            }, this);
+        }.bind(this);
+
+        var readChunk = function(size)
+        {
             var reader = new FileReader();
             reader.onload = function(evt)
             {
-                var csvContent = evt.target.result;
-                var tiles = csvContent.split("\r\n");
-                var tileCount = 0;
-                var pair, tile;
+                var bytes = new Uint8Array(evt.target.result);
+                var isLast = offset + bytes.length >= file.size;
+                var end = isLast ? bytes.length : this._lastIndexOf(bytes, 10 /* \n */) + 1;
 
-                if(tiles[0] !== "url,img")
+                if(end === 0 && !isLast)
                 {
-                    return callback(false, "File " + file.name + " doesn't contain tiles that can be loaded");
+                    // A line longer than a chunk is read again with a larger chunk
+                    return readChunk(bytes.length * 2);
                 }
+                offset += end;
 
-                for(var i=1; i<tiles.length; i++)
+                var lines = O.esri.Tiles.SQLiteFile.decodeUtf8(bytes.subarray(0, end)).split("\r\n").filter(function(line)
                 {
-                    pair = tiles[i].split(",");
-                    tile = {
-                        url: pair[0],
-                        img: pair[1]
-                    };
-                    console.log("read",tile.url);
-                    store.store(tile,function(success)
+                    return line !== "";
+                });
+
+                if(!headerRead)
+                {
+                    if(lines[0] !== "url,img")
                     {
-                        console.log(".");
+                        return callback(false, "File " + file.name + " doesn't contain tiles that can be loaded");
+                    }
+                    headerRead = true;
+                    lines.shift();
+                }
 
-                        if( success )
-                        {
-                            tileCount += 1;
-                        }
+                storeLines(lines, function()
+                {
+                    if(reportProgress && reportProgress({countNow: tileCount, bytesRead: offset, bytesTotal: file.size}))
+                    {
+                        return callback(false, "Loading " + file.name + " was cancelled after " + tileCount + " tiles");
+                    }
+                    if(isLast)
+                    {
+                        return finish();
+                    }
+                    readChunk(this._FILE_CHUNK_SIZE);
+                }.bind(this));
+            }.bind(this);
+            reader.onerror = function()
+            {
+                callback(false, "Error reading file " + file.name);
+            };
+            reader.readAsArrayBuffer(file.slice(offset, offset + size));
+        }.bind(this);
 
-                        if( tileCount === tiles.length-1)
-                        {
-                            console.log("finished!");
-                            window.setTimeout(function() { /* refresh layer by zooming in and out, or some way that really refreshes the layer */ }, 1000);
-                            callback(true, tileCount + " tiles loaded from " + file.name);
-                        }
-                    });
+        readChunk(this._FILE_CHUNK_SIZE);
+    };
+
+    this._lastIndexOf = function(bytes, value){
+        for(var i = bytes.length - 1; i >= 0; i--)
+        {
+            if(bytes[i] === value)
+            {
+                return i;
+            }
+        }
+        return -1;
+    };
+
+    /**
+     * Stores the tiles of an MBTiles file, e.g. one made by other tools, one at a time
+     * @param buffer ArrayBuffer with the file
+     * @param fileName
+     * @param store
+     * @param layer
+     * @param callback callback(boolean, msg)
+     * @param reportProgress optional, see _loadFromFile()
+     * @private
+     */
+    this._loadFromMBTiles = function(buffer,fileName,store,layer,callback,reportProgress){
+        if(!this._isWebMercator(layer))
+        {
+            return callback(false, "MBTiles files can only hold tiles of the Web Mercator tiling scheme");
+        }
+
+        var rows;
+        try
+        {
+            rows = this._openMBTilesRows(new O.esri.Tiles.SQLiteReader(buffer));
+        }
+        catch(err)
+        {
+            return callback(false, "File " + fileName + " doesn't contain tiles that can be loaded: " + err.message);
+        }
+
+        var tileCount = 0;
+        var next = function()
+        {
+            var row = rows.next();
+            if(row === null)
+            {
+                return callback(true, tileCount + " tiles loaded from " + fileName);
+            }
+
+            var level = row.zoom_level;
+            var url = this._getTileKey(layer._getTileUrl(level, Math.pow(2, level) - 1 - row.tile_row, row.tile_column),layer);
+
+            // the blob shares its buffer with the whole file
+            store.store({url: url, data: row.tile_data.slice().buffer, layerUrl: layer.url}, function(success, err)
+            {
+                if(!success)
+                {
+                    return callback(false, "Loaded " + tileCount + " tiles from " + fileName + " before an error: " + err);
                 }
-            };
-            reader.readAsText(file);
+                tileCount++;
+                if(reportProgress && reportProgress({countNow: tileCount, bytesRead: buffer.byteLength, bytesTotal: buffer.byteLength}))
+                {
+                    return callback(false, "Loading " + fileName + " was cancelled after " + tileCount + " tiles");
+                }
+                next();
+            });
+        }.bind(this);
+        next();
+    };
+
+    /**
+     * Reads the tiles table, or the map and images tables that tools such as mbutil use to store
+     * duplicate tiles once. tiles is a view of them in that case.
+     * @param db SQLiteReader
+     * @returns {Object} with next(), which returns {zoom_level, tile_column, tile_row, tile_data} or null
+     * @private
+     */
+    this._openMBTilesRows = function(db){
+        if(db.getTable("tiles"))
+        {
+            return db.openTable("tiles");
         }
-        else
+        if(!db.getTable("map") || !db.getTable("images"))
         {
-            callback(false, "The File APIs are not fully supported in this browser.");
+            throw new Error("there is no tiles table");
         }
+
+        var images = {};
+        var imageRows = db.openTable("images");
+        var image;
+        while((image = imageRows.next()) !== null)
+        {
+            images[image.tile_id] = image.tile_data;
+        }
+
+        var map = db.openTable("map");
+        return {
+            next: function()
+            {
+                var row;
+                while((row = map.next()) !== null)
+                {
+                    if(images[row.tile_id])
+                    {
+                        row.tile_data = images[row.tile_id];
+                        return row;
+                    }
+                }
+                return null;
+            }
+        };
     };
 
     /**
@@ -286,43 +1217,96 @@ O.esri.Tiles.TilesCore = function(){
      * @param layerUrl the URL of tile layer
      * @param context a reference to the layer
      * @param callback callback(polygon, error)
+     * @param areaId optional. Only the tiles of this offline area. Otherwise the tiles stored for the layer.
      */
-    this._getTilePolygons = function(store,layerUrl,context,callback)	// callback(Polygon polygon) or callback(null, error)
+    this._getTilePolygons = function(store,layerUrl,context,callback,areaId)	// callback(Polygon polygon) or callback(null, error)
     {
-        var components, level, col, row, cellId, polygon;
+        var cell, polygon;
 
         var tilingScheme = new O.esri.Tiles.TilingScheme(context);
-        store.getAllTiles(function(url,img,err)
+        store.getAllTiles(function(url,tile,err)
         {
-            if(url && url.indexOf(layerUrl) === 0)
+            if(url)
             {
-                if(url.indexOf("_alllayers") != -1)
-                {
-                    // V101/LAYERS/_alllayers/L01/R0C18C0B10
-                    components = url.split("/");
-                    level = parseInt(components[ components.length - 2].slice(1),10);
-                    col = parseInt( components[ components.length -1].substring(1,5), 16);
-                    row = parseInt( components[ components.length -1].substring(6,10), 16);
-                }
-                else
+                cell = this._getLayerCell(url,context);
+                if(cell)
                 {
-                    components = url.split("/");
-                    level = parseInt(components[ components.length - 3],10);
-                    col = parseInt(components[ components.length - 2],10);
-                    row = parseInt(components[ components.length - 1],10);
+                    polygon = tilingScheme.getCellPolygonFromCellId([cell.col,cell.row], cell.level);
+                    callback(polygon);
                 }
-                cellId = [row,col];
-                polygon = tilingScheme.getCellPolygonFromCellId(cellId, level);
-                callback(polygon);
             }
             else
             {
-                if(!url)
-                {
-                    callback(null,err);
-                }
+                callback(null,err);
             }
-        });
+        }.bind(this),areaId,layerUrl);
+    };
+
+    /**
+     * The url a tile is stored under, i.e. its url without the token. Tiles of layers made from a url template
+     * keep their query, because it may tell the tiles apart, as in WMTS KVP requests.
+     * @param url
+     * @param layer optional
+     * @returns {String}
+     * @private
+     */
+    this._getTileKey = function(url,layer){
+        return layer && layer._tileTemplate ? url : url.split("?")[0];
+    };
+
+    /**
+     * @param url the url a tile is stored under
+     * @param layer
+     * @returns {boolean} whether the tile belongs to the layer
+     * @private
+     */
+    this._isLayerTile = function(url,layer){
+        return layer._tileTemplate ? layer._tileTemplate.getCell(url) !== null : url.indexOf(layer.url) === 0;
+    };
+
+    /**
+     * @param url the url a tile is stored under
+     * @param layer
+     * @returns {{level: Number, row: Number, col: Number}} or null if the tile doesn't belong to the layer
+     * @private
+     */
+    this._getLayerCell = function(url,layer){
+        if(layer._tileTemplate)
+        {
+            return layer._tileTemplate.getCell(url);
+        }
+        return url.indexOf(layer.url) === 0 ? this._getCellFromUrl(url) : null;
+    };
+
+    /**
+     * Reads the cell of a stored tile from its url
+     * @param url .../tile/{level}/{row}/{col}, or .../_alllayers/L{level}/R{row}C{col} for TPK tiles
+     * @returns {{level: Number, row: Number, col: Number}} or null
+     * @private
+     */
+    this._getCellFromUrl = function(url){
+        var components = url.split("/");
+        var cell;
+
+        if(url.indexOf("_alllayers") != -1)
+        {
+            // V101/LAYERS/_alllayers/L01/R0C18C0B10
+            var name = components[ components.length - 1];
+            cell = {
+                level: parseInt(components[ components.length - 2].slice(1),10),
+                row: parseInt(name.substring(1,5), 16),
+                col: parseInt(name.substring(6,10), 16)
+            };
+        }
+        else
+        {
+            cell = {
+                level: parseInt(components[ components.length - 3],10),
+                row: parseInt(components[ components.length - 2],10),
+                col: parseInt(components[ components.length - 1],10)
+            };
+        }
+        return isNaN(cell.level) || isNaN(cell.row) || isNaN(cell.col) ? null : cell;
     };
 
     /**
@@ -1,8 +1,21 @@
 
-/*global indexedDB */
+/*global IDBKeyRange,indexedDB */
 /**
  * Library for handling the storing of map tiles in IndexedDB.
  *
+ * Tiles are stored as raw image bytes: {url, data: ArrayBuffer, contentType, size, layerUrl, areas, standalone,
+ * etag, lastModified, downloaded, lastAccess}.
+ * layerUrl is the url of the layer the tile belongs to, so that several layers can share one database.
+ * areas holds the ids of the offline areas the tile belongs to. standalone tiles were also stored
+ * without an area, so they are kept when their areas are deleted. etag and lastModified are the
+ * tile's HTTP validators, and downloaded is when the tile was last downloaded or validated.
+ *
+ * When maxBytes is set, storing a tile that doesn't fit evicts the least recently used tiles first.
+ * Tiles that belong to an offline area are never evicted. The bytes used by each tile store are
+ * kept up to date in the meta store, so that the budget doesn't depend on counting all the tiles.
+ * Version 4 databases, which stored LZString compressed urls and Base64String compressed
+ * base64 images, are converted the first time they are opened.
+ *
  * Author: Andy Gup (@agup)
  * Contributor: Javier Abadia (@javierabadia)
  */
@@ -17,6 +30,14 @@ O.esri.Tiles.TilesStore = function(){
 
     this.dbName = "offline_tile_store";
     this.objectStoreName = "tilepath";
+    this.jobsObjectStoreName = "downloadjobs"; // download jobs that can be resumed, see prepareForOffline()
+    this.areasObjectStoreName = "areas";       // named offline areas
+    this.metaObjectStoreName = "meta";         // bytes used by each tile store
+
+    this.maxBytes = 0;  // budget for the tiles in bytes, as counted by usedSpace(). 0 means no limit
+
+    this._DB_VERSION = 9;
+    this._LAST_ACCESS_INTERVAL = 60 * 60 * 1000; // ms before the lastAccess of a retrieved tile is updated again
 
     /**
      * Determines if indexedDB is supported
@@ -32,15 +53,19 @@ O.esri.Tiles.TilesStore = function(){
     };
 
     /**
-     * Adds an object to the database
-     * @param urlDataPair
+     * Adds a tile to the database. A tile that is already stored keeps its offline areas and its layer.
+     * Offline areas that have been deleted, e.g. while the tile was downloading, are left out. A new tile
+     * whose areas have all been deleted isn't stored.
+     * @param tile {url, data: ArrayBuffer, contentType, layerUrl, areas}, or {url, img, layerUrl} where img is a base64 String
      * @param callback callback(boolean, err)
      */
-    this.store = function(urlDataPair,callback)
+    this.store = function(tile,callback)
     {
         try
         {
-            var transaction = this._db.transaction([this.objectStoreName],"readwrite");
+            var record = this._createRecord(tile);
+
+            var transaction = this._db.transaction([this.objectStoreName, this.areasObjectStoreName, this.metaObjectStoreName],"readwrite");
 
             transaction.oncomplete = function()
             {
@@ -52,14 +77,102 @@ O.esri.Tiles.TilesStore = function(){
                 callback(false,event.target.error.message);
             };
 
+            transaction.onabort = function()
+            {
+                if(transaction.quotaExceeded)
+                {
+                    callback(false,"The tile doesn't fit in maxBytes");
+                }
+            };
+
             var objectStore = transaction.objectStore(this.objectStoreName);
-            urlDataPair.url = O.esri.Tiles.LZString.compress(urlDataPair.url);
-            urlDataPair.img = O.esri.Tiles.Base64String.compress(urlDataPair.img);
-            var request = objectStore.put(urlDataPair);
-            request.onsuccess = function()
+            objectStore.get(record.url).onsuccess = function(event)
+            {
+                var existing = event.target.result;
+                this._filterAreas(transaction, record.areas, function(areas)
+                {
+                    if(!existing && !record.standalone && areas.length === 0)
+                    {
+                        return;
+                    }
+
+                    var bytes = this._getRecordBytes(record);
+                    record.areas = areas;
+                    if(existing)
+                    {
+                        record.areas = this._addAreas(existing.areas, record.areas);
+                        record.standalone = record.standalone || this._isStandalone(existing);
+                        record.layerUrl = record.layerUrl || existing.layerUrl || null;
+                        bytes -= this._getRecordBytes(existing);
+                    }
+                    this._reserveBytes(transaction, bytes, record.url, function()
+                    {
+                        objectStore.put(record);
+                    });
+                }.bind(this));
+            }.bind(this);
+        }
+        catch(err)
+        {
+            console.log("TilesStore: " + err.stack);
+            callback(false, err.stack);
+        }
+    };
+
+    /**
+     * Replaces the image and the HTTP validators of a stored tile, e.g. when a refresh finds it has changed.
+     * Unlike store(), the tile keeps whether it was stored without an offline area, so that deleteArea()
+     * still removes the tiles of an area.
+     * @param tile {url, data: ArrayBuffer, contentType, etag, lastModified, downloaded}
+     * @param callback callback(boolean, err). err is "not found" if the tile was deleted in the meantime.
+     */
+    this.replace = function(tile,callback)
+    {
+        try
+        {
+            var record = this._createRecord(tile);
+            var found = false;
+
+            var transaction = this._db.transaction([this.objectStoreName, this.metaObjectStoreName],"readwrite");
+
+            transaction.oncomplete = function()
             {
-                //console.log("item added to db " + event.target.result);
+                callback(found, found ? undefined : "not found");
             };
+
+            transaction.onerror = function(event)
+            {
+                callback(false,event.target.error.message);
+            };
+
+            transaction.onabort = function()
+            {
+                if(transaction.quotaExceeded)
+                {
+                    callback(false,"The tile doesn't fit in maxBytes");
+                }
+            };
+
+            var objectStore = transaction.objectStore(this.objectStoreName);
+            objectStore.get(record.url).onsuccess = function(event)
+            {
+                var existing = event.target.result;
+                if(!existing)
+                {
+                    return;
+                }
+
+                found = true;
+                record.areas = existing.areas || [];
+                record.standalone = this._isStandalone(existing);
+                record.layerUrl = existing.layerUrl || null;
+                record.lastAccess = existing.lastAccess;
+
+                this._reserveBytes(transaction, this._getRecordBytes(record) - this._getRecordBytes(existing), record.url, function()
+                {
+                    objectStore.put(record);
+                });
+            }.bind(this);
         }
         catch(err)
         {
@@ -69,16 +182,16 @@ O.esri.Tiles.TilesStore = function(){
     };
 
     /**
-     * Retrieve a record.
+     * Retrieve a tile. Its lastAccess is updated at most once every _LAST_ACCESS_INTERVAL.
      * @param url
-     * @param callback
+     * @param callback callback(true, {url, data: ArrayBuffer, contentType, size, ...}) or callback(false, err)
      */
     this.retrieve = function(/* String */ url,callback)
     {
         if(this._db !== null)
         {
             var objectStore = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName);
-            var request = objectStore.get(O.esri.Tiles.LZString.compress(url));
+            var request = objectStore.get(url);
             request.onsuccess = function(event)
             {
                 var result = event.target.result;
@@ -88,11 +201,14 @@ O.esri.Tiles.TilesStore = function(){
                 }
                 else
                 {
-                    result.url = O.esri.Tiles.LZString.decompress(result.url);
-                    result.img = O.esri.Tiles.Base64String.decompress(result.img);
+                    var now = new Date().getTime();
+                    if(now - result.lastAccess >= this._LAST_ACCESS_INTERVAL)
+                    {
+                        this._updateTile(url, {lastAccess: now});
+                    }
                     callback(true,result);
                 }
-            };
+            }.bind(this);
             request.onerror = function(err)
             {
                 console.log(err);
@@ -102,21 +218,27 @@ O.esri.Tiles.TilesStore = function(){
     };
 
     /**
-     * Deletes entire database
+     * Deletes all tiles, and the offline areas they belonged to
      * @param callback callback(boolean, err)
+     * @param layerUrl optional. Only the tiles and offline areas of this layer.
      */
-    this.deleteAll = function(callback)
+    this.deleteAll = function(callback,layerUrl)
     {
-        if(this._db !== null)
+        if(this._db !== null && layerUrl)
         {
-            var request = this._db.transaction([this.objectStoreName],"readwrite")
-                .objectStore(this.objectStoreName)
-                .clear();
-            request.onsuccess = function()
+            this._deleteLayer(layerUrl,callback);
+        }
+        else if(this._db !== null)
+        {
+            var transaction = this._db.transaction([this.objectStoreName, this.areasObjectStoreName, this.metaObjectStoreName],"readwrite");
+            transaction.objectStore(this.objectStoreName).clear();
+            transaction.objectStore(this.areasObjectStoreName).clear();
+            transaction.objectStore(this.metaObjectStoreName).delete(this.objectStoreName);
+            transaction.oncomplete = function()
             {
                 callback(true);
             };
-            request.onerror = function(err)
+            transaction.onerror = function(err)
             {
                 callback(false, err);
             };
@@ -128,7 +250,7 @@ O.esri.Tiles.TilesStore = function(){
     };
 
     /**
-     * Delete an individual entry
+     * Delete an individual entry. Its bytes no longer count towards maxBytes.
      * @param url
      * @param callback callback(boolean, err)
      */
@@ -136,17 +258,28 @@ O.esri.Tiles.TilesStore = function(){
     {
         if(this._db !== null)
         {
-            var request = this._db.transaction([this.objectStoreName],"readwrite")
-                .objectStore(this.objectStoreName)
-                .delete(url);
-            request.onsuccess = function()
+            var transaction = this._db.transaction([this.objectStoreName, this.metaObjectStoreName],"readwrite");
+            transaction.oncomplete = function()
             {
                 callback(true);
             };
-            request.onerror = function(err)
+            transaction.onerror = function(err)
             {
                 callback(false, err);
             };
+
+            var objectStore = transaction.objectStore(this.objectStoreName);
+            objectStore.get(url).onsuccess = function(event)
+            {
+                var tile = event.target.result;
+                if(tile)
+                {
+                    this._reserveBytes(transaction, -this._getRecordBytes(tile), null, function()
+                    {
+                        objectStore.delete(url);
+                    });
+                }
+            }.bind(this);
         }
         else
         {
@@ -156,24 +289,21 @@ O.esri.Tiles.TilesStore = function(){
 
     /**
      * Retrieve all tiles from indexeddb
-     * @param callback callback(url, img, err)
+     * @param callback callback(url, tile, err) once for each tile, where tile is
+     * {url, data: ArrayBuffer, contentType, size, layerUrl, areas}, and callback(null, null, "end") at the end
+     * @param areaId optional. Only the tiles of this offline area.
+     * @param layerUrl optional. Only the tiles of this layer.
      */
-    this.getAllTiles = function(callback)
+    this.getAllTiles = function(callback,areaId,layerUrl)
     {
         if(this._db !== null){
-            var transaction = this._db.transaction([this.objectStoreName])
-                .objectStore(this.objectStoreName)
-                .openCursor();
+            var transaction = this._openTileCursor(areaId,layerUrl);
 
             transaction.onsuccess = function(event)
             {
                 var cursor = event.target.result;
                 if(cursor){
-                    var url = cursor.value.url;
-                    var img = cursor.value.img;
-                    url = O.esri.Tiles.LZString.decompress(url);
-                    img = O.esri.Tiles.Base64String.decompress(img);
-                    callback(url,img,null);
+                    callback(cursor.value.url,cursor.value,null);
                     cursor.continue();
                 }
                 else
@@ -193,23 +323,107 @@ O.esri.Tiles.TilesStore = function(){
     };
 
     /**
-     * Provides the size of database in bytes
-     * @param callback callback(size, null) or callback(null, error)
+     * Reads the tiles a few at a time in url order, so that all of them can be read without holding them in
+     * memory or keeping a transaction open while they are processed
+     * @param afterUrl the url of the last tile of the previous batch, or null for the first batch
+     * @param count the largest number of tiles to read
+     * @param callback callback(tiles, err) where tiles is an Array of {url, data: ArrayBuffer, contentType, size, areas}.
+     * A batch with fewer than count tiles is the last one.
+     * @param layerUrl optional. Only the tiles of this layer.
+     */
+    this.getTileBatch = function(afterUrl,count,callback,layerUrl)
+    {
+        if(this._db !== null)
+        {
+            var tiles = [];
+            var objectStore = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName);
+            var request = layerUrl ?
+                objectStore.index("layerUrl").openCursor(IDBKeyRange.only(layerUrl)) :
+                objectStore.openCursor(afterUrl === null ? null : IDBKeyRange.lowerBound(afterUrl, true));
+
+            request.onsuccess = function(event)
+            {
+                var cursor = event.target.result;
+                // the index cursor starts at the layer's first tile, and the layer's tiles are in url order
+                if(cursor && afterUrl !== null && cursor.primaryKey <= afterUrl)
+                {
+                    if(cursor.primaryKey < afterUrl)
+                    {
+                        cursor.continuePrimaryKey(layerUrl, afterUrl);
+                    }
+                    else
+                    {
+                        cursor.continue();
+                    }
+                    return;
+                }
+                if(cursor)
+                {
+                    tiles.push(cursor.value);
+                }
+                if(cursor && tiles.length < count)
+                {
+                    cursor.continue();
+                }
+                else
+                {
+                    callback(tiles, null);
+                }
+            };
+            request.onerror = function(err)
+            {
+                callback(null, err);
+            };
+        }
+        else
+        {
+            callback(null, "no db");
+        }
+    };
+
+    /**
+     * Counts the stored tiles without reading them
+     * @param callback callback(count, err)
+     * @param layerUrl optional. Only the tiles of this layer.
+     */
+    this.countTiles = function(callback,layerUrl)
+    {
+        if(this._db !== null)
+        {
+            var objectStore = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName);
+            var request = layerUrl ? objectStore.index("layerUrl").count(layerUrl) : objectStore.count();
+            request.onsuccess = function(event)
+            {
+                callback(event.target.result, null);
+            };
+            request.onerror = function(err)
+            {
+                callback(null, err);
+            };
+        }
+        else
+        {
+            callback(null, "no db");
+        }
+    };
+
+    /**
+     * Provides the size of database in bytes, i.e. the size of the tile images and their urls
+     * @param callback callback({sizeBytes, tileCount}, null) or callback(null, error)
+     * @param areaId optional. Only the tiles of this offline area.
+     * @param layerUrl optional. Only the tiles of this layer.
      */
-    this.usedSpace = function(callback){
+    this.usedSpace = function(callback,areaId,layerUrl){
         if(this._db !== null){
             var usage = { sizeBytes: 0, tileCount: 0 };
 
-            var transaction = this._db.transaction([this.objectStoreName])
-                .objectStore(this.objectStoreName)
-                .openCursor();
+            var transaction = this._openTileCursor(areaId,layerUrl);
 
             transaction.onsuccess = function(event){
                 var cursor = event.target.result;
                 if(cursor){
                     var storedObject = cursor.value;
-                    var json = JSON.stringify(storedObject);
-                    usage.sizeBytes += this._stringBytes(json);
+                    usage.sizeBytes += storedObject.size + this._stringBytes(storedObject.url);
                     usage.tileCount += 1;
                     cursor.continue();
                 }
@@ -229,39 +443,938 @@ O.esri.Tiles.TilesStore = function(){
         }
     };
 
-    this._stringBytes = function(str) {
-        return str.length /**2*/ ;
+    /**
+     * Provides the size of the tiles of each layer that shares the database
+     * @param callback callback({layerUrl: {sizeBytes, tileCount}}, null) or callback(null, error). Tiles stored
+     * before their layer was recorded, e.g. those of other tools or of older versions, are counted under ""
+     */
+    this.getUsageByLayer = function(callback)
+    {
+        if(this._db !== null)
+        {
+            var usage = {};
+            var request = this._openTileCursor();
+
+            request.onsuccess = function(event)
+            {
+                var cursor = event.target.result;
+                if(cursor)
+                {
+                    var tile = cursor.value;
+                    var layerUrl = tile.layerUrl || "";
+                    usage[layerUrl] = usage[layerUrl] || { sizeBytes: 0, tileCount: 0 };
+                    usage[layerUrl].sizeBytes += this._getRecordBytes(tile);
+                    usage[layerUrl].tileCount += 1;
+                    cursor.continue();
+                }
+                else
+                {
+                    callback(usage,null);
+                }
+            }.bind(this);
+            request.onerror = function(err)
+            {
+                callback(null, err);
+            };
+        }
+        else
+        {
+            callback(null,"no db");
+        }
     };
 
-    this.init = function(callback)
+    /**
+     * Checks whether a tile is stored without reading it
+     * @param url
+     * @param callback callback(boolean)
+     */
+    this.has = function(/* String */ url,callback)
     {
-        var request = indexedDB.open(this.dbName, 4);
-        callback = callback || function(success) { console.log("TilesStore::init() success:", success); }.bind(this);
-
-        request.onerror = function(event)
+        if(this._db !== null)
         {
-            console.log("indexedDB error: " + event.target.errorCode);
-            callback(false,event.target.errorCode);
-        }.bind(this);
+            var request = this._db.transaction([this.objectStoreName])
+                .objectStore(this.objectStoreName)
+                .count(url);
+            request.onsuccess = function(event)
+            {
+                callback(event.target.result > 0);
+            };
+            request.onerror = function()
+            {
+                callback(false);
+            };
+        }
+        else
+        {
+            callback(false);
+        }
+    };
 
-        request.onupgradeneeded = function(event)
+    /**
+     * Records that a stored tile is still up to date
+     * @param url
+     * @param downloaded the time the tile was validated, in ms
+     * @param callback callback(boolean) false if the tile isn't stored
+     */
+    this.setDownloaded = function(url,downloaded,callback)
+    {
+        this._updateTile(url, {downloaded: downloaded}, callback);
+    };
+
+    /**
+     * Estimates the space left for tiles, both in maxBytes and in the storage the browser grants
+     * the site (navigator.storage.estimate(), where it is supported).
+     * @param callback callback({usedBytes, maxBytes, quota, usage, available}). quota and usage are the browser's
+     * estimate for the whole site, or null. available is the smaller of the space left in maxBytes and in the
+     * browser's quota, or null if neither is known.
+     */
+    this.getStorageEstimate = function(callback)
+    {
+        this._getUsedBytes(function(usedBytes)
         {
-            var db = event.target.result;
+            var estimate = {usedBytes: usedBytes, maxBytes: this.maxBytes, quota: null, usage: null, available: null};
+            if(this.maxBytes)
+            {
+                estimate.available = Math.max(0, this.maxBytes - usedBytes);
+            }
 
-            if( db.objectStoreNames.contains(this.objectStoreName))
+            var storage = window.navigator && window.navigator.storage;
+            if(!storage || !storage.estimate)
             {
-                db.deleteObjectStore(this.objectStoreName);
+                return callback(estimate);
             }
 
-            db.createObjectStore(this.objectStoreName, { keyPath: "url" });
-        }.bind(this);
+            storage.estimate().then(function(result)
+            {
+                estimate.quota = result.quota;
+                estimate.usage = result.usage;
+                var left = Math.max(0, result.quota - result.usage);
+                estimate.available = estimate.available === null ? left : Math.min(estimate.available, left);
+                callback(estimate);
+            }, function()
+            {
+                callback(estimate);
+            });
+        }.bind(this));
+    };
 
-        request.onsuccess = function(event)
+    /**
+     * Adds a tile that is already stored to an offline area. Nothing changes if the area has been deleted.
+     * @param url
+     * @param areaId
+     * @param callback callback(boolean) false if the tile isn't stored
+     */
+    this.addToArea = function(url,areaId,callback)
+    {
+        if(this._db !== null)
         {
-            this._db = event.target.result;
-            console.log("database opened successfully");
-            callback(true);
-        }.bind(this);
+            var found = false;
+            var transaction = this._db.transaction([this.objectStoreName, this.areasObjectStoreName],"readwrite");
+            var objectStore = transaction.objectStore(this.objectStoreName);
+
+            transaction.oncomplete = function()
+            {
+                callback(found);
+            };
+            transaction.onerror = function()
+            {
+                callback(false);
+            };
+
+            objectStore.get(url).onsuccess = function(event)
+            {
+                var tile = event.target.result;
+                if(tile)
+                {
+                    found = true;
+                    if(!tile.areas || tile.areas.indexOf(areaId) === -1)
+                    {
+                        this._filterAreas(transaction, [areaId], function(areas)
+                        {
+                            if(areas.length > 0)
+                            {
+                                tile.standalone = this._isStandalone(tile);
+                                tile.areas = this._addAreas(tile.areas, areas);
+                                objectStore.put(tile);
+                            }
+                        }.bind(this));
+                    }
+                }
+            }.bind(this);
+        }
+        else
+        {
+            callback(false);
+        }
+    };
+
+    /**
+     * Adds or updates an offline area
+     * @param area {id, name, layerUrl, ...}
+     * @param callback callback(boolean, err)
+     */
+    this.storeArea = function(area,callback)
+    {
+        callback = callback || function() {};
+        try
+        {
+            var transaction = this._db.transaction([this.areasObjectStoreName],"readwrite");
+            transaction.oncomplete = function()
+            {
+                callback(true);
+            };
+            transaction.onerror = function(event)
+            {
+                callback(false,event.target.error.message);
+            };
+            transaction.objectStore(this.areasObjectStoreName).put(area);
+        }
+        catch(err)
+        {
+            console.log("TilesStore: " + err.stack);
+            callback(false, err.stack);
+        }
+    };
+
+    /**
+     * Retrieve an offline area
+     * @param id
+     * @param callback callback(true, area) or callback(false, err)
+     */
+    this.retrieveArea = function(id,callback)
+    {
+        this._retrieveById(this.areasObjectStoreName, id, callback);
+    };
+
+    /**
+     * Retrieve the offline areas of a layer
+     * @param layerUrl
+     * @param callback callback(areas, err)
+     */
+    this.getAreas = function(layerUrl,callback)
+    {
+        this._getByLayerUrl(this.areasObjectStoreName, layerUrl, callback);
     };
-};
 
+    /**
+     * Deletes an offline area and the tiles that no other offline area uses.
+     * Tiles that were also stored without an area, e.g. by prepareForOffline(), are kept.
+     * @param id
+     * @param callback callback(boolean, err)
+     */
+    this.deleteArea = function(id,callback)
+    {
+        callback = callback || function() {};
+        if(this._db !== null)
+        {
+            var transaction = this._db.transaction([this.objectStoreName, this.areasObjectStoreName, this.metaObjectStoreName],"readwrite");
+            transaction.oncomplete = function()
+            {
+                callback(true);
+            };
+            transaction.onerror = function(err)
+            {
+                callback(false, err);
+            };
+
+            var deletedBytes = 0;
+            transaction.objectStore(this.areasObjectStoreName).delete(id);
+            transaction.objectStore(this.objectStoreName).index("areas").openCursor(id).onsuccess = function(event)
+            {
+                var cursor = event.target.result;
+                if(cursor)
+                {
+                    var tile = cursor.value;
+                    tile.areas.splice(tile.areas.indexOf(id), 1);
+                    if(tile.areas.length === 0 && !tile.standalone)
+                    {
+                        deletedBytes += this._getRecordBytes(tile);
+                        cursor.delete();
+                    }
+                    else
+                    {
+                        cursor.update(tile);
+                    }
+                    cursor.continue();
+                }
+                else
+                {
+                    this._reserveBytes(transaction, -deletedBytes, null, function() {});
+                }
+            }.bind(this);
+        }
+        else
+        {
+            callback(false,null);
+        }
+    };
+
+    /**
+     * Adds or updates a download job
+     * @param job {id, layerUrl, ...}
+     * @param callback callback(boolean, err)
+     */
+    this.storeJob = function(job,callback)
+    {
+        callback = callback || function() {};
+        try
+        {
+            var transaction = this._db.transaction([this.jobsObjectStoreName],"readwrite");
+            transaction.oncomplete = function()
+            {
+                callback(true);
+            };
+            transaction.onerror = function(event)
+            {
+                callback(false,event.target.error.message);
+            };
+            transaction.objectStore(this.jobsObjectStoreName).put(job);
+        }
+        catch(err)
+        {
+            console.log("TilesStore: " + err.stack);
+            callback(false, err.stack);
+        }
+    };
+
+    /**
+     * Retrieve a download job
+     * @param id
+     * @param callback callback(true, job) or callback(false, err)
+     */
+    this.retrieveJob = function(id,callback)
+    {
+        this._retrieveById(this.jobsObjectStoreName, id, callback);
+    };
+
+    /**
+     * Retrieve the download jobs of a layer
+     * @param layerUrl
+     * @param callback callback(jobs, err)
+     */
+    this.getJobs = function(layerUrl,callback)
+    {
+        this._getByLayerUrl(this.jobsObjectStoreName, layerUrl, callback);
+    };
+
+    /**
+     * Delete a download job. Its tiles are kept.
+     * @param id
+     * @param callback callback(boolean, err)
+     */
+    this.deleteJob = function(id,callback)
+    {
+        callback = callback || function() {};
+        if(this._db !== null)
+        {
+            var request = this._db.transaction([this.jobsObjectStoreName],"readwrite")
+                .objectStore(this.jobsObjectStoreName)
+                .delete(id);
+            request.onsuccess = function()
+            {
+                callback(true);
+            };
+            request.onerror = function(err)
+            {
+                callback(false, err);
+            };
+        }
+        else
+        {
+            callback(false,null);
+        }
+    };
+
+    /**
+     * Encodes a tile's image data as base64, e.g. for data URIs and csv files
+     * @param data ArrayBuffer
+     * @returns {String}
+     */
+    this.toBase64 = function(data)
+    {
+        var bytes = new Uint8Array(data);
+        var chunks = [];
+
+        // String.fromCharCode.apply() fails with too many arguments
+        for(var i = 0; i < bytes.length; i += 0x8000)
+        {
+            chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+        }
+        return btoa(chunks.join(""));
+    };
+
+    /**
+     * Decodes a base64 image
+     * @param base64 String, with or without a "data:" prefix
+     * @returns {ArrayBuffer}
+     */
+    this.fromBase64 = function(base64)
+    {
+        var binary = atob(base64.replace(/^data:[^,]*,/, ""));
+        var bytes = new Uint8Array(binary.length);
+        for(var i = 0; i < binary.length; i++)
+        {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    };
+
+    /**
+     * Reads the content type from the image itself. A MIXED cache has both PNG and JPEG tiles.
+     * @param data ArrayBuffer
+     * @returns {String}
+     */
+    this.getContentType = function(data)
+    {
+        var bytes = new Uint8Array(data, 0, Math.min(data.byteLength, 2));
+        if(bytes[0] === 0x89 && bytes[1] === 0x50)
+        {
+            return "image/png";
+        }
+        if(bytes[0] === 0xFF && bytes[1] === 0xD8)
+        {
+            return "image/jpeg";
+        }
+        if(bytes[0] === 0x47 && bytes[1] === 0x49)
+        {
+            return "image/gif";
+        }
+        return "application/octet-stream";
+    };
+
+    this._stringBytes = function(str) {
+        return str.length;
+    };
+
+    /**
+     * @param tile
+     * @returns {Number} the bytes a tile counts for in usedSpace() and maxBytes
+     * @private
+     */
+    this._getRecordBytes = function(tile)
+    {
+        return tile.size + this._stringBytes(tile.url);
+    };
+
+    /**
+     * @param callback callback(usedBytes)
+     * @private
+     */
+    this._getUsedBytes = function(callback)
+    {
+        if(this._db === null)
+        {
+            return callback(0);
+        }
+
+        var request = this._db.transaction([this.metaObjectStoreName])
+            .objectStore(this.metaObjectStoreName)
+            .get(this.objectStoreName);
+        request.onsuccess = function(event)
+        {
+            callback(event.target.result || 0);
+        };
+        request.onerror = function()
+        {
+            callback(0);
+        };
+    };
+
+    /**
+     * Adds bytes to the bytes used by the tiles within a readwrite transaction on the tile and meta stores.
+     * If that exceeds maxBytes, the least recently used tiles that don't belong to an offline area are
+     * deleted first. If they don't free enough space the transaction is aborted with quotaExceeded set.
+     * @param transaction
+     * @param bytes may be negative
+     * @param keepUrl the url of the tile being stored, which isn't evicted
+     * @param callback called once the bytes are reserved
+     * @private
+     */
+    this._reserveBytes = function(transaction, bytes, keepUrl, callback)
+    {
+        var meta = transaction.objectStore(this.metaObjectStoreName);
+        var maxBytes = this.maxBytes;
+
+        meta.get(this.objectStoreName).onsuccess = function(event)
+        {
+            var usedBytes = event.target.result || 0;
+
+            var reserve = function()
+            {
+                meta.put(Math.max(0, usedBytes + bytes), this.objectStoreName);
+                callback();
+            }.bind(this);
+
+            if(!maxBytes || bytes <= 0 || usedBytes + bytes <= maxBytes)
+            {
+                return reserve();
+            }
+
+            var evicted = 0;
+            transaction.objectStore(this.objectStoreName).index("lastAccess").openCursor().onsuccess = function(event)
+            {
+                var cursor = event.target.result;
+                if(usedBytes + bytes <= maxBytes)
+                {
+                    console.log("TilesStore: evicted " + evicted + " tiles");
+                    return reserve();
+                }
+                if(!cursor)
+                {
+                    transaction.quotaExceeded = true;
+                    return transaction.abort();
+                }
+
+                var tile = cursor.value;
+                if(tile.url !== keepUrl && !(tile.areas && tile.areas.length))
+                {
+                    usedBytes -= this._getRecordBytes(tile);
+                    evicted++;
+                    cursor.delete();
+                }
+                cursor.continue();
+            }.bind(this);
+        }.bind(this);
+    };
+
+    /**
+     * Deletes the tiles and the offline areas of one layer. The tiles of other layers are kept.
+     * @param layerUrl
+     * @param callback callback(boolean, err)
+     * @private
+     */
+    this._deleteLayer = function(layerUrl, callback)
+    {
+        var transaction = this._db.transaction([this.objectStoreName, this.areasObjectStoreName, this.metaObjectStoreName],"readwrite");
+        transaction.oncomplete = function()
+        {
+            callback(true);
+        };
+        transaction.onerror = function(err)
+        {
+            callback(false, err);
+        };
+
+        var areas = transaction.objectStore(this.areasObjectStoreName);
+        areas.index("layerUrl").openCursor(layerUrl).onsuccess = function(event)
+        {
+            var cursor = event.target.result;
+            if(cursor)
+            {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+
+        var deletedBytes = 0;
+        transaction.objectStore(this.objectStoreName).index("layerUrl").openCursor(layerUrl).onsuccess = function(event)
+        {
+            var cursor = event.target.result;
+            if(cursor)
+            {
+                deletedBytes += this._getRecordBytes(cursor.value);
+                cursor.delete();
+                cursor.continue();
+            }
+            else
+            {
+                this._reserveBytes(transaction, -deletedBytes, null, function() {});
+            }
+        }.bind(this);
+    };
+
+    /**
+     * Changes some fields of a stored tile
+     * @param url
+     * @param changes e.g. {lastAccess}
+     * @param callback optional callback(boolean) false if the tile isn't stored
+     * @private
+     */
+    this._updateTile = function(url, changes, callback)
+    {
+        callback = callback || function() {};
+        if(this._db !== null)
+        {
+            var found = false;
+            var transaction = this._db.transaction([this.objectStoreName],"readwrite");
+            var objectStore = transaction.objectStore(this.objectStoreName);
+
+            transaction.oncomplete = function()
+            {
+                callback(found);
+            };
+            transaction.onerror = function()
+            {
+                callback(false);
+            };
+
+            objectStore.get(url).onsuccess = function(event)
+            {
+                var tile = event.target.result;
+                if(tile)
+                {
+                    found = true;
+                    for(var key in changes)
+                    {
+                        if(changes.hasOwnProperty(key))
+                        {
+                            tile[key] = changes[key];
+                        }
+                    }
+                    objectStore.put(tile);
+                }
+            };
+        }
+        else
+        {
+            callback(false);
+        }
+    };
+
+    /**
+     * Counts the bytes used by the tiles when upgrading to version 8, and sets the lastAccess
+     * of the tiles stored before. They count as the least recently used.
+     * Tiles stored before version 9 get the layerUrl of their ArcGIS tile url. The layer of other tiles is unknown.
+     * @param transaction the versionchange transaction
+     * @private
+     */
+    this._countUsedBytes = function(transaction)
+    {
+        var usedBytes = 0;
+        transaction.objectStore(this.objectStoreName).openCursor().onsuccess = function(event)
+        {
+            var cursor = event.target.result;
+            if(!cursor)
+            {
+                transaction.objectStore(this.metaObjectStoreName).put(usedBytes, this.objectStoreName);
+                return;
+            }
+
+            var tile = cursor.value;
+            usedBytes += this._getRecordBytes(tile);
+            if(tile.lastAccess === undefined || tile.layerUrl === undefined)
+            {
+                if(tile.lastAccess === undefined)
+                {
+                    tile.lastAccess = tile.downloaded || 0;
+                }
+                if(tile.layerUrl === undefined)
+                {
+                    tile.layerUrl = this._getLayerUrl(tile.url);
+                }
+                cursor.update(tile);
+            }
+            cursor.continue();
+        }.bind(this);
+    };
+
+    /**
+     * @param objectStoreName
+     * @param id
+     * @param callback callback(true, value) or callback(false, err)
+     * @private
+     */
+    this._retrieveById = function(objectStoreName,id,callback)
+    {
+        if(this._db !== null)
+        {
+            var request = this._db.transaction([objectStoreName])
+                .objectStore(objectStoreName)
+                .get(id);
+            request.onsuccess = function(event)
+            {
+                var value = event.target.result;
+                if(value === undefined)
+                {
+                    callback(false,"not found");
+                }
+                else
+                {
+                    callback(true,value);
+                }
+            };
+            request.onerror = function(err)
+            {
+                callback(false, err);
+            };
+        }
+        else
+        {
+            callback(false,"no db");
+        }
+    };
+
+    /**
+     * @param objectStoreName a store with a layerUrl index
+     * @param layerUrl
+     * @param callback callback(values, err)
+     * @private
+     */
+    this._getByLayerUrl = function(objectStoreName,layerUrl,callback)
+    {
+        if(this._db !== null)
+        {
+            var values = [];
+            var request = this._db.transaction([objectStoreName])
+                .objectStore(objectStoreName)
+                .index("layerUrl")
+                .openCursor(layerUrl);
+            request.onsuccess = function(event)
+            {
+                var cursor = event.target.result;
+                if(cursor)
+                {
+                    values.push(cursor.value);
+                    cursor.continue();
+                }
+                else
+                {
+                    callback(values,null);
+                }
+            };
+            request.onerror = function(err)
+            {
+                callback(null, err);
+            };
+        }
+        else
+        {
+            callback(null,"no db");
+        }
+    };
+
+    /**
+     * @param areaId optional
+     * @param layerUrl optional. Ignored with an areaId, since an offline area belongs to one layer.
+     * @returns {IDBRequest} a cursor over all tiles, or over the tiles of an offline area or of a layer
+     * @private
+     */
+    this._openTileCursor = function(areaId,layerUrl)
+    {
+        var objectStore = this._db.transaction([this.objectStoreName]).objectStore(this.objectStoreName);
+        if(areaId)
+        {
+            return objectStore.index("areas").openCursor(areaId);
+        }
+        return layerUrl ? objectStore.index("layerUrl").openCursor(layerUrl) : objectStore.openCursor();
+    };
+
+    /**
+     * @param url a tile url such as .../MapServer/tile/{level}/{row}/{col}
+     * @returns {String} the url of the ArcGIS service the tile belongs to, or null
+     * @private
+     */
+    this._getLayerUrl = function(url)
+    {
+        var index = url.lastIndexOf("/tile/");
+        return index !== -1 ? url.substring(0, index) : null;
+    };
+
+    /**
+     * Tiles that were stored before version 7 don't have areas
+     * @param tile
+     * @returns {boolean} whether the tile was stored without an offline area
+     * @private
+     */
+    this._isStandalone = function(tile)
+    {
+        return !!tile.standalone || !tile.areas || tile.areas.length === 0;
+    };
+
+    /**
+     * @param areas Array or undefined
+     * @param added Array or undefined
+     * @returns {Array} areas with the ids in added that it doesn't have yet
+     * @private
+     */
+    this._addAreas = function(areas, added)
+    {
+        var result = (areas || []).slice();
+        (added || []).forEach(function(id)
+        {
+            if(result.indexOf(id) === -1)
+            {
+                result.push(id);
+            }
+        });
+        return result;
+    };
+
+    /**
+     * Leaves out the offline areas that don't exist anymore
+     * @param transaction a transaction on the areas store
+     * @param ids Array of area ids
+     * @param callback callback(ids) with the ids of the areas that exist, in the same order
+     * @private
+     */
+    this._filterAreas = function(transaction, ids, callback)
+    {
+        var exists = {};
+        var pending = ids.length;
+        if(pending === 0)
+        {
+            return callback([]);
+        }
+
+        var areas = transaction.objectStore(this.areasObjectStoreName);
+        ids.forEach(function(id)
+        {
+            areas.get(id).onsuccess = function(event)
+            {
+                exists[id] = event.target.result !== undefined;
+                if(--pending === 0)
+                {
+                    callback(ids.filter(function(id)
+                    {
+                        return exists[id];
+                    }));
+                }
+            };
+        });
+    };
+
+    /**
+     * @param tile {url, data, contentType, layerUrl, areas, etag, lastModified, downloaded} or {url, img, layerUrl}
+     * @returns {{url, data: ArrayBuffer, contentType, size, layerUrl, areas, standalone, etag, lastModified, downloaded}}
+     * @private
+     */
+    this._createRecord = function(tile)
+    {
+        var data = tile.data !== undefined ? tile.data : this.fromBase64(tile.img);
+        return {
+            url: tile.url,
+            data: data,
+            contentType: tile.contentType || this.getContentType(data),
+            size: data.byteLength,
+            layerUrl: tile.layerUrl || null,
+            areas: tile.areas ? tile.areas.slice() : [],
+            standalone: !tile.areas || tile.areas.length === 0,
+            etag: tile.etag || null,
+            lastModified: tile.lastModified || null,
+            downloaded: tile.downloaded || null, // unknown for tiles loaded from files
+            lastAccess: new Date().getTime()
+        };
+    };
+
+    /**
+     * Converts the tiles of a version 4 database while it is being upgraded.
+     * Converted tiles are put back under their uncompressed url, so the cursor may
+     * come across them again.
+     * @param objectStore
+     * @param callback called once all tiles are converted
+     * @private
+     */
+    this._migrateCompressedTiles = function(objectStore,callback)
+    {
+        var converted = 0;
+        objectStore.openCursor().onsuccess = function(event)
+        {
+            var cursor = event.target.result;
+            if(!cursor)
+            {
+                console.log("TilesStore: converted " + converted + " tiles");
+                return callback();
+            }
+
+            var value = cursor.value;
+            if(value.data === undefined)
+            {
+                cursor.delete();
+                try
+                {
+                    var url = O.esri.Tiles.LZString.decompress(value.url);
+                    objectStore.put(this._createRecord({
+                        url: url,
+                        img: O.esri.Tiles.Base64String.decompress(value.img),
+                        layerUrl: this._getLayerUrl(url)
+                    }));
+                    converted++;
+                }
+                catch(err)
+                {
+                    // The tile can be downloaded again
+                    console.log("TilesStore: unable to convert a tile " + err);
+                }
+            }
+            cursor.continue();
+        }.bind(this);
+    };
+
+    this.init = function(callback)
+    {
+        var request = indexedDB.open(this.dbName, this._DB_VERSION);
+        callback = callback || function(success) { console.log("TilesStore::init() success:", success); }.bind(this);
+
+        request.onerror = function(event)
+        {
+            console.log("indexedDB error: " + event.target.errorCode);
+            callback(false,event.target.errorCode);
+        }.bind(this);
+
+        request.onupgradeneeded = function(event)
+        {
+            var db = event.target.result;
+            var exists = db.objectStoreNames.contains(this.objectStoreName);
+
+            var transaction = event.target.transaction;
+            var migrating = exists && event.oldVersion === 4;
+
+            if(migrating)
+            {
+                this._migrateCompressedTiles(transaction.objectStore(this.objectStoreName), this._countUsedBytes.bind(this, transaction));
+            }
+            else if(!exists || event.oldVersion < 4)
+            {
+                if(exists)
+                {
+                    db.deleteObjectStore(this.objectStoreName);
+                }
+
+                db.createObjectStore(this.objectStoreName, { keyPath: "url" });
+            }
+
+            if(!db.objectStoreNames.contains(this.jobsObjectStoreName))
+            {
+                var jobs = db.createObjectStore(this.jobsObjectStoreName, { keyPath: "id" });
+                jobs.createIndex("layerUrl", "layerUrl", {unique: false});
+            }
+
+            var tiles = transaction.objectStore(this.objectStoreName);
+            if(!tiles.indexNames.contains("areas"))
+            {
+                tiles.createIndex("areas", "areas", {unique: false, multiEntry: true});
+            }
+            if(!tiles.indexNames.contains("lastAccess"))
+            {
+                tiles.createIndex("lastAccess", "lastAccess", {unique: false});
+            }
+            if(!tiles.indexNames.contains("layerUrl"))
+            {
+                tiles.createIndex("layerUrl", "layerUrl", {unique: false});
+            }
+
+            if(!db.objectStoreNames.contains(this.areasObjectStoreName))
+            {
+                var areas = db.createObjectStore(this.areasObjectStoreName, { keyPath: "id" });
+                areas.createIndex("layerUrl", "layerUrl", {unique: false});
+            }
+
+            if(!db.objectStoreNames.contains(this.metaObjectStoreName))
+            {
+                db.createObjectStore(this.metaObjectStoreName);
+            }
+
+            if(!migrating)
+            {
+                this._countUsedBytes(transaction);
+            }
+        }.bind(this);
+
+        request.onsuccess = function(event)
+        {
+            this._db = event.target.result;
+            console.log("database opened successfully");
+            callback(true);
+        }.bind(this);
+    };
+};
@@ -0,0 +1,766 @@
+/*global escape, unescape */
+/**
+ * Reads and writes SQLite database files without SQLite, e.g. to exchange tiles as MBTiles files.
+ * Only what such files need is supported: tables are written with all their rows in rowid order
+ * and no indexes, and tables are read by walking their b-trees. There is no SQL, so the columns of
+ * a table are taken from its CREATE TABLE statement.
+ *
+ * See https://www.sqlite.org/fileformat2.html
+ */
+
+/**
+ * Builds a database file one page at a time. Finished pages are moved into Blobs every few hundred pages,
+ * which browsers can keep on disk, so that a large file doesn't have to fit in memory.
+ * @param options {pageSize: Number, applicationId: Number}
+ * @constructor
+ */
+O.esri.Tiles.SQLiteWriter = function(options){
+
+    "use strict";
+
+    options = options || {};
+
+    this.pageSize = options.pageSize || 4096;
+    this.applicationId = options.applicationId || 0;
+
+    this._pageCount = 1;    // page 1 holds the schema and is written last
+    this._pages = [];       // the pages after the last Blob
+    this._blobs = [];
+    this._PAGES_PER_BLOB = 256;
+    this._tables = [];
+
+    /**
+     * Adds a table. Its rows are added with addRow().
+     * @param name
+     * @param sql the CREATE TABLE statement
+     * @returns {Object} the table
+     */
+    this.createTable = function(name, sql)
+    {
+        var table = {name: name, sql: sql, rowid: 0, cells: [], used: 8, children: []};
+        this._tables.push(table);
+        return table;
+    };
+
+    /**
+     * @param table returned by createTable()
+     * @param values Array of null, Number, String, ArrayBuffer or Uint8Array in the order of the table's columns
+     */
+    this.addRow = function(table, values)
+    {
+        table.rowid++;
+        var cell = this._createLeafCell(table.rowid, this._encodeRecord(values));
+        if(table.used + cell.length + 2 > this.pageSize)
+        {
+            this._flushLeaf(table);
+        }
+        table.cells.push(cell);
+        table.used += cell.length + 2;
+    };
+
+    /**
+     * Finishes the file. No rows can be added afterwards.
+     * @returns {Blob}
+     */
+    this.toBlob = function()
+    {
+        var schema = [];
+        this._tables.forEach(function(table)
+        {
+            if(table.cells.length > 0 || table.children.length === 0)
+            {
+                this._flushLeaf(table);
+            }
+            schema.push(["table", table.name, table.name, this._buildInteriorPages(table.children), table.sql]);
+        }, this);
+
+        var cells = schema.map(function(row, i)
+        {
+            return this._createLeafCell(i + 1, this._encodeRecord(row));
+        }, this);
+
+        var page1 = this._createPage(0x0D, cells, 100, 0);
+        this._writeHeader(page1);
+
+        return new Blob([page1].concat(this._blobs, this._pages), {type: "application/x-sqlite3"});
+    };
+
+    this._flushLeaf = function(table)
+    {
+        var cells = table.cells;
+        table.children.push({
+            page: this._addPage(this._createPage(0x0D, cells, 0, 0)),
+            lastRowid: cells.length > 0 ? cells[cells.length - 1].rowid : 0
+        });
+        table.cells = [];
+        table.used = 8;
+    };
+
+    /**
+     * Adds interior pages above the leaves until there is a single root. Every interior page
+     * has at least one cell besides its right-most pointer, so all leaves are at the same depth.
+     * @param children [{page, lastRowid}]
+     * @returns {Number} the root page
+     * @private
+     */
+    this._buildInteriorPages = function(children)
+    {
+        // a cell is a 4 byte page number, a varint of up to 9 bytes and a 2 byte pointer
+        var perPage = Math.floor((this.pageSize - 12) / 15) + 1;
+
+        while(children.length > 1)
+        {
+            var groups = [];
+            for(var i = 0; i < children.length; i += perPage)
+            {
+                groups.push(children.slice(i, i + perPage));
+            }
+            if(groups.length > 1 && groups[groups.length - 1].length === 1)
+            {
+                groups[groups.length - 1].unshift(groups[groups.length - 2].pop());
+            }
+
+            children = groups.map(function(group)
+            {
+                var last = group[group.length - 1];
+                var cells = group.slice(0, -1).map(function(child)
+                {
+                    return this._createInteriorCell(child.page, child.lastRowid);
+                }, this);
+                return {page: this._addPage(this._createPage(0x05, cells, 0, last.page)), lastRowid: last.lastRowid};
+            }, this);
+        }
+        return children[0].page;
+    };
+
+    /**
+     * @param page Uint8Array
+     * @returns {Number} the page number
+     * @private
+     */
+    this._addPage = function(page)
+    {
+        this._pages.push(page);
+        this._pageCount++;
+        if(this._pages.length >= this._PAGES_PER_BLOB)
+        {
+            this._blobs.push(new Blob(this._pages));
+            this._pages = [];
+        }
+        return this._pageCount;
+    };
+
+    /**
+     * @param type 0x0D for table leaves, 0x05 for table interior pages
+     * @param cells Array of Uint8Array
+     * @param offset 100 for page 1, which starts with the file header
+     * @param rightMost the right-most child of an interior page
+     * @returns {Uint8Array}
+     * @private
+     */
+    this._createPage = function(type, cells, offset, rightMost)
+    {
+        var page = new Uint8Array(this.pageSize);
+        var headerSize = type === 0x05 ? 12 : 8;
+        var content = this.pageSize;
+
+        page[offset] = type;
+        this._writeUint(page, offset + 3, cells.length, 2);
+
+        cells.forEach(function(cell, i)
+        {
+            content -= cell.length;
+            page.set(cell, content);
+            this._writeUint(page, offset + headerSize + i * 2, content, 2);
+        }, this);
+
+        this._writeUint(page, offset + 5, content === 65536 ? 0 : content, 2);
+        if(type === 0x05)
+        {
+            this._writeUint(page, offset + 8, rightMost, 4);
+        }
+        return page;
+    };
+
+    this._writeHeader = function(page)
+    {
+        var magic = "SQLite format 3";
+        for(var i = 0; i < magic.length; i++)
+        {
+            page[i] = magic.charCodeAt(i);
+        }
+        this._writeUint(page, 16, this.pageSize === 65536 ? 1 : this.pageSize, 2);
+        page[18] = 1;   // legacy file format, i.e. no WAL
+        page[19] = 1;
+        page[21] = 64;  // payload fractions, which must be these values
+        page[22] = 32;
+        page[23] = 32;
+        this._writeUint(page, 24, 1, 4);                    // file change counter
+        this._writeUint(page, 28, this._pageCount, 4);   // pages in the database
+        this._writeUint(page, 40, 1, 4);                    // schema cookie
+        this._writeUint(page, 44, 4, 4);                    // schema format
+        this._writeUint(page, 56, 1, 4);                    // UTF-8
+        this._writeUint(page, 68, this.applicationId, 4);
+        this._writeUint(page, 92, 1, 4);                    // version-valid-for, the file change counter
+        this._writeUint(page, 96, 3008002, 4);              // SQLite version that wrote the file
+    };
+
+    /**
+     * A table leaf cell, with the payload that doesn't fit on the page in overflow pages
+     * @private
+     */
+    this._createLeafCell = function(rowid, payload)
+    {
+        var local = O.esri.Tiles.SQLiteFile.getLocalPayloadSize(payload.length, this.pageSize);
+        var header = this._concat([this._encodeVarint(payload.length), this._encodeVarint(rowid)]);
+        var cell = new Uint8Array(header.length + local + (local < payload.length ? 4 : 0));
+
+        cell.set(header, 0);
+        cell.set(payload.subarray(0, local), header.length);
+        if(local < payload.length)
+        {
+            this._writeUint(cell, header.length + local, this._addOverflowPages(payload.subarray(local)), 4);
+        }
+        cell.rowid = rowid;
+        return cell;
+    };
+
+    this._createInteriorCell = function(page, rowid)
+    {
+        var cell = new Uint8Array(4);
+        this._writeUint(cell, 0, page, 4);
+        return this._concat([cell, this._encodeVarint(rowid)]);
+    };
+
+    /**
+     * @param bytes the payload that doesn't fit in the cell
+     * @returns {Number} the first overflow page
+     * @private
+     */
+    this._addOverflowPages = function(bytes)
+    {
+        var size = this.pageSize - 4;
+        var count = Math.ceil(bytes.length / size);
+        var first = this._pageCount + 1;
+
+        for(var i = 0; i < count; i++)
+        {
+            var page = new Uint8Array(this.pageSize);
+            this._writeUint(page, 0, i < count - 1 ? first + i + 1 : 0, 4);
+            page.set(bytes.subarray(i * size, (i + 1) * size), 4);
+            this._addPage(page);
+        }
+        return first;
+    };
+
+    /**
+     * @param values
+     * @returns {Uint8Array} the record, i.e. a header with the serial type of each value followed by the values
+     * @private
+     */
+    this._encodeRecord = function(values)
+    {
+        var types = [];
+        var bodies = [];
+
+        values.forEach(function(value)
+        {
+            if(value === null || value === undefined)
+            {
+                types.push(0);
+            }
+            else if(typeof value === "number")
+            {
+                if(value === 0 || value === 1)
+                {
+                    types.push(value + 8);
+                }
+                else if(value % 1 !== 0)
+                {
+                    var float = new Uint8Array(8);
+                    new DataView(float.buffer).setFloat64(0, value);
+                    types.push(7);
+                    bodies.push(float);
+                }
+                else
+                {
+                    var size = this._getIntegerSize(value);
+                    var integer = new Uint8Array(size);
+                    this._writeInt(integer, 0, value, size);
+                    types.push(size === 8 ? 6 : size === 6 ? 5 : size);
+                    bodies.push(integer);
+                }
+            }
+            else if(typeof value === "string")
+            {
+                var text = O.esri.Tiles.SQLiteFile.encodeUtf8(value);
+                types.push(text.length * 2 + 13);
+                bodies.push(text);
+            }
+            else
+            {
+                var blob = value instanceof Uint8Array ? value : new Uint8Array(value);
+                types.push(blob.length * 2 + 12);
+                bodies.push(blob);
+            }
+        }, this);
+
+        var header = types.map(this._encodeVarint, this);
+        var headerSize = header.reduce(function(sum, bytes) { return sum + bytes.length; }, 0) + 1;
+        if(headerSize > 127)
+        {
+            headerSize++;   // the size itself takes two bytes
+        }
+        return this._concat([this._encodeVarint(headerSize)].concat(header, bodies));
+    };
+
+    this._getIntegerSize = function(value)
+    {
+        var sizes = [1, 2, 3, 4, 6];
+        for(var i = 0; i < sizes.length; i++)
+        {
+            var limit = Math.pow(2, sizes[i] * 8 - 1);
+            if(value >= -limit && value < limit)
+            {
+                return sizes[i];
+            }
+        }
+        return 8;
+    };
+
+    /**
+     * SQLite varints are big-endian with 7 bits per byte. Numbers up to 2^53 never need the 9 byte form.
+     * @param value a positive integer
+     * @returns {Uint8Array}
+     * @private
+     */
+    this._encodeVarint = function(value)
+    {
+        var groups = [];
+        do
+        {
+            groups.unshift(value % 128);
+            value = Math.floor(value / 128);
+        }
+        while(value > 0);
+
+        return new Uint8Array(groups.map(function(group, i)
+        {
+            return i < groups.length - 1 ? group + 0x80 : group;
+        }));
+    };
+
+    this._writeUint = function(bytes, offset, value, size)
+    {
+        for(var i = size - 1; i >= 0; i--)
+        {
+            bytes[offset + i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+    };
+
+    this._writeInt = function(bytes, offset, value, size)
+    {
+        this._writeUint(bytes, offset, value < 0 ? Math.pow(2, size * 8) + value : value, size);
+    };
+
+    this._concat = function(arrays)
+    {
+        var length = arrays.reduce(function(sum, bytes) { return sum + bytes.length; }, 0);
+        var result = new Uint8Array(length);
+        var offset = 0;
+        arrays.forEach(function(bytes)
+        {
+            result.set(bytes, offset);
+            offset += bytes.length;
+        });
+        return result;
+    };
+};
+
+/**
+ * Reads the tables of a database file
+ * @param buffer ArrayBuffer with the whole file
+ * @constructor
+ */
+O.esri.Tiles.SQLiteReader = function(buffer){
+
+    "use strict";
+
+    this._bytes = new Uint8Array(buffer);
+
+    if(!O.esri.Tiles.SQLiteFile.isSQLite(buffer))
+    {
+        throw new Error("Not an SQLite database");
+    }
+    if(this._bytes[18] === 2)
+    {
+        throw new Error("SQLite databases in WAL mode must be checkpointed first");
+    }
+    if(this._bytes[59] !== 1)
+    {
+        throw new Error("Only UTF-8 SQLite databases are supported");
+    }
+
+    var pageSize = this._bytes[16] * 256 + this._bytes[17];
+    this.pageSize = pageSize === 1 ? 65536 : pageSize;
+    this._usableSize = this.pageSize - this._bytes[20];
+
+    /**
+     * @returns {Array} the rows of sqlite_master: [{type, name, tbl_name, rootpage, sql}]
+     */
+    this.getSchema = function()
+    {
+        var schema = [];
+        var cursor = this._openCursor(1);
+        var row;
+        while((row = cursor.next()) !== null)
+        {
+            schema.push({type: row.values[0], name: row.values[1], tbl_name: row.values[2], rootpage: row.values[3], sql: row.values[4]});
+        }
+        return schema;
+    };
+
+    /**
+     * @param name
+     * @returns {Object} the table's {type, name, tbl_name, rootpage, sql}, or null. Views can't be read.
+     */
+    this.getTable = function(name)
+    {
+        var tables = this.getSchema().filter(function(table)
+        {
+            return table.type === "table" && table.name.toLowerCase() === name.toLowerCase();
+        });
+        return tables.length ? tables[0] : null;
+    };
+
+    /**
+     * Opens a cursor over the rows of a table, so that large tables don't have to be read at once
+     * @param name
+     * @returns {Object} with next(), which returns the next row as {column: value} or null at the end.
+     * Blobs are Uint8Arrays, which may share their buffer with the file.
+     */
+    this.openTable = function(name)
+    {
+        var table = this.getTable(name);
+        if(!table)
+        {
+            throw new Error("Table " + name + " not found");
+        }
+
+        var columns = O.esri.Tiles.SQLiteFile.getColumns(table.sql);
+        var cursor = this._openCursor(table.rootpage);
+
+        return {
+            next: function()
+            {
+                var row = cursor.next();
+                if(row === null)
+                {
+                    return null;
+                }
+
+                var result = {};
+                columns.forEach(function(column, i)
+                {
+                    // an INTEGER PRIMARY KEY column is stored as the rowid
+                    result[column.name] = column.rowid ? row.rowid : row.values[i];
+                });
+                return result;
+            }
+        };
+    };
+
+    /**
+     * Walks a table b-tree in rowid order
+     * @param rootPage
+     * @returns {Object} with next(), which returns {rowid, values} or null
+     * @private
+     */
+    this._openCursor = function(rootPage)
+    {
+        var stack = [{page: rootPage, cell: 0}];
+
+        return {
+            next: function()
+            {
+                while(stack.length > 0)
+                {
+                    var top = stack[stack.length - 1];
+                    var offset = this._getPageOffset(top.page);
+                    var type = this._bytes[offset];
+                    var cellCount = this._readUint(offset + 3, 2);
+
+                    if(type === 0x0D)
+                    {
+                        if(top.cell < cellCount)
+                        {
+                            return this._readLeafCell(top.page, this._readUint(offset + 8 + 2 * top.cell++, 2));
+                        }
+                        stack.pop();
+                    }
+                    else if(type === 0x05)
+                    {
+                        if(top.cell < cellCount)
+                        {
+                            var cell = this._getPageStart(top.page) + this._readUint(offset + 12 + 2 * top.cell++, 2);
+                            stack.push({page: this._readUint(cell, 4), cell: 0});
+                        }
+                        else if(top.cell === cellCount)
+                        {
+                            top.cell++;
+                            stack.push({page: this._readUint(offset + 8, 4), cell: 0});
+                        }
+                        else
+                        {
+                            stack.pop();
+                        }
+                    }
+                    else
+                    {
+                        throw new Error("Unexpected page type " + type + " on page " + top.page);
+                    }
+                }
+                return null;
+            }.bind(this)
+        };
+    };
+
+    this._readLeafCell = function(page, pointer)
+    {
+        var position = this._getPageStart(page) + pointer;
+        var payloadSize = this._readVarint(position);
+        position += payloadSize.length;
+        var rowid = this._readVarint(position);
+        position += rowid.length;
+
+        var local = O.esri.Tiles.SQLiteFile.getLocalPayloadSize(payloadSize.value, this._usableSize);
+        var payload;
+        if(local === payloadSize.value)
+        {
+            payload = this._bytes.subarray(position, position + local);
+        }
+        else
+        {
+            payload = new Uint8Array(payloadSize.value);
+            payload.set(this._bytes.subarray(position, position + local), 0);
+
+            var copied = local;
+            var overflow = this._readUint(position + local, 4);
+            while(overflow !== 0 && copied < payload.length)
+            {
+                var start = this._getPageStart(overflow);
+                var size = Math.min(this._usableSize - 4, payload.length - copied);
+                payload.set(this._bytes.subarray(start + 4, start + 4 + size), copied);
+                copied += size;
+                overflow = this._readUint(start, 4);
+            }
+        }
+
+        return {rowid: rowid.value, values: this._decodeRecord(payload)};
+    };
+
+    this._decodeRecord = function(payload)
+    {
+        var headerSize = this._readVarint(0, payload);
+        var position = headerSize.length;
+        var types = [];
+        while(position < headerSize.value)
+        {
+            var type = this._readVarint(position, payload);
+            types.push(type.value);
+            position += type.length;
+        }
+
+        var view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        return types.map(function(type)
+        {
+            var value = null;
+            var sizes = [0, 1, 2, 3, 4, 6, 8];
+
+            if(type >= 1 && type <= 6)
+            {
+                value = this._readInt(payload, position, sizes[type]);
+                position += sizes[type];
+            }
+            else if(type === 7)
+            {
+                value = view.getFloat64(position);
+                position += 8;
+            }
+            else if(type === 8 || type === 9)
+            {
+                value = type - 8;
+            }
+            else if(type >= 12)
+            {
+                var length = Math.floor((type - 12) / 2);
+                var bytes = payload.subarray(position, position + length);
+                value = type % 2 === 0 ? bytes : O.esri.Tiles.SQLiteFile.decodeUtf8(bytes);
+                position += length;
+            }
+            return value;
+        }, this);
+    };
+
+    this._getPageStart = function(page)
+    {
+        return (page - 1) * this.pageSize;
+    };
+
+    /**
+     * The b-tree page header, which comes after the file header on page 1
+     * @private
+     */
+    this._getPageOffset = function(page)
+    {
+        return this._getPageStart(page) + (page === 1 ? 100 : 0);
+    };
+
+    this._readUint = function(offset, size)
+    {
+        var value = 0;
+        for(var i = 0; i < size; i++)
+        {
+            value = value * 256 + this._bytes[offset + i];
+        }
+        return value;
+    };
+
+    this._readInt = function(bytes, offset, size)
+    {
+        var value = 0;
+        for(var i = 0; i < size; i++)
+        {
+            value = value * 256 + bytes[offset + i];
+        }
+        var limit = Math.pow(2, size * 8);
+        return value >= limit / 2 ? value - limit : value;
+    };
+
+    /**
+     * @param offset
+     * @param bytes defaults to the file
+     * @returns {{value: Number, length: Number}}
+     * @private
+     */
+    this._readVarint = function(offset, bytes)
+    {
+        bytes = bytes || this._bytes;
+        var value = 0;
+        for(var i = 0; i < 8; i++)
+        {
+            var byte = bytes[offset + i];
+            value = value * 128 + byte % 0x80;
+            if(byte < 0x80)
+            {
+                return {value: value, length: i + 1};
+            }
+        }
+        return {value: value * 256 + bytes[offset + 8], length: 9};
+    };
+};
+
+/**
+ * Helpers shared by the reader and the writer
+ */
+O.esri.Tiles.SQLiteFile = {
+
+    /**
+     * @param buffer ArrayBuffer with at least the first 16 bytes of a file
+     * @returns {boolean}
+     */
+    isSQLite: function(buffer)
+    {
+        var magic = "SQLite format 3\u0000";
+        var bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, magic.length));
+        for(var i = 0; i < magic.length; i++)
+        {
+            if(bytes[i] !== magic.charCodeAt(i))
+            {
+                return false;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * How much of a table leaf cell's payload is stored on the page itself
+     * @param payloadSize
+     * @param usableSize the page size without reserved bytes
+     * @returns {Number}
+     */
+    getLocalPayloadSize: function(payloadSize, usableSize)
+    {
+        var max = usableSize - 35;
+        if(payloadSize <= max)
+        {
+            return payloadSize;
+        }
+        var min = Math.floor((usableSize - 12) * 32 / 255) - 23;
+        var local = min + (payloadSize - min) % (usableSize - 4);
+        return local <= max ? local : min;
+    },
+
+    /**
+     * Reads the column names from a CREATE TABLE statement
+     * @param sql
+     * @returns {Array} [{name, rowid}] where rowid is true for an INTEGER PRIMARY KEY, which is stored as the rowid
+     */
+    getColumns: function(sql)
+    {
+        var definitions = [];
+        var depth = 0;
+        var current = "";
+        var body = sql.slice(sql.indexOf("(") + 1, sql.lastIndexOf(")"));
+
+        for(var i = 0; i < body.length; i++)
+        {
+            var c = body.charAt(i);
+            depth += c === "(" ? 1 : c === ")" ? -1 : 0;
+            if(c === "," && depth === 0)
+            {
+                definitions.push(current);
+                current = "";
+            }
+            else
+            {
+                current += c;
+            }
+        }
+        definitions.push(current);
+
+        return definitions.map(function(definition)
+        {
+            return definition.trim();
+        }).filter(function(definition)
+        {
+            return !/^(constraint|primary|unique|check|foreign)\b/i.test(definition);
+        }).map(function(definition)
+        {
+            var name = /^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)/.exec(definition)[1].replace(/^["`\[]|["`\]]$/g, "");
+            return {name: name, rowid: /^\S+\s+integer\s+primary\s+key/i.test(definition)};
+        });
+    },
+
+    encodeUtf8: function(text)
+    {
+        var binary = unescape(encodeURIComponent(text));
+        var bytes = new Uint8Array(binary.length);
+        for(var i = 0; i < binary.length; i++)
+        {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    decodeUtf8: function(bytes)
+    {
+        var chunks = [];
+        for(var i = 0; i < bytes.length; i += 0x8000)
+        {
+            chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+        }
+        return decodeURIComponent(escape(chunks.join("")));
+    }
+};
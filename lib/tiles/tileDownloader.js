@@ -0,0 +1,188 @@
+/**
+ * Downloads tiles several at a time. The requests sent to one host can be limited to a number per second,
+ * and tiles that fail because of a network error, a timeout or a server error are tried again.
+ * The limit covers all the downloads of the page, so jobs running at the same time share it.
+ *
+ * @param options {concurrency: Number, requestsPerSecond: Number, maxRetries: Number, retryDelay: Number}
+ * @constructor
+ */
+O.esri.Tiles.TileDownloader = function(options){
+
+    "use strict";
+
+    options = options || {};
+
+    this.concurrency = options.concurrency || 4;            // tiles downloaded at the same time
+    this.requestsPerSecond = options.requestsPerSecond || 0; // per host. 0 means no limit
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2; // retries of a failed tile
+    this.retryDelay = options.retryDelay || 1000;           // ms before the first retry, doubled for each one after that
+
+    this._nextRequest = O.esri.Tiles.TileDownloader._nextRequest; // earliest time of the next request by host
+    this._job = null;
+
+    /**
+     * Downloads the cells and reports the progress the way prepareForOffline() always has:
+     * reportProgress({countNow, countMax, cell, error, finishedDownloading: false}) once for each cell,
+     * which returns true to cancel the download, and then reportProgress({finishedDownloading: true, cancelRequested}).
+     * Tiles still downloading when the download is cancelled are stored, but not reported.
+     * @param cells [{level, row, col}]
+     * @param getUrl function(cell) that returns the tile's url
+     * @param storeTile function(url, callback(success, error, status)) that downloads and stores a tile.
+     * status is the HTTP status, 0 for network errors and undefined if the tile couldn't be stored.
+     * @param reportProgress
+     */
+    this.download = function(cells, getUrl, storeTile, reportProgress)
+    {
+        var job = {done: false};
+        var next = 0;
+        var finished = 0;
+
+        var finish = job.finish = function(cancelRequested)
+        {
+            job.done = true;
+            reportProgress({finishedDownloading: true, cancelRequested: cancelRequested});
+        };
+        this._job = job;
+
+        var startNext = function()
+        {
+            if(job.done || next >= cells.length)
+            {
+                return;
+            }
+
+            var cell = cells[next++];
+            this._downloadTile(job, getUrl(cell), storeTile, 0, function(success, error)
+            {
+                if(job.done)
+                {
+                    return;
+                }
+
+                if(!success)
+                {
+                    console.log("error storing tile", cell, error);
+                    error = {cell: cell, msg: error};
+                }
+
+                var cancelRequested = reportProgress({countNow: finished, countMax: cells.length, cell: cell, error: error, finishedDownloading: false});
+                finished++;
+
+                if(cancelRequested || finished === cells.length)
+                {
+                    finish(cancelRequested);
+                }
+                else
+                {
+                    startNext();
+                }
+            });
+        }.bind(this);
+
+        if(cells.length === 0)
+        {
+            return finish(false);
+        }
+
+        for(var i = 0; i < Math.min(this.concurrency, cells.length); i++)
+        {
+            startNext();
+        }
+    };
+
+    /**
+     * Stops the download as if reportProgress() had returned true
+     */
+    this.cancel = function()
+    {
+        if(this._job && !this._job.done)
+        {
+            this._job.finish(true);
+        }
+    };
+
+    /**
+     * @param job {done, finish}
+     * @param url
+     * @param storeTile
+     * @param attempt number of retries so far
+     * @param callback callback(success, error)
+     * @private
+     */
+    this._downloadTile = function(job, url, storeTile, attempt, callback)
+    {
+        this._waitForHost(url, function()
+        {
+            if(job.done)
+            {
+                return callback(false, "cancelled");
+            }
+
+            storeTile(url, function(success, error, status)
+            {
+                if(!success && attempt < this.maxRetries && this._isTransient(status) && !job.done)
+                {
+                    setTimeout(function()
+                    {
+                        this._downloadTile(job, url, storeTile, attempt + 1, callback);
+                    }.bind(this), this.retryDelay * Math.pow(2, attempt));
+                }
+                else
+                {
+                    callback(success, error);
+                }
+            }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * Errors that may go away if the tile is requested again
+     * @param status
+     * @returns {boolean}
+     * @private
+     */
+    this._isTransient = function(status)
+    {
+        return status === 0 || status === 408 || status === 429 || status >= 500;
+    };
+
+    /**
+     * Calls back once a request to the url's host doesn't exceed requestsPerSecond
+     * @param url
+     * @param callback
+     * @private
+     */
+    this._waitForHost = function(url, callback)
+    {
+        if(!this.requestsPerSecond)
+        {
+            return callback();
+        }
+
+        var host = this._getHost(url);
+        var now = new Date().getTime();
+        var start = Math.max(now, this._nextRequest[host] || 0);
+        this._nextRequest[host] = start + 1000 / this.requestsPerSecond;
+
+        if(start > now)
+        {
+            setTimeout(callback, start - now);
+        }
+        else
+        {
+            callback();
+        }
+    };
+
+    this._getHost = function(url)
+    {
+        var match = /^[a-z]+:\/\/([^\/?#]+)/i.exec(url);
+        return match ? match[1].toLowerCase() : "";
+    };
+};
+
+/**
+ * Earliest time of the next request by host, shared by all the downloaders. Each download job,
+ * e.g. an offline area and a refresh of the same layer, gets a downloader of its own.
+ */
+O.esri.Tiles.TileDownloader._nextRequest = {};
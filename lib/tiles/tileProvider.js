@@ -0,0 +1,311 @@
+/*global Promise */
+/**
+ * Serves the tiles stored by OfflineTilesAdvanced from a Service Worker. Tile requests for the layers that
+ * registered themselves are answered with real image responses read from the tile database, so the map
+ * doesn't need data URIs and works the same with img and canvas rendering.
+ *
+ * Load it into your service worker with the offline-tiles-sw build:
+ *
+ *      importScripts("offline-tiles-sw-min.js");
+ *      new O.esri.Tiles.TileProvider().listen(self);
+ *
+ * Then call enableServiceWorker() on the layer.
+ */
+O.esri.Tiles.TileProvider = function(){
+
+    "use strict";
+
+    this.STRATEGIES = {
+        CACHE_FIRST: "cache-first",     // the stored tile if there is one, otherwise the network
+        NETWORK_FIRST: "network-first", // the network, and the stored tile when the request fails
+        OFFLINE_ONLY: "offline-only"    // the stored tile. Missing tiles are answered with a 404
+    };
+
+    this.REGISTER_MESSAGE = "offline-tiles-register";
+    this.UNREGISTER_MESSAGE = "offline-tiles-unregister";
+
+    this._scope = null;
+    this._layers = null;    // {layerUrl: {url, dbName, objectStoreName, strategy, tilePattern}}
+    this._stores = {};      // open TilesStores by database and object store name
+    this._CONFIG_CACHE = "offline-tiles-provider";
+    this._CONFIG_URL = "offline-tiles-provider-config.json"; // cache key, relative to the worker's scope
+
+    /**
+     * Adds the message and fetch listeners to the service worker
+     * @param scope the ServiceWorkerGlobalScope, i.e. self
+     */
+    this.listen = function(scope)
+    {
+        this._scope = scope;
+
+        scope.addEventListener("message", function(event)
+        {
+            var data = event.data;
+            if(data && data.type === this.REGISTER_MESSAGE)
+            {
+                event.waitUntil(this._reply(event, this.register(data.layer)));
+            }
+            else if(data && data.type === this.UNREGISTER_MESSAGE)
+            {
+                event.waitUntil(this._reply(event, this.unregister(data.url)));
+            }
+        }.bind(this));
+
+        scope.addEventListener("fetch", function(event)
+        {
+            // The layers are read asynchronously after a restart, so respondWith() can't wait for them
+            var layer = this._layers ? this._findLayer(event.request.url) : null;
+            if(layer || (!this._layers && event.request.url.indexOf("/tile/") !== -1))
+            {
+                event.respondWith(this._loadLayers().then(function()
+                {
+                    var layer = this._findLayer(event.request.url);
+                    return layer ? this.getTile(layer, event.request) : this._scope.fetch(event.request);
+                }.bind(this)));
+            }
+        }.bind(this));
+
+        // Tiles of layers made from a url template can't be told apart before the layers are read
+        this._loadLayers().then(null, function(err)
+        {
+            console.log("Unable to read the offline tile layers: " + err);
+        });
+    };
+
+    /**
+     * Starts serving the tiles of a layer, or changes how they are served
+     * @param layer {url, dbName, objectStoreName, strategy, tilePattern} tilePattern is a regular expression
+     * that matches the tile urls of layers made from a url template, null for ArcGIS services
+     * @returns {Promise}
+     */
+    this.register = function(layer)
+    {
+        return this._loadLayers().then(function()
+        {
+            this._layers[layer.url] = layer;
+            return this._saveLayers();
+        }.bind(this));
+    };
+
+    /**
+     * Stops serving the tiles of a layer. Its requests go to the network again.
+     * @param url the layer's URL
+     * @returns {Promise}
+     */
+    this.unregister = function(url)
+    {
+        return this._loadLayers().then(function()
+        {
+            delete this._layers[url];
+            return this._saveLayers();
+        }.bind(this));
+    };
+
+    /**
+     * Tells the page, over the MessageChannel port sent with the message, whether the change was saved
+     * @param event the message event
+     * @param promise
+     * @returns {Promise} resolves once the page has been told
+     * @private
+     */
+    this._reply = function(event, promise)
+    {
+        var port = event.ports && event.ports[0];
+        var send = function(success, error)
+        {
+            if(port)
+            {
+                port.postMessage({success: success, error: error});
+            }
+        };
+
+        return promise.then(function()
+        {
+            send(true, null);
+        }, function(err)
+        {
+            send(false, err && err.message ? err.message : String(err));
+        });
+    };
+
+    /**
+     * Answers a tile request according to the layer's strategy
+     * @param layer
+     * @param request
+     * @returns {Promise} resolves with a Response
+     */
+    this.getTile = function(layer, request)
+    {
+        // ArcGIS tiles are stored without the token, tiles made from a template with their whole url
+        var url = layer.tilePattern ? request.url : request.url.split("?")[0];
+
+        var fromNetwork = function()
+        {
+            return this._scope.fetch(request);
+        }.bind(this);
+
+        var fromStore = function()
+        {
+            return this._retrieve(layer, url);
+        }.bind(this);
+
+        var notFound = function()
+        {
+            return new this._scope.Response("", {status: 404, statusText: "Tile not found"});
+        }.bind(this);
+
+        switch(layer.strategy)
+        {
+            case this.STRATEGIES.OFFLINE_ONLY:
+                return fromStore().then(function(response)
+                {
+                    return response || notFound();
+                });
+            case this.STRATEGIES.NETWORK_FIRST:
+                return fromNetwork().then(null, function()
+                {
+                    return fromStore().then(function(response)
+                    {
+                        return response || notFound();
+                    });
+                });
+            default:
+                return fromStore().then(function(response)
+                {
+                    // A failed request is answered like a missing tile
+                    return response || fromNetwork().then(null, notFound);
+                });
+        }
+    };
+
+    /**
+     * @param url the tile's URL without the token
+     * @returns {Promise} resolves with an image Response, or null if the tile isn't stored
+     * @private
+     */
+    this._retrieve = function(layer, url)
+    {
+        return this._getStore(layer).then(function(store)
+        {
+            return new Promise(function(resolve)
+            {
+                store.retrieve(url, function(success, tile)
+                {
+                    resolve(success ? this._toResponse(tile) : null);
+                }.bind(this));
+            }.bind(this));
+        }.bind(this), function()
+        {
+            return null;
+        });
+    };
+
+    /**
+     * Creates an image Response from a stored tile
+     * @param tile {url, data, contentType}
+     * @returns {Response}
+     * @private
+     */
+    this._toResponse = function(tile)
+    {
+        return new this._scope.Response(tile.data, {
+            status: 200,
+            headers: {"Content-Type": tile.contentType}
+        });
+    };
+
+    /**
+     * The registered layer that a tile request belongs to, if any
+     * @param url
+     * @returns {Object} or null
+     * @private
+     */
+    this._findLayer = function(url)
+    {
+        for(var layerUrl in this._layers)
+        {
+            if(this._layers.hasOwnProperty(layerUrl) && this._isLayerTile(this._layers[layerUrl], url))
+            {
+                return this._layers[layerUrl];
+            }
+        }
+        return null;
+    };
+
+    this._isLayerTile = function(layer, url)
+    {
+        return layer.tilePattern ? new RegExp(layer.tilePattern).test(url) : url.indexOf(layer.url + "/tile/") === 0;
+    };
+
+    /**
+     * Opens the layer's TilesStore once and keeps it open
+     * @returns {Promise}
+     * @private
+     */
+    this._getStore = function(layer)
+    {
+        var key = layer.dbName + "/" + layer.objectStoreName;
+        if(!this._stores[key])
+        {
+            this._stores[key] = new Promise(function(resolve, reject)
+            {
+                var store = new O.esri.Tiles.TilesStore();
+                store.dbName = layer.dbName;
+                store.objectStoreName = layer.objectStoreName;
+                store.init(function(success, error)
+                {
+                    if(success)
+                    {
+                        resolve(store);
+                    }
+                    else
+                    {
+                        reject(error);
+                    }
+                });
+            });
+
+            // Try again with the next request
+            this._stores[key].then(null, function()
+            {
+                delete this._stores[key];
+            }.bind(this));
+        }
+        return this._stores[key];
+    };
+
+    /**
+     * The registered layers are kept in the Cache Storage so that they survive a restart of the worker
+     * @returns {Promise}
+     * @private
+     */
+    this._loadLayers = function()
+    {
+        if(this._layers)
+        {
+            return Promise.resolve(this._layers);
+        }
+
+        return this._scope.caches.open(this._CONFIG_CACHE).then(function(cache)
+        {
+            return cache.match(this._CONFIG_URL);
+        }.bind(this)).then(function(response)
+        {
+            return response ? response.json() : {};
+        }).then(function(layers)
+        {
+            // another call may have loaded them in the meantime
+            this._layers = this._layers || layers;
+            return this._layers;
+        }.bind(this));
+    };
+
+    this._saveLayers = function()
+    {
+        var json = JSON.stringify(this._layers);
+        return this._scope.caches.open(this._CONFIG_CACHE).then(function(cache)
+        {
+            return cache.put(this._CONFIG_URL, new this._scope.Response(json));
+        }.bind(this));
+    };
+};
@@ -0,0 +1,138 @@
+/**
+ * Makes tile urls from a url template, and finds the tile a url belongs to. Templates use the
+ * placeholders of OpenStreetMap style XYZ services, of the ArcGIS WebTiledLayer or of WMTS:
+ *
+ *      https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png
+ *      https://${subDomain}.example.com/${level}/${col}/${row}.png
+ *      https://example.com/wmts/layer/default/set/{TileMatrix}/{TileRow}/{TileCol}.png
+ *
+ * {z}, {level} and {TileMatrix} are the level, {y}, {row} and {TileRow} the row, {x}, {col} and {TileCol}
+ * the column, and {s} and {subDomain} one of the subDomains. The same tile always gets the same
+ * sub domain, so that it is stored once.
+ *
+ * @param template
+ * @param options {subDomains: Array, levelIds: Array} levelIds are the ids used in the urls for each level,
+ * e.g. the identifiers of a WMTS tile matrix set. By default the level itself is used.
+ * @constructor
+ */
+O.esri.Tiles.TileUrlTemplate = function(template, options){
+
+    "use strict";
+
+    options = options || {};
+
+    this.template = template;
+    this.subDomains = options.subDomains || (/\{s\}|\{subDomain\}/.test(template) ? ["a", "b", "c"] : []);
+    this.levelIds = options.levelIds || null;
+
+    this._PLACEHOLDER = /\$?\{(z|level|TileMatrix|y|row|TileRow|x|col|TileCol|s|subDomain)\}/g;
+    this._NAMES = {
+        z: "level", level: "level", TileMatrix: "level",
+        y: "row", row: "row", TileRow: "row",
+        x: "col", col: "col", TileCol: "col",
+        s: "subDomain", subDomain: "subDomain"
+    };
+
+    /**
+     * @param level
+     * @param row
+     * @param col
+     * @returns {String} the tile's url
+     */
+    this.getUrl = function(level, row, col)
+    {
+        var values = {
+            level: this.levelIds ? this.levelIds[level] : level,
+            row: row,
+            col: col,
+            subDomain: this.subDomains.length > 0 ? this.subDomains[(level + row + col) % this.subDomains.length] : ""
+        };
+
+        return this.template.replace(this._PLACEHOLDER, function(match, name)
+        {
+            return values[this._NAMES[name]];
+        }.bind(this));
+    };
+
+    /**
+     * @param url
+     * @returns {Object} {level, row, col}, or null if the url isn't one of the template's tiles
+     */
+    this.getCell = function(url)
+    {
+        var match = this._getRegExp().exec(url);
+        if(!match)
+        {
+            return null;
+        }
+
+        var cell = {};
+        this._getNames().forEach(function(name, i)
+        {
+            cell[name] = match[i + 1];
+        });
+
+        var level = this.levelIds ? this.levelIds.indexOf(cell.level) : parseInt(cell.level, 10);
+        if(level === -1 || isNaN(level))
+        {
+            return null;
+        }
+        return {level: level, row: parseInt(cell.row, 10), col: parseInt(cell.col, 10)};
+    };
+
+    /**
+     * A regular expression that matches the template's tile urls, e.g. for the service worker
+     * @returns {String}
+     */
+    this.getPattern = function()
+    {
+        return this._getRegExp().source;
+    };
+
+    /**
+     * The names of the getPattern() groups in their order
+     * @returns {Array}
+     * @private
+     */
+    this._getNames = function()
+    {
+        var names = [];
+        this.template.replace(this._PLACEHOLDER, function(match, name)
+        {
+            if(this._NAMES[name] !== "subDomain")
+            {
+                names.push(this._NAMES[name]);
+            }
+            return match;
+        }.bind(this));
+        return names;
+    };
+
+    this._getRegExp = function()
+    {
+        var escape = function(text)
+        {
+            return text.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+        };
+
+        var groups = {
+            level: "([^/?&]+)",
+            row: "(\\d+)",
+            col: "(\\d+)",
+            subDomain: "(?:" + this.subDomains.map(escape).join("|") + ")"
+        };
+
+        var source = "";
+        var last = 0;
+        var placeholder = new RegExp(this._PLACEHOLDER.source, "g");
+        var match;
+        while((match = placeholder.exec(this.template)) !== null)
+        {
+            source += escape(this.template.substring(last, match.index)) + groups[this._NAMES[match[1]]];
+            last = placeholder.lastIndex;
+        }
+        source += escape(this.template.substring(last));
+
+        return new RegExp("^" + source + "$");
+    };
+};
@@ -55,6 +55,196 @@ O.esri.Tiles.TilingScheme.prototype = {
             }
         }
         return cellIds;
+    },
+
+    /**
+     * Returns the cells that intersect an area: the cells within buffer of a polyline's paths, or
+     * of a polygon's rings and the cells inside the polygon. Extents work like getAllCellIdsInExtent().
+     * @param geometry Extent, Polygon or Polyline, or their JSON
+     * @param gridLevel
+     * @param buffer optional distance in map units
+     * @returns {Array} [[col, row]]
+     */
+    getAllCellIdsInGeometry: function (geometry, gridLevel, buffer) {
+        buffer = buffer || 0;
+
+        if (!geometry.rings && !geometry.paths) {
+            return this.getAllCellIdsInExtent({
+                xmin: geometry.xmin - buffer, ymin: geometry.ymin - buffer,
+                xmax: geometry.xmax + buffer, ymax: geometry.ymax + buffer
+            }, gridLevel);
+        }
+
+        var lod = this.tileInfo.lods[gridLevel];
+        var cells = {};
+        var add = function (col, row) {
+            if (col >= lod.startTileCol && col <= lod.endTileCol && row >= lod.startTileRow && row <= lod.endTileRow) {
+                cells[col + "/" + row] = [col, row];
+            }
+        };
+
+        var lines = geometry.rings || geometry.paths;
+        for (var i = 0; i < lines.length; i++) {
+            for (var j = 1; j < lines[i].length; j++) {
+                this._addCellsNearSegment(lines[i][j - 1], lines[i][j], gridLevel, buffer, add);
+            }
+        }
+
+        if (geometry.rings) {
+            this._addCellsInsideRings(geometry.rings, gridLevel, add);
+        }
+
+        var cellIds = [];
+        for (var key in cells) {
+            if (cells.hasOwnProperty(key)) {
+                cellIds.push(cells[key]);
+            }
+        }
+        return cellIds;
+    },
+
+    /**
+     * Adds the cells whose distance to the segment ab is buffer or less. Only the rows
+     * the segment can reach in each column are tested.
+     * @private
+     */
+    _addCellsNearSegment: function (a, b, gridLevel, buffer, add) {
+        var width = this.tileInfo.cols * this.tileInfo.lods[gridLevel].resolution;
+        var height = this.tileInfo.rows * this.tileInfo.lods[gridLevel].resolution;
+        var origin = this.tileInfo.origin;
+
+        var col0 = Math.floor((Math.min(a[0], b[0]) - buffer - origin.x) / width);
+        var col1 = Math.floor((Math.max(a[0], b[0]) + buffer - origin.x) / width);
+
+        for (var col = col0; col <= col1; col++) {
+            var xmin = origin.x + col * width;
+            var xmax = xmin + width;
+
+            // the part of the segment within buffer of the column
+            var ys = this._clipSegmentToBand(a, b, xmin - buffer, xmax + buffer);
+            if (!ys) {
+                continue;
+            }
+
+            var row0 = Math.floor((origin.y - (ys[1] + buffer)) / height);
+            var row1 = Math.floor((origin.y - (ys[0] - buffer)) / height);
+
+            for (var row = row0; row <= row1; row++) {
+                var ymax = origin.y - row * height;
+                var rect = [xmin, ymax - height, xmax, ymax];
+                if (this._segmentToRectDistance(a, b, rect) <= buffer) {
+                    add(col, row);
+                }
+            }
+        }
+    },
+
+    /**
+     * Adds the cells whose center is inside the rings, using the even-odd rule on each row
+     * @private
+     */
+    _addCellsInsideRings: function (rings, gridLevel, add) {
+        var width = this.tileInfo.cols * this.tileInfo.lods[gridLevel].resolution;
+        var height = this.tileInfo.rows * this.tileInfo.lods[gridLevel].resolution;
+        var origin = this.tileInfo.origin;
+
+        var ymin = Infinity, ymax = -Infinity;
+        rings.forEach(function (ring) {
+            ring.forEach(function (point) {
+                ymin = Math.min(ymin, point[1]);
+                ymax = Math.max(ymax, point[1]);
+            });
+        });
+
+        var row0 = Math.floor((origin.y - ymax) / height);
+        var row1 = Math.floor((origin.y - ymin) / height);
+
+        for (var row = row0; row <= row1; row++) {
+            var y = origin.y - (row + 0.5) * height;
+            var crossings = [];
+
+            for (var i = 0; i < rings.length; i++) {
+                var ring = rings[i];
+                for (var j = 1; j < ring.length; j++) {
+                    var p = ring[j - 1], q = ring[j];
+                    if ((p[1] <= y) !== (q[1] <= y)) {
+                        crossings.push(p[0] + (y - p[1]) * (q[0] - p[0]) / (q[1] - p[1]));
+                    }
+                }
+            }
+
+            crossings.sort(function (x1, x2) {
+                return x1 - x2;
+            });
+
+            for (var k = 0; k + 1 < crossings.length; k += 2) {
+                var colStart = Math.ceil((crossings[k] - origin.x) / width - 0.5);
+                var colEnd = Math.floor((crossings[k + 1] - origin.x) / width - 0.5);
+                for (var col = colStart; col <= colEnd; col++) {
+                    add(col, row);
+                }
+            }
+        }
+    },
+
+    /**
+     * @returns {Array} [ymin, ymax] of the part of segment ab between x = xmin and x = xmax, or null
+     * @private
+     */
+    _clipSegmentToBand: function (a, b, xmin, xmax) {
+        var t0 = 0, t1 = 1;
+        var dx = b[0] - a[0];
+
+        if (dx === 0) {
+            if (a[0] < xmin || a[0] > xmax) {
+                return null;
+            }
+        }
+        else {
+            var ta = (xmin - a[0]) / dx;
+            var tb = (xmax - a[0]) / dx;
+            t0 = Math.max(t0, Math.min(ta, tb));
+            t1 = Math.min(t1, Math.max(ta, tb));
+            if (t0 > t1) {
+                return null;
+            }
+        }
+
+        var y0 = a[1] + t0 * (b[1] - a[1]);
+        var y1 = a[1] + t1 * (b[1] - a[1]);
+        return [Math.min(y0, y1), Math.max(y0, y1)];
+    },
+
+    /**
+     * @param rect [xmin, ymin, xmax, ymax]
+     * @private
+     */
+    _segmentToRectDistance: function (a, b, rect) {
+        var ys = this._clipSegmentToBand(a, b, rect[0], rect[2]);
+        if (ys && ys[1] >= rect[1] && ys[0] <= rect[3]) {
+            return 0; // the segment crosses the rectangle
+        }
+
+        var corners = [[rect[0], rect[1]], [rect[2], rect[1]], [rect[2], rect[3]], [rect[0], rect[3]]];
+        var distance = Math.min(this._pointToRectDistance(a, rect), this._pointToRectDistance(b, rect));
+        for (var i = 0; i < corners.length; i++) {
+            distance = Math.min(distance, this._pointToSegmentDistance(corners[i], a, b));
+        }
+        return distance;
+    },
+
+    _pointToRectDistance: function (p, rect) {
+        var dx = Math.max(rect[0] - p[0], 0, p[0] - rect[2]);
+        var dy = Math.max(rect[1] - p[1], 0, p[1] - rect[3]);
+        return Math.sqrt(dx * dx + dy * dy);
+    },
+
+    _pointToSegmentDistance: function (p, a, b) {
+        var dx = b[0] - a[0], dy = b[1] - a[1];
+        var length2 = dx * dx + dy * dy;
+        var t = length2 === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length2));
+        var x = a[0] + t * dx - p[0], y = a[1] + t * dy - p[1];
+        return Math.sqrt(x * x + y * y);
     }
 };
 
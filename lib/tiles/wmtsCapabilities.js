@@ -0,0 +1,345 @@
+/**
+ * Reads an OGC WMTS GetCapabilities document, and describes the tiles of one of its layers the way
+ * OfflineTilesAdvanced needs them: a url template, the tiling scheme as TileInfo JSON and the extent.
+ * Only tile matrix sets whose matrices share the same top left corner can be used, because an ArcGIS
+ * TileInfo has a single origin.
+ *
+ * @param xml the document as a String or a Document
+ * @constructor
+ */
+O.esri.Tiles.WMTSCapabilities = function(xml){
+
+    "use strict";
+
+    this._doc = typeof xml === "string" ? new DOMParser().parseFromString(xml, "text/xml") : xml;
+
+    this._DEGREE_METERS = 2 * Math.PI * 6378137 / 360;    // meters per degree at the equator
+    this._PIXEL_METERS = 0.00028;                           // the size of a pixel in WMTS scale denominators
+    this._DPI = 96;
+
+    /**
+     * @returns {Array} the document's layers as [{identifier, title, formats, styles, tileMatrixSets}]
+     */
+    this.getLayers = function()
+    {
+        return this._getLayerElements().map(function(layer)
+        {
+            return {
+                identifier: this._text(layer, "Identifier"),
+                title: this._text(layer, "Title"),
+                formats: this._children(layer, "Format").map(this._getText, this),
+                styles: this._children(layer, "Style").map(function(style)
+                {
+                    return this._text(style, "Identifier");
+                }, this),
+                tileMatrixSets: this._children(layer, "TileMatrixSetLink").map(function(link)
+                {
+                    return this._text(link, "TileMatrixSet");
+                }, this)
+            };
+        }, this);
+    };
+
+    /**
+     * Describes the tiles of a layer. Throws an Error if there is no such layer or tile matrix set.
+     * @param options {layer, tileMatrixSet, style, format} all optional. The first layer, its first tile matrix set,
+     * its default style and its first image format are used unless they are given.
+     * @returns {Object} {template, levelIds, tileInfo, fullExtent, initialExtent} where tileInfo and the extents are
+     * JSON for the ArcGIS TileInfo and Extent classes, and levelIds are the tile matrix identifiers of each level
+     */
+    this.getTileService = function(options)
+    {
+        options = options || {};
+
+        var layer = this._find(this._getLayerElements(), options.layer);
+        if(!layer)
+        {
+            throw new Error("The WMTS service has no layer " + (options.layer || ""));
+        }
+
+        var setId = options.tileMatrixSet || this._text(this._children(layer, "TileMatrixSetLink")[0], "TileMatrixSet");
+        var set = this._find(this._children(this._child(this._doc.documentElement, "Contents"), "TileMatrixSet"), setId);
+        if(!set)
+        {
+            throw new Error("The WMTS service has no tile matrix set " + setId);
+        }
+
+        var style = options.style || this._getDefaultStyle(layer);
+        var format = options.format || this._getImageFormat(layer);
+        var tileInfo = this._getTileInfo(set, format);
+        var matrices = this._children(set, "TileMatrix");
+
+        var service = {
+            template: this._getTemplate(layer, setId, style, format),
+            levelIds: matrices.map(function(matrix)
+            {
+                return this._text(matrix, "Identifier");
+            }, this),
+            tileInfo: tileInfo,
+            fullExtent: this._getMatrixExtent(matrices[0], tileInfo)
+        };
+        service.initialExtent = this._getLayerExtent(layer, tileInfo.spatialReference) || service.fullExtent;
+        return service;
+    };
+
+    /**
+     * The url template of the layer's tiles. RESTful templates are preferred to KVP requests.
+     * @private
+     */
+    this._getTemplate = function(layer, setId, style, format)
+    {
+        var resource = this._children(layer, "ResourceURL").filter(function(resource)
+        {
+            return resource.getAttribute("resourceType") === "tile" && resource.getAttribute("format") === format;
+        })[0];
+
+        if(resource)
+        {
+            var values = {Style: style, TileMatrixSet: setId};
+            this._children(layer, "Dimension").forEach(function(dimension)
+            {
+                values[this._text(dimension, "Identifier")] = this._text(dimension, "Default");
+            }, this);
+
+            return resource.getAttribute("template").replace(/\{([^}]+)\}/g, function(match, name)
+            {
+                return values.hasOwnProperty(name) ? values[name] : match;
+            });
+        }
+
+        var url = this._getKvpUrl();
+        if(!url)
+        {
+            throw new Error("The WMTS service has neither a tile template nor a GetTile url");
+        }
+        return url + (/[?&]$/.test(url) ? "" : url.indexOf("?") === -1 ? "?" : "&") +
+            "SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0" +
+            "&LAYER=" + encodeURIComponent(this._text(layer, "Identifier")) +
+            "&STYLE=" + encodeURIComponent(style) +
+            "&FORMAT=" + encodeURIComponent(format) +
+            "&TILEMATRIXSET=" + encodeURIComponent(setId) +
+            "&TILEMATRIX={TileMatrix}&TILEROW={TileRow}&TILECOL={TileCol}";
+    };
+
+    /**
+     * @returns {String} the url of the GetTile operation, or null
+     * @private
+     */
+    this._getKvpUrl = function()
+    {
+        var operations = this._children(this._child(this._doc.documentElement, "OperationsMetadata"), "Operation");
+        var getTile = operations.filter(function(operation)
+        {
+            return operation.getAttribute("name") === "GetTile";
+        })[0];
+
+        var get = getTile && this._descendants(getTile, "Get")[0];
+        return get ? get.getAttributeNS("http://www.w3.org/1999/xlink", "href") || get.getAttribute("xlink:href") : null;
+    };
+
+    /**
+     * TileInfo JSON for a tile matrix set. Resolutions and scales are those of ArcGIS, i.e. for 96 dpi.
+     * @private
+     */
+    this._getTileInfo = function(set, format)
+    {
+        var crs = this._text(set, "SupportedCRS");
+        var wkid = this._getWkid(crs);
+        var geographic = wkid >= 4000 && wkid < 5000;
+        var metersPerUnit = geographic ? this._DEGREE_METERS : 1;
+        // EPSG geographic coordinate systems list the latitude first, unlike CRS84
+        var swap = geographic && !/CRS:?84$/.test(crs);
+
+        var matrices = this._children(set, "TileMatrix");
+        if(matrices.length === 0)
+        {
+            throw new Error("The tile matrix set " + this._text(set, "Identifier") + " has no tile matrices");
+        }
+
+        var origin = null;
+        var lods = matrices.map(function(matrix, level)
+        {
+            var corner = this._getCorner(matrix, swap);
+            if(!origin)
+            {
+                origin = corner;
+            }
+            else if(Math.abs(corner.x - origin.x) > 1e-6 * Math.abs(origin.x || 1) || Math.abs(corner.y - origin.y) > 1e-6 * Math.abs(origin.y || 1))
+            {
+                throw new Error("The tile matrices of " + this._text(set, "Identifier") + " don't share their origin");
+            }
+
+            var resolution = parseFloat(this._text(matrix, "ScaleDenominator")) * this._PIXEL_METERS / metersPerUnit;
+            return {level: level, resolution: resolution, scale: resolution * metersPerUnit * this._DPI / 0.0254};
+        }, this);
+
+        return {
+            rows: parseInt(this._text(matrices[0], "TileHeight"), 10),
+            cols: parseInt(this._text(matrices[0], "TileWidth"), 10),
+            dpi: this._DPI,
+            format: format.replace(/^image\//, "").replace(/;.*$/, "").toUpperCase(),
+            origin: {x: origin.x, y: origin.y},
+            spatialReference: {wkid: wkid},
+            lods: lods
+        };
+    };
+
+    /**
+     * The extent covered by a tile matrix
+     * @private
+     */
+    this._getMatrixExtent = function(matrix, tileInfo)
+    {
+        var resolution = tileInfo.lods[0].resolution;
+        var width = parseInt(this._text(matrix, "MatrixWidth"), 10) * tileInfo.cols * resolution;
+        var height = parseInt(this._text(matrix, "MatrixHeight"), 10) * tileInfo.rows * resolution;
+        return {
+            xmin: tileInfo.origin.x,
+            ymin: tileInfo.origin.y - height,
+            xmax: tileInfo.origin.x + width,
+            ymax: tileInfo.origin.y,
+            spatialReference: tileInfo.spatialReference
+        };
+    };
+
+    /**
+     * The layer's WGS84BoundingBox in Web Mercator or geographic coordinates
+     * @returns {Object} Extent JSON, or null for other coordinate systems
+     * @private
+     */
+    this._getLayerExtent = function(layer, spatialReference)
+    {
+        var box = this._child(layer, "WGS84BoundingBox");
+        var wkid = spatialReference.wkid;
+        if(!box || (wkid !== 102100 && wkid !== 4326))
+        {
+            return null;
+        }
+
+        var lower = this._text(box, "LowerCorner").trim().split(/\s+/).map(parseFloat);
+        var upper = this._text(box, "UpperCorner").trim().split(/\s+/).map(parseFloat);
+        var project = function(lon, lat)
+        {
+            if(wkid === 4326)
+            {
+                return [lon, lat];
+            }
+            lat = Math.max(-85.0511287798, Math.min(85.0511287798, lat));
+            var x = lon * this._DEGREE_METERS;
+            var y = Math.log(Math.tan((90 + lat) * Math.PI / 360)) * 6378137;
+            return [x, y];
+        }.bind(this);
+
+        var min = project(lower[0], lower[1]);
+        var max = project(upper[0], upper[1]);
+        return {xmin: min[0], ymin: min[1], xmax: max[0], ymax: max[1], spatialReference: spatialReference};
+    };
+
+    /**
+     * @param crs e.g. urn:ogc:def:crs:EPSG::3857, EPSG:4326 or urn:ogc:def:crs:OGC:1.3:CRS84
+     * @returns {Number} the wkid. Web Mercator is 102100, like in ArcGIS services.
+     * @private
+     */
+    this._getWkid = function(crs)
+    {
+        if(/CRS:?84$/.test(crs))
+        {
+            return 4326;
+        }
+        var match = /(\d+)$/.exec(crs);
+        if(!match)
+        {
+            throw new Error("Unknown coordinate system " + crs);
+        }
+        var wkid = parseInt(match[1], 10);
+        return [3857, 900913, 102113].indexOf(wkid) !== -1 ? 102100 : wkid;
+    };
+
+    this._getCorner = function(matrix, swap)
+    {
+        var values = this._text(matrix, "TopLeftCorner").trim().split(/\s+/).map(parseFloat);
+        return swap ? {x: values[1], y: values[0]} : {x: values[0], y: values[1]};
+    };
+
+    this._getDefaultStyle = function(layer)
+    {
+        var styles = this._children(layer, "Style");
+        var style = styles.filter(function(style)
+        {
+            return style.getAttribute("isDefault") === "true";
+        })[0] || styles[0];
+        return style ? this._text(style, "Identifier") : "default";
+    };
+
+    /**
+     * PNG if the layer has it, since it keeps transparency, otherwise the first format
+     * @private
+     */
+    this._getImageFormat = function(layer)
+    {
+        var formats = this._children(layer, "Format").map(this._getText, this);
+        return formats.indexOf("image/png") !== -1 ? "image/png" : formats[0] || "image/png";
+    };
+
+    this._getLayerElements = function()
+    {
+        return this._children(this._child(this._doc.documentElement, "Contents"), "Layer");
+    };
+
+    /**
+     * @param elements
+     * @param identifier
+     * @returns {Element} the element with the identifier, the first element if identifier is empty, or undefined
+     * @private
+     */
+    this._find = function(elements, identifier)
+    {
+        return elements.filter(function(element)
+        {
+            return !identifier || this._text(element, "Identifier") === identifier;
+        }, this)[0];
+    };
+
+    /**
+     * The child elements with a local name, whatever their namespace prefix
+     * @private
+     */
+    this._children = function(element, localName)
+    {
+        var children = [];
+        var nodes = element ? element.childNodes : [];
+        for(var i = 0; i < nodes.length; i++)
+        {
+            if(nodes[i].nodeType === 1 && nodes[i].localName === localName)
+            {
+                children.push(nodes[i]);
+            }
+        }
+        return children;
+    };
+
+    this._child = function(element, localName)
+    {
+        return this._children(element, localName)[0] || null;
+    };
+
+    this._descendants = function(element, localName)
+    {
+        return Array.prototype.slice.call(element.getElementsByTagNameNS("*", localName));
+    };
+
+    this._text = function(element, localName)
+    {
+        return this._getText(this._child(element, localName));
+    };
+
+    this._getText = function(element)
+    {
+        return element ? element.textContent.trim() : "";
+    };
+
+    if(!this._child(this._doc.documentElement, "Contents"))
+    {
+        throw new Error("Not a WMTS capabilities document");
+    }
+};
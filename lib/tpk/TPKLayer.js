@@ -58,6 +58,7 @@ define([
                 this._inMemTilesIndex = [];
                 this._inMemTilesObject = {};
                 this.store = new O.esri.Tiles.TilesStore();
+                this.store.maxBytes = this._maxDBSize * 1024 * 1024;
                 this._validate();
             },
 
@@ -158,7 +159,8 @@ define([
             /**
              * Optional. Set the maximum database size. Recommended maximum for mobile devices is 100MBs.
              * Making the database too large can result in browser crashes and slow performance.
-             * TPKs can contain a lot of data!
+             * TPKs can contain a lot of data! Once the database is full the least recently used tiles
+             * are removed. They are read from the TPK again when they are needed.
              * @param size
              */
             setMaxDBSize: function(size){
@@ -166,6 +168,7 @@ define([
                 var testRegex = /^\d+$/;
                 if(testRegex.test(size) && size <= this.MAX_DB_SIZE){
                     this._maxDBSize = size;
+                    this.store.maxBytes = size * 1024 * 1024;
                 }
                 else{
                     console.log("setMaxDBSize Error: invalid entry. Integers only and less than " + this.MAX_DB_SIZE + "MBs");
@@ -479,10 +482,10 @@ define([
                 //First check in the database if the tile exists.
                 //If not then we store the tile in the database later.
                 this.store.retrieve(url, function(success, offlineTile){
-                    if( success && offlineTile.img !== "")
+                    if( success && offlineTile.size > 0)
                     {
                         console.log("Tile found in storage: " + url);
-                        callback(offlineTile.img,tileId,url);
+                        callback(db.toBase64(offlineTile.data),tileId,url);
                     }
                     else {
                         console.log("Tile is not in storage: " + url);
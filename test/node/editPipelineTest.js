@@ -0,0 +1,260 @@
+/**
+ * Runs the offline edit pipeline in Node, without a browser: edits and an attachment are stored in
+ * O.esri.Edit.MemoryStorage, replayed by O.esri.Edit.BackgroundSync against a stubbed applyEdits
+ * request, and removed from the database once the server accepted them. Also checks that the worker doesn't
+ * write the layers' tokens to Cache Storage, and keeps the sync pending when it has lost them.
+ *
+ *      node test/node/editPipelineTest.js
+ */
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+global.window = global;
+global.O = {esri: {Edit: {}}};
+
+// The attachments store reads files with a FileReader, which Node doesn't have
+global.FileReader = function () {
+    this.readAsBinaryString = function (blob) {
+        blob.arrayBuffer().then(function (buffer) {
+            this.onload({target: {result: Buffer.from(buffer).toString("binary")}});
+        }.bind(this), function (err) {
+            this.onerror({target: {result: err}});
+        }.bind(this));
+    };
+};
+
+["storageAdapters.js", "editsStore.js", "attachmentsStore.js", "backgroundSync.js"].forEach(function (file) {
+    var source = path.join(__dirname, "../../lib/edit", file);
+    vm.runInThisContext(fs.readFileSync(source, "utf8"), {filename: source});
+});
+
+var LAYER_URL = "http://example.com/arcgis/rest/services/Test/FeatureServer/0";
+
+var storage = new O.esri.Edit.MemoryStorage();
+var config = {
+    dbName: "features_store",
+    objectStoreName: "features",
+    objectId: "objectid",
+    attachmentsDbName: "attachments_store",
+    attachmentsObjectStoreName: "attachments",
+    proxyPath: null,
+    batchSize: 10,
+    layers: {}
+};
+config.layers[LAYER_URL] = null;
+
+var requests = [];
+
+var sync = new O.esri.Edit.BackgroundSync();
+sync.storage = storage;
+sync._scope = {
+    fetch: function (url, options) {
+        requests.push({url: url, body: options.body});
+        return Promise.resolve({
+            status: 200,
+            json: function () {
+                return Promise.resolve({
+                    addResults: [{objectId: 10, success: true}],
+                    updateResults: [{objectId: 5, success: true}],
+                    deleteResults: []
+                });
+            }
+        });
+    }
+};
+
+var editStore = new O.esri.Edit.EditStore();
+editStore.dbName = config.dbName;
+editStore.objectStoreName = config.objectStoreName;
+editStore.objectId = config.objectId;
+editStore.storage = storage;
+
+var attachmentsStore = new O.esri.Edit.AttachmentsStore();
+attachmentsStore.dbName = config.attachmentsDbName;
+attachmentsStore.objectStoreName = config.attachmentsObjectStoreName;
+attachmentsStore.storage = storage;
+
+// Stands in for an esri/graphic with a point geometry
+var createGraphic = function (attributes, x, y) {
+    var json = {attributes: attributes, geometry: {x: x, y: y, spatialReference: {wkid: 102100}}};
+    return {
+        attributes: attributes,
+        geometry: {type: "point", x: x, y: y},
+        toJson: function () {
+            return JSON.parse(JSON.stringify(json));
+        }
+    };
+};
+
+var added = createGraphic({objectid: -1, name: "new"}, 1, 2);
+var updated = createGraphic({objectid: 5, name: "changed"}, 3, 4);
+var file = new File(["attachment content"], "notes.txt", {type: "text/plain"});
+
+// Runs the steps one after the other. Each step calls next() when it's done.
+var run = function (steps) {
+    var next = function () {
+        var step = steps.shift();
+        if (step) {
+            step(next);
+        }
+    };
+    next();
+};
+
+var timeout = setTimeout(function () {
+    console.error("editPipelineTest: timed out");
+    process.exit(1);
+}, 10000);
+
+run([
+    function initStores(next) {
+        assert.ok(editStore.isSupported());
+        assert.ok(attachmentsStore.isSupported());
+
+        editStore.init(function (success, error) {
+            assert.ok(success, error);
+            attachmentsStore.init(function (success, error) {
+                assert.ok(success, error);
+                next();
+            });
+        });
+    },
+
+    function pushEdits(next) {
+        editStore.pushEdit(editStore.ADD, LAYER_URL, added, function (success, error) {
+            assert.ok(success, error);
+            editStore.pushEdit(editStore.UPDATE, LAYER_URL, updated, function (success, error) {
+                assert.ok(success, error);
+                attachmentsStore.store(LAYER_URL, -1, -1, file, attachmentsStore.TYPE.ADD, function (success, error) {
+                    assert.ok(success, error);
+                    editStore.pendingEditsCount(function (count) {
+                        assert.strictEqual(count, 2);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    function replayEdits(next) {
+        sync.replay(config, function (result) {
+            assert.ok(result.success, result.error);
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].url, LAYER_URL + "/applyEdits");
+
+            var params = new URLSearchParams(requests[0].body);
+            assert.strictEqual(params.get("rollbackOnFailure"), "false");
+            var adds = JSON.parse(params.get("adds"));
+            assert.strictEqual(adds.length, 1);
+            assert.strictEqual(adds[0].attributes.objectid, undefined, "the server assigns the objectId of new features");
+            assert.strictEqual(JSON.parse(params.get("updates"))[0].attributes.name, "changed");
+
+            assert.deepStrictEqual(result.responses.map(function (response) {
+                return response.tempId;
+            }), [[-1], []]);
+            next();
+        });
+    },
+
+    function cleanUp(next) {
+        editStore.pendingEditsCount(function (count) {
+            assert.strictEqual(count, 0, "sent edits are removed");
+
+            attachmentsStore.getAttachmentsByFeatureId(LAYER_URL, -1, function (attachments) {
+                assert.strictEqual(attachments.length, 0);
+
+                attachmentsStore.getAttachmentsByFeatureId(LAYER_URL, 10, function (attachments) {
+                    assert.strictEqual(attachments.length, 1, "the attachment moves to the new objectId");
+                    assert.strictEqual(attachments[0].objectId, 10);
+
+                    attachments[0].file.text().then(function (text) {
+                        assert.strictEqual(text, "attachment content");
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    function keepTokensInMemory(next) {
+        var cached = {};
+        var scope = {
+            caches: {
+                open: function () {
+                    return Promise.resolve({
+                        put: function (url, response) {
+                            cached[url] = response;
+                            return Promise.resolve();
+                        },
+                        match: function (url) {
+                            return Promise.resolve(cached[url]);
+                        }
+                    });
+                }
+            },
+            Response: function (body) {
+                this.body = body;
+                this.json = function () {
+                    return Promise.resolve(JSON.parse(body));
+                };
+            },
+            clients: {
+                matchAll: function () {
+                    return Promise.resolve([]);
+                }
+            },
+            fetch: sync._scope.fetch
+        };
+
+        var secured = JSON.parse(JSON.stringify(config));
+        secured.layers[LAYER_URL] = "secret-token";
+
+        var worker = new O.esri.Edit.BackgroundSync();
+        worker._scope = scope;
+        var restarted;
+
+        worker.saveConfig(secured).then(function () {
+            assert.strictEqual(cached[worker._CONFIG_URL].body.indexOf("secret-token"), -1, "tokens aren't written to Cache Storage");
+            return worker.loadConfig();
+        }).then(function (loaded) {
+            assert.strictEqual(loaded.layers[LAYER_URL], "secret-token");
+
+            // A restarted worker has lost the token and leaves the layer's edits for the page
+            restarted = new O.esri.Edit.BackgroundSync();
+            restarted.storage = storage;
+            restarted._scope = scope;
+            return restarted.loadConfig();
+        }).then(function (loaded) {
+            assert.strictEqual(loaded.layers.hasOwnProperty(LAYER_URL), false);
+            assert.deepStrictEqual(loaded.missingTokens, [LAYER_URL]);
+
+            return new Promise(function (resolve) {
+                editStore.pushEdit(editStore.UPDATE, LAYER_URL, updated, resolve);
+            });
+        }).then(function () {
+            return restarted.sync().then(function () {
+                assert.fail("the sync stays pending without the token");
+            }, function (err) {
+                assert.ok(err.message.indexOf(LAYER_URL) !== -1, err.message);
+            });
+        }).then(function () {
+            assert.strictEqual(requests.length, 1, "nothing is sent without the token");
+            editStore.pendingEditsCount(function (count) {
+                assert.strictEqual(count, 1);
+                next();
+            });
+        }).catch(function (err) {
+            console.error(err);
+            process.exit(1);
+        });
+    },
+
+    function done() {
+        clearTimeout(timeout);
+        console.log("editPipelineTest: OK");
+    }
+]);
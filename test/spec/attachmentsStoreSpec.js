@@ -286,4 +286,82 @@ describe("attachments store module", function()
         })
     });
 
-});
\ No newline at end of file
+});
+
+describe("attachments that can't be decrypted", function()
+{
+	var async = new AsyncSpec(this);
+
+	var store = new O.esri.Edit.AttachmentsStore();
+	store.storage = new O.esri.Edit.MemoryStorage();
+	store.encryption = new O.esri.Edit.Encryption({passphrase: "secret"});
+
+	async.it("store encrypted attachments", function(done)
+	{
+		store.init(function(success)
+		{
+			expect(success).toBeTruthy();
+
+			store.store("layer1", -1, -1, new File(["first"], "first.txt", {type: "text/plain"}), store.TYPE.ADD, function(success)
+			{
+				expect(success).toBeTruthy();
+
+				store.store("layer1", -2, -1, new File(["second"], "second.txt", {type: "text/plain"}), store.TYPE.ADD, function(success)
+				{
+					expect(success).toBeTruthy();
+					done();
+				});
+			});
+		});
+	});
+
+	async.it("alter the first attachment", function(done)
+	{
+		var transaction = store._db.transaction([store.objectStoreName], "readwrite");
+		var objectStore = transaction.objectStore(store.objectStoreName);
+
+		objectStore.get(-1).onsuccess = function(evt)
+		{
+			var first = evt.target.result;
+			objectStore.get(-2).onsuccess = function(evt)
+			{
+				first.sealed.iv = evt.target.result.sealed.iv;
+				objectStore.put(first);
+			};
+		};
+
+		transaction.oncomplete = function()
+		{
+			done();
+		};
+	});
+
+	async.it("report the attachment that can't be decrypted", function(done)
+	{
+		store.getAttachmentsByFeatureId("layer1", -1, function(attachments, failed)
+		{
+			expect(attachments.length).toBe(1);
+			expect(attachments[0].name).toBe("second.txt");
+			expect(failed.length).toBe(1);
+			expect(failed[0].id).toBe(-1);
+			expect(failed[0].error).toBe(store.encryption.DECRYPT_ERROR);
+			done();
+		});
+	});
+
+	async.it("not rotate the key", function(done)
+	{
+		store.rotateKey(new O.esri.Edit.Encryption({passphrase: "new secret"}), function(success, error)
+		{
+			expect(success).toBe(false);
+			expect(error).toBe("Attachments can't be decrypted: -1");
+
+			store.retrieve(-2, function(success, attachment)
+			{
+				expect(success).toBe(true);
+				expect(attachment.name).toBe("second.txt");
+				done();
+			});
+		});
+	});
+});
@@ -242,7 +242,7 @@ describe("Public Interface", function()
                 g_editsStore.getUsage(function(result,error){
                     console.log("RESULT IS " + result.sizeBytes);
                     expect(result).toEqual(jasmine.any(Object));
-                    expect(result.sizeBytes).toEqual(1174);
+                    expect(result.sizeBytes).toEqual(1270);
                     expect(result.editCount).toEqual(3);
                     done();
                 })
@@ -319,7 +319,7 @@ describe("Public Interface", function()
             async.it("get size - should be the same", function(done){
                 g_editsStore.getUsage(function(success){
                     expect(success).toEqual(jasmine.any(Object));
-                    expect(success.sizeBytes).toEqual(1174);
+                    expect(success.sizeBytes).toEqual(1270);
                     expect(success.editCount).toEqual(3);
                     done();
                 })
@@ -359,7 +359,7 @@ describe("Public Interface", function()
                 g_editsStore.getUsage(function(result,error){
                     console.log("RESULT IS " + result.sizeBytes);
                     expect(result).toEqual(jasmine.any(Object));
-                    expect(result.sizeBytes).toEqual(1549);
+                    expect(result.sizeBytes).toEqual(1645);
                     expect(result.editCount).toEqual(3);
                     done();
                 })
@@ -390,7 +390,7 @@ describe("Public Interface", function()
             async.it("get size", function(done){
                 g_editsStore.getUsage(function(success){
                     expect(success).toEqual(jasmine.any(Object));
-                    expect(success.sizeBytes).toEqual(1626);
+                    expect(success.sizeBytes).toEqual(1722);
                     expect(success.editCount).toEqual(3);
                     done();
                 })
@@ -410,7 +410,7 @@ describe("Public Interface", function()
             async.it("get size", function(done){
                 g_editsStore.getUsage(function(success){
                     expect(success).toEqual(jasmine.any(Object));
-                    expect(success.sizeBytes).toEqual(1549);
+                    expect(success.sizeBytes).toEqual(1645);
                     expect(success.editCount).toEqual(3);
                     done();
                 })
@@ -507,7 +507,7 @@ describe("Public Interface", function()
             async.it("get size", function(done){
                 g_editsStore.getUsage(function(success){
                     expect(success).toEqual(jasmine.any(Object));
-                    expect(success.sizeBytes).toBe(1863);
+                    expect(success.sizeBytes).toBe(1959);
                     expect(success.editCount).toBe(3);
                     done();
                 })
@@ -516,6 +516,305 @@ describe("Public Interface", function()
     })
 });
 
+describe("Dead-letter edits", function()
+{
+    var id = 30 + "/" + g_test.pointFeature.attributes.objectid;
+
+    async.it("record a failed attempt", function(done){
+        g_editsStore.pushEdit(g_editsStore.ADD, 30, g_test.pointFeature, function(result){
+            expect(result).toEqual(true);
+
+            g_editsStore.recordEditAttempt(id, {code: 500, description: "Error"}, function(success, edit){
+                expect(success).toBe(true);
+                expect(edit.attempts).toBe(1);
+                expect(edit.lastError.code).toBe(500);
+                done();
+            });
+        });
+    });
+
+    async.it("move an edit to the dead-letter store", function(done){
+        g_editsStore.moveToDeadLetter(id, {code: 1000, description: "Rejected"}, function(success, edit){
+            expect(success).toBe(true);
+            expect(edit.lastError.code).toBe(1000);
+
+            g_editsStore.pendingEditsCount(function(count){
+                expect(count).toBe(3);
+
+                g_editsStore.getDeadLetterEdits(function(success, edits){
+                    expect(edits.length).toBe(1);
+                    expect(edits[0].id).toBe(id);
+                    expect(edits[0].attempts).toBe(1);
+                    done();
+                });
+            });
+        });
+    });
+
+    async.it("restore a dead-letter edit", function(done){
+        g_editsStore.restoreDeadLetterEdit(id, function(success, edit){
+            expect(success).toBe(true);
+            expect(edit.attempts).toBe(0);
+
+            g_editsStore.pendingEditsCount(function(count){
+                expect(count).toBe(4);
+
+                g_editsStore.getDeadLetterEdit(id, function(success){
+                    expect(success).toBe(false);
+                    done();
+                });
+            });
+        });
+    });
+
+    async.it("delete a dead-letter edit", function(done){
+        g_editsStore.moveToDeadLetter(id, null, function(success){
+            expect(success).toBe(true);
+
+            g_editsStore.deleteDeadLetterEdit(id, function(success){
+                expect(success).toBe(true);
+
+                g_editsStore.getDeadLetterEdits(function(success, edits){
+                    expect(edits.length).toBe(0);
+                    done();
+                });
+            });
+        });
+    });
+});
+
+describe("Edit history", function()
+{
+    async.it("add history entries", function(done){
+        g_editsStore.pushHistory({layer: "40", timestamp: 1, undone: false, changes: []}, function(success, entry){
+            expect(success).toBe(true);
+            expect(entry.id).toEqual(jasmine.any(Number));
+
+            g_editsStore.pushHistory({layer: "40", timestamp: 2, undone: true, changes: []}, function(success){
+                g_editsStore.getHistory("40", function(success, entries){
+                    expect(entries.length).toBe(2);
+                    expect(entries[0].timestamp).toBe(1);
+                    done();
+                });
+            });
+        });
+    });
+
+    async.it("a new entry removes undone entries", function(done){
+        g_editsStore.pushHistory({layer: "40", timestamp: 3, undone: false, changes: []}, function(success){
+            g_editsStore.getHistory("40", function(success, entries){
+                expect(entries.map(function(entry){ return entry.timestamp; })).toEqual([1, 3]);
+                done();
+            });
+        });
+    });
+
+    async.it("reset history", function(done){
+        g_editsStore.resetHistory(function(success){
+            expect(success).toBe(true);
+            g_editsStore.getHistory("40", function(success, entries){
+                expect(entries.length).toBe(0);
+                done();
+            });
+        });
+    });
+});
+
+describe("Merge edits", function()
+{
+    var graphic = {"geometry":{"x":1,"y":1,"spatialReference":{"wkid":102100}},"attributes":{"objectid":8}};
+
+    async.it("merge edits from another device", function(done){
+        g_editsStore.mergeEdits([
+            {id: "50/-7", operation: g_editsStore.ADD, layer: "50", type: "point", graphic: {"geometry":graphic.geometry,"attributes":{"objectid":-7}}},
+            {id: "50/8", operation: g_editsStore.UPDATE, layer: "50", type: "point", graphic: graphic}
+        ], function(success, result){
+            expect(success).toBe(true);
+            expect(result.merged.length).toBe(2);
+            expect(result.merged[0].sequence).toBeLessThan(result.merged[1].sequence);
+            expect(result.skipped.length).toBe(0);
+
+            g_editsStore.pendingEditsCount(function(count){
+                expect(count).toBe(5);
+                done();
+            });
+        });
+    });
+
+    async.it("skip features that were deleted on this device", function(done){
+        var deleteEdit = {id: "50/9", operation: g_editsStore.DELETE, layer: "50", type: "point", graphic: {"attributes":{"objectid":9}}, sequence: 100};
+
+        g_editsStore.restoreEdit(deleteEdit.id, deleteEdit, function(success){
+            expect(success).toBe(true);
+
+            g_editsStore.mergeEdits([
+                {id: "50/9", operation: g_editsStore.UPDATE, layer: "50", type: "point", graphic: graphic}
+            ], function(success, result){
+                expect(success).toBe(true);
+                expect(result.merged.length).toBe(0);
+                expect(result.skipped[0].id).toBe("50/9");
+
+                g_editsStore.getEdit("50/9", function(success, edit){
+                    expect(edit.operation).toBe(g_editsStore.DELETE);
+                    done();
+                });
+            });
+        });
+    });
+});
+
+describe("Memory storage", function()
+{
+    var store = new O.esri.Edit.EditStore();
+    store.storage = new O.esri.Edit.MemoryStorage();
+    store.objectId = "objectid";
+
+    async.it("initialize the store", function(done){
+        expect(store.isSupported()).toBe(true);
+        store.init(function(success){
+            expect(success).toBe(true);
+            done();
+        });
+    });
+
+    async.it("store and read edits", function(done){
+        store.pushEdit(store.ADD, 60, g_test.pointFeature, function(result){
+            expect(result).toBe(true);
+
+            store.pushEdit(store.UPDATE, 60, g_test.lineFeature, function(result){
+                expect(result).toBe(true);
+
+                store.getAllEditsArray(function(edits, message){
+                    expect(message).toBe("end");
+                    expect(edits.map(function(edit){ return edit.operation; })).toEqual([store.ADD, store.UPDATE]);
+                    done();
+                });
+            });
+        });
+    });
+
+    async.it("delete an edit", function(done){
+        store.delete(60, g_test.pointFeature, function(result){
+            expect(result).toBe(true);
+
+            store.pendingEditsCount(function(count){
+                expect(count).toBe(1);
+                done();
+            });
+        });
+    });
+
+    async.it("roll back a failed transaction", function(done){
+        var transaction = store._db.transaction([store.historyObjectStoreName], "readwrite");
+        var objectStore = transaction.objectStore(store.historyObjectStoreName);
+
+        objectStore.add({id: 1, layer: "60"});
+        objectStore.add({id: 1, layer: "60"});
+
+        transaction.onabort = function(){
+            store.getHistory("60", function(success, entries){
+                expect(entries.length).toBe(0);
+                done();
+            });
+        };
+    });
+
+    async.it("keep the edits in the adapter's database", function(done){
+        var reopened = new O.esri.Edit.EditStore();
+        reopened.storage = store.storage;
+
+        reopened.init(function(success){
+            expect(success).toBe(true);
+
+            reopened.pendingEditsCount(function(count){
+                expect(count).toBe(1);
+                done();
+            });
+        });
+    });
+});
+
+describe("Encryption", function()
+{
+    var storage = new O.esri.Edit.MemoryStorage();
+
+    var openStore = function(encryption, callback){
+        var store = new O.esri.Edit.EditStore();
+        store.storage = storage;
+        store.objectId = "objectid";
+        store.encryption = encryption;
+        store.init(function(success, error){
+            callback(store, success, error);
+        });
+    };
+
+    var store;
+
+    async.it("initialize an encrypted store", function(done){
+        openStore(new O.esri.Edit.Encryption({passphrase: "secret"}), function(result, success){
+            expect(success).toBe(true);
+            store = result;
+            done();
+        });
+    });
+
+    async.it("store edits without their graphics in plain text", function(done){
+        store.pushEdit(store.ADD, 70, g_test.pointFeature, function(result){
+            expect(result).toBe(true);
+
+            store._db.transaction([store.objectStoreName]).objectStore(store.objectStoreName).get("70/2").onsuccess = function(event){
+                var record = event.target.result;
+                expect(record.operation).toBe(store.ADD);
+                expect(record.graphic).toBeUndefined();
+                expect(record.sealed.data).toEqual(jasmine.any(String));
+                done();
+            };
+        });
+    });
+
+    async.it("decrypt edits when they are read", function(done){
+        store.getAllEditsArray(function(edits, message){
+            expect(message).toBe("end");
+            expect(edits.length).toBe(1);
+            expect(edits[0].graphic.attributes.objectid).toBe(2);
+            expect(edits[0].sealed).toBeUndefined();
+            done();
+        });
+    });
+
+    async.it("fail to open the store with the wrong passphrase", function(done){
+        openStore(new O.esri.Edit.Encryption({passphrase: "wrong"}), function(result, success, error){
+            expect(success).toBe(false);
+            expect(error).toBe(new O.esri.Edit.Encryption().WRONG_KEY_ERROR);
+
+            openStore(null, function(result, success){
+                expect(success).toBe(false);
+                done();
+            });
+        });
+    });
+
+    async.it("rotate the key", function(done){
+        store.rotateKey(new O.esri.Edit.Encryption({passphrase: "new secret"}), function(success){
+            expect(success).toBe(true);
+
+            openStore(new O.esri.Edit.Encryption({passphrase: "secret"}), function(result, success){
+                expect(success).toBe(false);
+
+                openStore(new O.esri.Edit.Encryption({passphrase: "new secret"}), function(result, success){
+                    expect(success).toBe(true);
+
+                    result.getEdit("70/2", function(success, edit){
+                        expect(success).toBe(true);
+                        expect(edit.graphic.attributes.objectid).toBe(2);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
+
 describe("Reset store", function()
 {
     it("reset the store", function()
@@ -440,6 +440,43 @@ describe("Offline Editing", function()
             });
         });
 
+        async.it("undo offline updates", function(done)
+        {
+            g_featureLayers[0].undo(function(success, entry){
+                expect(success).toBe(true);
+                expect(entry.changes.length).toBe(3);
+                expect(entry.undone).toBe(true);
+                expect(g_featureLayers[0].graphics.length).toBe(3);
+                g_editsStore.pendingEditsCount(function(result){
+                    expect(result).toBe(0);
+                    done();
+                });
+            });
+        });
+
+        async.it("redo offline updates", function(done)
+        {
+            g_featureLayers[0].redo(function(success, entry){
+                expect(success).toBe(true);
+                expect(entry.undone).toBe(false);
+                expect(getObjectIds(g_featureLayers[0].graphics)).toEqual(getObjectIds([g1,g2,g3]));
+                g_editsStore.pendingEditsCount(function(result){
+                    expect(result).toBe(3);
+
+                    g_featureLayers[0].getEditHistory(g1.attributes.OBJECTID, function(success, history){
+                        expect(history.length).toBe(1);
+                        expect(history[0].before).toBe(null);
+                        expect(history[0].after.operation).toBe("update");
+
+                        g_featureLayers[0].redo(function(success){
+                            expect(success).toBe(false);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
         // NOTE: We are only dealing with points!
         //async.it("update existing features - lines", function(done)
         //{
@@ -1147,4 +1184,680 @@ describe("Offline Editing", function()
             });
         });
     });
-});
\ No newline at end of file
+});
+describe("Conflict detection", function()
+{
+    var layer = {
+        fields: [{name: "OBJECTID", type: "esriFieldTypeOID"}, {name: "description", type: "esriFieldTypeString"}, {name: "lat", type: "esriFieldTypeDouble"}],
+        editFieldsInfo: null
+    };
+
+    async.it("hash does not depend on property order", function(done){
+        expect(g_offlineEdit._hashObject({a: 1, b: "two"})).toEqual(g_offlineEdit._hashObject({b: "two", a: 1}));
+        expect(g_offlineEdit._hashObject({a: 1, b: "two"})).not.toEqual(g_offlineEdit._hashObject({a: 1, b: "three"}));
+        done();
+    });
+
+    async.it("create server state", function(done){
+        var graphic = new g_modules.Graphic({"geometry":{"x":-105400,"y":5137000,"spatialReference":{"wkid":102100}},"attributes":{"OBJECTID":1,"lat":0.0,"description":"g1","notAField":true}});
+        var serverState = g_offlineEdit._createServerState(layer, graphic);
+        expect(serverState.editDate).toBe(null);
+        expect(serverState.attributes).toEqual({"OBJECTID":1,"lat":0.0,"description":"g1"});
+        expect(typeof serverState.attributesHash).toBe("number");
+        expect(typeof serverState.geometryHash).toBe("number");
+        done();
+    });
+
+    async.it("merge keeps server changes and offline changes", function(done){
+        var original = new g_modules.Graphic({"geometry":{"x":-105400,"y":5137000,"spatialReference":{"wkid":102100}},"attributes":{"OBJECTID":1,"lat":0.0,"description":"g1"}});
+        var edit = {
+            graphic: {"geometry":{"x":-105400,"y":5137000,"spatialReference":{"wkid":102100}},"attributes":{"OBJECTID":1,"lat":0.0,"description":"changed offline"}},
+            serverState: g_offlineEdit._createServerState(layer, original)
+        };
+        var serverFeature = {"geometry":{"x":-105000,"y":5137000,"spatialReference":{"wkid":102100}},"attributes":{"OBJECTID":1,"lat":1.5,"description":"g1"}};
+
+        var merged = g_offlineEdit._mergeConflict(layer, edit, serverFeature);
+        expect(merged.attributes.description).toBe("changed offline");
+        expect(merged.attributes.lat).toBe(1.5);
+        expect(merged.geometry.x).toBe(-105000);
+        done();
+    });
+});
+
+describe("Replay batches", function()
+{
+    var serviceUrl = "http://example.com/arcgis/rest/services/Test/FeatureServer";
+    var layer0 = {url: serviceUrl + "/0", graphics: [], objectIdField: "OBJECTID"};
+    var layer1 = {url: serviceUrl + "/1", graphics: [], objectIdField: "OBJECTID"};
+
+    function edit(layer, operation, objectId) {
+        return {
+            id: layer.url + "/" + objectId,
+            operation: operation,
+            layer: layer.url,
+            graphic: {"geometry":{"x":-105400,"y":5137000,"spatialReference":{"wkid":102100}},"attributes":{"OBJECTID":objectId}}
+        };
+    }
+
+    var edits = [
+        edit(layer0, "add", -1),
+        edit(layer0, "update", 10),
+        edit(layer1, "delete", 11),
+        edit(layer0, "delete", 12)
+    ];
+
+    async.it("split layer url into service url and layer id", function(done){
+        expect(g_offlineEdit._getServiceInfo(layer1.url)).toEqual({serviceUrl: serviceUrl, layerId: 1});
+        expect(g_offlineEdit._getServiceInfo("http://example.com/notalayer")).toBe(null);
+        done();
+    });
+
+    async.it("group edits by layer", function(done){
+        g_offlineEdit._featureLayers[layer0.url] = layer0;
+        g_offlineEdit._featureLayers[layer1.url] = layer1;
+        g_offlineEdit.REPLAY_BATCH_SIZE = 2;
+
+        var batches = g_offlineEdit._createReplayBatches(edits);
+        expect(batches.length).toBe(3);
+        expect(batches[0].serviceUrl).toBe(null);
+        expect(batches[0].layers[0].items.map(function(item){ return item.index; })).toEqual([0, 1]);
+        expect(batches[0].layers[0].items[0].tempId).toBe(-1);
+        expect(batches[0].layers[0].items[0].graphic.attributes.OBJECTID).toBeUndefined();
+        expect(batches[1].layers[0].layer).toBe(layer1);
+        expect(batches[2].layers[0].items[0].index).toBe(3);
+        done();
+    });
+
+    async.it("group edits by service", function(done){
+        g_offlineEdit.ENABLE_SERVICE_APPLYEDITS = true;
+        g_offlineEdit.REPLAY_BATCH_SIZE = 100;
+
+        var batches = g_offlineEdit._createReplayBatches(edits);
+        expect(batches.length).toBe(1);
+        expect(batches[0].serviceUrl).toBe(serviceUrl);
+        expect(batches[0].layers.length).toBe(2);
+        expect(batches[0].layers[1].layerId).toBe(1);
+
+        var layerEdits = g_offlineEdit._getBatchEdits(batches[0].layers[0]);
+        expect(layerEdits.adds.length).toBe(1);
+        expect(layerEdits.updates.length).toBe(1);
+        expect(layerEdits.deletes.length).toBe(1);
+        done();
+    });
+
+    async.it("keep edit order in sequential mode", function(done){
+        g_offlineEdit.REPLAY_MODE = g_offlineEdit.REPLAY_MODES.SEQUENTIAL;
+
+        // layer0 can't appear twice in the same request
+        var batches = g_offlineEdit._createReplayBatches(edits);
+        expect(batches.length).toBe(2);
+        expect(batches[0].layers.length).toBe(2);
+        expect(batches[1].layers[0].items[0].index).toBe(3);
+
+        // an add would be applied before an update made earlier
+        batches = g_offlineEdit._createReplayBatches([edit(layer0, "update", 10), edit(layer0, "add", -2)]);
+        expect(batches.length).toBe(2);
+
+        g_offlineEdit.REPLAY_MODE = g_offlineEdit.REPLAY_MODES.CONCURRENT;
+        g_offlineEdit.ENABLE_SERVICE_APPLYEDITS = false;
+        delete g_offlineEdit._featureLayers[layer0.url];
+        delete g_offlineEdit._featureLayers[layer1.url];
+        done();
+    });
+});
+
+describe("Retry and dead-letter edits", function()
+{
+    async.it("classify failed requests", function(done){
+        expect(g_offlineEdit._getErrorStatus(null)).toBe(0);
+        expect(g_offlineEdit._getErrorStatus({status: 503})).toBe(503);
+        expect(g_offlineEdit._getErrorStatus({status: 200, responseText: '{"error":{"code":498,"message":"Invalid token."}}'})).toBe(498);
+
+        expect(g_offlineEdit._isTransientError(0)).toBe(true);
+        expect(g_offlineEdit._isTransientError(429)).toBe(true);
+        expect(g_offlineEdit._isTransientError(502)).toBe(true);
+        expect(g_offlineEdit._isTransientError(400)).toBe(false);
+        expect(g_offlineEdit._isTransientError(404)).toBe(false);
+        done();
+    });
+
+    async.it("back off between retries", function(done){
+        g_offlineEdit.ENABLE_RETRY = true;
+        g_offlineEdit._retryNeeded = true;
+
+        var delays = [];
+        var handle = g_offlineEdit.on(g_offlineEdit.events.EDITS_RETRY_SCHEDULED, function(evt){
+            delays.push(evt.delay);
+        });
+
+        g_offlineEdit._scheduleRetry();
+        g_offlineEdit._cancelRetry();
+        g_offlineEdit._scheduleRetry();
+        g_offlineEdit._cancelRetry();
+        expect(delays).toEqual([g_offlineEdit.RETRY_DELAY, g_offlineEdit.RETRY_DELAY * 2]);
+
+        g_offlineEdit._retryNeeded = false;
+        g_offlineEdit._scheduleRetry();
+        expect(g_offlineEdit._retryCount).toBe(0);
+
+        handle.remove();
+        g_offlineEdit.ENABLE_RETRY = false;
+        done();
+    });
+});
+
+describe("Attribute validation", function()
+{
+    var layer = {
+        objectIdField: "OBJECTID",
+        typeIdField: "kind",
+        types: [
+            {id: 1, domains: {status: {type: "codedValue", codedValues: [{name: "Open", code: "O"}]}}},
+            {id: 2, domains: {status: {type: "inherited"}}}
+        ],
+        fields: [
+            {name: "OBJECTID", type: "esriFieldTypeOID", nullable: false, editable: false},
+            {name: "name", type: "esriFieldTypeString", length: 5, nullable: false, editable: true},
+            {name: "count", type: "esriFieldTypeSmallInteger", nullable: true, editable: true,
+                domain: {type: "range", minValue: 0, maxValue: 10}},
+            {name: "kind", type: "esriFieldTypeInteger", nullable: true, editable: true},
+            {name: "status", type: "esriFieldTypeString", length: 10, nullable: true, editable: true,
+                domain: {type: "codedValue", codedValues: [{name: "Open", code: "O"}, {name: "Closed", code: "C"}]}}
+        ]
+    };
+
+    function reasons(attributes, operation) {
+        return g_offlineEdit._validateAttributes(layer, attributes, operation || "add").map(function(error){
+            return error.field + ":" + error.reason;
+        });
+    }
+
+    async.it("accept valid attributes", function(done){
+        expect(reasons({name: "abc", count: 3, kind: 2, status: "C"})).toEqual([]);
+        expect(reasons({count: 3}, "update")).toEqual([]);
+        done();
+    });
+
+    async.it("reject invalid attributes", function(done){
+        expect(reasons({count: 3})).toEqual(["name:nullable"]);
+        expect(reasons({name: null}, "update")).toEqual(["name:nullable"]);
+        expect(reasons({name: "abcdef"})).toEqual(["name:length"]);
+        expect(reasons({name: "abc", count: 1.5})).toEqual(["count:type"]);
+        expect(reasons({name: "abc", count: 11})).toEqual(["count:range"]);
+        expect(reasons({name: "abc", status: "X"})).toEqual(["status:domain"]);
+        done();
+    });
+
+    async.it("use subtype domains", function(done){
+        expect(reasons({name: "abc", kind: 1, status: "C"})).toEqual(["status:domain"]);
+        expect(reasons({name: "abc", kind: 3})).toEqual(["kind:subtype"]);
+        done();
+    });
+
+    async.it("report the edit that failed", function(done){
+        var errors = g_offlineEdit._validateEdits(layer, [], [{attributes: {OBJECTID: 7, name: 12}}]);
+        expect(errors.length).toBe(1);
+        expect(errors[0].operation).toBe("update");
+        expect(errors[0].objectId).toBe(7);
+        expect(errors[0].index).toBe(0);
+        done();
+    });
+});
+
+describe("Offline queries", function()
+{
+    var offlineQuery = new O.esri.Edit.OfflineQuery();
+    var features = [
+        {"geometry":{"x":1,"y":1},"attributes":{"OBJECTID":1,"name":"Fire","count":5,"date":Date.parse("2015-01-02")}},
+        {"geometry":{"paths":[[[0,0],[10,10]]]},"attributes":{"OBJECTID":2,"name":"Flood","count":null}},
+        {"geometry":{"rings":[[[0,0],[0,4],[4,4],[4,0],[0,0]],[[1,1],[1,3],[3,3],[3,1],[1,1]]]},"attributes":{"OBJECTID":3,"name":"O'Neil","count":12}}
+    ];
+
+    function ids(query) {
+        return offlineQuery.filter(features, query, "OBJECTID").map(function(feature){
+            return feature.attributes.OBJECTID;
+        });
+    }
+
+    async.it("evaluate where clauses", function(done){
+        expect(ids({where: "1=1"})).toEqual([1,2,3]);
+        expect(ids({where: "name LIKE 'F%'"})).toEqual([1,2]);
+        expect(ids({where: "count > 4 AND NOT name = 'Fire'"})).toEqual([3]);
+        expect(ids({where: "count IS NULL OR OBJECTID IN (1, 3)"})).toEqual([1,2,3]);
+        expect(ids({where: "name = 'O''Neil'"})).toEqual([3]);
+        expect(ids({where: "UPPER(NAME) = 'FLOOD'"})).toEqual([2]);
+        expect(ids({where: "date >= DATE '2015-01-01'"})).toEqual([1]);
+        expect(ids({where: "count BETWEEN 1 AND 10"})).toEqual([1]);
+        done();
+    });
+
+    async.it("reject unsupported where clauses", function(done){
+        expect(function(){ ids({where: "name ~ 'Fire'"}); }).toThrow();
+        expect(function(){ ids({where: "name ="}); }).toThrow();
+        done();
+    });
+
+    async.it("evaluate spatial relationships", function(done){
+        expect(ids({geometry: {"x":2,"y":2}})).toEqual([2]);
+        expect(ids({geometry: {"x":0.5,"y":0.5}})).toEqual([2,3]);
+        expect(ids({geometry: {"xmin":5,"ymin":5,"xmax":6,"ymax":6}})).toEqual([2]);
+        expect(ids({geometry: {"xmin":1.5,"ymin":1.5,"xmax":2,"ymax":2},
+            spatialRelationship: offlineQuery.SPATIAL_REL_ENVELOPEINTERSECTS})).toEqual([2,3]);
+        done();
+    });
+
+    async.it("sort and page results", function(done){
+        expect(ids({orderByFields: ["name DESC"]})).toEqual([3,2,1]);
+        expect(ids({orderByFields: ["count"], start: 1, num: 1})).toEqual([1]);
+        done();
+    });
+
+    async.it("merge pending edits into the layer's features", function(done){
+        var layer = {
+            url: "http://example.com/arcgis/rest/services/Test/FeatureServer/0",
+            objectIdField: "OBJECTID",
+            graphics: [
+                new g_modules.Graphic({"geometry":{"x":1,"y":1},"attributes":{"OBJECTID":1,"name":"a"}}),
+                new g_modules.Graphic({"geometry":{"x":2,"y":2},"attributes":{"OBJECTID":2,"name":"b"}})
+            ]
+        };
+        var edits = [
+            {id: layer.url + "/1", layer: layer.url, operation: "delete", graphic: {"attributes":{"OBJECTID":1}}},
+            {id: layer.url + "/2", layer: layer.url, operation: "update", graphic: {"geometry":{"x":2,"y":2},"attributes":{"OBJECTID":2,"name":"c"}}},
+            {id: layer.url + "/-1", layer: layer.url, operation: "add", graphic: {"geometry":{"x":3,"y":3},"attributes":{"name":"d"}}}
+        ];
+        var getAllEditsArray = g_offlineEdit._editStore.getAllEditsArray;
+        g_offlineEdit._editStore.getAllEditsArray = function(callback){
+            callback(edits, "end");
+        };
+
+        g_featureLayers[0]._getOfflineFeatures.call(layer, function(success, results){
+            g_offlineEdit._editStore.getAllEditsArray = getAllEditsArray;
+            expect(success).toBe(true);
+            expect(results.map(function(feature){
+                return feature.attributes.OBJECTID + ":" + feature.attributes.name;
+            }).sort()).toEqual(["-1:d", "2:c"]);
+            done();
+        });
+    });
+
+    async.it("keep the cached geometry and attributes of a partial update", function(done){
+        var layer = {
+            url: "http://example.com/arcgis/rest/services/Test/FeatureServer/0",
+            objectIdField: "OBJECTID",
+            graphics: [
+                new g_modules.Graphic({"geometry":{"x":1,"y":1},"attributes":{"OBJECTID":1,"name":"a","status":"open"}})
+            ]
+        };
+        var edits = [
+            {id: layer.url + "/1", layer: layer.url, operation: "update", graphic: {"attributes":{"OBJECTID":1,"status":"closed"}}}
+        ];
+        var getAllEditsArray = g_offlineEdit._editStore.getAllEditsArray;
+        g_offlineEdit._editStore.getAllEditsArray = function(callback){
+            callback(edits, "end");
+        };
+
+        g_featureLayers[0]._getOfflineFeatures.call(layer, function(success, results){
+            g_offlineEdit._editStore.getAllEditsArray = getAllEditsArray;
+            expect(success).toBe(true);
+            expect(results.length).toBe(1);
+            expect(results[0].attributes).toEqual({"OBJECTID":1,"name":"a","status":"closed"});
+            expect(results[0].geometry.x).toBe(1);
+            done();
+        });
+    });
+});
+
+describe("Change-sets", function()
+{
+    var url = "http://example.com/arcgis/rest/services/Test/FeatureServer/0";
+    var edits = [
+        {id: url + "/-2", layer: url, operation: "add", type: "polygon", sequence: 2,
+            graphic: {"geometry":{"rings":[[[0,0],[0,10],[10,10],[10,0],[0,0]],[[2,2],[4,2],[4,4],[2,4],[2,2]]],"spatialReference":{"wkid":2230}},"attributes":{"OBJECTID":-2,"name":"a"}}},
+        {id: url + "/5", layer: url, operation: "update", type: "point", sequence: 1,
+            graphic: {"geometry":{"x":-105400,"y":5137000,"spatialReference":{"wkid":102100}},"attributes":{"OBJECTID":5,"name":"b"}}}
+    ];
+    var attachments = [
+        {id: -3, objectId: -2, featureLayerUrl: url, type: "add", name: "a.txt", contentType: "text/plain", size: 3, content: "abc"}
+    ];
+
+    async.it("export and read an Esri JSON change-set", function(done){
+        var changeSet = JSON.parse(JSON.stringify(g_offlineEdit._changeSet.create(edits, attachments, g_offlineEdit.CHANGE_SET_FORMATS.ESRI_JSON)));
+        var parsed = g_offlineEdit._changeSet.parse(changeSet, "OBJECTID");
+        expect(parsed.errors).toEqual([]);
+        expect(parsed.edits.map(function(edit){ return edit.id; })).toEqual([url + "/5", url + "/-2"]);
+        expect(parsed.edits[1].graphic).toEqual(edits[0].graphic);
+        expect(parsed.attachments[0].data).toBe(window.btoa("abc"));
+        done();
+    });
+
+    async.it("export and read a GeoJSON change-set", function(done){
+        var changeSet = JSON.parse(JSON.stringify(g_offlineEdit._changeSet.create(edits, [], g_offlineEdit.CHANGE_SET_FORMATS.GEOJSON)));
+        expect(changeSet.type).toBe("FeatureCollection");
+        expect(changeSet.features[0].geometry.type).toBe("Polygon");
+        expect(changeSet.features[0].geometry.coordinates.length).toBe(2);
+        expect(changeSet.features[1].geometry.coordinates[1]).toBeCloseTo(41.84, 2);
+
+        var parsed = g_offlineEdit._changeSet.parse(changeSet, "OBJECTID");
+        expect(parsed.errors).toEqual([]);
+        expect(parsed.edits[0].graphic.geometry.x).toBeCloseTo(-105400, 3);
+        expect(parsed.edits[1].graphic.geometry.rings).toEqual(edits[0].graphic.geometry.rings);
+        done();
+    });
+
+    async.it("keep attribute-only updates", function(done){
+        var update = {id: url + "/6", layer: url, operation: "update", type: "point", sequence: 3, graphic: {"attributes":{"OBJECTID":6,"name":"c"}}};
+        [g_offlineEdit.CHANGE_SET_FORMATS.ESRI_JSON, g_offlineEdit.CHANGE_SET_FORMATS.GEOJSON].forEach(function(format){
+            var changeSet = JSON.parse(JSON.stringify(g_offlineEdit._changeSet.create([update], [], format)));
+            var parsed = g_offlineEdit._changeSet.parse(changeSet, "OBJECTID");
+            expect(parsed.errors).toEqual([]);
+            expect(parsed.edits[0].graphic.attributes).toEqual(update.graphic.attributes);
+            expect(parsed.edits[0].graphic.geometry).toBeUndefined();
+        });
+        done();
+    });
+
+    async.it("reject invalid edits", function(done){
+        var parsed = g_offlineEdit._changeSet.parse({changeSetVersion: 1, format: "esrijson", edits: [
+            {operation: "add", layer: url, objectId: 3, graphic: {"geometry":{"x":1,"y":1},"attributes":{}}},
+            {operation: "move", layer: url, objectId: 4, graphic: {"attributes":{}}}
+        ]}, "OBJECTID");
+        expect(parsed.edits.length).toBe(0);
+        expect(parsed.errors.length).toBe(2);
+
+        expect(g_offlineEdit._changeSet.parse({changeSetVersion: 99, format: "esrijson", edits: []}, "OBJECTID").errors.length).toBe(1);
+        done();
+    });
+
+    async.it("replace temporary ids", function(done){
+        var nextTempIds = g_featureLayers.map(function(layer){ return layer._nextTempId; });
+        var parsed = g_offlineEdit._changeSet.parse(g_offlineEdit._changeSet.create(edits, attachments, g_offlineEdit.CHANGE_SET_FORMATS.ESRI_JSON), g_offlineEdit.DB_UID);
+        var objectIds = g_offlineEdit._replaceImportedTempIds(parsed, -100);
+
+        expect(g_featureLayers[0]._nextTempId).toBe(-102);
+        g_featureLayers.forEach(function(layer, i){ layer._nextTempId = nextTempIds[i]; });
+
+        expect(objectIds[url + "/-2"]).toBe(-100);
+        expect(parsed.edits[1].id).toBe(url + "/-100");
+        expect(parsed.edits[1].graphic.attributes[g_offlineEdit.DB_UID]).toBe(-100);
+        expect(parsed.edits[0].id).toBe(url + "/5");
+        expect(parsed.attachments[0].objectId).toBe(-100);
+        expect(parsed.attachments[0].id).toBe(-101);
+        done();
+    });
+});
+
+describe("Sync progress", function()
+{
+    var url = "http://example.com/arcgis/rest/services/Test/FeatureServer/0";
+
+    async.it("limit the requests in flight", function(done){
+        require(["dojo/Deferred"], function(Deferred){
+            var deferreds = [];
+            var requests = [0, 1, 2].map(function(i){
+                return function(){
+                    deferreds[i] = new Deferred();
+                    return deferreds[i].promise;
+                };
+            });
+
+            g_offlineEdit._sync = g_offlineEdit._createSync();
+            g_offlineEdit.REPLAY_MAX_REQUESTS = 2;
+
+            g_offlineEdit._runRequests(requests).then(function(results){
+                expect(results).toEqual(["a", "b", "c"]);
+                g_offlineEdit._sync = null;
+                g_offlineEdit.REPLAY_MAX_REQUESTS = 6;
+                done();
+            });
+
+            expect(deferreds.length).toBe(2);
+            deferreds[1].resolve("b");
+            expect(deferreds.length).toBe(3);
+            deferreds[2].resolve("c");
+            deferreds[0].resolve("a");
+        });
+    });
+
+    async.it("stop sending requests when the sync is cancelled", function(done){
+        require(["dojo/Deferred"], function(Deferred){
+            var status = g_offlineEdit.getOnlineStatus();
+            var deferreds = [];
+            var requests = [0, 1, 2].map(function(i){
+                return function(){
+                    deferreds[i] = new Deferred();
+                    return deferreds[i].promise;
+                };
+            });
+
+            var sync = g_offlineEdit._createSync();
+            g_offlineEdit._sync = sync;
+            g_offlineEdit.REPLAY_MAX_REQUESTS = 1;
+
+            g_offlineEdit._runRequests(requests).then(function(results){
+                expect(results).toEqual(["a"]);
+                expect(deferreds.length).toBe(1);
+                expect(sync.cancelled).toBe(true);
+                expect(g_offlineEdit.getOnlineStatus()).toBe(g_offlineEdit.OFFLINE);
+
+                g_offlineEdit._onlineStatus = status;
+                g_offlineEdit._sync = null;
+                g_offlineEdit.REPLAY_MAX_REQUESTS = 6;
+                done();
+            });
+
+            sync.cancel();
+            deferreds[0].resolve("a");
+        });
+    });
+
+    async.it("report the progress of edits and layers", function(done){
+        var events = [];
+        var handle = g_offlineEdit.on(g_offlineEdit.events.SYNC_PROGRESS, function(event){
+            events.push(event);
+        });
+
+        var edits = [{id: url + "/1", layer: url}, {id: url + "/2", layer: url}];
+        var sync = g_offlineEdit._createSync();
+        g_offlineEdit._sync = sync;
+        g_offlineEdit._startSyncProgress(edits);
+
+        g_offlineEdit._reportEditsProgress({layer: {url: url}, items: [{edit: edits[0]}, {edit: edits[1]}]}, [
+            {index: 0, response: {addResults: [], updateResults: [{success: true}], deleteResults: []}},
+            {index: 1, response: {addResults: [], updateResults: [{success: false}], deleteResults: []}}
+        ], null);
+
+        expect(events.map(function(event){ return event.type; })).toEqual(["edit", "edit", "layer"]);
+        expect(events[0].success).toBe(true);
+        expect(events[1].success).toBe(false);
+        expect(events[0].progress.editsDone).toBe(1);
+        expect(events[2].editsTotal).toBe(2);
+        expect(sync.progress).toEqual(jasmine.objectContaining({editsTotal: 2, editsDone: 2, editsFailed: 1}));
+
+        handle.remove();
+        g_offlineEdit._sync = null;
+        done();
+    });
+});
+
+describe("Connectivity monitor", function()
+{
+    var async = new AsyncSpec(this);
+
+    async.it("go offline when the heartbeat fails", function(done){
+        var monitor = new O.esri.Edit.ConnectivityMonitor({
+            getHeartbeatUrl: function(){ return "http://localhost:1/arcgis/rest/services?f=json"; },
+            onStatusChange: function(online, reason){
+                expect(online).toBe(false);
+                expect(reason).toBe("heartbeat");
+            }
+        });
+
+        monitor.check(function(online){
+            expect(online).toBe(false);
+            expect(monitor.online).toBe(false);
+            done();
+        });
+    });
+
+    async.it("confirm after failed requests", function(done){
+        var checks = 0;
+        var monitor = new O.esri.Edit.ConnectivityMonitor({failureThreshold: 2});
+        monitor.check = function(){ checks++; };
+
+        monitor.reportFailure();
+        monitor.reportSuccess();
+        monitor.reportFailure();
+        expect(checks).toBe(0);
+        monitor.reportFailure();
+        expect(checks).toBe(1);
+        done();
+    });
+
+    async.it("only trust answers of the feature service", function(done){
+        var monitor = new O.esri.Edit.ConnectivityMonitor();
+
+        expect(monitor._isServiceResponse('{"currentVersion": 10.31, "id": 0}')).toBe(true);
+        expect(monitor._isServiceResponse('{"error": {"code": 498, "message": "Invalid token"}}')).toBe(true);
+        expect(monitor._isServiceResponse("<html><body>Sign in to the network</body></html>")).toBe(false);
+        expect(monitor._isServiceResponse("{}")).toBe(false);
+        expect(monitor._isServiceResponse("null")).toBe(false);
+        done();
+    });
+
+    async.it("send the heartbeat with a cache-buster", function(done){
+        var XHR = window.XMLHttpRequest;
+        var urls = [];
+        window.XMLHttpRequest = function(){
+            this.open = function(method, url){ urls.push(url); };
+            this.send = function(){
+                this.status = 200;
+                this.responseText = "<html></html>";
+                this.onload();
+            };
+        };
+
+        var monitor = new O.esri.Edit.ConnectivityMonitor({
+            getHeartbeatUrl: function(){ return "http://localhost/arcgis/rest/services/Test/FeatureServer/0?f=json"; }
+        });
+
+        monitor.check(function(online){
+            window.XMLHttpRequest = XHR;
+            expect(online).toBe(false);
+            expect(urls[0]).toMatch(/\?f=json&_=\d+$/);
+            done();
+        });
+    });
+
+    async.it("build the heartbeat url", function(done){
+        var url = g_offlineEdit._getHeartbeatUrl();
+        expect(url).toMatch(/FeatureServer\/\d+\?f=json$/);
+
+        g_offlineEdit.proxyPath = "proxy.php";
+        expect(g_offlineEdit._getHeartbeatUrl().indexOf("proxy.php?" + url.split("?")[0])).toBe(0);
+        g_offlineEdit.proxyPath = null;
+        done();
+    });
+
+    async.it("go offline, and online again after AUTO_SYNC_DELAY", function(done){
+        var status = g_offlineEdit.getOnlineStatus();
+        var changes = [];
+        var handle = g_offlineEdit.on(g_offlineEdit.events.CONNECTIVITY_CHANGED, function(event){
+            changes.push(event);
+        });
+        var goOnline = g_offlineEdit.goOnline;
+        var syncs = 0;
+        g_offlineEdit.goOnline = function(){ syncs++; };
+        g_offlineEdit._connectivityMonitor = {online: true};
+        g_offlineEdit.AUTO_SYNC_DELAY = 10;
+
+        g_offlineEdit._onConnectivityChange(false, "browser");
+        expect(g_offlineEdit.getOnlineStatus()).toBe(g_offlineEdit.OFFLINE);
+
+        // a connection that drops again before the delay doesn't start a sync
+        g_offlineEdit._onConnectivityChange(true, "heartbeat");
+        g_offlineEdit._onConnectivityChange(false, "browser");
+        g_offlineEdit._onConnectivityChange(true, "heartbeat");
+
+        setTimeout(function(){
+            expect(syncs).toBe(1);
+            expect(changes.length).toBe(4);
+            expect(changes[0]).toEqual({online: false, reason: "browser"});
+
+            handle.remove();
+            g_offlineEdit.goOnline = goOnline;
+            g_offlineEdit._connectivityMonitor = null;
+            g_offlineEdit.AUTO_SYNC_DELAY = 3000;
+            g_offlineEdit._onlineStatus = status;
+            done();
+        }, 50);
+    });
+});
+
+describe("Background sync", function()
+{
+    var async = new AsyncSpec(this);
+
+    async.it("send the service worker what it needs", function(done){
+        var config = g_offlineEdit._getBackgroundSyncConfig();
+        expect(config.dbName).toBe(g_offlineEdit.DB_NAME);
+        expect(config.objectId).toBe(g_offlineEdit.DB_UID);
+        expect(config.batchSize).toBe(g_offlineEdit.REPLAY_BATCH_SIZE);
+        expect(config.layers.hasOwnProperty(g_featureLayers[0].url)).toBe(true);
+        done();
+    });
+
+    async.it("refuse the options the service worker doesn't implement", function(done){
+        var errors = [];
+        var register = function(){
+            g_offlineEdit.registerBackgroundSync(function(success, error){
+                expect(success).toBe(false);
+                errors.push(error);
+            });
+        };
+
+        g_offlineEdit.ENABLE_CONFLICT_DETECTION = true;
+        register();
+        g_offlineEdit.ENABLE_CONFLICT_DETECTION = false;
+
+        g_offlineEdit.ENABLE_RETRY = true;
+        register();
+        g_offlineEdit.ENABLE_RETRY = false;
+
+        g_offlineEdit.REPLAY_MODE = g_offlineEdit.REPLAY_MODES.SEQUENTIAL;
+        register();
+        g_offlineEdit.REPLAY_MODE = g_offlineEdit.REPLAY_MODES.CONCURRENT;
+
+        expect(errors[0]).toMatch(/ENABLE_CONFLICT_DETECTION/);
+        expect(errors[1]).toMatch(/ENABLE_RETRY/);
+        expect(errors[2]).toMatch(/CONCURRENT/);
+        done();
+    });
+
+    async.it("emit the results of the service worker", function(done){
+        var layer = g_featureLayers[0];
+        var sent = null;
+        var handle = g_offlineEdit.on(g_offlineEdit.events.ALL_EDITS_SENT, function(responses){
+            sent = responses;
+        });
+
+        g_offlineEdit._onBackgroundSyncResult({success: true, retry: false, error: null, responses: [{
+            id: layer.url + "/-999", layer: layer.url, tempId: [-999],
+            addResults: [{success: true, objectId: 999}], updateResults: [], deleteResults: []
+        }]});
+
+        expect(sent[0].addResults[0].objectId).toBe(999);
+        handle.remove();
+        done();
+    });
+
+    async.it("emit an error when the service worker couldn't send the edits", function(done){
+        var handle = g_offlineEdit.on(g_offlineEdit.events.EDITS_SENT_ERROR, function(event){
+            expect(event.msg).toBe("Network error");
+            handle.remove();
+            done();
+        });
+
+        g_offlineEdit._onBackgroundSyncResult({success: false, retry: true, error: "Network error", responses: []});
+    });
+});
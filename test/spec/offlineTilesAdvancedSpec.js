@@ -68,7 +68,7 @@ describe("offline tiles advanced custom layer library", function()
                     expect(usage.tileCount).toEqual(1);
                     done();
                 });
-            });
+            },null,g_basemapLayer);
         });
     });
 
@@ -88,6 +88,119 @@ describe("offline tiles advanced custom layer library", function()
                     expect(usage.tileCount).toEqual(1);
                     done();
                 });
+            },null,g_basemapLayer);
+        });
+    });
+
+    async.it("stores tiles as raw image bytes", function(done)
+    {
+        var url = g_basemapLayer._getTileUrl(14,6177,8023);
+
+        g_basemapLayer.offline.store.retrieve(url, function(success, tile)
+        {
+            expect(success).toEqual(true);
+            expect(tile.data).toEqual(jasmine.any(ArrayBuffer));
+            expect(tile.size).toEqual(tile.data.byteLength);
+            expect(tile.contentType).toContain("image/");
+            g_basemapLayer.getOfflineUsage(function(usage)
+            {
+                expect(usage.sizeBytes).toEqual(tile.size + url.length);
+                done();
+            });
+        });
+    });
+
+    async.it("refreshes tiles older than maxAge", function(done)
+    {
+        var url = g_basemapLayer._getTileUrl(14,6177,8023);
+
+        g_basemapLayer.refreshTiles({maxAge: 60 * 60 * 1000}, function(progress)
+        {
+            // the tile was just downloaded
+            expect(progress.finishedDownloading).toBe(true);
+            expect(progress.updated + progress.unchanged + progress.failed).toEqual(0);
+
+            var before = new Date().getTime();
+            g_basemapLayer.refreshTiles({maxAge: 0}, function(progress)
+            {
+                if( !progress.finishedDownloading )
+                {
+                    expect(progress.url).toEqual(url);
+                    return false;
+                }
+
+                expect(progress.updated + progress.unchanged).toEqual(1);
+                expect(progress.failed).toEqual(0);
+                g_basemapLayer.offline.store.retrieve(url, function(success, tile)
+                {
+                    expect(tile.downloaded).not.toBeLessThan(before);
+                    done();
+                });
+            });
+        });
+    });
+
+    async.it("evicts the least recently used tiles over maxBytes", function(done)
+    {
+        var store = g_basemapLayer.offline.store;
+        var url = function(col) { return g_basemapLayer.url + "/tile/20/0/" + col; };
+        var tile = function(col) { return {url: url(col), data: new ArrayBuffer(1000), contentType: "image/png", layerUrl: g_basemapLayer.url}; };
+
+        g_basemapLayer.deleteAllTiles(function()
+        {
+            store.maxBytes = 2 * (1000 + url(0).length);
+
+            store.store(tile(0), function()
+            {
+                store.store(tile(1), function()
+                {
+                    g_basemapLayer.getStorageEstimate(function(storage)
+                    {
+                        expect(storage.usedBytes).toEqual(store.maxBytes);
+                        expect(storage.available).toEqual(0);
+
+                        store.store(tile(2), function(success)
+                        {
+                            store.maxBytes = 0;
+                            expect(success).toEqual(true);
+                            store.retrieve(url(0), function(found)
+                            {
+                                expect(found).toEqual(false);
+                                g_basemapLayer.getOfflineUsage(function(usage)
+                                {
+                                    expect(usage.tileCount).toEqual(2);
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    async.it("frees the bytes of a deleted tile", function(done)
+    {
+        var store = g_basemapLayer.offline.store;
+        var url = g_basemapLayer.url + "/tile/20/0/0";
+
+        g_basemapLayer.deleteAllTiles(function()
+        {
+            store.store({url: url, data: new ArrayBuffer(1000), contentType: "image/png", layerUrl: g_basemapLayer.url}, function()
+            {
+                g_basemapLayer.getStorageEstimate(function(storage)
+                {
+                    expect(storage.usedBytes).toEqual(1000 + url.length);
+                    store.delete(url, function(success)
+                    {
+                        expect(success).toBe(true);
+                        g_basemapLayer.getStorageEstimate(function(storage)
+                        {
+                            expect(storage.usedBytes).toEqual(0);
+                            done();
+                        });
+                    });
+                });
             });
         });
     });
@@ -113,6 +226,65 @@ describe("offline tiles advanced custom layer library", function()
         });
     });
 
+    async.it("estimates polygons and corridors with fewer tiles than their extent", function(done)
+    {
+        require(["esri/geometry/Polygon","esri/geometry/Polyline"],function(Polygon,Polyline)
+        {
+            var sr = {"wkid":102100};
+            var triangle = new Polygon({"rings":[[[-822542,4580841],[94702,4580841],[94702,5131188],[-822542,4580841]]],"spatialReference":sr});
+            var route = new Polyline({"paths":[[[-822542,4580841],[94702,5131188]]],"spatialReference":sr});
+
+            var extentCount = g_basemapLayer.getLevelEstimation(triangle.getExtent(),10,1000).tileCount;
+            var polygonCount = g_basemapLayer.getLevelEstimation(triangle,10,1000).tileCount;
+            var routeCount = g_basemapLayer.getLevelEstimation(route,10,1000,10000).tileCount;
+            expect(polygonCount).toBeLessThan(extentCount);
+            expect(polygonCount).toBeGreaterThan(extentCount / 2);
+            expect(routeCount).toBeLessThan(polygonCount);
+
+            var estimation = g_basemapLayer.getDownloadEstimation(9,10,route,1000,10000);
+            expect(estimation.levels.length).toEqual(2);
+            expect(estimation.levels[1].tileCount).toEqual(routeCount);
+            expect(estimation.tileCount).toEqual(estimation.levels[0].tileCount + routeCount);
+            expect(estimation.sizeBytes).toEqual(estimation.tileCount * 1000);
+            done();
+        });
+    });
+
+    async.it("keeps the tiles of other layers that share the database", function(done)
+    {
+        var store = g_basemapLayer.offline.store;
+        var otherUrl = "http://example.com/arcgis/rest/services/Other/MapServer";
+
+        store.store({url: otherUrl + "/tile/1/0/0", data: new ArrayBuffer(1000), contentType: "image/png", layerUrl: otherUrl}, function(success)
+        {
+            expect(success).toEqual(true);
+            store.getUsageByLayer(function(usage)
+            {
+                expect(usage[otherUrl].tileCount).toEqual(1);
+                expect(usage[g_basemapLayer.url].tileCount).toEqual(2);
+
+                g_basemapLayer.deleteAllTiles(function(success)
+                {
+                    expect(success).toEqual(true);
+                    g_basemapLayer.getOfflineUsage(function(usage)
+                    {
+                        expect(usage.tileCount).toEqual(0);
+                        store.getUsageByLayer(function(usage)
+                        {
+                            expect(usage[otherUrl].tileCount).toEqual(1);
+                            expect(usage[g_basemapLayer.url]).toBeUndefined();
+                            store.deleteAll(function(success)
+                            {
+                                expect(success).toEqual(true);
+                                done();
+                            }, otherUrl);
+                        });
+                    });
+                });
+            });
+        });
+    });
+
     async.it("prepares the layer for offline usage", function(done)
     {
         require(["esri/geometry/Extent"], function(Extent)
@@ -145,6 +317,277 @@ describe("offline tiles advanced custom layer library", function()
         });
     });
 
+    async.it("shares the requests per second of a host between downloads", function(done)
+    {
+        var times = [];
+        var start = new Date().getTime();
+        var pending = 2;
+        var download = function()
+        {
+            var downloader = new O.esri.Tiles.TileDownloader({requestsPerSecond: 10, concurrency: 2});
+            downloader.download([1, 2], function(cell)
+            {
+                return "http://tiles.example.com/tile/1/0/" + cell;
+            }, function(url, callback)
+            {
+                times.push(new Date().getTime() - start);
+                callback(true);
+            }, function(progress)
+            {
+                if( progress.finishedDownloading && --pending === 0 )
+                {
+                    // four requests to one host, 100 ms apart
+                    expect(times.length).toEqual(4);
+                    expect(times[3]).not.toBeLessThan(290);
+                    done();
+                }
+                return false;
+            });
+        };
+
+        download();
+        download();
+    });
+
+    async.it("cancels a download with several tiles in progress", function(done)
+    {
+        require(["esri/geometry/Extent"], function(Extent)
+        {
+            var extent = new Extent({"xmin":-822542.2830377579,"ymin":4580841.761960262,"xmax":94702.05638410954,"ymax":5131188.365613382,"spatialReference":{"wkid":102100}});
+            var reports = [];
+            var reportProgress = function(progress)
+            {
+                reports.push(progress);
+
+                if( progress.finishedDownloading )
+                {
+                    expect(progress.cancelRequested).toBe(true);
+                    // the tiles that were still downloading are not reported
+                    setTimeout(function()
+                    {
+                        expect(reports.length).toEqual(3);
+                        expect(reports[0].countNow).toEqual(0);
+                        expect(reports[1].countNow).toEqual(1);
+                        done();
+                    }, 2000);
+                }
+
+                return progress.countNow === 1; // cancelRequested
+            };
+
+            expect(g_basemapLayer.offline.concurrency).toBeGreaterThan(1);
+            g_basemapLayer.prepareForOffline(10,10,extent,reportProgress);
+        });
+    });
+
+    async.it("resumes a stopped download job", function(done)
+    {
+        g_basemapLayer.listDownloadJobs(function(jobs, err)
+        {
+            expect(jobs.length).toEqual(1);
+            var job = jobs[0];
+            expect(job.status).toEqual("stopped");
+            expect(job.running).toBe(false);
+            expect(job.completedCount).toBeGreaterThan(1);
+
+            var first = null;
+            g_basemapLayer.resumeDownload(job.id, function(progress)
+            {
+                expect(progress.jobId).toEqual(job.id);
+
+                if( progress.finishedDownloading )
+                {
+                    expect(first.countNow).toEqual(job.completedCount);
+                    expect(first.countMax).toEqual(job.tileCount);
+                    g_basemapLayer.listDownloadJobs(function(jobs)
+                    {
+                        expect(jobs.length).toEqual(0); // finished jobs are removed
+                        done();
+                    });
+                }
+                else if( first === null )
+                {
+                    first = progress;
+                }
+                return false;
+            });
+        });
+    });
+
+    async.it("cancels a download job", function(done)
+    {
+        require(["esri/geometry/Extent"], function(Extent)
+        {
+            var extent = new Extent({"xmin":-822542.2830377579,"ymin":4580841.761960262,"xmax":94702.05638410954,"ymax":5131188.365613382,"spatialReference":{"wkid":102100}});
+            g_basemapLayer.prepareForOffline(9,9,extent,function(progress)
+            {
+                if( progress.finishedDownloading )
+                {
+                    expect(progress.cancelRequested).toBe(true);
+                }
+                else if( progress.countNow === 0 )
+                {
+                    g_basemapLayer.cancelDownload(progress.jobId, function(success)
+                    {
+                        expect(success).toBe(true);
+                        g_basemapLayer.listDownloadJobs(function(jobs)
+                        {
+                            expect(jobs.length).toEqual(0);
+                            done();
+                        });
+                    });
+                }
+                return false;
+            });
+        });
+    });
+
+    async.it("keeps tiles shared by offline areas", function(done)
+    {
+        require(["esri/geometry/Extent"], function(Extent)
+        {
+            var large = new Extent({"xmin":-822542.2830377579,"ymin":4580841.761960262,"xmax":94702.05638410954,"ymax":5131188.365613382,"spatialReference":{"wkid":102100}});
+            var small = new Extent({"xmin":-822542.2830377579,"ymin":4580841.761960262,"xmax":-622542.2830377579,"ymax":4780841.761960262,"spatialReference":{"wkid":102100}});
+
+            g_basemapLayer.deleteAllTiles(function(success)
+            {
+                expect(success).toBe(true);
+
+                var largeId = g_basemapLayer.createOfflineArea("large", 10, 10, large, function(progress)
+                {
+                    expect(progress.areaId).toEqual(largeId);
+                    if( !progress.finishedDownloading )
+                    {
+                        return false;
+                    }
+
+                    var smallId = g_basemapLayer.createOfflineArea("small", 10, 10, small, function(progress)
+                    {
+                        if( !progress.finishedDownloading )
+                        {
+                            return false;
+                        }
+
+                        g_basemapLayer.listOfflineAreas(function(areas)
+                        {
+                            expect(areas.length).toEqual(2);
+
+                            g_basemapLayer.getOfflineAreaUsage(smallId, function(smallUsage)
+                            {
+                                g_basemapLayer.getOfflineAreaUsage(largeId, function(largeUsage)
+                                {
+                                    expect(smallUsage.tileCount).toBeGreaterThan(0);
+                                    expect(smallUsage.tileCount).toBeLessThan(largeUsage.tileCount);
+
+                                    g_basemapLayer.deleteOfflineArea(largeId, function(success)
+                                    {
+                                        expect(success).toBe(true);
+                                        g_basemapLayer.getOfflineUsage(function(usage)
+                                        {
+                                            // the tiles of the small area are still there
+                                            expect(usage.tileCount).toEqual(smallUsage.tileCount);
+
+                                            g_basemapLayer.deleteOfflineArea(smallId, function()
+                                            {
+                                                g_basemapLayer.getOfflineUsage(function(usage)
+                                                {
+                                                    expect(usage.tileCount).toEqual(0);
+                                                    done();
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    async.it("deletes the refreshed tiles of an offline area", function(done)
+    {
+        require(["esri/geometry/Extent"], function(Extent)
+        {
+            var small = new Extent({"xmin":-822542.2830377579,"ymin":4580841.761960262,"xmax":-622542.2830377579,"ymax":4780841.761960262,"spatialReference":{"wkid":102100}});
+            var store = g_basemapLayer.offline.store;
+
+            var areaId = g_basemapLayer.createOfflineArea("refreshed", 10, 10, small, function(progress)
+            {
+                if( !progress.finishedDownloading )
+                {
+                    return false;
+                }
+
+                var urls = [];
+                store.getAllTiles(function(url, tile, err)
+                {
+                    if( url )
+                    {
+                        urls.push(url);
+                        return;
+                    }
+
+                    expect(urls.length).toBeGreaterThan(0);
+
+                    // without validators the tiles are downloaded again and replaced
+                    var pending = urls.length;
+                    urls.forEach(function(url)
+                    {
+                        store._updateTile(url, {etag: null, lastModified: null}, function()
+                        {
+                            if( --pending > 0 )
+                            {
+                                return;
+                            }
+
+                            g_basemapLayer.refreshTiles({maxAge: 0}, function(progress)
+                            {
+                                if( !progress.finishedDownloading )
+                                {
+                                    return false;
+                                }
+
+                                expect(progress.updated).toEqual(urls.length);
+                                g_basemapLayer.deleteOfflineArea(areaId, function(success)
+                                {
+                                    expect(success).toBe(true);
+                                    g_basemapLayer.getOfflineUsage(function(usage)
+                                    {
+                                        expect(usage.tileCount).toEqual(0);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                }, areaId);
+            });
+        });
+    });
+
+    async.it("doesn't keep tiles downloaded for a deleted offline area", function(done)
+    {
+        var store = g_basemapLayer.offline.store;
+        var url = "http://server.arcgisonline.com/ArcGIS/rest/services/World_Topo_Map/MapServer/tile/1/0/0";
+
+        // a download that finishes after deleteOfflineArea()
+        store.store({url: url, data: new ArrayBuffer(10), contentType: "image/png", layerUrl: g_basemapLayer.url, areas: ["deleted"]}, function(success)
+        {
+            expect(success).toBe(true);
+            store.retrieve(url, function(found)
+            {
+                expect(found).toBe(false);
+                g_basemapLayer.getOfflineUsage(function(usage)
+                {
+                    expect(usage.tileCount).toEqual(0);
+                    done();
+                });
+            });
+        });
+    });
+
     async.it("get tile urls",function(done)
     {
         require(["esri/geometry/Extent"],function(Extent){
@@ -263,7 +706,7 @@ describe("offline tiles advanced custom layer library", function()
     });
 
     async.it("load csv from file",function(done){
-        var csv = ["url,img\r\nhttp://esri.com,base64image_goes_here"];
+        var csv = ["url,img\r\nhttp://esri.com,iVBORw0KGgo="];
         var blob = new Blob(csv, {type : 'text/csv'});
         blob.name = "test1";
         g_basemapLayer.loadFromFile(blob,function(success,result){
@@ -280,4 +723,171 @@ describe("offline tiles advanced custom layer library", function()
         })
     });
 
+    async.it("report progress while saving tiles to csv",function(done){
+        var progress = null;
+        g_basemapLayer.saveToFile("testSaveToCSV",function(success,result){
+            expect(success).toBe(true);
+            expect(progress.countNow).toEqual(progress.countMax);
+            done();
+        },function(p){
+            progress = p;
+            return false;
+        })
+    });
+
+    async.it("leave the tiles of other layers out of the file",function(done){
+        var url = "http://example.com/arcgis/rest/services/Other/MapServer/tile/1/0/0";
+        var store = g_basemapLayer.offline.store;
+        store.store({url: url, data: new ArrayBuffer(10), contentType: "image/png", layerUrl: "http://example.com/arcgis/rest/services/Other/MapServer"}, function(){
+            g_basemapLayer.getOfflineUsage(function(usage){
+                var progress = null;
+                g_basemapLayer.saveToFile("testSaveToCSV",function(success){
+                    expect(success).toBe(true);
+                    expect(progress.countMax).toEqual(usage.tileCount);
+                    expect(progress.countNow).toEqual(usage.tileCount);
+                    store.delete(url, function(){
+                        done();
+                    });
+                },function(p){
+                    progress = p;
+                    return false;
+                });
+            });
+        });
+    });
+
+    async.it("cancel loading a csv file",function(done){
+        var csv = ["url,img\r\nhttp://esri.com/1,iVBORw0KGgo=\r\nhttp://esri.com/2,iVBORw0KGgo="];
+        var blob = new Blob(csv, {type : 'text/csv'});
+        blob.name = "test3";
+        g_basemapLayer.loadFromFile(blob,function(success,result){
+            expect(success).toBe(false);
+            expect(result).toEqual("Loading test3 was cancelled after 2 tiles");
+            done();
+        },function(progress){
+            expect(progress.bytesRead).toEqual(blob.size);
+            return true;
+        })
+    });
+
+    async.it("save tiles to mbtiles",function(done){
+        g_basemapLayer.saveToFile("testSaveToMBTiles.mbtiles",function(success,result){
+            expect(success).toBe(true);
+            expect(result).toContain("testSaveToMBTiles.mbtiles");
+            done();
+        })
+    });
+
+    async.it("load mbtiles from file",function(done){
+        var writer = new O.esri.Tiles.SQLiteWriter();
+        writer.createTable("metadata","CREATE TABLE metadata (name text, value text)");
+        writer.createTable("tiles","CREATE TABLE tiles (zoom_level integer, tile_column integer, tile_row integer, tile_data blob)");
+        writer.addRow("metadata",["format","png"]);
+        writer.addRow("tiles",[1,0,1,new Uint8Array([137,80,78,71])]);
+        writer.addRow("tiles",[1,1,0,new Uint8Array([137,80,78,71])]);
+
+        var blob = writer.toBlob();
+        blob.name = "test2.mbtiles";
+        g_basemapLayer.loadFromFile(blob,function(success,result){
+            expect(success).toBe(true);
+            expect(result).toEqual("2 tiles loaded from test2.mbtiles");
+            done();
+        })
+    });
+
+    async.it("make tile urls from an XYZ template",function(done){
+        var template = new O.esri.Tiles.TileUrlTemplate("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png");
+        var url = template.getUrl(3,2,5);
+        expect(url).toEqual("https://b.tile.openstreetmap.org/3/5/2.png");
+        expect(template.getCell(url)).toEqual({level: 3, row: 2, col: 5});
+        expect(template.getCell(g_basemapLayer.url + "/tile/3/2/5")).toBe(null);
+        done();
+    });
+
+    async.it("read the tiling scheme of a WMTS layer",function(done){
+        var capabilities = '<Capabilities xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1" version="1.0.0"><Contents>' +
+            '<Layer><ows:Identifier>topo</ows:Identifier><Style isDefault="true"><ows:Identifier>default</ows:Identifier></Style><Format>image/png</Format>' +
+            '<TileMatrixSetLink><TileMatrixSet>GoogleMapsCompatible</TileMatrixSet></TileMatrixSetLink>' +
+            '<ResourceURL format="image/png" resourceType="tile" template="https://example.com/topo/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png"/></Layer>' +
+            '<TileMatrixSet><ows:Identifier>GoogleMapsCompatible</ows:Identifier><ows:SupportedCRS>urn:ogc:def:crs:EPSG::3857</ows:SupportedCRS>' +
+            '<TileMatrix><ows:Identifier>z0</ows:Identifier><ScaleDenominator>559082264.0287178</ScaleDenominator><TopLeftCorner>-20037508.3427892 20037508.3427892</TopLeftCorner>' +
+            '<TileWidth>256</TileWidth><TileHeight>256</TileHeight><MatrixWidth>1</MatrixWidth><MatrixHeight>1</MatrixHeight></TileMatrix>' +
+            '<TileMatrix><ows:Identifier>z1</ows:Identifier><ScaleDenominator>279541132.0143589</ScaleDenominator><TopLeftCorner>-20037508.3427892 20037508.3427892</TopLeftCorner>' +
+            '<TileWidth>256</TileWidth><TileHeight>256</TileHeight><MatrixWidth>2</MatrixWidth><MatrixHeight>2</MatrixHeight></TileMatrix>' +
+            '</TileMatrixSet></Contents></Capabilities>';
+
+        var service = new O.esri.Tiles.WMTSCapabilities(capabilities).getTileService();
+        expect(service.template).toEqual("https://example.com/topo/default/GoogleMapsCompatible/{TileMatrix}/{TileRow}/{TileCol}.png");
+        expect(service.levelIds).toEqual(["z0", "z1"]);
+        expect(service.tileInfo.spatialReference.wkid).toEqual(102100);
+        expect(service.tileInfo.lods[1].resolution).toBeCloseTo(78271.517, 3);
+
+        var template = new O.esri.Tiles.TileUrlTemplate(service.template, {levelIds: service.levelIds});
+        expect(template.getUrl(1,0,1)).toEqual("https://example.com/topo/default/GoogleMapsCompatible/z1/0/1.png");
+        done();
+    });
+
+    async.it("reject an unknown service worker strategy",function(done){
+        g_basemapLayer.enableServiceWorker("cache-only",function(success,result){
+            expect(success).toBe(false);
+            expect(g_basemapLayer._serviceWorkerStrategy).toBe(null);
+            done();
+        })
+    });
+
+    async.it("return real tile urls when a service worker serves the tiles",function(done){
+        g_basemapLayer.offline.online = false;
+        g_basemapLayer._serviceWorkerStrategy = g_basemapLayer.TILE_STRATEGIES.CACHE_FIRST;
+        g_basemapLayer._serviceWorkerReady = true;
+        expect(g_basemapLayer.getTileUrl(1,2,3)).toContain(g_basemapLayer.url + "/tile/1/2/3");
+
+        // until the worker has answered, the layer reads the stored tiles itself
+        g_basemapLayer._serviceWorkerReady = false;
+        expect(g_basemapLayer.getTileUrl(1,2,3)).toEqual("void:/1/2/3");
+
+        g_basemapLayer._serviceWorkerStrategy = null;
+        expect(g_basemapLayer.getTileUrl(1,2,3)).toEqual("void:/1/2/3");
+        g_basemapLayer.offline.online = true;
+        done();
+    });
+
+    async.it("wait for the service worker to save the layer",function(done){
+        var replied = false;
+        var posted = null;
+        var refresh = g_basemapLayer.refresh;
+        var postToServiceWorker = g_basemapLayer._postToServiceWorker;
+
+        g_basemapLayer.refresh = function(){
+            expect(replied).toBe(true);
+        };
+        g_basemapLayer._postToServiceWorker = function(message, callback){
+            posted = message;
+            setTimeout(function(){
+                replied = true;
+                callback(true, null);
+            }, 10);
+        };
+
+        g_basemapLayer._registerWithServiceWorker(g_basemapLayer.TILE_STRATEGIES.OFFLINE_ONLY, function(success){
+            expect(success).toBe(true);
+            expect(posted.layer.strategy).toEqual("offline-only");
+            expect(g_basemapLayer._serviceWorkerReady).toBe(true);
+
+            g_basemapLayer._serviceWorkerStrategy = g_basemapLayer.TILE_STRATEGIES.CACHE_FIRST;
+            replied = false;
+            g_basemapLayer.goOnline();
+            expect(g_basemapLayer._serviceWorkerReady).toBe(false);
+
+            setTimeout(function(){
+                expect(g_basemapLayer._serviceWorkerReady).toBe(true);
+                g_basemapLayer._serviceWorkerStrategy = null;
+                g_basemapLayer._serviceWorkerReady = false;
+                g_basemapLayer.refresh = refresh;
+                g_basemapLayer._postToServiceWorker = postToServiceWorker;
+                done();
+            }, 50);
+        });
+        expect(g_basemapLayer._serviceWorkerReady).toBe(false);
+    });
+
 });
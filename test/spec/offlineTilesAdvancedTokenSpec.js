@@ -68,7 +68,7 @@ describe("offline enabler custom layer library", function()
                     expect(usage.tileCount).toEqual(1);
                     done();
                 });
-            });
+            },null,g_basemapLayer);
         });
     });
 
@@ -88,7 +88,7 @@ describe("offline enabler custom layer library", function()
                     expect(usage.tileCount).toEqual(1);
                     done();
                 });
-            });
+            },null,g_basemapLayer);
         });
     });
 
@@ -239,7 +239,7 @@ describe("offline enabler custom layer library", function()
     });
 
     async.it("load csv from file",function(done){
-        var csv = ["url,img\r\nhttp://esri.com,base64image_goes_here"];
+        var csv = ["url,img\r\nhttp://esri.com,iVBORw0KGgo="];
         var blob = new Blob(csv, {type : 'text/csv'});
         blob.name = "test1";
         g_basemapLayer.loadFromFile(blob,function(success,result){
@@ -97,7 +97,7 @@ describe("offline enabler library", function()
 					expect(usage.tileCount).toEqual(1);
 			        done();
 				});
-			});
+			},null,g_basemapLayer);
 		});
 	});
 
@@ -116,7 +116,7 @@ describe("offline enabler library", function()
 					expect(usage.tileCount).toEqual(1);
 			        done();
 				});
-			});
+			},null,g_basemapLayer);
 		});
 	});
 
@@ -244,7 +244,7 @@ describe("offline enabler library", function()
     });
 
     async.it("load csv from file",function(done){
-        var csv = ["url,img\r\nhttp://esri.com,base64image_goes_here"];
+        var csv = ["url,img\r\nhttp://esri.com,iVBORw0KGgo="];
         var blob = new Blob(csv, {type : 'text/csv'});
         blob.name = "test1";
         g_basemapLayer.loadFromFile(blob,function(success,result){